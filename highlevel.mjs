@@ -1,10 +1,11 @@
-import axios from 'axios';
-import { MongoClient } from 'mongodb';
+import { createHash } from 'crypto';
+import { GridFSBucket, MongoClient } from 'mongodb';
 import logger from './src/log.mjs'
+import { getGhlClient } from './src/ghlClient.mjs';
+import { captureAsset, collectMessageAssetUrls, collectNoteAssetUrls } from './src/model/assetManager.mjs';
 const log = logger(import.meta.url);
+const ghl = getGhlClient();
 
-const HIGHLEVEL_API_URL = process.env.HIGHLEVEL_API_URL;
-const HIGHLEVEL_API_KEY = process.env.HIGHLEVEL_API_KEY;
 const HIGHLEVEL_LOCATION_ID = process.env.HIGHLEVEL_LOCATION_ID;
 const HIGHLEVEL_DEFAULT_USER_ID = process.env.HIGHLEVEL_DEFAULT_USER_ID;
 const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017';
@@ -52,49 +53,217 @@ async function upsertById(collectionName, items) {
     return { upserted: result.upsertedCount, modified: result.modifiedCount, matched: result.matchedCount };
 }
 
-export async function storeGhlData({ contacts, users, opportunities, calendars, conversations, customFields }) {
-    const [contactsCount, usersCount, opportunitiesCount, calendarsCount, conversationsCount, customFieldsCount] = await Promise.all([
-        upsertById('contacts', contacts),
-        upsertById('users', users),
-        upsertById('opportunities', opportunities),
-        upsertById('calendars', calendars),
-        upsertById('conversations', conversations),
-        upsertById('customfields', customFields)
-    ]);
-    return {
-        contacts: contactsCount,
-        users: usersCount,
-        opportunities: opportunitiesCount,
-        calendars: calendarsCount,
-        conversations: conversationsCount,
-        customFields: customFieldsCount
-    };
+/**
+ * Stores fetched custom field documents, keeping the destination picked for each field in
+ * HubSpot.html: upsertById replaces whole documents, which would otherwise drop it.
+ */
+async function upsertCustomFieldDocs(docs) {
+    const db = await getMongoDb();
+    const stored = await db.collection('customfields').find({ id: { $in: docs.map((doc) => doc.id) } }).toArray();
+    const storedById = new Map(stored.map((doc) => [doc.id, doc]));
+    const merged = docs.map((doc) => {
+        const storedFields = storedById.get(doc.id)?.[doc.id] || {};
+        const fields = Object.fromEntries(Object.entries(doc[doc.id] || {}).map(([fieldId, field]) => {
+            const destination = storedFields[fieldId]?.destination;
+            return [fieldId, destination ? { ...field, destination } : field];
+        }));
+        return { ...doc, [doc.id]: fields };
+    });
+    return upsertById('customfields', merged);
+}
+
+const SYNC_STATE_COLLECTION = 'ghl_sync_state';
+
+// Entities that support incremental extraction. `updatedField` is the GHL field the search filters
+// and sorts on, and so also the one the high-water mark is taken from; `changedField` (default
+// `updatedField`) decides whether a stored record changed.
+const INCREMENTAL_ENTITIES = {
+    contacts: { collection: 'contacts', updatedField: 'dateUpdated' },
+    opportunities: { collection: 'opportunities', updatedField: 'updatedAt' },
+    // The conversation search only sorts by last message, so a conversation whose status or
+    // assignment changed without a new message waits for a full extraction.
+    conversations: { collection: 'conversations', updatedField: 'lastMessageDate', changedField: 'dateUpdated' }
+};
+
+function toDate(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (value instanceof Date) {
+        return Number.isNaN(value.getTime()) ? null : value;
+    }
+    const parsed = typeof value === 'number' ? new Date(value) : new Date(String(value));
+    return Number.isNaN(parsed.getTime()) ? null : parsed;
+}
+
+function isUpdatedSince(item, updatedField, since) {
+    if (!since) {
+        return true;
+    }
+    const updated = toDate(item?.[updatedField]);
+    return !updated || updated >= since;
+}
+
+function maxUpdatedAt(items, updatedField, current) {
+    let max = current || null;
+    for (const item of items || []) {
+        const updated = toDate(item?.[updatedField]);
+        if (updated && (!max || updated > max)) {
+            max = updated;
+        }
+    }
+    return max;
 }
 
+async function loadHighWaterMark(entity) {
+    const db = await getMongoDb();
+    const state = await db.collection(SYNC_STATE_COLLECTION).findOne({ _id: entity });
+    return toDate(state?.highWaterMark);
+}
+
+async function saveHighWaterMark(entity, highWaterMark, summary) {
+    const db = await getMongoDb();
+    await db.collection(SYNC_STATE_COLLECTION).updateOne(
+        { _id: entity },
+        {
+            $set: { highWaterMark, lastRun: summary, updatedAt: new Date() },
+            $setOnInsert: { createdAt: new Date() }
+        },
+        { upsert: true }
+    );
+}
+
+const CHECKPOINT_COLLECTION = 'ghl_extraction_checkpoints';
+
+async function loadCheckpoint(checkpointId) {
+    const db = await getMongoDb();
+    return db.collection(CHECKPOINT_COLLECTION).findOne({ _id: checkpointId });
+}
+
+async function saveCheckpoint(checkpointId, data) {
+    const db = await getMongoDb();
+    await db.collection(CHECKPOINT_COLLECTION).updateOne(
+        { _id: checkpointId },
+        { $set: { ...data, updatedAt: new Date() }, $setOnInsert: { createdAt: new Date() } },
+        { upsert: true }
+    );
+}
+
+async function clearCheckpoint(checkpointId) {
+    const db = await getMongoDb();
+    await db.collection(CHECKPOINT_COLLECTION).deleteOne({ _id: checkpointId });
+}
+
+/**
+ * Streams pages from `pages(cursor)` into Mongo, saving the cursor for the next page after each
+ * write, so memory stays at one page and an interrupted run resumes from the last stored page.
+ * Each page is `{ items, next }`; the iterator ends when there is nothing left to fetch.
+ */
+async function extractPaged(entity, { collection = entity, start, pages, resume = true }) {
+    const checkpointId = `ghl_${entity}`;
+    const checkpoint = resume ? await loadCheckpoint(checkpointId) : null;
+    const cursor = checkpoint?.cursor || start;
+    let fetched = checkpoint?.fetched || 0;
+    if (checkpoint) {
+        log.info('extract %s: resuming after %s records, cursor=%o', entity, fetched, cursor);
+    }
+    try {
+        for await (const page of pages(cursor, fetched)) {
+            if (page.items.length > 0) {
+                await upsertById(collection, page.items);
+            }
+            fetched += page.items.length;
+            await saveCheckpoint(checkpointId, { entity, cursor: page.next, fetched });
+            log.debug('extract %s: fetched=%s', entity, fetched);
+        }
+    } catch (err) {
+        log.warn('extract %s failed after %s records, status=%s, error=%s', entity, fetched, err?.response?.status, err.toString());
+        throw err;
+    }
+    await clearCheckpoint(checkpointId);
+    return { fetched, resumedAfter: checkpoint?.fetched || 0 };
+}
+/**
+ * Upserts only the records whose last-modified field differs from the stored copy.
+ * Uses $set instead of a replacement so locally added fields (e.g. messagesSyncedAt) survive.
+ */
+async function upsertChangedById(collectionName, items, updatedField) {
+    const summary = { new: 0, changed: 0, unchanged: 0, changedIds: [] };
+    const records = (Array.isArray(items) ? items : []).filter((item) => item && item.id);
+    if (records.length === 0) {
+        return summary;
+    }
+    const db = await getMongoDb();
+    const collection = db.collection(collectionName);
+    const existing = await collection
+        .find({ id: { $in: records.map((item) => item.id) } }, { projection: { id: 1, [updatedField]: 1 } })
+        .toArray();
+    const existingById = new Map(existing.map((doc) => [doc.id, doc]));
+    const operations = [];
+    for (const item of records) {
+        const stored = existingById.get(item.id);
+        if (stored) {
+            const storedUpdated = toDate(stored[updatedField]);
+            const incomingUpdated = toDate(item[updatedField]);
+            if (storedUpdated && incomingUpdated && storedUpdated.getTime() === incomingUpdated.getTime()) {
+                summary.unchanged++;
+                continue;
+            }
+            summary.changed++;
+        } else {
+            summary.new++;
+        }
+        summary.changedIds.push(item.id);
+        operations.push({
+            updateOne: {
+                filter: { id: item.id },
+                update: { $set: item },
+                upsert: true
+            }
+        });
+    }
+    if (operations.length > 0) {
+        await collection.bulkWrite(operations, { ordered: false });
+    }
+    return summary;
+}
 
 export async function getAllNotes(contactId) {
-    const headers = {
-        Authorization: `Bearer ${HIGHLEVEL_API_KEY}`,
-        'Content-Type': 'application/json',
-        Version: '2021-07-28'
-    };
-    const url = `${HIGHLEVEL_API_URL}/contacts/${encodeURIComponent(contactId)}/notes`;
+    const path = `/contacts/${encodeURIComponent(contactId)}/notes`;
     try {
-        const response = await axios.get(url, { headers });
+        const response = await ghl.get(path);
         return response?.data?.notes;
     } catch (err) {
-        log.warn('retrieveHighlevelCustomFields url=%s, error=%s', url, err.toString());
+        // A contact gone from GHL has no notes; anything else must stop the import so its checkpoint
+        // stays before this contact and a resume fetches it again.
+        if (err?.response?.status === 404) {
+            return [];
+        }
+        log.warn('getAllNotes path=%s, status=%s, error=%s', path, err?.response?.status, err.toString());
+        throw err;
     }
 }
 
-export async function importAllContactNotes({ delayMs = 200 } = {}) {
+/**
+ * Imports notes contact by contact in id order, checkpointing the last contact processed. A failed
+ * fetch throws before the checkpoint moves, so resuming retries that contact.
+ */
+export async function importAllContactNotes({ resume = true } = {}) {
+    const checkpointId = 'ghl_notes';
+    const checkpoint = resume ? await loadCheckpoint(checkpointId) : null;
     const db = await getMongoDb();
     const contactsCollection = db.collection('contacts');
-    const cursor = contactsCollection.find({ id: { $exists: true } }, { projection: { id: 1 } });
-    let processedContacts = 0;
-    let contactsWithNotes = 0;
-    let totalNotesUpserted = 0;
-    let totalNotesModified = 0;
+    const filter = checkpoint?.lastContactId
+        ? { id: { $exists: true, $gt: checkpoint.lastContactId } }
+        : { id: { $exists: true } };
+    if (checkpoint?.lastContactId) {
+        log.info('extract notes: resuming after contact %s', checkpoint.lastContactId);
+    }
+    const cursor = contactsCollection.find(filter, { projection: { id: 1 } }).sort({ id: 1 });
+    let processedContacts = checkpoint?.processedContacts || 0;
+    let contactsWithNotes = checkpoint?.contactsWithNotes || 0;
+    let totalNotesUpserted = checkpoint?.totalNotesUpserted || 0;
+    let totalNotesModified = checkpoint?.totalNotesModified || 0;
 
     for await (const contact of cursor) {
         const contactId = contact?.id;
@@ -103,10 +272,7 @@ export async function importAllContactNotes({ delayMs = 200 } = {}) {
         }
         processedContacts++;
         const notes = await getAllNotes(contactId);
-        if (!Array.isArray(notes) || notes.length === 0) {
-            continue;
-        }
-        const normalized = notes
+        const normalized = (Array.isArray(notes) ? notes : [])
             .filter((note) => note && note.id)
             .map((note) => ({
                 ...note,
@@ -118,14 +284,86 @@ export async function importAllContactNotes({ delayMs = 200 } = {}) {
             totalNotesUpserted += result?.upserted || 0;
             totalNotesModified += result?.modified || 0;
         }
-        if (delayMs > 0) {
-            await delay(delayMs);
-        }
+        await saveCheckpoint(checkpointId, {
+            lastContactId: contactId,
+            processedContacts,
+            contactsWithNotes,
+            totalNotesUpserted,
+            totalNotesModified
+        });
     }
+    await clearCheckpoint(checkpointId);
     return { processedContacts, contactsWithNotes, totalNotesUpserted, totalNotesModified };
 }
 
-export async function importAllAppointments({ delayMs = 200 } = {}) {
+export async function getAllTasks(contactId) {
+    const path = `/contacts/${encodeURIComponent(contactId)}/tasks`;
+    try {
+        const response = await ghl.get(path);
+        return response?.data?.tasks;
+    } catch (err) {
+        // A contact gone from GHL has no tasks; anything else must stop the import so its checkpoint
+        // stays before this contact and a resume fetches it again.
+        if (err?.response?.status === 404) {
+            return [];
+        }
+        log.warn('getAllTasks path=%s, status=%s, error=%s', path, err?.response?.status, err.toString());
+        throw err;
+    }
+}
+
+/**
+ * Imports tasks contact by contact in id order, checkpointing the last contact processed. A failed
+ * fetch throws before the checkpoint moves, so resuming retries that contact.
+ */
+export async function importAllContactTasks({ resume = true } = {}) {
+    const checkpointId = 'ghl_tasks';
+    const checkpoint = resume ? await loadCheckpoint(checkpointId) : null;
+    const db = await getMongoDb();
+    const filter = checkpoint?.lastContactId
+        ? { id: { $exists: true, $gt: checkpoint.lastContactId } }
+        : { id: { $exists: true } };
+    if (checkpoint?.lastContactId) {
+        log.info('extract tasks: resuming after contact %s', checkpoint.lastContactId);
+    }
+    const cursor = db.collection('contacts').find(filter, { projection: { id: 1 } }).sort({ id: 1 });
+    let processedContacts = checkpoint?.processedContacts || 0;
+    let contactsWithTasks = checkpoint?.contactsWithTasks || 0;
+    let totalTasksUpserted = checkpoint?.totalTasksUpserted || 0;
+    let totalTasksModified = checkpoint?.totalTasksModified || 0;
+
+    for await (const contact of cursor) {
+        const contactId = contact?.id;
+        if (!contactId) {
+            continue;
+        }
+        processedContacts++;
+        const tasks = await getAllTasks(contactId);
+        const normalized = (Array.isArray(tasks) ? tasks : [])
+            .filter((task) => task && task.id)
+            .map((task) => ({
+                ...task,
+                contactId: task.contactId || contactId
+            }));
+        if (normalized.length > 0) {
+            const result = await upsertById('tasks', normalized);
+            contactsWithTasks++;
+            totalTasksUpserted += result?.upserted || 0;
+            totalTasksModified += result?.modified || 0;
+        }
+        await saveCheckpoint(checkpointId, {
+            lastContactId: contactId,
+            processedContacts,
+            contactsWithTasks,
+            totalTasksUpserted,
+            totalTasksModified
+        });
+    }
+    await clearCheckpoint(checkpointId);
+    return { processedContacts, contactsWithTasks, totalTasksUpserted, totalTasksModified };
+}
+
+export async function importAllAppointments() {
     const calendars = await getCalendars();
     if (!Array.isArray(calendars) || calendars.length === 0) {
         return { calendars: 0, appointments: 0, totalUpserted: 0, totalModified: 0 };
@@ -146,9 +384,6 @@ export async function importAllAppointments({ delayMs = 200 } = {}) {
         return { calendars: calendars.length, appointments: 0, totalUpserted: 0, totalModified: 0 };
     }
     const result = await upsertById('appointments', appointments);
-    if (delayMs > 0) {
-        await delay(delayMs);
-    }
     return {
         calendars: calendars.length,
         appointments: appointments.length,
@@ -157,14 +392,9 @@ export async function importAllAppointments({ delayMs = 200 } = {}) {
     };
 }
 async function retrieveHighlevelCustomFields(model = 'contact') {
-    const headers = {
-        Authorization: `Bearer ${HIGHLEVEL_API_KEY}`,
-        'Content-Type': 'application/json',
-        Version: '2021-07-28'
-    };
-    const url = `${HIGHLEVEL_API_URL}/locations/${encodeURIComponent(HIGHLEVEL_LOCATION_ID)}/customFields?model=${encodeURIComponent(model)}`;
+    const path = `/locations/${encodeURIComponent(HIGHLEVEL_LOCATION_ID)}/customFields`;
     try {
-        const response = await axios.get(url, { headers });
+        const response = await ghl.get(path, { params: { model } });
         if (response?.data?.customFields) {
             return (response.data.customFields.reduce((acc, el) => {
                 acc[el.id] = el;
@@ -173,28 +403,46 @@ async function retrieveHighlevelCustomFields(model = 'contact') {
         }
         return null;
     } catch (err) {
-        log.warn('retrieveHighlevelCustomFields model=%s, url=%s, error=%s', model, url, err.toString());
+        log.warn('retrieveHighlevelCustomFields model=%s, path=%s, error=%s', model, path, err.toString());
     }
 }
 
-async function delay(time = 2 * 1000) {
-    return new Promise((resolve, reject) => {
-        setTimeout(() => {
-            resolve(true);
-        }, time);
-    })
+async function getCustomFieldDocs() {
+    const [contactFieldMap, opportunityFieldMap] = await Promise.all([
+        retrieveHighlevelCustomFields('contact'),
+        retrieveHighlevelCustomFields('opportunity')
+    ]);
+    return [
+        { id: 'contact', contact: contactFieldMap || {} },
+        { id: 'opportunity', opportunity: opportunityFieldMap || {} }
+    ];
 }
 
+/**
+ * Fetches the location's opportunity pipelines, each with its ordered stages.
+ */
+export async function getPipelines(locationId = HIGHLEVEL_LOCATION_ID) {
+    const url = `/opportunities/pipelines?locationId=${encodeURIComponent(locationId)}`;
+    try {
+        const response = await ghl.get(url);
+        const pipelines = response?.data?.pipelines;
+        if (!Array.isArray(pipelines)) {
+            return [];
+        }
+        return pipelines.map((pipeline) => ({
+            ...pipeline,
+            stages: [...(pipeline?.stages || [])].sort((a, b) => (a?.position ?? 0) - (b?.position ?? 0))
+        }));
+    } catch (err) {
+        log.warn('getPipelines url=%s, status=%s, error=%s', url, err?.response?.status, err.toString());
+        throw err;
+    }
+}
 
 async function getUsers() {
-    const headers = {
-        Authorization: `Bearer ${HIGHLEVEL_API_KEY}`,
-        'Content-Type': 'application/json',
-        Version: '2021-07-28'
-    };
-    const url = `${HIGHLEVEL_API_URL}/users/?locationId=${HIGHLEVEL_LOCATION_ID}`;
+    const url = `/users/?locationId=${HIGHLEVEL_LOCATION_ID}`;
     try {
-        const response = await axios.get(url, { headers });
+        const response = await ghl.get(url);
         return response?.data?.users;
     } catch (err) {
         log.warn('getUsers url=%s, error=%s', url, err.toString());
@@ -202,167 +450,427 @@ async function getUsers() {
     return null;
 }
 
-export async function getAllConversations(locationId = HIGHLEVEL_LOCATION_ID) {
-    const headers = {
-        Authorization: `Bearer ${HIGHLEVEL_API_KEY}`,
-        'Content-Type': 'application/json',
-        Version: '2021-07-28'
-    };
-    const ALL_CONVERSATIONS = [];
-    const baseUrl = `${HIGHLEVEL_API_URL || ''}`.replace(/\/+$/, '');
+/**
+ * Yields conversation pages oldest first; `next` carries the `startAfterDate` of the following batch.
+ */
+export async function* iterateConversationPages(
+    { startAfterDate = null } = {},
+    fetched = 0,
+    locationId = HIGHLEVEL_LOCATION_ID
+) {
     const pageSize = 100;
-    let total = -1;
-    let startAfterDate = null; // next batch: value of sort from last document
-    let batchNum = 0;
+    while (true) {
+        let url = `/conversations/search?locationId=${encodeURIComponent(locationId)}&limit=${pageSize}&sort=asc`;
+        if (startAfterDate != null) {
+            url += `&startAfterDate=${encodeURIComponent(startAfterDate)}`;
+        }
+        let response;
+        try {
+            log.debug('iterateConversationPages url=%s, fetched=%s', url, fetched);
+            response = await ghl.get(url);
+        } catch (err) {
+            if (err?.response?.status === 404) {
+                return;
+            }
+            throw err;
+        }
+        const data = response?.data || {};
+        const conversations = data?.conversations || data?.items || data?.data || data;
+        if (!Array.isArray(conversations) || conversations.length === 0) {
+            return;
+        }
+        fetched += conversations.length;
+        const lastDoc = conversations[conversations.length - 1];
+        const done = conversations.length < pageSize || fetched >= (data.total ?? 0);
+        if (!done && (!Array.isArray(lastDoc.sort) || lastDoc.sort.length === 0)) {
+            throw new Error(`Conversation ${lastDoc.id} missing required "sort" field for pagination`);
+        }
+        startAfterDate = done ? null : lastDoc.sort[0];
+        yield { items: conversations, next: done ? null : { startAfterDate } };
+        if (done) {
+            return;
+        }
+    }
+}
+
+/**
+ * Extracts all conversations page by page, checkpointing the `startAfterDate` of the next batch.
+ */
+export async function extractConversations({ resume = true } = {}) {
+    return extractPaged('conversations', {
+        resume,
+        start: { startAfterDate: null },
+        pages: iterateConversationPages
+    });
+}
+/**
+ * Yields pages of conversations with activity since the given date, newest first.
+ * Stops paging at the first page that reaches past the cut-off.
+ */
+export async function* iterateConversationsUpdatedSince(since, locationId = HIGHLEVEL_LOCATION_ID) {
+    if (!since) {
+        for await (const page of iterateConversationPages({}, 0, locationId)) {
+            yield page.items;
+        }
+        return;
+    }
+    const pageSize = 100;
+    let startAfterDate = null;
 
     while (true) {
-        batchNum++;
-        let nextUrl = `${baseUrl}/conversations/search?locationId=${encodeURIComponent(locationId)}&limit=${pageSize}&sort=asc`;
+        let nextUrl = `/conversations/search?locationId=${encodeURIComponent(locationId)}&limit=${pageSize}&sort=desc&sortBy=last_message_date`;
         if (startAfterDate != null) {
             nextUrl += `&startAfterDate=${encodeURIComponent(startAfterDate)}`;
         }
-        nextUrl = nextUrl.replace('http:', 'https:');
+        let conversations;
         try {
-            log.debug('getAllConversations url=%s, batch=%s, total=%s', nextUrl, batchNum, total);
-            const response = await axios.get(nextUrl, { headers });
+            log.debug('iterateConversationsUpdatedSince url=%s, since=%s', nextUrl, since.toISOString());
+            const response = await ghl.get(nextUrl);
             const data = response?.data || {};
-            const conversations = data?.conversations || data?.items || data?.data || data;
-            if (!Array.isArray(conversations)) {
-                return ALL_CONVERSATIONS;
-            }
-            ALL_CONVERSATIONS.push(...conversations);
-            if (total === -1) {
-                total = data.total ?? 0;
-            }
-            if (ALL_CONVERSATIONS.length >= total) {
-                log.debug('getAllConversations fetched all, total=%s', total);
-                break;
-            }
-            if (conversations.length < pageSize) {
-                log.debug('getAllConversations last batch, count=%s', conversations.length);
-                break;
-            }
-            const lastDoc = conversations[conversations.length - 1];
-            if (!Array.isArray(lastDoc.sort) || lastDoc.sort.length === 0) {
-                throw new Error(`Conversation ${lastDoc.id} missing required "sort" field for pagination`);
-            }
-            startAfterDate = lastDoc.sort[0];
-            await delay();
+            conversations = data?.conversations || data?.items || data?.data || data;
         } catch (err) {
             const status = err?.response?.status;
-            if (status !== 404) {
-                log.warn('getAllConversations url=%s, status=%s, error=%s', nextUrl, status, err.toString());
+            if (status === 404) {
+                return;
             }
-            break;
+            log.warn('iterateConversationsUpdatedSince url=%s, status=%s, error=%s', nextUrl, status, err.toString());
+            throw err;
+        }
+        if (!Array.isArray(conversations) || conversations.length === 0) {
+            return;
+        }
+        const updated = conversations.filter((conversation) => isUpdatedSince(conversation, INCREMENTAL_ENTITIES.conversations.updatedField, since));
+        if (updated.length > 0) {
+            yield updated;
         }
+        if (updated.length < conversations.length || conversations.length < pageSize) {
+            return;
+        }
+        const lastDoc = conversations[conversations.length - 1];
+        if (!Array.isArray(lastDoc.sort) || lastDoc.sort.length === 0) {
+            throw new Error(`Conversation ${lastDoc.id} missing required "sort" field for pagination`);
+        }
+        startAfterDate = lastDoc.sort[0];
     }
-    return ALL_CONVERSATIONS;
+}
+const MESSAGES_COLLECTION = 'messages';
+let messageIndexesReady = false;
+
+async function getMessagesCollection() {
+    const db = await getMongoDb();
+    const collection = db.collection(MESSAGES_COLLECTION);
+    if (!messageIndexesReady) {
+        await collection.createIndex({ id: 1 }, { unique: true });
+        await collection.createIndex({ conversationId: 1, dateAdded: 1 });
+        messageIndexesReady = true;
+    }
+    return collection;
 }
 
 /**
- * Fetches all messages for a single conversation via pagination.
+ * Yields pages of messages for a single conversation.
  * GET .../conversations/{conversationId}/messages?limit=20&lastMessageId=...
- * Embeds are not included for call/voicemail; use separate "get call recording" API if needed.
+ * Call and voicemail audio is not included; archiveMessageRecording fetches it separately.
  */
-async function getAllMessagesForConversation(conversationId) {
-    const headers = {
-        Authorization: `Bearer ${HIGHLEVEL_API_KEY}`,
-        'Content-Type': 'application/json',
-        Version: '2021-04-15'
-    };
-    const baseUrl = `${HIGHLEVEL_API_URL || ''}`.replace(/\/+$/, '').replace('http:', 'https:');
+async function* iterateConversationMessagePages(conversationId) {
     const path = `/conversations/${encodeURIComponent(conversationId)}/messages`;
     const limit = 20;
     const seenIds = new Set();
-    const allMessages = [];
     let lastMessageId = '';
 
     while (true) {
-        let url = `${baseUrl}${path}?limit=${limit}`;
+        let url = `${path}?limit=${limit}`;
         if (lastMessageId) {
             url += `&lastMessageId=${encodeURIComponent(lastMessageId)}`;
         }
-        try {
-            const response = await axios.get(url, { headers });
-            const data = response?.data || {};
-            const messagesWrapper = data?.messages;
-            const list = Array.isArray(messagesWrapper?.messages)
-                ? messagesWrapper.messages
-                : Array.isArray(data?.items)
-                    ? data.items
-                    : Array.isArray(data?.data)
-                        ? data.data
-                        : [];
-            for (const msg of list) {
-                if (msg?.id && !seenIds.has(msg.id)) {
-                    seenIds.add(msg.id);
-                    allMessages.push(msg);
-                }
-            }
-            const nextPage = messagesWrapper?.nextPage === true || messagesWrapper?.nextPage === 'true' ||
-                data?.nextPage === true || data?.nextPage === 'true';
-            const nextLastId = messagesWrapper?.lastMessageId ?? data?.lastMessageId ??
-                (list.length > 0 ? list[list.length - 1]?.id : null);
-            if (!nextPage || !nextLastId) {
-                break;
+        const response = await ghl.get(url, { version: '2021-04-15' });
+        const data = response?.data || {};
+        const messagesWrapper = data?.messages;
+        const list = Array.isArray(messagesWrapper?.messages)
+            ? messagesWrapper.messages
+            : Array.isArray(data?.items)
+                ? data.items
+                : Array.isArray(data?.data)
+                    ? data.data
+                    : [];
+        const page = list.filter((msg) => msg?.id && !seenIds.has(msg.id));
+        page.forEach((msg) => seenIds.add(msg.id));
+        if (page.length > 0) {
+            yield page;
+        }
+        const nextPage = messagesWrapper?.nextPage === true || messagesWrapper?.nextPage === 'true' ||
+            data?.nextPage === true || data?.nextPage === 'true';
+        const nextLastId = messagesWrapper?.lastMessageId ?? data?.lastMessageId ??
+            (list.length > 0 ? list[list.length - 1]?.id : null);
+        if (!nextPage || !nextLastId) {
+            return;
+        }
+        lastMessageId = nextLastId;
+    }
+}
+
+/**
+ * Stores every message of one conversation in the messages collection, page by page,
+ * and drops any legacy embedded `messages` array from the conversation document.
+ */
+export async function extractConversationMessages(conversationId) {
+    const collection = await getMessagesCollection();
+    let stored = 0;
+    for await (const page of iterateConversationMessagePages(conversationId)) {
+        await collection.bulkWrite(page.map((message) => ({
+            updateOne: {
+                filter: { id: message.id },
+                update: { $set: { ...message, conversationId: message.conversationId || conversationId } },
+                upsert: true
             }
-            lastMessageId = nextLastId;
-            await delay(300);
-        } catch (err) {
-            const status = err?.response?.status;
-            log.warn('getAllMessagesForConversation conversationId=%s, status=%s, error=%s', conversationId, status, err.toString());
-            break;
+        })), { ordered: false });
+        stored += page.length;
+    }
+    const db = await getMongoDb();
+    await db.collection('conversations').updateOne(
+        { id: conversationId },
+        { $set: { messagesSyncedAt: new Date() }, $unset: { messages: '' } }
+    );
+    log.debug('conversation %s: stored %s messages', conversationId, stored);
+    return stored;
+}
+
+const RECORDINGS_BUCKET = 'recordings';
+
+// Call and voicemail messages as GHL reports them (messageType TYPE_CALL / TYPE_VOICEMAIL, or numeric type 1).
+const RECORDING_MESSAGE_FILTER = {
+    $or: [
+        { messageType: { $regex: /call|voicemail/i } },
+        { type: 1 }
+    ]
+};
+
+function getRecordingKind(message) {
+    const raw = `${message?.messageType || ''} ${message?.meta?.call?.status || ''}`.toLowerCase();
+    return raw.includes('voicemail') ? 'voicemail' : 'call';
+}
+
+/**
+ * Reads the duration from a RIFF/WAVE header (data chunk size over byte rate).
+ * Returns null for anything that is not a WAV file.
+ */
+function parseWavDurationSeconds(buffer) {
+    if (!buffer || buffer.length < 44 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+        return null;
+    }
+    let byteRate = null;
+    let offset = 12;
+    while (offset + 8 <= buffer.length) {
+        const chunkId = buffer.toString('ascii', offset, offset + 4);
+        const chunkSize = buffer.readUInt32LE(offset + 4);
+        if (chunkId === 'fmt ' && offset + 16 <= buffer.length) {
+            byteRate = buffer.readUInt32LE(offset + 16);
+        } else if (chunkId === 'data') {
+            // Streaming encoders write 0 or 0xFFFFFFFF when the size was unknown up front.
+            const dataSize = chunkSize === 0 || chunkSize === 0xFFFFFFFF ? buffer.length - offset - 8 : chunkSize;
+            return byteRate ? Math.round((dataSize / byteRate) * 100) / 100 : null;
         }
+        offset += 8 + chunkSize + (chunkSize % 2);
     }
-    return allMessages;
+    return null;
+}
+
+function getReportedDurationSeconds(message) {
+    const duration = Number(message?.meta?.call?.duration ?? message?.duration ?? message?.callDuration);
+    return Number.isFinite(duration) && duration > 0 ? duration : null;
 }
 
-async function getOpportunities() {
-    const headers = {
-        Authorization: `Bearer ${HIGHLEVEL_API_KEY}`,
-        'Content-Type': 'application/json',
-        Version: '2021-07-28'
+async function writeToGridFs(bucket, filename, data, metadata) {
+    return new Promise((resolve, reject) => {
+        const upload = bucket.openUploadStream(filename, { metadata });
+        upload.once('finish', () => resolve(upload.id));
+        upload.once('error', reject);
+        upload.end(data);
+    });
+}
+
+/**
+ * Downloads the recording for one call/voicemail message and stores it in GridFS with its
+ * sha256 checksum and duration. An identical recording already on file is reused; a
+ * different one replaces it. Messages without a recording are marked unavailable.
+ */
+export async function archiveMessageRecording(message, locationId = HIGHLEVEL_LOCATION_ID) {
+    const db = await getMongoDb();
+    const messages = db.collection(MESSAGES_COLLECTION);
+    const path = `/conversations/messages/${encodeURIComponent(message.id)}/locations/${encodeURIComponent(locationId)}/recording`;
+    let response;
+    try {
+        response = await ghl.get(path, { responseType: 'arraybuffer' });
+    } catch (err) {
+        const status = err?.response?.status;
+        if (status === 404 || status === 422) {
+            await messages.updateOne(
+                { id: message.id },
+                { $set: { recording: { status: 'unavailable', httpStatus: status, checkedAt: new Date() } } }
+            );
+            return null;
+        }
+        throw err;
+    }
+    const data = Buffer.from(response.data);
+    const contentType = response.headers?.['content-type'] || 'audio/x-wav';
+    const sha256 = createHash('sha256').update(data).digest('hex');
+    const kind = getRecordingKind(message);
+    const durationSeconds = parseWavDurationSeconds(data) ?? getReportedDurationSeconds(message);
+    const extension = contentType.includes('mpeg') || contentType.includes('mp3') ? 'mp3' : 'wav';
+    const filename = `${kind}-${message.id}.${extension}`;
+
+    const bucket = new GridFSBucket(db, { bucketName: RECORDINGS_BUCKET });
+    const files = db.collection(`${RECORDINGS_BUCKET}.files`);
+    const existing = await files.findOne({ 'metadata.messageId': message.id, 'metadata.sha256': sha256 });
+    const fileId = existing?._id || await writeToGridFs(bucket, filename, data, {
+        messageId: message.id,
+        conversationId: message.conversationId,
+        contactId: message.contactId,
+        kind,
+        contentType,
+        sha256,
+        durationSeconds
+    });
+    const stale = await files.find({ 'metadata.messageId': message.id, _id: { $ne: fileId } }, { projection: { _id: 1 } }).toArray();
+    for (const file of stale) {
+        await bucket.delete(file._id);
+    }
+    const recording = {
+        status: 'archived',
+        fileId,
+        filename,
+        kind,
+        contentType,
+        size: data.length,
+        sha256,
+        durationSeconds,
+        archivedAt: new Date()
     };
-    let page = 1;
-    const pageSize = 100;
-    let opportunities = [];
-    while (true) {
-        const url = `${HIGHLEVEL_API_URL}/opportunities/search?location_id=${HIGHLEVEL_LOCATION_ID}&page=${page}&limit=${pageSize}`;
+    await messages.updateOne({ id: message.id }, { $set: { recording } });
+    log.debug('message %s: archived %s recording, bytes=%s, durationSeconds=%s', message.id, kind, data.length, durationSeconds);
+    return recording;
+}
+
+/**
+ * Archives recordings for stored call and voicemail messages. The `recording` field on each
+ * message acts as the checkpoint: with resume, messages already archived or found to have no
+ * recording are skipped; without it, every call is fetched again and unchanged audio is reused.
+ */
+export async function extractRecordings({ resume = true, conversationId } = {}) {
+    const db = await getMongoDb();
+    const filter = { ...RECORDING_MESSAGE_FILTER };
+    if (conversationId) {
+        filter.conversationId = conversationId;
+    }
+    if (resume) {
+        filter.recording = { $exists: false };
+    }
+    const summary = { messages: 0, archived: 0, unavailable: 0, failed: 0 };
+    const cursor = (await getMessagesCollection()).find(filter).sort({ id: 1 });
+    for await (const message of cursor) {
+        summary.messages++;
         try {
-            const response = await axios.get(url, { headers });
-            if (response.status === 200) {
-                if (!Array.isArray(response?.data?.opportunities)) {
-                    return opportunities;
-                }
-                if (response?.data?.opportunities?.length === 0) {
-                    return opportunities;
-                }
-                opportunities = opportunities.concat(response?.data?.opportunities || []);
-                log.debug('getOpportunities page=%s, total=%s', page, opportunities.length);
-                await delay();
+            const recording = await archiveMessageRecording(message);
+            if (recording) {
+                summary.archived++;
             } else {
-                log.warn('getOpportunities url=%s, status=%s, error=%s', url, response.status, response.data);
-                return opportunities;
+                summary.unavailable++;
             }
-            page++;
         } catch (err) {
-            log.warn('getOpportunities url=%s, error=%s', url, err.toString());
+            summary.failed++;
+            log.warn('archive recording messageId=%s, status=%s, error=%s', message.id, err?.response?.status, err.toString());
         }
     }
-    return null;
+    return summary;
 }
 
+/**
+ * Yields opportunity pages with named custom fields; `next` is the following page number.
+ */
+export async function* iterateOpportunityPages({ page = 1 } = {}, customFieldMap) {
+    const pageSize = 100;
+    customFieldMap = customFieldMap || await retrieveHighlevelCustomFields('opportunity') || {};
+    while (true) {
+        const url = `/opportunities/search?location_id=${HIGHLEVEL_LOCATION_ID}&page=${page}&limit=${pageSize}`;
+        const response = await ghl.get(url);
+        const opportunities = response?.data?.opportunities;
+        if (!Array.isArray(opportunities) || opportunities.length === 0) {
+            return;
+        }
+        page++;
+        yield {
+            items: opportunities.map((opportunity) => ({
+                ...opportunity,
+                customFields: shapeOpportunityCustomFields(opportunity, customFieldMap)
+            })),
+            next: { page }
+        };
+    }
+}
 
+/**
+ * Yields pages of opportunities updated at or after `since`, oldest change first, filtered and
+ * sorted by the search itself so paging ends at the last change. Without `since`, yields every page.
+ */
+export async function* iterateOpportunitiesUpdatedSince(since, customFieldMap) {
+    customFieldMap = customFieldMap || await retrieveHighlevelCustomFields('opportunity') || {};
+    if (!since) {
+        for await (const page of iterateOpportunityPages({}, customFieldMap)) {
+            yield page.items;
+        }
+        return;
+    }
+    const url = '/opportunities/search';
+    const limit = 100;
+    const { updatedField } = INCREMENTAL_ENTITIES.opportunities;
+    let page = 1;
+
+    while (true) {
+        const body = {
+            locationId: HIGHLEVEL_LOCATION_ID,
+            limit,
+            page,
+            filters: [{ field: updatedField, operator: 'range', value: { gte: since.toISOString() } }],
+            sort: [{ field: updatedField, direction: 'asc' }]
+        };
+        let opportunities;
+        try {
+            const response = await ghl.post(url, body);
+            opportunities = response?.data?.opportunities;
+        } catch (err) {
+            log.warn('iterateOpportunitiesUpdatedSince url=%s, status=%s, error=%s', url, err?.response?.status, err.toString());
+            throw err;
+        }
+        if (!Array.isArray(opportunities) || opportunities.length === 0) {
+            return;
+        }
+        yield opportunities
+            .filter((opportunity) => isUpdatedSince(opportunity, updatedField, since))
+            .map((opportunity) => ({ ...opportunity, customFields: shapeOpportunityCustomFields(opportunity, customFieldMap) }));
+        if (opportunities.length < limit) {
+            return;
+        }
+        page++;
+    }
+}
+
+/**
+ * Extracts opportunities page by page, checkpointing the next page number.
+ */
+export async function extractOpportunities({ resume = true } = {}) {
+    const customFieldMap = await retrieveHighlevelCustomFields('opportunity') || {};
+    return extractPaged('opportunities', {
+        resume,
+        start: { page: 1 },
+        pages: (cursor) => iterateOpportunityPages(cursor, customFieldMap)
+    });
+}
 export async function getCalendars(locationId = HIGHLEVEL_LOCATION_ID) {
-    const headers = {
-        Authorization: `Bearer ${HIGHLEVEL_API_KEY}`,
-        'Content-Type': 'application/json',
-        Version: '2021-07-28'
-    };
-    const url = `${HIGHLEVEL_API_URL}/calendars/?locationId=${encodeURIComponent(locationId)}`
+    const url = `/calendars/?locationId=${encodeURIComponent(locationId)}`
     try {
         log.debug('getCalendars url=%s', url);
-        const response = await axios.get(url, { headers });
+        const response = await ghl.get(url);
         const calendars = response?.data?.calendars || response?.data;
         if (!Array.isArray(calendars)) {
             return calendars;
@@ -394,12 +902,6 @@ async function getAppointmentsForCalendar(
     if (!calendarId) {
         return [];
     }
-    const headers = {
-        Authorization: `Bearer ${HIGHLEVEL_API_KEY}`,
-        'Content-Type': 'application/json',
-        Version: '2021-07-28'
-    };
-    const baseUrl = `${HIGHLEVEL_API_URL || ''}`.replace(/\/+$/, '');
     const params = new URLSearchParams();
     if (locationId) {
         params.set('locationId', locationId);
@@ -417,9 +919,9 @@ async function getAppointmentsForCalendar(
     params.set('startTime', startTime.getTime());
     params.set('endTime', endTime.getTime());
     const query = params.toString();
-    const url = `${baseUrl}/calendars/events${query ? `?${query}` : ''}`;
+    const url = `/calendars/events${query ? `?${query}` : ''}`;
     try {
-        const response = await axios.get(url, { headers });
+        const response = await ghl.get(url);
         const events = response?.data?.events || response?.data?.calendar_events || response?.data || [];
         return filterAppointmentEvents(events);
     } catch (err) {
@@ -469,81 +971,141 @@ function shapeOpportunityCustomFields(opportunity, customFieldMap) {
     return opportunity?.customFields || [];
 }
 
-function shapeContactCustomFields(contact, customFieldMap) {
-    const values = contact?.customFields || {};
-    if (!values || typeof values !== 'object') {
-        return {};
-    }
-    return Object.entries(values).reduce((acc, [fieldId, fieldValue]) => {
-        const fieldDef = customFieldMap?.[fieldId];
-        const key = fieldDef?.name || fieldId;
-        acc[key] = fieldValue;
-        return acc;
-    }, {});
+function nameContactCustomFields(contacts, customFieldMap) {
+    contacts.forEach(contact => {
+        (contact.customFields || []).forEach(customField => {
+            customField.name = customFieldMap?.[customField.id]?.name || customField.id;
+        });
+    });
+    return contacts;
 }
 
-async function getOpportunitiesWithCustomFields() {
-    const [opportunities, customFieldMap] = await Promise.all([
-        getOpportunities(),
-        retrieveHighlevelCustomFields('opportunity')
-    ]);
-    if (!Array.isArray(opportunities)) {
-        return { opportunities, customFieldMap: customFieldMap || {} };
+/**
+ * Yields contact pages with named custom fields; `next` carries GHL's `nextPageUrl`.
+ */
+export async function* iterateContactPages({ url } = {}, customFieldMap) {
+    customFieldMap = customFieldMap || await retrieveHighlevelCustomFields('contact') || {};
+    url = url || `/contacts?limit=100&locationId=${HIGHLEVEL_LOCATION_ID}`;
+    while (url) {
+        const response = await ghl.get(url);
+        const contacts = response?.data?.contacts;
+        if (!Array.isArray(contacts) || contacts.length === 0) {
+            return;
+        }
+        url = response?.data?.meta?.nextPageUrl || null;
+        yield {
+            items: nameContactCustomFields(contacts, customFieldMap),
+            next: url ? { url } : null
+        };
     }
-    const opportunitiesWithFields = opportunities.map((opportunity) => ({
-        ...opportunity,
-        customFields: shapeOpportunityCustomFields(opportunity, customFieldMap)
-    }));
-    return { opportunities: opportunitiesWithFields, opportunityCustomFieldMap: customFieldMap || {} };
 }
 
-export async function getContactsWithCustomFields(url) {
-    const [contacts, customFieldMap] = await Promise.all([
-        importAllHighLevelContacts(url),
-        retrieveHighlevelCustomFields('contact')
-    ]);
-    if (!Array.isArray(contacts)) {
-        return { contacts, customFieldMap: customFieldMap || {} };
+/**
+ * Extracts contacts page by page, checkpointing GHL's `nextPageUrl`.
+ */
+export async function extractContacts({ resume = true } = {}) {
+    const customFieldMap = await retrieveHighlevelCustomFields('contact') || {};
+    return extractPaged('contacts', {
+        resume,
+        start: { url: null },
+        pages: (cursor) => iterateContactPages(cursor, customFieldMap)
+    });
+}
+/**
+ * Yields pages of contacts modified since the given date through the contacts search API,
+ * oldest change first, so the last page carries the new high-water mark.
+ */
+export async function* iterateContactsUpdatedSince(since, customFieldMap) {
+    customFieldMap = customFieldMap || await retrieveHighlevelCustomFields('contact') || {};
+    if (!since) {
+        for await (const page of iterateContactPages({}, customFieldMap)) {
+            yield page.items;
+        }
+        return;
+    }
+    const url = '/contacts/search';
+    const pageLimit = 100;
+    let searchAfter;
+
+    while (true) {
+        const body = {
+            locationId: HIGHLEVEL_LOCATION_ID,
+            pageLimit,
+            filters: [{ field: 'dateUpdated', operator: 'range', value: { gte: since.toISOString() } }],
+            sort: [{ field: 'dateUpdated', direction: 'asc' }]
+        };
+        if (searchAfter) {
+            body.searchAfter = searchAfter;
+        }
+        let page;
+        try {
+            const response = await ghl.post(url, body);
+            page = response?.data?.contacts;
+        } catch (err) {
+            log.warn('iterateContactsUpdatedSince url=%s, status=%s, error=%s', url, err?.response?.status, err.toString());
+            throw err;
+        }
+        if (!Array.isArray(page) || page.length === 0) {
+            return;
+        }
+        yield nameContactCustomFields(page, customFieldMap);
+        const last = page[page.length - 1];
+        if (page.length < pageLimit || !Array.isArray(last?.searchAfter)) {
+            return;
+        }
+        searchAfter = last.searchAfter;
     }
-    const contactsWithFields = contacts.map((contact) => ({
-        ...contact,
-        customFieldsNamed: shapeContactCustomFields(contact, customFieldMap)
-    }));
-    return { contacts: contactsWithFields, customFieldMap: customFieldMap || {} };
+}
+async function captureRecordAssets(db, collectionName, record, urls, entityType) {
+    let captured = 0;
+    let failed = 0;
+    for (const url of urls) {
+        try {
+            await captureAsset(db, url, { entityType, ghlId: record.id });
+            captured++;
+        } catch (err) {
+            failed++;
+            log.warn('capture attachment %s=%s, url=%s, status=%s, error=%s', entityType, record.id, url, err?.response?.status, err.toString());
+        }
+    }
+    // Records with a failed download stay unmarked so the next run retries them.
+    if (failed === 0) {
+        await db.collection(collectionName).updateOne({ id: record.id }, { $set: { assetsCapturedAt: new Date() } });
+    }
+    return { captured, failed };
 }
 
-export async function importAllHighLevelContacts(url, ALL_CONTACTS, customFieldMap) {
-    const headers = {
-        Authorization: `Bearer ${HIGHLEVEL_API_KEY}`,
-        'Content-Type': 'application/json',
-        Version: '2021-07-28'
+/**
+ * Downloads message attachments and files linked from message and note bodies into the asset
+ * store before the GHL URLs go away. `assetsCapturedAt` on each record acts as the checkpoint.
+ */
+export async function extractAttachments({ resume = true, conversationId } = {}) {
+    const db = await getMongoDb();
+    const summary = { messages: 0, notes: 0, captured: 0, failed: 0 };
+    const pending = resume ? { assetsCapturedAt: { $exists: false } } : {};
+    const messageFilter = {
+        ...pending,
+        $or: [{ 'attachments.0': { $exists: true } }, { body: { $regex: /(src|href)\s*=/i } }]
     };
-    ALL_CONTACTS = ALL_CONTACTS || [];
-    customFieldMap = customFieldMap || await retrieveHighlevelCustomFields('contact');
-    url = url || `${HIGHLEVEL_API_URL}/contacts?limit=100&locationId=${HIGHLEVEL_LOCATION_ID}`;
-    url = url.replace('http:', 'https:');
-    try {
-        let response = await axios.get(url, { headers });
-        if (response.status === 200) {
-            const contacts = response?.data?.contacts;
-            if (Array.isArray(contacts) && contacts.length > 0) {
-                contacts.forEach(contact => {
-                    (contact.customFields || []).forEach(customField => {
-                        customField.name = customFieldMap[customField.id]?.name || customField.id;
-                    });
-                });
-                ALL_CONTACTS.push(...contacts);
-                log.debug('importAllHighLevelContacts totalLoaded=%s', ALL_CONTACTS.length);
-                if (response?.data?.meta?.nextPageUrl) {
-                    await delay();
-                    await importAllHighLevelContacts(response?.data?.meta?.nextPageUrl, ALL_CONTACTS, customFieldMap);
-                }
-            }
+    if (conversationId) {
+        messageFilter.conversationId = conversationId;
+    }
+    for await (const message of (await getMessagesCollection()).find(messageFilter).sort({ id: 1 })) {
+        const result = await captureRecordAssets(db, MESSAGES_COLLECTION, message, collectMessageAssetUrls(message), 'message');
+        summary.messages++;
+        summary.captured += result.captured;
+        summary.failed += result.failed;
+    }
+    if (!conversationId) {
+        const noteFilter = { ...pending, body: { $regex: /(src|href)\s*=/i } };
+        for await (const note of db.collection('notes').find(noteFilter).sort({ id: 1 })) {
+            const result = await captureRecordAssets(db, 'notes', note, collectNoteAssetUrls(note), 'note');
+            summary.notes++;
+            summary.captured += result.captured;
+            summary.failed += result.failed;
         }
-    } catch (err) {
-        log.warn('importAllHighLevelContacts url=%s, error=%s', url, err.toString());
     }
-    return {customFieldMap, contacts: ALL_CONTACTS};
+    return summary;
 }
 
 const ENTITY_ALIASES = {
@@ -554,7 +1116,12 @@ const ENTITY_ALIASES = {
     appointments: 'appointments',
     conversations: 'conversations',
     customFields: 'customFields',
+    pipelines: 'pipelines',
     notes: 'notes',
+    tasks: 'tasks',
+    messages: 'messages',
+    recordings: 'recordings',
+    attachments: 'attachments',
     all: 'all'
 };
 
@@ -576,74 +1143,126 @@ function parseEntitiesFromArgs(args) {
     return entities;
 }
 
+function toCamelCase(input) {
+    return input.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+function parseCliArgs(argv = []) {
+    const options = {};
+    const positionals = [];
+    for (let i = 0; i < argv.length; i += 1) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positionals.push(arg);
+            continue;
+        }
+        const raw = arg.slice(2);
+        if (!raw) {
+            continue;
+        }
+        if (raw.startsWith('no-')) {
+            options[toCamelCase(raw.slice(3))] = false;
+            continue;
+        }
+        const [keyPart, valuePart] = raw.split('=', 2);
+        const key = toCamelCase(keyPart);
+        if (valuePart !== undefined) {
+            options[key] = valuePart;
+            continue;
+        }
+        if (key === 'help' || key === 'incremental' || key === 'resume') {
+            options[key] = true;
+            continue;
+        }
+        const next = argv[i + 1];
+        if (next && !next.startsWith('--')) {
+            options[key] = next;
+            i += 1;
+        }
+    }
+    return { options, positionals };
+}
+
 function printUsage() {
-    log.info('Usage: node highlevel.mjs [all|contacts|users|opportunities|calendars|appointments|conversations|customFields|notes]');
+    log.info('Usage: node highlevel.mjs [all|contacts|users|opportunities|calendars|appointments|conversations|messages|recordings|attachments|customFields|pipelines|notes|tasks] [options]');
+    log.info('Options:');
+    log.info('  --incremental    Only fetch contacts, opportunities and conversations changed since the last run');
+    log.info('  --since <date>   Override the stored high-water mark (implies --incremental)');
+    log.info('  --no-resume      Ignore saved extraction checkpoints and start from the beginning');
+    log.info('  --conversation-id <id>  With messages, recordings or attachments, refresh only that conversation');
     log.info('Examples:');
     log.info('  node highlevel.mjs all');
-    log.info('  node highlevel.mjs contacts users notes appointments');
+    log.info('  node highlevel.mjs contacts users notes tasks appointments');
+    log.info('  node highlevel.mjs all --incremental');
+    log.info('  node highlevel.mjs conversations --no-resume');
+    log.info('  node highlevel.mjs conversations messages');
+    log.info('  node highlevel.mjs messages --conversation-id <conversationId>');
+    log.info('  node highlevel.mjs messages recordings');
+    log.info('  node highlevel.mjs notes attachments');
+    log.info('  node highlevel.mjs contacts conversations --since 2025-01-01T00:00:00Z');
 }
 
-async function fetchAllEntities() {
-    const { opportunities, opportunityCustomFieldMap } = await getOpportunitiesWithCustomFields();
-    const { contacts, customFieldMap } = await importAllHighLevelContacts();
-    const users = await getUsers();
-    const calendars = await getCalendars();
-    const conversations = await getAllConversations();
-    for (let i = 0; i < conversations.length; i++) {
-        const conv = conversations[i];
-        if (!conv?.id) continue;
-        try {
-            conv.messages = await getAllMessagesForConversation(conv.id);
-            log.debug('conversation %s: embedded %s messages', conv.id, conv.messages?.length ?? 0);
-        } catch (err) {
-            log.warn('embed messages conversationId=%s error=%s', conv.id, err.toString());
-            conv.messages = [];
-        }
-        if (i < conversations.length - 1) {
-            await delay(400);
+/**
+ * Runs every extraction step in order. Completed steps are recorded in a run checkpoint,
+ * and each step keeps its own cursor, so a rerun after a crash continues where it stopped.
+ */
+async function fetchAllEntities({ resume = true } = {}) {
+    const checkpointId = 'ghl_extract_all';
+    const checkpoint = resume ? await loadCheckpoint(checkpointId) : null;
+    const completed = new Set(checkpoint?.completed || []);
+    const steps = {
+        customFields: async () => upsertCustomFieldDocs(await getCustomFieldDocs()),
+        pipelines: async () => upsertById('pipelines', await getPipelines()),
+        opportunities: () => extractOpportunities({ resume }),
+        contacts: () => extractContacts({ resume }),
+        users: async () => upsertById('users', await getUsers()),
+        calendars: async () => upsertById('calendars', await getCalendars()),
+        conversations: () => extractConversations({ resume }),
+        messages: () => extractMessages({ resume }),
+        recordings: () => extractRecordings({ resume }),
+        notes: () => importAllContactNotes({ resume }),
+        tasks: () => importAllContactTasks({ resume }),
+        attachments: () => extractAttachments({ resume }),
+        appointments: () => importAllAppointments()
+    };
+    for (const [step, runStep] of Object.entries(steps)) {
+        if (completed.has(step)) {
+            log.info('extract all: %s already completed, skipping', step);
+            continue;
         }
+        const result = await runStep();
+        log.info('Stored GHL %s %o', step, result);
+        completed.add(step);
+        await saveCheckpoint(checkpointId, { completed: [...completed] });
     }
-    const stored = await storeGhlData({
-        contacts,
-        users,
-        opportunities,
-        calendars,
-        conversations,
-        customFields: [{ id: 'contact', contact: customFieldMap }, { id: 'opportunity', opportunity: opportunityCustomFieldMap }]
-    });
-    log.info('Stored GHL data %o', stored);
-    const notesSummary = await importAllContactNotes();
-    log.info('Stored GHL notes %o', notesSummary);
-    const appointmentsSummary = await importAllAppointments();
-    log.info('Stored GHL appointments %o', appointmentsSummary);
+    await clearCheckpoint(checkpointId);
 }
 
-async function fetchSelectedEntities(entities) {
+async function fetchSelectedEntities(entities, { resume = true, conversationId } = {}) {
     const summary = {};
 
-    if (entities.includes('opportunities') || entities.includes('customFields')) {
-        const { opportunities, opportunityCustomFieldMap } = await getOpportunitiesWithCustomFields();
-        if (entities.includes('opportunities')) {
-            summary.opportunities = await upsertById('opportunities', opportunities);
-        }
-        if (entities.includes('customFields')) {
-            summary.customFields = summary.customFields || [];
-            summary.customFields.push({ id: 'opportunity', opportunity: opportunityCustomFieldMap });
-        }
+    if (entities.includes('pipelines')) {
+        summary.pipelines = await upsertById('pipelines', await getPipelines());
     }
 
-    if (entities.includes('contacts') || entities.includes('customFields') || entities.includes('notes')) {
-        const { contacts, customFieldMap } = await importAllHighLevelContacts();
-        if (entities.includes('contacts')) {
-            summary.contacts = await upsertById('contacts', contacts);
-        }
-        if (entities.includes('customFields')) {
-            summary.customFields = summary.customFields || [];
-            summary.customFields.push({ id: 'contact', contact: customFieldMap });
-        }
-        if (entities.includes('notes')) {
-            summary.notes = await importAllContactNotes();
-        }
+    if (entities.includes('opportunities')) {
+        summary.opportunities = await extractOpportunities({ resume });
+    }
+
+    if (entities.includes('contacts')) {
+        summary.contacts = await extractContacts({ resume });
+    }
+
+    if (entities.includes('customFields')) {
+        summary.customFields = await getCustomFieldDocs();
+    }
+
+    if (entities.includes('notes')) {
+        summary.notes = await importAllContactNotes({ resume });
+    }
+
+    if (entities.includes('tasks')) {
+        summary.tasks = await importAllContactTasks({ resume });
     }
 
     if (entities.includes('users')) {
@@ -661,17 +1280,151 @@ async function fetchSelectedEntities(entities) {
     }
 
     if (entities.includes('conversations')) {
-        const conversations = await getAllConversations();
-        summary.conversations = await upsertById('conversations', conversations);
+        summary.conversations = await extractConversations({ resume });
+    }
+
+    if (entities.includes('messages')) {
+        summary.messages = await extractMessages({ resume, conversationId });
+    }
+
+    if (entities.includes('recordings')) {
+        summary.recordings = await extractRecordings({ resume, conversationId });
+    }
+
+    if (entities.includes('attachments')) {
+        summary.attachments = await extractAttachments({ resume, conversationId });
     }
 
     if (Array.isArray(summary.customFields) && summary.customFields.length > 0) {
-        summary.customFields = await upsertById('customfields', summary.customFields);
+        summary.customFields = await upsertCustomFieldDocs(summary.customFields);
     }
 
     log.info('Stored GHL selected entities %o', summary);
 }
 
+/**
+ * Backfills messages for stored conversations in id order, checkpointing the last conversation done.
+ * With `conversationId`, refreshes just that conversation and leaves the checkpoint alone.
+ */
+export async function extractMessages({ resume = true, conversationId } = {}) {
+    if (conversationId) {
+        return { conversations: 1, messages: await extractConversationMessages(conversationId), failed: 0 };
+    }
+    const checkpointId = 'ghl_messages';
+    const checkpoint = resume ? await loadCheckpoint(checkpointId) : null;
+    const db = await getMongoDb();
+    const filter = checkpoint?.lastConversationId
+        ? { id: { $exists: true, $gt: checkpoint.lastConversationId } }
+        : { id: { $exists: true } };
+    if (checkpoint?.lastConversationId) {
+        log.info('extract messages: resuming after conversation %s', checkpoint.lastConversationId);
+    }
+    const summary = {
+        conversations: checkpoint?.conversations || 0,
+        messages: checkpoint?.messages || 0,
+        failed: checkpoint?.failed || 0
+    };
+    const cursor = db.collection('conversations').find(filter, { projection: { id: 1 } }).sort({ id: 1 });
+    for await (const conversation of cursor) {
+        try {
+            summary.messages += await extractConversationMessages(conversation.id);
+            summary.conversations++;
+        } catch (err) {
+            summary.failed++;
+            log.warn('extract messages conversationId=%s, status=%s, error=%s', conversation.id, err?.response?.status, err.toString());
+        }
+        await saveCheckpoint(checkpointId, { lastConversationId: conversation.id, ...summary });
+    }
+    await clearCheckpoint(checkpointId);
+    return summary;
+}
+
+async function refreshConversationMessages(conversationIds = []) {
+    let stored = 0;
+    for (const conversationId of conversationIds) {
+        try {
+            stored += await extractConversationMessages(conversationId);
+        } catch (err) {
+            log.warn('refresh messages conversationId=%s, status=%s, error=%s', conversationId, err?.response?.status, err.toString());
+        }
+    }
+    return stored;
+}
+
+function iterateIncrementalPages(entity, since) {
+    switch (entity) {
+        case 'contacts':
+            return iterateContactsUpdatedSince(since);
+        case 'opportunities':
+            return iterateOpportunitiesUpdatedSince(since);
+        case 'conversations':
+            return iterateConversationsUpdatedSince(since);
+        default:
+            return [];
+    }
+}
+
+/**
+ * Pulls only records modified since each entity's stored high-water mark (or `since`, when given)
+ * and reports how many were new, changed or unchanged. Pages are written as they arrive.
+ */
+export async function syncIncrementalEntities(entities, { since, refreshMessages = false } = {}) {
+    const summary = {};
+    for (const entity of entities) {
+        const config = INCREMENTAL_ENTITIES[entity];
+        if (!config) {
+            continue;
+        }
+        const startedAt = new Date();
+        const effectiveSince = since || await loadHighWaterMark(entity);
+        log.info('incremental %s since=%s', entity, effectiveSince ? effectiveSince.toISOString() : 'beginning');
+        const result = { fetched: 0, new: 0, changed: 0, unchanged: 0 };
+        let highWaterMark = effectiveSince;
+        let messagesStored;
+        for await (const items of iterateIncrementalPages(entity, effectiveSince)) {
+            const pageResult = await upsertChangedById(config.collection, items, config.changedField || config.updatedField);
+            result.fetched += items.length;
+            result.new += pageResult.new;
+            result.changed += pageResult.changed;
+            result.unchanged += pageResult.unchanged;
+            highWaterMark = maxUpdatedAt(items, config.updatedField, highWaterMark);
+            if (refreshMessages && entity === 'conversations') {
+                messagesStored = (messagesStored || 0) + await refreshConversationMessages(pageResult.changedIds);
+            }
+        }
+        const entitySummary = {
+            since: effectiveSince,
+            highWaterMark,
+            ...result,
+            startedAt,
+            finishedAt: new Date()
+        };
+        if (refreshMessages && entity === 'conversations') {
+            entitySummary.messagesStored = messagesStored || 0;
+        }
+        await saveHighWaterMark(entity, highWaterMark, entitySummary);
+        log.info('incremental %s: new=%s, changed=%s, unchanged=%s', entity, result.new, result.changed, result.unchanged);
+        summary[entity] = entitySummary;
+    }
+    return summary;
+}
+
+async function fetchIncrementalEntities(entities, { since, resume = true, conversationId } = {}) {
+    const fetchAll = entities.length === 0 || entities.includes('all');
+    const selected = fetchAll
+        ? Object.values(ENTITY_ALIASES).filter((entity) => entity !== 'all')
+        : entities;
+    const incremental = selected.filter((entity) => INCREMENTAL_ENTITIES[entity]);
+    // With conversations selected, messages are refreshed only for the conversations that changed.
+    const refreshMessages = selected.includes('messages') && selected.includes('conversations');
+    const summary = await syncIncrementalEntities(incremental, { since, refreshMessages });
+    log.info('Incremental GHL sync %o', summary);
+    const remaining = selected.filter((entity) => !INCREMENTAL_ENTITIES[entity] && !(refreshMessages && entity === 'messages'));
+    if (remaining.length > 0) {
+        await fetchSelectedEntities(remaining, { resume, conversationId });
+    }
+}
+
 async function run() {
     const args = process.argv.slice(2);
     if (args.includes('-h') || args.includes('--help')) {
@@ -682,12 +1435,25 @@ async function run() {
         printUsage();
         return;
     }
-    const entities = parseEntitiesFromArgs(args);
+    const { options, positionals } = parseCliArgs(args);
+    const entities = parseEntitiesFromArgs(positionals);
+    const resume = options.resume !== false;
+    if (options.incremental || options.since) {
+        let since;
+        if (options.since) {
+            since = toDate(options.since);
+            if (!since) {
+                throw new Error(`Invalid --since date: ${options.since}`);
+            }
+        }
+        await fetchIncrementalEntities(entities, { since, resume, conversationId: options.conversationId });
+        return;
+    }
     if (entities.length === 0 || entities.includes('all')) {
-        await fetchAllEntities();
+        await fetchAllEntities({ resume });
         return;
     }
-    await fetchSelectedEntities(entities);
+    await fetchSelectedEntities(entities, { resume, conversationId: options.conversationId });
 }
 
 setTimeout(async () => {
@@ -696,6 +1462,7 @@ setTimeout(async () => {
     } catch (err) {
         log.error('Error storing GHL data %o', err);
     } finally {
+        ghl.logMetrics();
         process.exit(0);
     }
 }, 10)
@@ -4,10 +4,12 @@ import {
     ensureGhlCustomFields,
     toHubspotPropertyName
 } from "./hubspot/customFields/transferCustomFields.mjs";
+import { getSharedRateGovernor } from "./src/hubspotRateGovernor.mjs";
 
 
 const hubspotClient = new Client({
     accessToken: process.env.HUBSPOT_ACCESS_TOKEN,
+    ...getSharedRateGovernor().clientOptions,
 });
 
 const CONTACT_OBJECT_TYPE = "contacts";
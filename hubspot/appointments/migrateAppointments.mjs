@@ -1,5 +1,9 @@
 import { Client } from "@hubspot/api-client";
 import { MongoClient, ObjectId } from "mongodb";
+import { createBatchWriter, MAX_BATCH_SIZE } from "../../src/hubspotBatch.mjs";
+import { getSharedRateGovernor } from "../../src/hubspotRateGovernor.mjs";
+import { resolveRunId } from "../../src/migrationRun.mjs";
+import { runWorkerPool } from "../../src/workerPool.mjs";
 
 const DEFAULT_DB_NAME = "GoHighLevel";
 const DEFAULT_COLLECTION = "appointments";
@@ -12,7 +16,7 @@ function buildHubspotClient(accessToken = process.env.HUBSPOT_ACCESS_TOKEN) {
     if (!accessToken) {
         throw new Error("HUBSPOT_ACCESS_TOKEN is not set");
     }
-    return new Client({ accessToken });
+    return new Client({ accessToken, ...getSharedRateGovernor().clientOptions });
 }
 
 function toCamelCase(input) {
@@ -70,7 +74,10 @@ Options:
   --object-type-id <id>    HubSpot meetings object type id (default: meetings)
   --delete-import-tag [tag]  Delete appointments with import_tag (default: GHL_MIGRATION)
   --limit <number>         Max appointments to migrate
+  --batch-size <number>    Meetings per create batch (default/max: 100)
+  --concurrency <number>   Appointments processed in parallel (default: 1)
   --checkpoint-id <id>     Checkpoint document id
+  --run-id <id>            Run id stamped on created meetings (default: generated)
   --resume                 Resume from checkpoint (default)
   --no-resume              Start from the beginning
   --dry-run                Log actions without calling HubSpot
@@ -92,34 +99,16 @@ async function loadCheckpoint(db, checkpointId) {
     return db.collection("hubspot_transfer_checkpoints").findOne({ _id: checkpointId });
 }
 
-async function saveCheckpoint(db, checkpointId, data) {
+async function saveCheckpoint(db, checkpointId, data, runId) {
     const payload = { ...data, updatedAt: new Date() };
-    await db.collection("hubspot_transfer_checkpoints").updateOne(
-        { _id: checkpointId },
-        { $set: payload, $setOnInsert: { createdAt: new Date() } },
-        { upsert: true }
-    );
-}
-
-async function recordFailedMigration(db, {
-    entityType,
-    ghlId,
-    reason
-} = {}) {
-    if (!db || !entityType || !ghlId) {
-        return;
+    const update = { $set: payload, $setOnInsert: { createdAt: new Date() } };
+    if (runId) {
+        update.$addToSet = { runIds: runId };
     }
-    await db.collection("hubspot_failed_migrations").updateOne(
-        { entityType, ghlId },
-        {
-            $set: { reason, updatedAt: new Date() },
-            $setOnInsert: { createdAt: new Date() }
-        },
-        { upsert: true }
-    );
+    await db.collection("hubspot_transfer_checkpoints").updateOne({ _id: checkpointId }, update, { upsert: true });
 }
 
-async function upsertGhlHubspotIdMap(db, { ghlId, hubspotId, objectTypeId } = {}) {
+async function upsertGhlHubspotIdMap(db, { ghlId, hubspotId, objectTypeId, runId } = {}) {
     if (!ghlId || !hubspotId || !objectTypeId) {
         return;
     }
@@ -127,7 +116,7 @@ async function upsertGhlHubspotIdMap(db, { ghlId, hubspotId, objectTypeId } = {}
         { ghlId, objectTypeId },
         {
             $set: { ghlId, hubspotId, objectTypeId, updatedAt: new Date() },
-            $setOnInsert: { createdAt: new Date() }
+            $setOnInsert: { createdAt: new Date(), runId }
         },
         { upsert: true }
     );
@@ -309,11 +298,16 @@ export async function migrateAppointmentsToHubspot({
     dryRun = false,
     limit,
     objectTypeId = DEFAULT_OBJECT_TYPE_ID,
-    appointmentMapObjectTypeId = DEFAULT_APPOINTMENT_OBJECT_TYPE_ID
+    appointmentMapObjectTypeId = DEFAULT_APPOINTMENT_OBJECT_TYPE_ID,
+    batchSize = MAX_BATCH_SIZE,
+    concurrency = 1,
+    runId
 } = {}) {
     if (!hubspotAccessToken && !dryRun) {
         throw new Error("HUBSPOT_ACCESS_TOKEN is not set");
     }
+    const importRunId = resolveRunId(runId);
+    console.log(`meetings import run: ${importRunId}`);
     if (!objectTypeId) {
         throw new Error("objectTypeId is required");
     }
@@ -330,7 +324,7 @@ export async function migrateAppointmentsToHubspot({
                 query._id = { $gt: new ObjectId(lastId) };
             }
         }
-        let cursor = collection.find(query);
+        let cursor = collection.find(query).sort({ _id: 1 });
         if (limit) {
             cursor = cursor.limit(Number(limit));
         }
@@ -352,24 +346,18 @@ export async function migrateAppointmentsToHubspot({
             }
         }
 
-        for await (const appointment of cursor) {
-            const lastProcessedId = appointment?._id ? String(appointment._id) : undefined;
+        const writer = createBatchWriter(hubspotClient, { db, batchSize, runId: importRunId });
+        await runWorkerPool(cursor, async (appointment, { track }) => {
             const ghlId = appointment?.id;
             if (!ghlId) {
-                if (lastProcessedId) {
-                    await saveCheckpoint(db, checkpointId, { lastId: lastProcessedId });
-                }
-                continue;
+                return;
             }
             summary.processed += 1;
 
             const existingMap = await mapColl.findOne({ ghlId, objectTypeId: appointmentMapObjectTypeId });
             if (existingMap?.hubspotId) {
                 summary.skippedAlreadyMapped += 1;
-                if (lastProcessedId) {
-                    await saveCheckpoint(db, checkpointId, { lastId: lastProcessedId });
-                }
-                continue;
+                return;
             }
 
             const assignedToUser = await findAssignedToUser(db, appointment);
@@ -390,44 +378,37 @@ export async function migrateAppointmentsToHubspot({
             if (dryRun) {
                 console.log("[dry-run] create meeting", ghlId, properties.hs_meeting_title);
                 summary.created += 1;
-                if (lastProcessedId) {
-                    await saveCheckpoint(db, checkpointId, { lastId: lastProcessedId });
-                }
-                continue;
+                return;
             }
 
-            try {
-                const associations = [];
-                if (hubspotContactId) {
-                    associations.push({
-                        to: { id: hubspotContactId },
-                        types: meetingContactAssociationType ? [meetingContactAssociationType] : []
-                    });
-                }
-                const response = await hubspotClient.crm.objects.basicApi.create(objectTypeId, {
-                    properties,
-                    associations
-                });
-                const hubspotId = response?.id;
-                if (hubspotId) {
-                    await upsertGhlHubspotIdMap(db, { ghlId, hubspotId, objectTypeId: appointmentMapObjectTypeId });
-                }
-                summary.created += 1;
-            } catch (err) {
-                const status = err?.code || err?.response?.statusCode || err?.response?.status;
-                console.error("failed to create appointment", status || "", err?.message || err);
-                await recordFailedMigration(db, {
-                    entityType: "appointment",
-                    ghlId,
-                    reason: err?.message || String(err)
+            const associations = [];
+            if (hubspotContactId) {
+                associations.push({
+                    to: { id: hubspotContactId },
+                    types: meetingContactAssociationType ? [meetingContactAssociationType] : []
                 });
-                summary.errors += 1;
-            } finally {
-                if (lastProcessedId) {
-                    await saveCheckpoint(db, checkpointId, { lastId: lastProcessedId });
-                }
             }
-        }
+            const { settled } = await writer.add(objectTypeId, {
+                ghlId,
+                entityType: "appointment",
+                properties,
+                associations,
+                onCreated: async (hubspotId) => {
+                    await upsertGhlHubspotIdMap(db, { ghlId, hubspotId, objectTypeId: appointmentMapObjectTypeId, runId: importRunId });
+                    summary.created += 1;
+                },
+                onFailed: (reason, status) => {
+                    console.error("failed to create appointment", status || "", reason);
+                    summary.errors += 1;
+                }
+            });
+            track(settled);
+        }, {
+            concurrency,
+            checkpointOf: (appointment) => (appointment?._id ? String(appointment._id) : undefined),
+            onCheckpoint: (lastId) => lastId && saveCheckpoint(db, checkpointId, { lastId }, importRunId),
+            beforeDrain: () => writer.flush()
+        });
 
         return summary;
     } finally {
@@ -462,11 +443,14 @@ if (import.meta.url === new URL(process.argv[1], "file:").href) {
             mapCollection: cli.mapCollection,
             hubspotAccessToken: cli.hubspotAccessToken,
             checkpointId: cli.checkpointId,
+            runId: cli.runId,
             resume: cli.resume !== false,
             dryRun: cli.dryRun,
             limit,
             objectTypeId: cli.objectTypeId,
-            appointmentMapObjectTypeId: cli.appointmentMapObjectTypeId
+            appointmentMapObjectTypeId: cli.appointmentMapObjectTypeId,
+            batchSize: cli.batchSize,
+            concurrency: cli.concurrency
         });
         console.log("appointment migration complete:", summary);
     };
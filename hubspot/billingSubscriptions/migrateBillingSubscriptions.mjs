@@ -0,0 +1,324 @@
+import { Client } from "@hubspot/api-client";
+import { MongoClient } from "mongodb";
+import { MAX_BATCH_SIZE, batchReadAssociations } from "../../src/hubspotBatch.mjs";
+import { getSharedRateGovernor } from "../../src/hubspotRateGovernor.mjs";
+import { resolveRunId } from "../../src/migrationRun.mjs";
+import { runWorkerPool } from "../../src/workerPool.mjs";
+import { applyFieldMappings, loadFieldMappings, mappingSource } from "../customFields/fieldMappings.mjs";
+import { BILLING_SUBSCRIPTION_OBJECT } from "../customObjects/createCustomObjects.mjs";
+import { resolveCustomObjectType, upsertCustomObjectRecords } from "../customObjects/customObjectRecords.mjs";
+
+const DEFAULT_DB_NAME = "GoHighLevel";
+const DEFAULT_COLLECTION = "contacts";
+const DEFAULT_MAP_COLLECTION = "GHLHubspotIdMap";
+const DEFAULT_CHECKPOINT_ID = "hubspot_billing_subscriptions";
+// objectTypeId of billing subscriptions in GHLHubspotIdMap, keyed by the GHL contact id.
+const OBJECT_TYPE_ID = "billing_subscription";
+
+function buildHubspotClient(accessToken = process.env.HUBSPOT_ACCESS_TOKEN) {
+    if (!accessToken) {
+        throw new Error("HUBSPOT_ACCESS_TOKEN is not set");
+    }
+    return new Client({ accessToken, ...getSharedRateGovernor().clientOptions });
+}
+
+function toCamelCase(input) {
+    return input.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+function parseCliArgs(argv = []) {
+    const options = {};
+    for (let i = 0; i < argv.length; i += 1) {
+        const arg = argv[i];
+        if (!arg.startsWith("--")) {
+            continue;
+        }
+        const raw = arg.slice(2);
+        if (!raw) {
+            continue;
+        }
+        if (raw === "help") {
+            options.help = true;
+            continue;
+        }
+        if (raw.startsWith("no-")) {
+            const key = toCamelCase(raw.slice(3));
+            options[key] = false;
+            continue;
+        }
+        const [keyPart, valuePart] = raw.split("=", 2);
+        const key = toCamelCase(keyPart);
+        if (valuePart !== undefined) {
+            options[key] = valuePart;
+            continue;
+        }
+        if (key === "dryRun" || key === "resume") {
+            options[key] = true;
+            continue;
+        }
+        const next = argv[i + 1];
+        if (next && !next.startsWith("--")) {
+            options[key] = next;
+            i += 1;
+        }
+    }
+    return options;
+}
+
+function printUsage() {
+    console.log(`
+Usage: node hubspot/billingSubscriptions/migrateBillingSubscriptions.mjs [options]
+
+Creates one Billing Subscription record per GHL contact from the APEX billing fields on the
+contact and its opportunities (see the billing_subscriptions entries in
+customFields/fieldMappings.json), associated with the migrated contact, company and deals.
+Records are mapped in GHLHubspotIdMap, so re-running updates them.
+
+Options:
+  --mongo-uri <uri>        Mongo connection string
+  --db-name <name>         Mongo database name (default: GoHighLevel)
+  --collection <name>      Mongo contacts collection (default: contacts)
+  --map-collection <name>  Mapping collection (default: GHLHubspotIdMap)
+  --field-mappings <path>  Field mappings file (default: ghl_field_mappings collection or customFields/fieldMappings.json)
+  --limit <number>         Max contacts to read
+  --batch-size <number>    Contacts per batch (default/max: 100)
+  --concurrency <number>   Batches processed in parallel (default: 1)
+  --checkpoint-id <id>     Checkpoint document id
+  --run-id <id>            Run id recorded for created records (default: generated)
+  --resume                 Resume from checkpoint (default)
+  --no-resume              Start from the beginning
+  --dry-run                Log actions without calling HubSpot
+  --hubspot-access-token <token>  HubSpot private app token
+  --help                   Show this help message
+`);
+}
+
+async function getDb(mongoUri, dbName) {
+    if (!mongoUri) {
+        throw new Error("MONGO_URI is not set");
+    }
+    const client = new MongoClient(mongoUri);
+    await client.connect();
+    return { client, db: client.db(dbName) };
+}
+
+async function loadCheckpoint(db, checkpointId) {
+    return db.collection("hubspot_transfer_checkpoints").findOne({ _id: checkpointId });
+}
+
+async function saveCheckpoint(db, checkpointId, data, runId) {
+    const payload = { ...data, updatedAt: new Date() };
+    const update = { $set: payload, $setOnInsert: { createdAt: new Date() } };
+    if (runId) {
+        update.$addToSet = { runIds: runId };
+    }
+    await db.collection("hubspot_transfer_checkpoints").updateOne({ _id: checkpointId }, update, { upsert: true });
+}
+
+async function recordFailedMigration(db, {
+    entityType,
+    ghlId,
+    reason
+} = {}) {
+    if (!db || !entityType || !ghlId) {
+        return;
+    }
+    await db.collection("hubspot_failed_migrations").updateOne(
+        { entityType, ghlId },
+        {
+            $set: { reason, updatedAt: new Date() },
+            $setOnInsert: { createdAt: new Date() }
+        },
+        { upsert: true }
+    );
+}
+
+async function* readPages(cursor, size) {
+    let page = [];
+    for await (const document of cursor) {
+        page.push(document);
+        if (page.length >= size) {
+            yield page;
+            page = [];
+        }
+    }
+    if (page.length > 0) {
+        yield page;
+    }
+}
+
+function compactProperties(properties) {
+    return Object.fromEntries(Object.entries(properties)
+        .filter(([, value]) => value !== undefined && value !== null && value !== ""));
+}
+
+/**
+ * Builds a contact's billing subscription properties. Opportunity fields are applied in creation
+ * order and the contact's own APEX fields last, so APEX wins where both are set.
+ */
+export function buildBillingSubscriptionProperties(contact, opportunities = [], fieldMappings = []) {
+    const properties = {};
+    opportunities.forEach((opportunity) => {
+        Object.assign(properties, compactProperties(applyFieldMappings(opportunity?.customFields, fieldMappings, "billing_subscriptions", "opportunity")));
+    });
+    Object.assign(properties, compactProperties(applyFieldMappings(contact?.customFields, fieldMappings, "billing_subscriptions")));
+    return properties;
+}
+
+/**
+ * Creates or updates one Billing Subscription record per GHL contact with billing data,
+ * associated with the contact, its company and its migrated deals. Contacts without billing
+ * data are skipped; contacts not yet in HubSpot are recorded as failed.
+ */
+export async function migrateBillingSubscriptionsToHubspot({
+    mongoUri = process.env.MONGO_URI || "mongodb://localhost:27017",
+    dbName = DEFAULT_DB_NAME,
+    collectionName = DEFAULT_COLLECTION,
+    mapCollection = DEFAULT_MAP_COLLECTION,
+    hubspotAccessToken = process.env.HUBSPOT_ACCESS_TOKEN,
+    checkpointId = DEFAULT_CHECKPOINT_ID,
+    resume = true,
+    dryRun = false,
+    limit,
+    fieldMappingsPath,
+    batchSize = MAX_BATCH_SIZE,
+    concurrency = 1,
+    runId
+} = {}) {
+    if (!hubspotAccessToken && !dryRun) {
+        throw new Error("HUBSPOT_ACCESS_TOKEN is not set");
+    }
+    const importRunId = resolveRunId(runId);
+    console.log(`billing subscriptions import run: ${importRunId}`);
+    const { client, db } = await getDb(mongoUri, dbName);
+    try {
+        const summary = {
+            processed: 0,
+            withBillingData: 0,
+            created: 0,
+            updated: 0,
+            skippedUnmappedContact: 0,
+            failed: 0
+        };
+        const fieldMappings = await loadFieldMappings(db, { mappingsPath: fieldMappingsPath });
+        const billingMappings = fieldMappings.filter((mapping) => mapping.object === "billing_subscriptions");
+        if (billingMappings.length === 0) {
+            console.warn("no billing_subscriptions field mappings; add them to customFields/fieldMappings.json");
+            return summary;
+        }
+        const readsOpportunities = billingMappings.some((mapping) => mappingSource(mapping) === "opportunity");
+
+        const hubspotClient = dryRun ? null : buildHubspotClient(hubspotAccessToken);
+        const objectType = dryRun ? null : await resolveCustomObjectType(hubspotClient, BILLING_SUBSCRIPTION_OBJECT.name);
+
+        const query = {};
+        if (resume) {
+            const checkpoint = await loadCheckpoint(db, checkpointId);
+            if (checkpoint?.lastId) {
+                query._id = { $gt: checkpoint.lastId };
+            }
+        }
+        let cursor = db.collection(collectionName).find(query).sort({ _id: 1 });
+        if (limit) {
+            cursor = cursor.limit(Number(limit));
+        }
+        const mapColl = db.collection(mapCollection);
+        const size = Math.min(Math.max(1, Number(batchSize) || MAX_BATCH_SIZE), MAX_BATCH_SIZE);
+
+        await runWorkerPool(readPages(cursor, size), async (page) => {
+            const records = [];
+            for (const contact of page) {
+                summary.processed += 1;
+                if (!contact?.id) {
+                    continue;
+                }
+                // Opportunities are read either way: they feed the deal associations.
+                const opportunities = await db.collection("opportunities").find({ contactId: contact.id }).sort({ _id: 1 }).toArray();
+                const properties = buildBillingSubscriptionProperties(contact, readsOpportunities ? opportunities : [], fieldMappings);
+                if (Object.keys(properties).length === 0) {
+                    continue;
+                }
+                summary.withBillingData += 1;
+                if (dryRun) {
+                    console.log("[dry-run] billing subscription", contact.id, JSON.stringify(properties));
+                    continue;
+                }
+                const contactMap = await mapColl.findOne({ ghlId: contact.id, objectTypeId: "contact" });
+                if (!contactMap?.hubspotId) {
+                    summary.skippedUnmappedContact += 1;
+                    await recordFailedMigration(db, { entityType: "billing_subscription", ghlId: contact.id, reason: "missing hubspot contact mapping" });
+                    continue;
+                }
+                const dealMaps = await mapColl.find({
+                    ghlId: { $in: opportunities.map((opportunity) => opportunity.id).filter(Boolean) },
+                    objectTypeId: "opportunity"
+                }).toArray();
+                records.push({
+                    ghlId: contact.id,
+                    properties: { ...properties, ghl_contact_id: contact.id, import_tag: "GHL_MIGRATION" },
+                    associations: {
+                        contacts: [String(contactMap.hubspotId)],
+                        deals: dealMaps.map((dealMap) => dealMap.hubspotId)
+                    }
+                });
+            }
+            if (records.length === 0) {
+                return;
+            }
+            const companies = await batchReadAssociations(hubspotClient, "contacts", "companies", records.map((record) => record.associations.contacts[0]));
+            records.forEach((record) => {
+                record.associations.companies = (companies.get(record.associations.contacts[0]) || []).slice(0, 1);
+            });
+            const counts = await upsertCustomObjectRecords(hubspotClient, db, records, {
+                objectType,
+                objectTypeId: OBJECT_TYPE_ID,
+                runId: importRunId
+            });
+            summary.created += counts.created;
+            summary.updated += counts.updated;
+            summary.failed += counts.failed;
+        }, {
+            concurrency,
+            checkpointOf: (page) => page[page.length - 1]._id,
+            onCheckpoint: (lastId) => saveCheckpoint(db, checkpointId, { lastId, ...summary }, importRunId)
+        });
+
+        return summary;
+    } finally {
+        await client.close();
+    }
+}
+
+if (import.meta.url === new URL(process.argv[1], "file:").href) {
+    const cli = parseCliArgs(process.argv.slice(2));
+    if (cli.help || process.argv.length <= 2) {
+        printUsage();
+        process.exit(0);
+    }
+    const parsedLimit = cli.limit ? Number(cli.limit) : undefined;
+    const limit = Number.isInteger(parsedLimit) && parsedLimit > 0 ? parsedLimit : undefined;
+
+    const run = async () => {
+        const summary = await migrateBillingSubscriptionsToHubspot({
+            mongoUri: cli.mongoUri,
+            dbName: cli.dbName,
+            collectionName: cli.collection,
+            mapCollection: cli.mapCollection,
+            hubspotAccessToken: cli.hubspotAccessToken,
+            checkpointId: cli.checkpointId,
+            runId: cli.runId,
+            resume: cli.resume !== false,
+            dryRun: cli.dryRun,
+            limit,
+            fieldMappingsPath: cli.fieldMappings,
+            batchSize: cli.batchSize,
+            concurrency: cli.concurrency
+        });
+        console.log("billing subscription migration complete:", summary);
+    };
+
+    run().catch((err) => {
+        console.error("migrateBillingSubscriptions failed:", err?.message || err);
+        process.exit(1);
+    });
+}
@@ -1,5 +1,7 @@
 import { Client } from "@hubspot/api-client";
 import { MongoClient, ObjectId } from "mongodb";
+import { getSharedRateGovernor } from "../../src/hubspotRateGovernor.mjs";
+import { resolveRunId } from "../../src/migrationRun.mjs";
 
 const DEFAULT_DB_NAME = "GoHighLevel";
 const DEFAULT_COLLECTION = "calendars";
@@ -12,7 +14,7 @@ function buildHubspotClient(accessToken = process.env.HUBSPOT_ACCESS_TOKEN) {
     if (!accessToken) {
         throw new Error("HUBSPOT_ACCESS_TOKEN is not set");
     }
-    return new Client({ accessToken });
+    return new Client({ accessToken, ...getSharedRateGovernor().clientOptions });
 }
 
 function toCamelCase(input) {
@@ -71,6 +73,7 @@ Options:
   --name-property <name>   HubSpot property to store name (default: name)
   --limit <number>         Max calendars to migrate
   --checkpoint-id <id>     Checkpoint document id
+  --run-id <id>            Run id recorded for created calendars (default: generated)
   --resume                 Resume from checkpoint (default)
   --no-resume              Start from the beginning
   --dry-run                Log actions without calling HubSpot
@@ -92,13 +95,13 @@ async function loadCheckpoint(db, checkpointId) {
     return db.collection("hubspot_transfer_checkpoints").findOne({ _id: checkpointId });
 }
 
-async function saveCheckpoint(db, checkpointId, data) {
+async function saveCheckpoint(db, checkpointId, data, runId) {
     const payload = { ...data, updatedAt: new Date() };
-    await db.collection("hubspot_transfer_checkpoints").updateOne(
-        { _id: checkpointId },
-        { $set: payload, $setOnInsert: { createdAt: new Date() } },
-        { upsert: true }
-    );
+    const update = { $set: payload, $setOnInsert: { createdAt: new Date() } };
+    if (runId) {
+        update.$addToSet = { runIds: runId };
+    }
+    await db.collection("hubspot_transfer_checkpoints").updateOne({ _id: checkpointId }, update, { upsert: true });
 }
 
 async function recordFailedMigration(db, {
@@ -140,7 +143,7 @@ function buildCalendarProperties(calendar, { nameProperty = DEFAULT_NAME_PROPERT
     };
 }
 
-async function upsertGhlHubspotIdMap(db, { ghlId, hubspotId, objectTypeId } = {}) {
+async function upsertGhlHubspotIdMap(db, { ghlId, hubspotId, objectTypeId, runId } = {}) {
     if (!ghlId || !hubspotId || !objectTypeId) {
         return;
     }
@@ -148,7 +151,7 @@ async function upsertGhlHubspotIdMap(db, { ghlId, hubspotId, objectTypeId } = {}
         { ghlId, objectTypeId },
         {
             $set: { ghlId, hubspotId, objectTypeId, updatedAt: new Date() },
-            $setOnInsert: { createdAt: new Date() }
+            $setOnInsert: { createdAt: new Date(), runId }
         },
         { upsert: true }
     );
@@ -165,11 +168,14 @@ export async function migrateCalendarsToHubspot({
     dryRun = false,
     limit,
     objectTypeId = DEFAULT_OBJECT_TYPE_ID,
-    nameProperty = DEFAULT_NAME_PROPERTY
+    nameProperty = DEFAULT_NAME_PROPERTY,
+    runId
 } = {}) {
     if (!hubspotAccessToken && !dryRun) {
         throw new Error("HUBSPOT_ACCESS_TOKEN is not set");
     }
+    const importRunId = resolveRunId(runId);
+    console.log(`calendars import run: ${importRunId}`);
     if (!objectTypeId) {
         throw new Error("objectTypeId is required");
     }
@@ -205,7 +211,7 @@ export async function migrateCalendarsToHubspot({
             const ghlId = calendar?.id;
             if (!ghlId) {
                 if (lastProcessedId) {
-                    await saveCheckpoint(db, checkpointId, { lastId: lastProcessedId });
+                    await saveCheckpoint(db, checkpointId, { lastId: lastProcessedId }, importRunId);
                 }
                 continue;
             }
@@ -215,7 +221,7 @@ export async function migrateCalendarsToHubspot({
             if (existingMap?.hubspotId) {
                 summary.skippedAlreadyMapped += 1;
                 if (lastProcessedId) {
-                    await saveCheckpoint(db, checkpointId, { lastId: lastProcessedId });
+                    await saveCheckpoint(db, checkpointId, { lastId: lastProcessedId }, importRunId);
                 }
                 continue;
             }
@@ -225,7 +231,7 @@ export async function migrateCalendarsToHubspot({
                 console.log("[dry-run] create calendar", ghlId, properties[nameProperty]);
                 summary.created += 1;
                 if (lastProcessedId) {
-                    await saveCheckpoint(db, checkpointId, { lastId: lastProcessedId });
+                    await saveCheckpoint(db, checkpointId, { lastId: lastProcessedId }, importRunId);
                 }
                 continue;
             }
@@ -234,7 +240,7 @@ export async function migrateCalendarsToHubspot({
                 const response = await hubspotClient.crm.objects.basicApi.create(objectTypeId, { properties });
                 const hubspotId = response?.id;
                 if (hubspotId) {
-                    await upsertGhlHubspotIdMap(db, { ghlId, hubspotId, objectTypeId });
+                    await upsertGhlHubspotIdMap(db, { ghlId, hubspotId, objectTypeId, runId: importRunId });
                 }
                 summary.created += 1;
             } catch (err) {
@@ -248,7 +254,7 @@ export async function migrateCalendarsToHubspot({
                 summary.errors += 1;
             } finally {
                 if (lastProcessedId) {
-                    await saveCheckpoint(db, checkpointId, { lastId: lastProcessedId });
+                    await saveCheckpoint(db, checkpointId, { lastId: lastProcessedId }, importRunId);
                 }
             }
         }
@@ -276,6 +282,7 @@ if (import.meta.url === new URL(process.argv[1], "file:").href) {
             mapCollection: cli.mapCollection,
             hubspotAccessToken: cli.hubspotAccessToken,
             checkpointId: cli.checkpointId,
+            runId: cli.runId,
             resume: cli.resume !== false,
             dryRun: cli.dryRun,
             limit,
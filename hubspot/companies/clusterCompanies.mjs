@@ -0,0 +1,405 @@
+import { writeFile } from "fs/promises";
+import { MongoClient } from "mongodb";
+import { loadFieldMappings } from "../customFields/fieldMappings.mjs";
+
+const DEFAULT_DB_NAME = "GoHighLevel";
+const DEFAULT_COLLECTION = "contacts";
+const DEFAULT_CLUSTER_COLLECTION = "company_clusters";
+const DEFAULT_REPORT_PATH = "company-clusters.csv";
+// HubSpot property the GHL apex id field maps to; the field id comes from the field mappings.
+const APEX_ID_PROPERTY = "apex_id";
+const LEGAL_SUFFIXES = new Set(["llc", "l l c", "inc", "incorporated", "corp", "corporation", "co", "company", "ltd", "limited", "pllc", "lp", "llp"]);
+const PLACEHOLDER_NAMES = new Set(["", "na", "n a", "none", "no", "null", "test", "unknown"]);
+// Websites that host many unrelated businesses; sharing one of these says nothing about the company.
+const SHARED_DOMAINS = new Set([
+    "facebook.com", "instagram.com", "google.com", "goo.gl", "business.site", "yelp.com", "linktr.ee",
+    "tiktok.com", "wix.com", "wixsite.com", "squarespace.com", "godaddysites.com", "weebly.com", "x.com", "twitter.com"
+]);
+
+function toCamelCase(input) {
+    return input.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+function parseCliArgs(argv = []) {
+    const options = {};
+    for (let i = 0; i < argv.length; i += 1) {
+        const arg = argv[i];
+        if (!arg.startsWith("--")) {
+            continue;
+        }
+        const raw = arg.slice(2);
+        if (!raw) {
+            continue;
+        }
+        if (raw === "help") {
+            options.help = true;
+            continue;
+        }
+        if (raw.startsWith("no-")) {
+            const key = toCamelCase(raw.slice(3));
+            options[key] = false;
+            continue;
+        }
+        const [keyPart, valuePart] = raw.split("=", 2);
+        const key = toCamelCase(keyPart);
+        if (valuePart !== undefined) {
+            options[key] = valuePart;
+            continue;
+        }
+        if (key === "dryRun") {
+            options[key] = true;
+            continue;
+        }
+        const next = argv[i + 1];
+        if (next && !next.startsWith("--")) {
+            options[key] = next;
+            i += 1;
+        }
+    }
+    return options;
+}
+
+function printUsage() {
+    console.log(`
+Usage: node hubspot/companies/clusterCompanies.mjs [options]
+
+Groups GHL contacts into companies by normalized company name, website domain and apex_id,
+stores the clusters for migrateContacts and writes a CSV report of clusters to review.
+Clusters flagged for review do not share a company until approved with --approve.
+
+Options:
+  --mongo-uri <uri>        Mongo connection string
+  --db-name <name>         Mongo database name (default: GoHighLevel)
+  --collection <name>      Mongo contacts collection (default: contacts)
+  --cluster-collection <name>  Cluster collection (default: company_clusters)
+  --report <file>          CSV report path (default: company-clusters.csv)
+  --apex-field-id <id>     GHL custom field holding the apex id (default: the field mapped to apex_id)
+  --no-report              Do not write the CSV report
+  --dry-run                Build clusters and report without writing to Mongo
+  --approve <ids>          Comma-separated ids of reviewed clusters to share a company anyway
+  --help                   Show this help message
+`);
+}
+
+async function getDb(mongoUri, dbName) {
+    if (!mongoUri) {
+        throw new Error("MONGO_URI is not set");
+    }
+    const client = new MongoClient(mongoUri);
+    await client.connect();
+    return { client, db: client.db(dbName) };
+}
+
+export function normalizeCompanyName(value) {
+    const words = String(value || "")
+        .toLowerCase()
+        .replace(/&/g, " and ")
+        .replace(/[^a-z0-9]+/g, " ")
+        .trim()
+        .split(/\s+/)
+        .filter(Boolean);
+    while (words.length > 1) {
+        const lastThree = words.slice(-3).join(" ");
+        if (LEGAL_SUFFIXES.has(lastThree)) {
+            words.splice(-3);
+            continue;
+        }
+        if (LEGAL_SUFFIXES.has(words[words.length - 1])) {
+            words.pop();
+            continue;
+        }
+        break;
+    }
+    const normalized = words.join(" ");
+    return PLACEHOLDER_NAMES.has(normalized) ? null : normalized;
+}
+
+export function normalizeDomain(value) {
+    const raw = String(value || "").trim().toLowerCase();
+    if (!raw) {
+        return null;
+    }
+    let hostname;
+    try {
+        hostname = new URL(/^[a-z]+:\/\//.test(raw) ? raw : `https://${raw}`).hostname;
+    } catch (err) {
+        return null;
+    }
+    hostname = hostname.replace(/^www\./, "");
+    if (!hostname.includes(".") || SHARED_DOMAINS.has(hostname)) {
+        return null;
+    }
+    const parts = hostname.split(".");
+    const apex = parts.slice(-2).join(".");
+    return SHARED_DOMAINS.has(apex) ? null : hostname;
+}
+
+function getApexId(contact, apexFieldId) {
+    if (!apexFieldId) {
+        return null;
+    }
+    const field = (contact?.customFields || []).find((customField) => customField?.id === apexFieldId);
+    const value = String(field?.value ?? "").trim();
+    return value || null;
+}
+
+function mostCommon(values) {
+    const counts = new Map();
+    values.filter(Boolean).forEach((value) => counts.set(value, (counts.get(value) || 0) + 1));
+    let best = null;
+    for (const [value, count] of counts.entries()) {
+        if (!best || count > best.count) {
+            best = { value, count };
+        }
+    }
+    return best?.value || null;
+}
+
+/**
+ * Clusters contacts that share a normalized company name, website domain or apex_id
+ * (transitively). Cluster ids prefer the strongest key: apex:<id>, then domain:<host>, then name:<name>.
+ * Clusters joined by more than one distinct name, or holding several apex_ids, are flagged for review.
+ * apex_ids are read from the GHL custom field `apexFieldId`; without one contacts cluster by name and domain.
+ */
+export function buildCompanyClusters(contacts = [], { apexFieldId } = {}) {
+    const parent = new Map();
+    const find = (key) => {
+        let root = key;
+        while (parent.get(root) !== root) {
+            root = parent.get(root);
+        }
+        parent.set(key, root);
+        return root;
+    };
+    const union = (a, b) => {
+        const rootA = find(a);
+        const rootB = find(b);
+        if (rootA !== rootB) {
+            parent.set(rootB, rootA);
+        }
+    };
+
+    const entries = [];
+    for (const contact of contacts) {
+        if (!contact?.id) {
+            continue;
+        }
+        const entry = {
+            contactId: contact.id,
+            companyName: String(contact.companyName || "").trim() || null,
+            name: normalizeCompanyName(contact.companyName),
+            domain: normalizeDomain(contact.website),
+            apexId: getApexId(contact, apexFieldId)
+        };
+        const keys = [
+            entry.apexId && `apex:${entry.apexId}`,
+            entry.domain && `domain:${entry.domain}`,
+            entry.name && `name:${entry.name}`
+        ].filter(Boolean);
+        if (keys.length === 0) {
+            continue;
+        }
+        keys.forEach((key) => {
+            if (!parent.has(key)) {
+                parent.set(key, key);
+            }
+        });
+        keys.slice(1).forEach((key) => union(keys[0], key));
+        entry.key = keys[0];
+        entries.push(entry);
+    }
+
+    const groups = new Map();
+    entries.forEach((entry) => {
+        const root = find(entry.key);
+        if (!groups.has(root)) {
+            groups.set(root, []);
+        }
+        groups.get(root).push(entry);
+    });
+
+    const clusters = [];
+    for (const members of groups.values()) {
+        const apexIds = [...new Set(members.map((member) => member.apexId).filter(Boolean))].sort();
+        const domains = [...new Set(members.map((member) => member.domain).filter(Boolean))].sort();
+        const names = [...new Set(members.map((member) => member.name).filter(Boolean))].sort();
+        const matchedOn = [];
+        if (apexIds.length > 0 && members.filter((member) => member.apexId).length > 1) {
+            matchedOn.push("apex_id");
+        }
+        if (domains.length > 0 && members.filter((member) => member.domain).length > 1) {
+            matchedOn.push("domain");
+        }
+        if (names.length > 0 && members.filter((member) => member.name).length > 1) {
+            matchedOn.push("name");
+        }
+        const reviewReasons = [];
+        if (names.length > 1) {
+            reviewReasons.push(`different names: ${names.join(" | ")}`);
+        }
+        if (apexIds.length > 1) {
+            reviewReasons.push(`several apex_ids: ${apexIds.join(", ")}`);
+        }
+        if (domains.length > 1) {
+            reviewReasons.push(`several domains: ${domains.join(", ")}`);
+        }
+        const _id = apexIds.length === 1
+            ? `apex:${apexIds[0]}`
+            : domains.length === 1
+                ? `domain:${domains[0]}`
+                : names.length > 0
+                    ? `name:${names[0]}`
+                    : `domain:${domains[0]}`;
+        const contactIds = members.map((member) => member.contactId).sort();
+        // The company takes its properties from one contact so the others do not keep overwriting them.
+        const primary = members.find((member) => member.apexId && member.domain && member.companyName)
+            || members.find((member) => member.companyName)
+            || members[0];
+        clusters.push({
+            _id,
+            name: mostCommon(members.map((member) => member.companyName)) || domains[0] || null,
+            normalizedNames: names,
+            domains,
+            apexIds,
+            contactIds,
+            size: contactIds.length,
+            primaryContactId: primary.contactId,
+            matchedOn,
+            review: reviewReasons.length > 0,
+            reviewReasons
+        });
+    }
+    return clusters.sort((a, b) => b.size - a.size || a._id.localeCompare(b._id));
+}
+
+function toCsvValue(value) {
+    const text = Array.isArray(value) ? value.join("; ") : String(value ?? "");
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+function buildReport(clusters) {
+    const header = ["clusterId", "name", "size", "review", "approved", "reviewReasons", "matchedOn", "domains", "apexIds", "normalizedNames", "primaryContactId", "contactIds"];
+    const rows = clusters
+        .filter((cluster) => cluster.size > 1 || cluster.review)
+        .map((cluster) => header.map((column) => toCsvValue(column === "approved"
+            ? Boolean(cluster.approved)
+            : cluster[column === "clusterId" ? "_id" : column])).join(","));
+    return [header.join(","), ...rows].join("\n") + "\n";
+}
+
+/**
+ * The GHL custom field id the field mappings send to the apex_id property.
+ */
+async function resolveApexFieldId(db) {
+    const mappings = await loadFieldMappings(db, { destinations: false });
+    return mappings.find((mapping) => mapping.property === APEX_ID_PROPERTY)?.ghlFieldId || null;
+}
+
+export async function clusterCompanies({
+    mongoUri = process.env.MONGO_URI || "mongodb://localhost:27017",
+    dbName = DEFAULT_DB_NAME,
+    collectionName = DEFAULT_COLLECTION,
+    clusterCollection = DEFAULT_CLUSTER_COLLECTION,
+    reportPath = DEFAULT_REPORT_PATH,
+    apexFieldId,
+    dryRun = false
+} = {}) {
+    const { client, db } = await getDb(mongoUri, dbName);
+    try {
+        const resolvedApexFieldId = apexFieldId || await resolveApexFieldId(db);
+        if (!resolvedApexFieldId) {
+            console.warn(`no field mapping targets ${APEX_ID_PROPERTY}; clustering without apex ids`);
+        }
+        const contacts = await db.collection(collectionName)
+            .find({ id: { $exists: true } }, { projection: { id: 1, companyName: 1, website: 1, customFields: 1 } })
+            .toArray();
+        const collection = db.collection(clusterCollection);
+        // An approval carries over only while the cluster keeps the same contacts.
+        const approved = new Map((await collection.find({ approved: true }).toArray())
+            .map((cluster) => [cluster._id, cluster.contactIds.join(",")]));
+        const clusters = buildCompanyClusters(contacts, { apexFieldId: resolvedApexFieldId }).map((cluster) => (
+            cluster.review && approved.get(cluster._id) === cluster.contactIds.join(",") ? { ...cluster, approved: true } : cluster
+        ));
+        if (!dryRun) {
+            await collection.deleteMany({});
+            if (clusters.length > 0) {
+                const updatedAt = new Date();
+                await collection.insertMany(clusters.map((cluster) => ({ ...cluster, updatedAt })));
+            }
+            await collection.createIndex({ contactIds: 1 });
+        }
+        if (reportPath) {
+            await writeFile(reportPath, buildReport(clusters));
+        }
+        const clusteredContacts = clusters.reduce((total, cluster) => total + cluster.size, 0);
+        return {
+            contacts: contacts.length,
+            clusteredContacts,
+            withoutCompany: contacts.length - clusteredContacts,
+            clusters: clusters.length,
+            sharedClusters: clusters.filter((cluster) => cluster.size > 1).length,
+            needsReview: clusters.filter((cluster) => cluster.review && !cluster.approved).length,
+            reportPath: reportPath || null
+        };
+    } finally {
+        await client.close();
+    }
+}
+
+/**
+ * Marks review-flagged clusters as approved so migrateContacts gives their contacts one company.
+ * Returns the number of clusters found.
+ */
+export async function approveCompanyClusters({
+    mongoUri = process.env.MONGO_URI || "mongodb://localhost:27017",
+    dbName = DEFAULT_DB_NAME,
+    clusterCollection = DEFAULT_CLUSTER_COLLECTION,
+    clusterIds = []
+} = {}) {
+    const { client, db } = await getDb(mongoUri, dbName);
+    try {
+        const result = await db.collection(clusterCollection).updateMany(
+            { _id: { $in: clusterIds } },
+            { $set: { approved: true, approvedAt: new Date() } }
+        );
+        return result.matchedCount;
+    } finally {
+        await client.close();
+    }
+}
+
+if (import.meta.url === new URL(process.argv[1], "file:").href) {
+    const cli = parseCliArgs(process.argv.slice(2));
+    if (cli.help) {
+        printUsage();
+        process.exit(0);
+    }
+    const run = async () => {
+        if (cli.approve) {
+            const clusterIds = String(cli.approve).split(",").map((id) => id.trim()).filter(Boolean);
+            const matched = await approveCompanyClusters({
+                mongoUri: cli.mongoUri,
+                dbName: cli.dbName,
+                clusterCollection: cli.clusterCollection,
+                clusterIds
+            });
+            console.log(`approved ${matched} of ${clusterIds.length} company clusters`);
+            return;
+        }
+        const summary = await clusterCompanies({
+            mongoUri: cli.mongoUri,
+            dbName: cli.dbName,
+            collectionName: cli.collection,
+            clusterCollection: cli.clusterCollection,
+            reportPath: cli.report === false ? null : cli.report,
+            apexFieldId: cli.apexFieldId,
+            dryRun: cli.dryRun
+        });
+        console.log("company clustering complete:", summary);
+    };
+
+    run().catch((err) => {
+        console.error("clusterCompanies failed:", err?.message || err);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,449 @@
+import { writeFile } from "fs/promises";
+import { MongoClient } from "mongodb";
+
+const DEFAULT_DB_NAME = "GoHighLevel";
+const DEFAULT_COLLECTION = "contacts";
+const DEFAULT_DUPLICATES_COLLECTION = "contact_duplicates";
+const DEFAULT_REPORT_PATH = "contact-duplicates.csv";
+// Duplicate groups migrateContacts may merge: groups not flagged for review, and flagged
+// groups approved with --approve after reading the report.
+export const MERGEABLE_GROUPS_FILTER = { $or: [{ review: { $ne: true } }, { approved: true }] };
+const MERGE_FIELDS = [
+    "email",
+    "firstName",
+    "lastName",
+    "phone",
+    "companyName",
+    "website",
+    "address1",
+    "city",
+    "state",
+    "postalCode",
+    "country",
+    "dateOfBirth",
+    "assignedTo"
+];
+
+function toCamelCase(input) {
+    return input.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+function parseCliArgs(argv = []) {
+    const options = {};
+    for (let i = 0; i < argv.length; i += 1) {
+        const arg = argv[i];
+        if (!arg.startsWith("--")) {
+            continue;
+        }
+        const raw = arg.slice(2);
+        if (!raw) {
+            continue;
+        }
+        if (raw === "help") {
+            options.help = true;
+            continue;
+        }
+        if (raw.startsWith("no-")) {
+            const key = toCamelCase(raw.slice(3));
+            options[key] = false;
+            continue;
+        }
+        const [keyPart, valuePart] = raw.split("=", 2);
+        const key = toCamelCase(keyPart);
+        if (valuePart !== undefined) {
+            options[key] = valuePart;
+            continue;
+        }
+        if (key === "dryRun") {
+            options[key] = true;
+            continue;
+        }
+        const next = argv[i + 1];
+        if (next && !next.startsWith("--")) {
+            options[key] = next;
+            i += 1;
+        }
+    }
+    return options;
+}
+
+function printUsage() {
+    console.log(`
+Usage: node hubspot/contacts/dedupeContacts.mjs [options]
+
+Groups likely duplicate GHL contacts by email, E.164 phone and name, picks a survivor for each
+group with a field-level merge plan, and stores the plan for migrateContacts. A CSV report lists
+every group for review. Groups flagged for review are not merged until approved with --approve.
+
+Options:
+  --mongo-uri <uri>        Mongo connection string
+  --db-name <name>         Mongo database name (default: GoHighLevel)
+  --collection <name>      Mongo contacts collection (default: contacts)
+  --duplicates-collection <name>  Merge plan collection (default: contact_duplicates)
+  --report <file>          CSV report path (default: contact-duplicates.csv)
+  --no-report              Do not write the CSV report
+  --dry-run                Build groups and report without writing to Mongo
+  --approve <ids>          Comma-separated survivor ids of reviewed groups to merge anyway
+  --help                   Show this help message
+`);
+}
+
+async function getDb(mongoUri, dbName) {
+    if (!mongoUri) {
+        throw new Error("MONGO_URI is not set");
+    }
+    const client = new MongoClient(mongoUri);
+    await client.connect();
+    return { client, db: client.db(dbName) };
+}
+
+export function normalizeEmail(value) {
+    const normalized = String(value || "").replace(/\s+/g, "").toLowerCase();
+    return /^[^@]+@[^@]+\.[^@]+$/.test(normalized) ? normalized : null;
+}
+
+/**
+ * Normalizes a phone number to E.164. Ten-digit numbers are taken as North American.
+ */
+export function normalizePhoneE164(value) {
+    const raw = String(value || "").trim();
+    if (!raw) {
+        return null;
+    }
+    const digits = raw.replace(/\D/g, "");
+    let e164 = null;
+    if (raw.startsWith("+")) {
+        e164 = `+${digits}`;
+    } else if (digits.length === 10) {
+        e164 = `+1${digits}`;
+    } else if (digits.length === 11 && digits.startsWith("1")) {
+        e164 = `+${digits}`;
+    }
+    if (!e164 || !/^\+[1-9]\d{7,14}$/.test(e164) || /^\+1?(\d)\1+$/.test(e164)) {
+        return null;
+    }
+    return e164;
+}
+
+function normalizeName(contact) {
+    const full = `${contact?.firstName || ""} ${contact?.lastName || ""}`
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, " ")
+        .trim();
+    return full.includes(" ") ? full : null;
+}
+
+function normalizeCompany(contact) {
+    return String(contact?.companyName || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim() || null;
+}
+
+function isEmptyValue(value) {
+    return value === undefined || value === null || (typeof value === "string" && !value.trim()) || (Array.isArray(value) && value.length === 0);
+}
+
+function completeness(contact) {
+    const filled = MERGE_FIELDS.filter((field) => !isEmptyValue(contact?.[field])).length;
+    const customFields = (contact?.customFields || []).filter((customField) => !isEmptyValue(customField?.value)).length;
+    return filled + customFields;
+}
+
+function toTime(value) {
+    const parsed = Date.parse(value || "");
+    return Number.isNaN(parsed) ? Number.MAX_SAFE_INTEGER : parsed;
+}
+
+/**
+ * The survivor is the contact HubSpot can hold (one with a valid email), then the most
+ * complete record, then the oldest one.
+ */
+function pickSurvivor(members) {
+    return [...members].sort((a, b) => {
+        const emailDiff = Number(Boolean(normalizeEmail(b.email))) - Number(Boolean(normalizeEmail(a.email)));
+        if (emailDiff !== 0) {
+            return emailDiff;
+        }
+        const completenessDiff = completeness(b) - completeness(a);
+        if (completenessDiff !== 0) {
+            return completenessDiff;
+        }
+        return toTime(a.dateAdded) - toTime(b.dateAdded);
+    })[0];
+}
+
+function sameValue(a, b, field) {
+    if (field === "email") {
+        return normalizeEmail(a) === normalizeEmail(b);
+    }
+    if (field === "phone") {
+        return normalizePhoneE164(a) === normalizePhoneE164(b);
+    }
+    return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+/**
+ * Builds the field-level merge plan for a group: each field keeps the survivor's value, or
+ * takes the first value found on the others (most recently updated first). Fields where the
+ * members disagree are listed as conflicts.
+ */
+function buildMergePlan(survivor, others) {
+    const donors = [...others].sort((a, b) => toTime(b.dateUpdated) - toTime(a.dateUpdated));
+    const plan = [];
+    const conflicts = [];
+    const planField = (field, read) => {
+        const survivorValue = read(survivor);
+        const candidates = donors
+            .map((donor) => ({ contactId: donor.id, value: read(donor) }))
+            .filter((candidate) => !isEmptyValue(candidate.value));
+        const values = [survivorValue, ...candidates.map((candidate) => candidate.value)].filter((value) => !isEmptyValue(value));
+        const distinct = values.filter((value, index) => values.findIndex((other) => sameValue(other, value, field)) === index);
+        if (distinct.length > 1) {
+            conflicts.push({ field, values: distinct });
+        }
+        if (isEmptyValue(survivorValue) && candidates.length > 0) {
+            plan.push({ field, value: candidates[0].value, sourceContactId: candidates[0].contactId });
+        }
+    };
+    MERGE_FIELDS.forEach((field) => planField(field, (contact) => contact?.[field]));
+    const customFieldIds = new Set();
+    [survivor, ...donors].forEach((contact) => (contact?.customFields || []).forEach((customField) => customField?.id && customFieldIds.add(customField.id)));
+    customFieldIds.forEach((id) => planField(`customFields.${id}`, (contact) => (contact?.customFields || []).find((customField) => customField?.id === id)?.value));
+    const tags = [...new Set([survivor, ...donors].flatMap((contact) => (Array.isArray(contact?.tags) ? contact.tags : [])))];
+    if (tags.length > (survivor?.tags || []).length) {
+        plan.push({ field: "tags", value: tags, sourceContactId: null });
+    }
+    return { plan, conflicts };
+}
+
+/**
+ * Groups contacts that share a normalized email, an E.164 phone, or a full name within the
+ * same company (transitively). Groups whose members carry different emails or names are
+ * flagged for review, since they may be relatives or colleagues sharing a phone.
+ */
+export function buildDuplicateGroups(contacts = []) {
+    const parent = new Map();
+    const find = (key) => {
+        let root = key;
+        while (parent.get(root) !== root) {
+            root = parent.get(root);
+        }
+        parent.set(key, root);
+        return root;
+    };
+    const union = (a, b) => {
+        const rootA = find(a);
+        const rootB = find(b);
+        if (rootA !== rootB) {
+            parent.set(rootB, rootA);
+        }
+    };
+    const keysByContact = new Map();
+    for (const contact of contacts) {
+        if (!contact?.id) {
+            continue;
+        }
+        const email = normalizeEmail(contact.email);
+        const phone = normalizePhoneE164(contact.phone);
+        const name = normalizeName(contact);
+        const company = normalizeCompany(contact);
+        const keys = [
+            `contact:${contact.id}`,
+            email && `email:${email}`,
+            phone && `phone:${phone}`,
+            name && company && `name:${name}|${company}`
+        ].filter(Boolean);
+        keys.forEach((key) => {
+            if (!parent.has(key)) {
+                parent.set(key, key);
+            }
+        });
+        keys.slice(1).forEach((key) => union(keys[0], key));
+        keysByContact.set(contact.id, { contact, keys });
+    }
+
+    const groups = new Map();
+    for (const { contact, keys } of keysByContact.values()) {
+        const root = find(keys[0]);
+        if (!groups.has(root)) {
+            groups.set(root, []);
+        }
+        groups.get(root).push({ contact, keys });
+    }
+
+    const result = [];
+    for (const members of groups.values()) {
+        if (members.length < 2) {
+            continue;
+        }
+        const contactsInGroup = members.map((member) => member.contact);
+        const survivor = pickSurvivor(contactsInGroup);
+        const others = contactsInGroup.filter((contact) => contact.id !== survivor.id);
+        const keyCounts = new Map();
+        members.forEach((member) => member.keys.slice(1).forEach((key) => keyCounts.set(key, (keyCounts.get(key) || 0) + 1)));
+        const matchedOn = [...new Set([...keyCounts.entries()]
+            .filter(([, count]) => count > 1)
+            .map(([key]) => key.split(":")[0]))].sort();
+        const { plan, conflicts } = buildMergePlan(survivor, others);
+        const reviewReasons = conflicts
+            .filter((conflict) => conflict.field === "email" || conflict.field === "firstName" || conflict.field === "lastName")
+            .map((conflict) => `different ${conflict.field}: ${conflict.values.join(" | ")}`);
+        if (!normalizeEmail(survivor.email)) {
+            reviewReasons.push("no member has a valid email");
+        }
+        result.push({
+            _id: survivor.id,
+            survivorId: survivor.id,
+            duplicateIds: others.map((contact) => contact.id).sort(),
+            size: contactsInGroup.length,
+            matchedOn,
+            mergePlan: plan,
+            conflicts,
+            review: reviewReasons.length > 0,
+            reviewReasons
+        });
+    }
+    return result.sort((a, b) => b.size - a.size || a._id.localeCompare(b._id));
+}
+
+/**
+ * Returns a copy of the survivor contact with the merge plan applied.
+ */
+export function applyMergePlan(contact, group) {
+    if (!contact || !Array.isArray(group?.mergePlan) || group.mergePlan.length === 0) {
+        return contact;
+    }
+    const merged = { ...contact, customFields: [...(contact.customFields || [])] };
+    group.mergePlan.forEach(({ field, value }) => {
+        if (field.startsWith("customFields.")) {
+            const id = field.slice("customFields.".length);
+            const index = merged.customFields.findIndex((customField) => customField?.id === id);
+            if (index >= 0) {
+                merged.customFields[index] = { ...merged.customFields[index], value };
+            } else {
+                merged.customFields.push({ id, value });
+            }
+            return;
+        }
+        merged[field] = value;
+    });
+    return merged;
+}
+
+function toCsvValue(value) {
+    const text = Array.isArray(value) ? value.join("; ") : String(value ?? "");
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+function buildReport(groups) {
+    const header = ["survivorId", "duplicateIds", "size", "matchedOn", "review", "approved", "reviewReasons", "mergedFields", "conflictingFields"];
+    const rows = groups.map((group) => [
+        group.survivorId,
+        group.duplicateIds,
+        group.size,
+        group.matchedOn,
+        group.review,
+        Boolean(group.approved),
+        group.reviewReasons,
+        group.mergePlan.map((entry) => entry.field),
+        group.conflicts.map((conflict) => conflict.field)
+    ].map(toCsvValue).join(","));
+    return [header.join(","), ...rows].join("\n") + "\n";
+}
+
+export async function analyzeContactDuplicates({
+    mongoUri = process.env.MONGO_URI || "mongodb://localhost:27017",
+    dbName = DEFAULT_DB_NAME,
+    collectionName = DEFAULT_COLLECTION,
+    duplicatesCollection = DEFAULT_DUPLICATES_COLLECTION,
+    reportPath = DEFAULT_REPORT_PATH,
+    dryRun = false
+} = {}) {
+    const { client, db } = await getDb(mongoUri, dbName);
+    try {
+        const projection = Object.fromEntries([...MERGE_FIELDS, "id", "customFields", "tags", "dateAdded", "dateUpdated"].map((field) => [field, 1]));
+        const contacts = await db.collection(collectionName).find({ id: { $exists: true } }, { projection }).toArray();
+        const collection = db.collection(duplicatesCollection);
+        // An approval carries over only while the group keeps the same members.
+        const approved = new Map((await collection.find({ approved: true }).toArray())
+            .map((group) => [group._id, group.duplicateIds.join(",")]));
+        const groups = buildDuplicateGroups(contacts).map((group) => (
+            group.review && approved.get(group._id) === group.duplicateIds.join(",") ? { ...group, approved: true } : group
+        ));
+        if (!dryRun) {
+            await collection.deleteMany({});
+            if (groups.length > 0) {
+                const updatedAt = new Date();
+                await collection.insertMany(groups.map((group) => ({ ...group, updatedAt })));
+            }
+            await collection.createIndex({ duplicateIds: 1 });
+        }
+        if (reportPath) {
+            await writeFile(reportPath, buildReport(groups));
+        }
+        return {
+            contacts: contacts.length,
+            groups: groups.length,
+            duplicates: groups.reduce((total, group) => total + group.duplicateIds.length, 0),
+            needsReview: groups.filter((group) => group.review && !group.approved).length,
+            reportPath: reportPath || null
+        };
+    } finally {
+        await client.close();
+    }
+}
+
+/**
+ * Marks review-flagged groups as approved so migrateContacts merges them. Returns the number
+ * of groups found.
+ */
+export async function approveDuplicateGroups({
+    mongoUri = process.env.MONGO_URI || "mongodb://localhost:27017",
+    dbName = DEFAULT_DB_NAME,
+    duplicatesCollection = DEFAULT_DUPLICATES_COLLECTION,
+    survivorIds = []
+} = {}) {
+    const { client, db } = await getDb(mongoUri, dbName);
+    try {
+        const result = await db.collection(duplicatesCollection).updateMany(
+            { _id: { $in: survivorIds } },
+            { $set: { approved: true, approvedAt: new Date() } }
+        );
+        return result.matchedCount;
+    } finally {
+        await client.close();
+    }
+}
+
+if (import.meta.url === new URL(process.argv[1], "file:").href) {
+    const cli = parseCliArgs(process.argv.slice(2));
+    if (cli.help) {
+        printUsage();
+        process.exit(0);
+    }
+    const run = async () => {
+        if (cli.approve) {
+            const survivorIds = String(cli.approve).split(",").map((id) => id.trim()).filter(Boolean);
+            const matched = await approveDuplicateGroups({
+                mongoUri: cli.mongoUri,
+                dbName: cli.dbName,
+                duplicatesCollection: cli.duplicatesCollection,
+                survivorIds
+            });
+            console.log(`approved ${matched} of ${survivorIds.length} duplicate groups`);
+            return;
+        }
+        const summary = await analyzeContactDuplicates({
+            mongoUri: cli.mongoUri,
+            dbName: cli.dbName,
+            collectionName: cli.collection,
+            duplicatesCollection: cli.duplicatesCollection,
+            reportPath: cli.report === false ? null : cli.report,
+            dryRun: cli.dryRun
+        });
+        console.log("contact dedupe analysis complete:", summary);
+    };
+
+    run().catch((err) => {
+        console.error("dedupeContacts failed:", err?.message || err);
+        process.exit(1);
+    });
+}
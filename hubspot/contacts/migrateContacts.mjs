@@ -1,11 +1,30 @@
 import { Client } from "@hubspot/api-client";
 import { MongoClient } from "mongodb";
+import { MERGEABLE_GROUPS_FILTER, applyMergePlan, normalizeEmail } from "./dedupeContacts.mjs";
+import {
+    MAX_BATCH_SIZE,
+    RUN_ID_PROPERTY,
+    batchAssociate,
+    batchCreateRecords,
+    batchReadAssociations,
+    batchReadRecords,
+    batchUpdateRecords,
+    chunk
+} from "../../src/hubspotBatch.mjs";
+import { getSharedRateGovernor } from "../../src/hubspotRateGovernor.mjs";
+import { applyFieldMappings, loadFieldMappings } from "../customFields/fieldMappings.mjs";
+import { findNpsProperties, resolveCsatObjectType, upsertCsatRecords } from "../csat/csatRecords.mjs";
+import { resolveRunId } from "../../src/migrationRun.mjs";
+import { createSerialQueue, runWorkerPool } from "../../src/workerPool.mjs";
+
+// HubSpot's default company-to-contact association, used when the account has no "Primary" label.
+const DEFAULT_COMPANY_CONTACT_ASSOCIATION_TYPE = { associationCategory: "HUBSPOT_DEFINED", associationTypeId: 280 };
 
 function buildHubspotClient(accessToken = process.env.HUBSPOT_ACCESS_TOKEN) {
     if (!accessToken) {
         throw new Error("HUBSPOT_ACCESS_TOKEN is not set");
     }
-    return new Client({ accessToken });
+    return new Client({ accessToken, ...getSharedRateGovernor().clientOptions });
 }
 
 function normalizePropertyValue(value) {
@@ -18,14 +37,6 @@ function normalizePropertyValue(value) {
     return value;
 }
 
-function toHubspotPropertyName(name) {
-    return `${name || ""}`
-        .toLowerCase()
-        .replace(/[^a-z0-9]+/g, "_")
-        .replace(/^_+|_+$/g, "")
-        .slice(0, 100);
-}
-
 function buildBaseContactProperties(properties = {}) {
     const normalized = {};
     Object.entries(properties).forEach(([key, value]) => {
@@ -59,18 +70,22 @@ export async function reimportFailedContacts({
     mongoUri = process.env.MONGO_URI || "mongodb://localhost:27017",
     dbName = "GoHighLevel",
     hubspotAccessToken = process.env.HUBSPOT_ACCESS_TOKEN,
+    runId,
     dryRun = false
 } = {}) {
     if (!hubspotAccessToken && !dryRun) {
         throw new Error("HUBSPOT_ACCESS_TOKEN is not set");
     }
+    const importRunId = resolveRunId(runId);
     const { client, db } = await getDb(mongoUri, dbName);
     try {
         const failures = await db.collection("hubspot_failed_migrations").find({
             entityType: "contact",
             reason: { $regex: "reimport error: Cannot access 'companyProps'", $options: "i" }
         }).toArray();
-        const hubspotClient = dryRun ? null : new Client({ accessToken: hubspotAccessToken });
+        const hubspotClient = dryRun ? null : new Client({ accessToken: hubspotAccessToken, ...getSharedRateGovernor().clientOptions });
+        const clusterCollection = await db.collection("company_clusters").estimatedDocumentCount() > 0 ? "company_clusters" : null;
+        const fieldMappings = await loadFieldMappings(db);
         let processed = 0;
         let succeeded = 0;
         for (const failure of failures) {
@@ -85,12 +100,19 @@ export async function reimportFailedContacts({
                 continue;
             }
             try {
-                const created = await createBaseHubspotContact(contact, hubspotClient, { dryRun, db });
+                const upserted = await upsertBaseHubspotContact(contact, hubspotClient, {
+                    dryRun,
+                    db,
+                    clusterCollection,
+                    fieldMappings,
+                    runId: importRunId
+                });
                 if (!dryRun) {
                     await upsertGhlHubspotIdMap(db, {
                         ghlId: contact.id,
-                        hubspotId: created?.id,
-                        objectTypeId: "contact"
+                        hubspotId: upserted?.id,
+                        objectTypeId: "contact",
+                        runId: importRunId
                     });
                     await db.collection("hubspot_failed_migrations").deleteOne({
                         entityType: "contact",
@@ -123,7 +145,7 @@ export async function reconcileOwners({
     }
     const { client, db } = await getDb(mongoUri, dbName);
     try {
-        const hubspotClient = new Client({ accessToken: hubspotAccessToken });
+        const hubspotClient = new Client({ accessToken: hubspotAccessToken, ...getSharedRateGovernor().clientOptions });
         const mapCursor = db.collection("GHLHubspotIdMap").find({ objectTypeId: "contact" });
         while (await mapCursor.hasNext()) {
             const mapping = await mapCursor.next();
@@ -245,93 +267,22 @@ async function findAssignedToUser(db, ghlContact) {
     }
     return db.collection("users").findOne({ id: userId });
 }
-function normalizeEnumerationValue(value) {
-    if (! value) return value;
-    value = value.toString().trim();
-    value = value
-        .replace(/[^a-z0-9]+/gi, "_")
-        .replace(/^_+|_+$/g, "")
-        .toLowerCase();
-    return value;
-}
-
 function capitalizeFirstCharacter(value) {
     if (!value) return value;
     const trimmed = value.toString().trim();
     if (!trimmed) return value;
     return trimmed.split(' ').map(v =>`${v.charAt(0).toUpperCase()}${v.slice(1)}`).join(' ');
 }
-function extractCompanyProperties(company, ghlContact) {
-    const result = {name:company, website_url:ghlContact.website, import_tag: "GHL_MIGRATION"};
-    ghlContact.customFields?.forEach((customField) => {
-        switch (customField.id) {
-            case "gyxG6J8U3DjXt4yfOd1R": 
-                result.ghl_created_date = customField.value ? new Date(customField.value).toISOString() : undefined;
-                break;
-            case 'Iq99flttTMyx0RKzlYY5': 
-                result.services_offered = customField.value;
-                break;
-            case '8fOwdZOm0bylfiaqOOkt':
-                result.hours_of_operation = customField.value;
-                break;
-            case 'G5kwvVM0yZotFHDzTtU0':
-                result.sf_reason_lost = customField.value;
-                break;
-            case 'zGWKpJ5VQTyE2CY2lIGX':
-                result.contracted_services = Array.isArray(customField.value) ? customField.value.map(normalizeEnumerationValue).join(';') : normalizeEnumerationValue(customField.value);
-                break;
-            case 'cbD2OOhWDXDep6Bjw799':
-                result.monthly_gross_sales = customField.value;
-                break;
-            case '9eHyavp1jfJTT7IJGRp8':
-                result.time_in_business_at_creation = customField.value;
-                break;
-            case '5yPFgdkdeqyTDefOtsZs':
-                result.apex_new_ach_request_url = customField.value;
-                break;
-            case 'DlGjoPpF3vQzaav0Ui6u':
-                result.apex_new_rcc_request_url = customField.value;
-                break;
-            case 'xgqyCCP2GeDdydHfElRJ':
-                result.apex_new_card_request_url = customField.value;
-                break;
-            case 'T8Hpdsu1W5gErAwbXJH6':
-                result.existing_logo = customField.value === 'Yes';
-                break;
-            case 'LC2oRMOXgxnGYI6yKcth':
-                result.preferred_website_language = customField.value === 'Spanish' ? 'es' : 'en';
-                break;
-            case 'YW4GIuaBiGVbDJo7aPae': 
-                result.website_features = Array.isArray(customField.value) ? customField.value.map(normalizeEnumerationValue).join(';') : normalizeEnumerationValue(customField.value);
-                break;
-            case 'ZTCs1zCNZ19KZNkTx1hW':
-                result.cancellation_reason = customField.value;
-                break;
-            case '509l4Gl65IKHoi8KpHMw':
-                result.sf_industry = customField.value;
-                break;
-            case '4wAAp50m1fwku7MwfiRU':
-                result.via_industry = normalizeEnumerationValue(customField.value);
-                break;
-            case 'Y52V3yr8R70CnDpfCEPJ':
-                result.apex_id = customField.value;
-                break;
-            default:
-                break;
-        }
-    });
-    return result;
+function extractCompanyProperties(company, ghlContact, fieldMappings) {
+    return {
+        name: company,
+        website_url: ghlContact.website,
+        import_tag: "GHL_MIGRATION",
+        ...applyFieldMappings(ghlContact.customFields, fieldMappings, "companies")
+    };
 }
-const SMS_OPT_IN_VALUE = "You agree to receive automated reminders and promotional messages from WebForge. You also agree to the Terms of Use and Privacy Policy. This consent is not required to make a purchase. Message and data rates may apply. Reply STOP to stop messages.";
-/**
- * Create a base HubSpot contact.
- * Requires at least an email address.
- */
-export async function createBaseHubspotContact(
-    ghlContact = {},
-    hubspotClient = null,
-    { dryRun = false, db = null } = {}
-) {
+
+async function buildContactProperties(ghlContact = {}, db = null, fieldMappings = null) {
     let {
         email,
         firstName,
@@ -347,24 +298,24 @@ export async function createBaseHubspotContact(
         dnd
     } = ghlContact || {};
 
-    if (!email) {
+    // Normalized the way dedupeContacts matched it, so the lookup finds the existing HubSpot contact.
+    const normalizedEmail = normalizeEmail(email);
+    if (!normalizedEmail) {
         await recordFailedMigration(db, {
             entityType: "contact",
             ghlId: ghlContact?.id,
-            reason: "missing email"
+            reason: email ? "invalid email" : "missing email"
         });
-        throw new Error(`email is required to create a HubSpot contact ghlContact=${JSON.stringify(ghlContact?.id)}`);
-    }
-    email = email.toLowerCase();
-    if (! company) {
-        company = `NO-COMPANY NAME - ${firstName || ''} ${lastName || ''}`.trim();
+        throw new Error(`a valid email is required to create a HubSpot contact ghlContact=${JSON.stringify(ghlContact?.id)}`);
     }
+    email = normalizedEmail;
     const baseProperties = {
         email,
         firstname: capitalizeFirstCharacter(firstName),
         lastname: capitalizeFirstCharacter(lastName),
         phone,
-        company,
+        // Left unset for contacts without a company; resolveContactCompany then creates none.
+        company: String(company || "").trim(),
         address,
         city,
         state,
@@ -380,62 +331,258 @@ export async function createBaseHubspotContact(
         baseProperties.hubspot_owner_id = assignedToUser?.hubSpot?.id;
     }
 
-    ghlContact.customFields?.forEach((customField) => {
-        switch (customField.id) {
-            case "g6tSBxPatzAwTtIhHVvx": // "SF Account ID"
-                baseProperties[toHubspotPropertyName("sfAccountId")] = customField.value;
-                break;
-            case "kWZU041gXmtUwmuuKkv0":
-                baseProperties[toHubspotPropertyName("contactLanguage")] = customField.value === "Spanish" ? "es" : "en";
-                break;
-            case "gyxG6J8U3DjXt4yfOd1R":
-                baseProperties.ghl_created_date = new Date(customField.value).toISOString();
-                break;
-            case "4xAtW6G5ay7NcXlw3LTJ":
-                baseProperties[toHubspotPropertyName("smsOptIn")] = (Array.isArray(customField.value) && customField.value.length === 1  &&  customField.value[0] === SMS_OPT_IN_VALUE) ? true : false;
-                break;
-            case "qUtfAwv63pRApArTvSjp":
-                baseProperties.secondary_email = customField.value;
-                break;
-            case "vGf2kz1P3ZH10TQx7U9N":
-                baseProperties.secondaryphone = customField.value;
-                break;
-            case "dn0Lzqfp4S5jukPm1DKg":
-                baseProperties.address2 = customField.value;
-                break;
-            default:
-                break;
+    const mappings = fieldMappings || await loadFieldMappings(db);
+    Object.assign(baseProperties, applyFieldMappings(ghlContact.customFields, mappings, "contacts"));
+    const properties = buildBaseContactProperties(baseProperties);
+    const companyProps = extractCompanyProperties(properties?.company, ghlContact, mappings);
+    return { properties, companyProps, assignedToUser };
+}
+
+function isMissingRecordError(err) {
+    const status = err?.code || err?.response?.statusCode || err?.response?.status;
+    return status === 404;
+}
+
+async function getHubspotRecord(client, objectType, id, propertyNames) {
+    try {
+        return await client.crm[objectType].basicApi.getById(String(id), propertyNames);
+    } catch (err) {
+        if (isMissingRecordError(err)) {
+            return null;
+        }
+        throw err;
+    }
+}
+
+async function searchHubspotRecord(client, objectType, propertyName, value, propertyNames) {
+    if (!value) {
+        return null;
+    }
+    const response = await client.crm[objectType].searchApi.doSearch({
+        filterGroups: [{ filters: [{ propertyName, operator: "EQ", value: String(value) }] }],
+        properties: propertyNames,
+        limit: 1
+    });
+    return Array.isArray(response?.results) ? response.results[0] || null : null;
+}
+
+function isSamePropertyValue(current, next) {
+    if (current === undefined || current === null || current === "") {
+        return next === undefined || next === null || next === "";
+    }
+    const currentText = String(current).trim();
+    const nextText = String(next).trim();
+    if (currentText === nextText) {
+        return true;
+    }
+    // HubSpot echoes datetimes without milliseconds and multi-selects in its own order.
+    if (/^\d{4}-\d{2}-\d{2}T/.test(currentText) && /^\d{4}-\d{2}-\d{2}T/.test(nextText)) {
+        return Date.parse(currentText) === Date.parse(nextText);
+    }
+    if (currentText.includes(";") || nextText.includes(";")) {
+        return currentText.split(";").sort().join(";") === nextText.split(";").sort().join(";");
+    }
+    return currentText.toLowerCase() === nextText.toLowerCase();
+}
+
+function diffProperties(currentProperties = {}, nextProperties = {}) {
+    const changed = {};
+    Object.entries(nextProperties).forEach(([key, value]) => {
+        if (!isSamePropertyValue(currentProperties?.[key], value)) {
+            changed[key] = value;
         }
     });
-    const properties = buildBaseContactProperties(baseProperties);
-    const companyProps = extractCompanyProperties(properties?.company, ghlContact);
+    return changed;
+}
+
+/**
+ * Updates an existing HubSpot record with the properties that differ, or creates it stamped with `runId`.
+ * Returns the record id and whether it was "created", "updated" or "unchanged".
+ */
+async function applyUpsert(client, objectType, existing, properties, { runId } = {}) {
+    if (!existing?.id) {
+        const created = await client.crm[objectType].basicApi.create({
+            properties: runId ? { ...properties, [RUN_ID_PROPERTY]: runId } : properties
+        });
+        return { id: created.id, properties: created.properties, action: "created" };
+    }
+    const changed = diffProperties(existing.properties, properties);
+    if (Object.keys(changed).length === 0) {
+        return { id: existing.id, properties: existing.properties, action: "unchanged" };
+    }
+    const updated = await client.crm[objectType].basicApi.update(String(existing.id), { properties: changed });
+    return { id: existing.id, properties: updated?.properties || { ...existing.properties, ...changed }, action: "updated" };
+}
+
+/**
+ * Finds the HubSpot contact for a GHL contact: the id map first, then ghl_contact_id, then email.
+ * A mapped id that no longer exists in HubSpot falls through to the searches.
+ */
+async function findExistingHubspotContact(client, db, ghlContactId, email, propertyNames) {
+    const mapping = db && ghlContactId
+        ? await db.collection("GHLHubspotIdMap").findOne({ ghlId: ghlContactId, objectTypeId: "contact" })
+        : null;
+    if (mapping?.hubspotId) {
+        const mapped = await getHubspotRecord(client, "contacts", mapping.hubspotId, propertyNames);
+        if (mapped) {
+            return mapped;
+        }
+    }
+    return await searchHubspotRecord(client, "contacts", "ghl_contact_id", ghlContactId, propertyNames)
+        || await searchHubspotRecord(client, "contacts", "email", email, propertyNames);
+}
+
+async function searchHubspotRecords(client, objectType, propertyName, values, propertyNames) {
+    const records = [];
+    for (const batch of chunk([...new Set(values.filter(Boolean).map(String))])) {
+        let after;
+        do {
+            const response = await client.crm[objectType].searchApi.doSearch({
+                filterGroups: [{ filters: [{ propertyName, operator: "IN", values: batch }] }],
+                properties: propertyNames,
+                limit: 100,
+                after
+            });
+            records.push(...(Array.isArray(response?.results) ? response.results : []));
+            after = response?.paging?.next?.after;
+        } while (after);
+    }
+    return records;
+}
+
+/**
+ * Batch counterpart of findExistingHubspotContact. Returns a Map of GHL contact id to HubSpot record.
+ */
+async function findExistingHubspotContacts(client, db, entries, propertyNames) {
+    const found = new Map();
+    const ghlIds = entries.map((entry) => entry.ghlId);
+    const mappings = await db.collection("GHLHubspotIdMap").find({ ghlId: { $in: ghlIds }, objectTypeId: "contact" }).toArray();
+    const mappedRecords = await batchReadRecords(client, "contacts", mappings.map((mapping) => mapping.hubspotId), { properties: propertyNames });
+    const recordsById = new Map(mappedRecords.map((record) => [String(record.id), record]));
+    mappings.forEach((mapping) => {
+        const record = recordsById.get(String(mapping.hubspotId));
+        if (record) {
+            found.set(mapping.ghlId, record);
+        }
+    });
+
+    const unmapped = entries.filter((entry) => !found.has(entry.ghlId));
+    const byGhlContactId = await searchHubspotRecords(client, "contacts", "ghl_contact_id", unmapped.map((entry) => entry.ghlId), propertyNames);
+    byGhlContactId.forEach((record) => {
+        const ghlId = record?.properties?.ghl_contact_id;
+        if (ghlId && !found.has(ghlId)) {
+            found.set(ghlId, record);
+        }
+    });
+
+    const withEmail = entries.filter((entry) => !found.has(entry.ghlId) && entry.properties.email);
+    const byEmail = new Map();
+    const emailRecords = await batchReadRecords(client, "contacts", withEmail.map((entry) => entry.properties.email), {
+        properties: propertyNames,
+        idProperty: "email"
+    });
+    emailRecords.forEach((record) => byEmail.set(String(record?.properties?.email || "").toLowerCase(), record));
+    withEmail.forEach((entry) => {
+        const record = byEmail.get(String(entry.properties.email).toLowerCase());
+        if (record) {
+            found.set(entry.ghlId, record);
+        }
+    });
+    return found;
+}
+
+async function findAssociatedCompanyId(client, contactId) {
+    const response = await client.crm.associations.v4.basicApi.getPage("contacts", String(contactId), "companies", undefined, 10);
+    const results = Array.isArray(response?.results) ? response.results : [];
+    return results[0]?.toObjectId ? String(results[0].toObjectId) : null;
+}
+
+/**
+ * Resolves which company a contact belongs to. With clusters from hubspot/companies/clusterCompanies.mjs,
+ * every contact of a cluster shares one company keyed by the cluster id and named after the cluster;
+ * without them each contact that has a company name gets its own company, keyed by the contact id.
+ * Returns null when the contact has no company to create.
+ */
+async function resolveContactCompany(db, ghlContact, companyProps, clusterCollection) {
+    if (db && clusterCollection) {
+        const cluster = await db.collection(clusterCollection).findOne({ contactIds: ghlContact.id });
+        if (!cluster) {
+            return null;
+        }
+        // Contacts of an unapproved review-flagged cluster keep a company of their own.
+        if (!cluster.review || cluster.approved) {
+            return {
+                ghlId: cluster._id,
+                properties: { ...companyProps, name: cluster.name || companyProps.name, ghl_id: cluster._id },
+                isPrimary: cluster.primaryContactId === ghlContact.id
+            };
+        }
+    }
+    if (!String(ghlContact?.companyName || "").trim()) {
+        return null;
+    }
+    return { ghlId: ghlContact.id, properties: { ...companyProps, ghl_id: ghlContact.id }, isPrimary: true };
+}
+
+/**
+ * Create or update the HubSpot contact (and its company) for a GHL contact.
+ * Requires at least an email address.
+ */
+export async function upsertBaseHubspotContact(
+    ghlContact = {},
+    hubspotClient = null,
+    { dryRun = false, db = null, clusterCollection = null, fieldMappings = null, runId } = {}
+) {
+    const { properties, companyProps, assignedToUser } = await buildContactProperties(ghlContact, db, fieldMappings);
+    const company = await resolveContactCompany(db, ghlContact, companyProps, clusterCollection);
 
     if (dryRun) {
-        console.log(JSON.stringify({ ghlContact, baseProperties: properties, assignedToUser, companyProps }, null, 2));
-        return { id: null, properties, companyProps };
+        console.log(JSON.stringify({ ghlContact, baseProperties: properties, assignedToUser, company }, null, 2));
+        return { id: null, properties, companyProps: company?.properties };
     }
     const client = hubspotClient || buildHubspotClient();
-    let created = null;
+    let result = null;
+    let existing = null;
     try {
-        created = await client.crm.contacts.basicApi.create({
-            properties
-        });
+        existing = await findExistingHubspotContact(client, db, ghlContact.id, properties.email, Object.keys(properties));
+        result = await applyUpsert(client, "contacts", existing, properties, { runId });
     } catch (err) {
         console.log(JSON.stringify({ ghlContact, baseProperties: properties, assignedToUser, err }, null, 4));
         throw err;
     }
-    let companyCreated = null;
-    if (created.id) {
-        companyProps.hubspot_owner_id = assignedToUser?.hubSpot?.id;
-        companyCreated = await createBaseHubspotCompany(companyProps, hubspotClient, { dryRun, db, contactId: created.id });
+    let companyResult = null;
+    if (result.id && company) {
+        company.properties.hubspot_owner_id = assignedToUser?.hubSpot?.id;
+        const existingCompanyId = existing?.id ? await findAssociatedCompanyId(client, result.id) : null;
+        companyResult = await upsertBaseHubspotCompany(company.properties, client, {
+            dryRun,
+            db,
+            contactId: result.id,
+            ghlId: company.ghlId,
+            existingCompanyId,
+            updateExisting: company.isPrimary,
+            runId
+        });
     }
-    return { id: created.id, properties: created.properties, companyId: companyCreated?.id, companyProperties: companyCreated?.properties };
+    return {
+        id: result.id,
+        properties: result.properties,
+        action: result.action,
+        companyId: companyResult?.id,
+        companyProperties: companyResult?.properties,
+        companyAction: companyResult?.action
+    };
 }
 
-export async function createBaseHubspotCompany(
+/**
+ * Create or update a HubSpot company. Companies are mapped by `ghlId` (a company cluster id or
+ * GHL contact id), or found through the contact's existing company association. With
+ * `updateExisting` false an existing company is only associated with the contact ("linked").
+ */
+export async function upsertBaseHubspotCompany(
     ghlCompany = {},
     hubspotClient = null,
-    { dryRun = false, db = null, contactId = null } = {}
+    { dryRun = false, db = null, contactId = null, ghlId = null, existingCompanyId = null, updateExisting = true, runId } = {}
 ) {
 
 
@@ -443,10 +590,10 @@ export async function createBaseHubspotCompany(
     if (!companyLabel) {
         await recordFailedMigration(db, {
             entityType: "company",
-            ghlId: ghlCompany?.id,
+            ghlId: ghlId || ghlCompany?.id,
             reason: "missing company name"
         });
-        throw new Error(`company name is required to create a HubSpot company ghlCompany=${JSON.stringify(ghlCompany?.id)}`);
+        throw new Error(`company name is required to create a HubSpot company ghlCompany=${JSON.stringify(ghlId || ghlCompany?.id)}`);
     }
 
     const baseProperties = buildBaseContactProperties(ghlCompany);
@@ -457,17 +604,26 @@ export async function createBaseHubspotCompany(
     }
 
     const client = hubspotClient || buildHubspotClient();
-    const created = await client.crm.companies.basicApi.create({
-        properties: baseProperties
-    });
+    const propertyNames = Object.keys(baseProperties);
+    const mapping = db && ghlId
+        ? await db.collection("GHLHubspotIdMap").findOne({ ghlId, objectTypeId: "company" })
+        : null;
+    let existing = mapping?.hubspotId ? await getHubspotRecord(client, "companies", mapping.hubspotId, propertyNames) : null;
+    if (!existing && existingCompanyId) {
+        existing = await getHubspotRecord(client, "companies", existingCompanyId, propertyNames);
+    }
+    const result = existing && !updateExisting
+        ? { id: existing.id, properties: existing.properties, action: "linked" }
+        : await applyUpsert(client, "companies", existing, baseProperties, { runId });
 
     await upsertGhlHubspotIdMap(db, {
-        ghlId: ghlCompany?.id,
-        hubspotId: created?.id,
-        objectTypeId: "company"
+        ghlId: ghlId || ghlCompany?.id,
+        hubspotId: result.id,
+        objectTypeId: "company",
+        runId
     });
 
-    if (contactId) {
+    if (contactId && result.id !== existingCompanyId) {
         let associations = [];
         try {
             const primaryType = await getPrimaryCompanyContactAssociationType(client);
@@ -479,15 +635,214 @@ export async function createBaseHubspotCompany(
         }
         await client.crm.associations.v4.basicApi.create(
             "companies",
-            created.id,
+            result.id,
             "contacts",
             contactId,
             associations
         );
     }
 
-    return { id: created.id, properties: created.properties };
+    return { id: result.id, properties: result.properties, action: result.action };
+}
+
+/**
+ * Batch counterpart of upsertBaseHubspotContact for up to 100 GHL contacts at a time.
+ * Contacts are created or updated through the batch APIs; companies are created with their contacts
+ * associated inline, and contacts joining an existing company are associated in one batch call.
+ * Records that fail are written to hubspot_failed_migrations one by one and returned with `error`.
+ */
+export async function upsertHubspotContactsBatch(ghlContacts = [], hubspotClient, {
+    db,
+    clusterCollection = null,
+    companyQueue = (fn) => fn(),
+    fieldMappings = null,
+    runId
+} = {}) {
+    const mappings = fieldMappings || await loadFieldMappings(db);
+    const entries = [];
+    for (const ghlContact of ghlContacts) {
+        let built;
+        try {
+            built = await buildContactProperties(ghlContact, db, mappings);
+        } catch (err) {
+            // One bad contact (e.g. no email) fails alone; the entry keeps its slot so results line up with the input.
+            const reason = `migration error: ${err?.message || err}`;
+            await recordFailedMigration(db, { entityType: "contact", ghlId: ghlContact.id, reason });
+            entries.push({ ghlId: ghlContact.id, properties: {}, company: null, result: null, error: reason });
+            continue;
+        }
+        const { properties, companyProps, assignedToUser } = built;
+        const company = await resolveContactCompany(db, ghlContact, companyProps, clusterCollection);
+        if (company) {
+            company.properties.hubspot_owner_id = assignedToUser?.hubSpot?.id;
+            company.properties = buildBaseContactProperties(company.properties);
+        }
+        entries.push({ ghlId: ghlContact.id, properties, company, result: null, error: null });
+    }
+
+    const buildable = entries.filter((entry) => !entry.error);
+    const contactPropertyNames = [...new Set(buildable.flatMap((entry) => Object.keys(entry.properties)))];
+    const existingContacts = await findExistingHubspotContacts(hubspotClient, db, buildable, contactPropertyNames);
+    const toCreate = [];
+    const toUpdate = [];
+    buildable.forEach((entry) => {
+        const existing = existingContacts.get(entry.ghlId);
+        entry.existingId = existing?.id ? String(existing.id) : null;
+        if (!existing) {
+            toCreate.push({ ghlId: entry.ghlId, entityType: "contact", properties: entry.properties, entry });
+            return;
+        }
+        const changed = diffProperties(existing.properties, entry.properties);
+        if (Object.keys(changed).length === 0) {
+            entry.result = { id: entry.existingId, properties: existing.properties, action: "unchanged" };
+            return;
+        }
+        toUpdate.push({ id: entry.existingId, ghlId: entry.ghlId, entityType: "contact", properties: changed, entry, existing });
+    });
+    const created = await batchCreateRecords(hubspotClient, "contacts", toCreate, { db, idProperty: "ghl_contact_id", runId });
+    created.created.forEach(({ record, id, properties }) => {
+        record.entry.result = { id: String(id), properties, action: "created" };
+    });
+    const updated = await batchUpdateRecords(hubspotClient, "contacts", toUpdate, { db });
+    updated.updated.forEach(({ record, properties }) => {
+        record.entry.result = { id: record.id, properties: { ...record.existing.properties, ...properties }, action: "updated" };
+    });
+    [...created.failed, ...updated.failed].forEach(({ record, reason }) => {
+        record.entry.error = reason;
+    });
+
+    await companyQueue(() => upsertHubspotCompaniesBatch(entries.filter((entry) => entry.result?.id && entry.company), hubspotClient, { db, runId }));
+    return entries;
+}
+
+async function upsertHubspotCompaniesBatch(entries, hubspotClient, { db, runId }) {
+    if (entries.length === 0) {
+        return;
+    }
+    const valid = [];
+    for (const entry of entries) {
+        if (!entry.company.properties.name) {
+            await recordFailedMigration(db, { entityType: "company", ghlId: entry.company.ghlId, reason: "missing company name" });
+            entry.companyError = "missing company name";
+            continue;
+        }
+        valid.push(entry);
+    }
+    const existingContactIds = valid.filter((entry) => entry.existingId).map((entry) => entry.result.id);
+    const contactCompanies = await batchReadAssociations(hubspotClient, "contacts", "companies", existingContactIds);
+    valid.forEach((entry) => {
+        entry.existingCompanyId = entry.existingId ? contactCompanies.get(entry.result.id)?.[0] || null : null;
+    });
+
+    // Contacts of one cluster share a company, so group them before deciding what to create.
+    const groups = new Map();
+    valid.forEach((entry) => {
+        if (!groups.has(entry.company.ghlId)) {
+            groups.set(entry.company.ghlId, []);
+        }
+        groups.get(entry.company.ghlId).push(entry);
+    });
+    const propertyNames = [...new Set(valid.flatMap((entry) => Object.keys(entry.company.properties)))];
+    const mappings = await db.collection("GHLHubspotIdMap")
+        .find({ ghlId: { $in: [...groups.keys()] }, objectTypeId: "company" })
+        .toArray();
+    const mappedIds = new Map(mappings.map((mapping) => [mapping.ghlId, String(mapping.hubspotId)]));
+    const companyRecords = await batchReadRecords(hubspotClient, "companies", [
+        ...mappedIds.values(),
+        ...valid.map((entry) => entry.existingCompanyId)
+    ], { properties: propertyNames });
+    const companiesById = new Map(companyRecords.map((record) => [String(record.id), record]));
+
+    let associationTypes = [DEFAULT_COMPANY_CONTACT_ASSOCIATION_TYPE];
+    try {
+        const primaryType = await getPrimaryCompanyContactAssociationType(hubspotClient);
+        if (primaryType?.associationTypeId) {
+            associationTypes = [primaryType];
+        }
+    } catch (err) {
+        console.warn("failed to load primary association type, using default association", err?.message || err);
+    }
+
+    const toCreate = [];
+    const toUpdate = [];
+    const pairs = [];
+    for (const [companyGhlId, members] of groups.entries()) {
+        const source = members.find((member) => member.company.isPrimary) || members[0];
+        const existing = companiesById.get(mappedIds.get(companyGhlId))
+            || members.map((member) => companiesById.get(member.existingCompanyId)).find(Boolean);
+        if (!existing) {
+            toCreate.push({
+                ghlId: companyGhlId,
+                entityType: "company",
+                properties: source.company.properties,
+                associations: members.map((member) => ({ to: { id: member.result.id }, types: associationTypes })),
+                members,
+                source
+            });
+            continue;
+        }
+        const companyId = String(existing.id);
+        members.forEach((member) => {
+            member.companyResult = { id: companyId, properties: existing.properties, action: "linked" };
+            if (member.existingCompanyId !== companyId) {
+                pairs.push({ fromId: companyId, toId: member.result.id, types: associationTypes });
+            }
+        });
+        await upsertGhlHubspotIdMap(db, { ghlId: companyGhlId, hubspotId: companyId, objectTypeId: "company", runId });
+        if (!source.company.isPrimary) {
+            continue;
+        }
+        const changed = diffProperties(existing.properties, source.company.properties);
+        if (Object.keys(changed).length === 0) {
+            source.companyResult.action = "unchanged";
+            continue;
+        }
+        toUpdate.push({ id: companyId, ghlId: companyGhlId, entityType: "company", properties: changed, source, existing });
+    }
+
+    const created = await batchCreateRecords(hubspotClient, "companies", toCreate, { db, runId });
+    for (const { record, id, properties } of created.created) {
+        await upsertGhlHubspotIdMap(db, { ghlId: record.ghlId, hubspotId: String(id), objectTypeId: "company", runId });
+        record.members.forEach((member) => {
+            member.companyResult = { id: String(id), properties, action: member === record.source ? "created" : "linked" };
+        });
+    }
+    created.failed.forEach(({ record, reason }) => record.members.forEach((member) => {
+        member.companyError = reason;
+    }));
+    const updated = await batchUpdateRecords(hubspotClient, "companies", toUpdate, { db });
+    updated.updated.forEach(({ record, properties }) => {
+        record.source.companyResult = { id: record.id, properties: { ...record.existing.properties, ...properties }, action: "updated" };
+    });
+    updated.failed.forEach(({ record, reason }) => {
+        record.source.companyError = reason;
+    });
+    try {
+        await batchAssociate(hubspotClient, "companies", "contacts", pairs);
+    } catch (err) {
+        const reason = `company association error: ${err?.message || err}`;
+        for (const pair of pairs) {
+            const member = valid.find((entry) => entry.result.id === pair.toId);
+            member.companyError = reason;
+            await recordFailedMigration(db, { entityType: "contact", ghlId: member.ghlId, reason });
+        }
+    }
+}
+
+async function* readPages(cursor, size) {
+    let page = [];
+    for await (const document of cursor) {
+        page.push(document);
+        if (page.length >= size) {
+            yield page;
+            page = [];
+        }
+    }
+    if (page.length > 0) {
+        yield page;
+    }
 }
+
 async function getDb(mongoUri, dbName) {
     if (!mongoUri) {
         throw new Error("MONGO_URI is not set");
@@ -501,19 +856,20 @@ async function loadCheckpoint(db, checkpointId) {
     return db.collection("hubspot_transfer_checkpoints").findOne({ _id: checkpointId });
 }
 
-async function saveCheckpoint(db, checkpointId, data) {
+async function saveCheckpoint(db, checkpointId, data, runId) {
     const payload = { ...data, updatedAt: new Date() };
-    await db.collection("hubspot_transfer_checkpoints").updateOne(
-        { _id: checkpointId },
-        { $set: payload, $setOnInsert: { createdAt: new Date() } },
-        { upsert: true }
-    );
+    const update = { $set: payload, $setOnInsert: { createdAt: new Date() } };
+    if (runId) {
+        update.$addToSet = { runIds: runId };
+    }
+    await db.collection("hubspot_transfer_checkpoints").updateOne({ _id: checkpointId }, update, { upsert: true });
 }
 
 async function upsertGhlHubspotIdMap(db, {
     ghlId,
     hubspotId,
-    objectTypeId = "contact"
+    objectTypeId = "contact",
+    runId
 } = {}) {
     if (!ghlId || !hubspotId) {
         return;
@@ -527,7 +883,7 @@ async function upsertGhlHubspotIdMap(db, {
                 objectTypeId,
                 updatedAt: new Date()
             },
-            $setOnInsert: { createdAt: new Date() }
+            $setOnInsert: { createdAt: new Date(), runId }
         },
         { upsert: true }
     );
@@ -585,8 +941,14 @@ Options:
   --db-name <name>         Mongo database name (default: GoHighLevel)
   --collection <name>      Mongo contacts collection (default: contacts)
   --contact-ids <ids>      Comma-separated GHL contact ids to migrate
+  --cluster-collection <name>  Company clusters from clusterCompanies.mjs (default: company_clusters)
+  --duplicates-collection <name>  Merge plans from dedupeContacts.mjs (default: contact_duplicates)
+  --field-mappings <path>  Field mappings file (default: ghl_field_mappings collection or customFields/fieldMappings.json)
   --limit <number>         Max contacts to migrate
+  --batch-size <number>    Contacts per batch request (default/max: 100)
+  --concurrency <number>   Contact batches processed in parallel (default: 1)
   --checkpoint-id <id>     Checkpoint document id
+  --run-id <id>            Run id stamped on created contacts and companies (default: generated)
   --reset <entity>         Clear failed maps + checkpoints
   --delete-import-tag [tag]  Delete contacts/companies with import_tag (default: GHL_MIGRATION)
   --resume                 Resume from checkpoint (default)
@@ -624,11 +986,19 @@ export async function migrateContactsToHubspot({
     resume = true,
     dryRun = false,
     limit,
-    contactIds
+    contactIds,
+    clusterCollection = "company_clusters",
+    duplicatesCollection = "contact_duplicates",
+    fieldMappingsPath,
+    batchSize = MAX_BATCH_SIZE,
+    concurrency = 1,
+    runId
 } = {}) {
     if (!hubspotAccessToken && !dryRun) {
         throw new Error("HUBSPOT_ACCESS_TOKEN is not set");
     }
+    const importRunId = resolveRunId(runId);
+    console.log(`contacts import run: ${importRunId}`);
 
     const { client, db } = await getDb(mongoUri, dbName);
     try {
@@ -643,42 +1013,134 @@ export async function migrateContactsToHubspot({
             }
         }
 
-        const hubspotClient = dryRun ? null : new Client({ accessToken: hubspotAccessToken });
-        const cursor = collection.find(query).sort({ _id: 1 });
+        const hubspotClient = dryRun ? null : new Client({ accessToken: hubspotAccessToken, ...getSharedRateGovernor().clientOptions });
+        const clusterCount = clusterCollection ? await db.collection(clusterCollection).estimatedDocumentCount() : 0;
+        if (clusterCollection && clusterCount === 0) {
+            console.warn(`no company clusters in ${clusterCollection}; run hubspot/companies/clusterCompanies.mjs to share companies between contacts`);
+        }
+        const companyClusterCollection = clusterCount > 0 ? clusterCollection : null;
+        const unapprovedClusters = companyClusterCollection
+            ? await db.collection(companyClusterCollection).countDocuments({ review: true, approved: { $ne: true } })
+            : 0;
+        if (unapprovedClusters > 0) {
+            console.warn(`${unapprovedClusters} company clusters need review and are migrated as separate companies; approve them with hubspot/companies/clusterCompanies.mjs --approve`);
+        }
+        const duplicateGroups = duplicatesCollection && await db.collection(duplicatesCollection).estimatedDocumentCount() > 0
+            ? db.collection(duplicatesCollection)
+            : null;
+        if (duplicatesCollection && !duplicateGroups) {
+            console.warn(`no duplicate groups in ${duplicatesCollection}; run hubspot/contacts/dedupeContacts.mjs to merge duplicate contacts`);
+        }
+        const unapprovedGroups = duplicateGroups ? await duplicateGroups.countDocuments({ review: true, approved: { $ne: true } }) : 0;
+        if (unapprovedGroups > 0) {
+            console.warn(`${unapprovedGroups} duplicate groups need review and are migrated unmerged; approve them with hubspot/contacts/dedupeContacts.mjs --approve`);
+        }
+        let cursor = collection.find(query).sort({ _id: 1 });
+        if (limit) {
+            cursor = cursor.limit(limit);
+        }
         let processed = 0;
         let failed = 0;
         let assignedTo = 0;
         let noCompanyNameCount = 0;
-        while (await cursor.hasNext()) {
-            if (Number.isInteger(limit) && processed >= limit) {
-                break;
+        const contactCounts = { created: 0, updated: 0, unchanged: 0 };
+        const companyCounts = { created: 0, updated: 0, unchanged: 0, linked: 0, none: 0 };
+        let skippedDuplicates = 0;
+        let duplicatesMapped = 0;
+        const size = Math.min(Math.max(1, Number(batchSize) || MAX_BATCH_SIZE), MAX_BATCH_SIZE);
+        // Workers share clusters, so company lookups and creates run one batch at a time.
+        const companyQueue = createSerialQueue();
+        const fieldMappings = await loadFieldMappings(db, { mappingsPath: fieldMappingsPath });
+        // Fields whose destination is CSAT land on a CSAT record associated with the contact.
+        const hasCsatMappings = fieldMappings.some((mapping) => mapping.object === "csat");
+        const csatObjectType = hasCsatMappings && !dryRun ? await resolveCsatObjectType(hubspotClient) : null;
+        const csatCounts = { created: 0, updated: 0, failed: 0 };
+        const tally = (upserted, ghlContact) => {
+            processed += 1;
+            if (upserted?.properties?.assignedTo) {
+                assignedTo += 1;
             }
-            if ((processed % 25) === 0) {
-                console.log(`processed ${processed} contacts`);
+            if (!String(ghlContact?.companyName || "").trim()) {
+                noCompanyNameCount += 1;
             }
-            const contact = await cursor.next();
-            if (!contact) {
-                break;
+            if (upserted?.action) {
+                contactCounts[upserted.action] += 1;
             }
-            if (dryRun) {
-                console.log(`[dry-run] migrate contact ${contact._id}`);
-                processed += 1;
+            if (upserted?.companyAction) {
+                companyCounts[upserted.companyAction] += 1;
+            } else if (!dryRun) {
+                companyCounts.none += 1;
             }
+        };
+        const migrateBatch = async (batch) => {
+            let results = [];
             try {
-                const created = await createBaseHubspotContact(contact, hubspotClient, { dryRun, db });
-                if (! dryRun) {
-                    await upsertGhlHubspotIdMap(db, {
-                        ghlId: contact.id,
-                        hubspotId: created?.id,
-                        objectTypeId: "contact"
+                results = await upsertHubspotContactsBatch(batch.map((item) => item.contactToMigrate), hubspotClient, {
+                    db,
+                    clusterCollection: companyClusterCollection,
+                    companyQueue,
+                    fieldMappings,
+                    runId: importRunId
+                });
+            } catch (err) {
+                console.error("contact batch failed", err?.message || err);
+                results = batch.map((item) => ({ ghlId: item.contact.id, error: `migration error: ${err?.message || err}` }));
+                for (const result of results) {
+                    await recordFailedMigration(db, { entityType: "contact", ghlId: result.ghlId, reason: result.error });
+                }
+            }
+            const csatRecords = [];
+            for (const [index, result] of results.entries()) {
+                const { contact, contactToMigrate, survivorGroup } = batch[index];
+                if (!result.result?.id) {
+                    failed += 1;
+                    console.error("contact migration failed", contact?._id, result.error);
+                    continue;
+                }
+                if (hasCsatMappings) {
+                    csatRecords.push({
+                        ghlContactId: contact.id,
+                        hubspotContactId: result.result.id,
+                        hubspotCompanyId: result.companyResult?.id,
+                        properties: applyFieldMappings(contactToMigrate.customFields, fieldMappings, "csat")
                     });
                 }
-                processed += 1;
-                if (created?.properties?.assignedTo) {
-                    assignedTo += 1;
+                await upsertGhlHubspotIdMap(db, { ghlId: contact.id, hubspotId: result.result.id, objectTypeId: "contact", runId: importRunId });
+                for (const duplicateId of survivorGroup?.duplicateIds || []) {
+                    await upsertGhlHubspotIdMap(db, { ghlId: duplicateId, hubspotId: result.result.id, objectTypeId: "contact", runId: importRunId });
+                    duplicatesMapped += 1;
+                }
+                tally({ ...result.result, companyAction: result.companyResult?.action }, contactToMigrate);
+            }
+            if (csatRecords.length > 0) {
+                try {
+                    const counts = await upsertCsatRecords(hubspotClient, db, csatRecords, {
+                        objectType: csatObjectType,
+                        runId: importRunId,
+                        npsProperties: findNpsProperties(fieldMappings)
+                    });
+                    Object.keys(csatCounts).forEach((key) => {
+                        csatCounts[key] += counts[key];
+                    });
+                } catch (err) {
+                    csatCounts.failed += csatRecords.length;
+                    console.error("csat records failed", err?.message || err);
                 }
-                if (! created?.properties?.company) {
-                    noCompanyNameCount += 1;
+            }
+        };
+        const migrateDryRun = async ({ contact, contactToMigrate }) => {
+            console.log(`[dry-run] migrate contact ${contact._id}`);
+            try {
+                const upserted = await upsertBaseHubspotContact(contactToMigrate, hubspotClient, {
+                    dryRun,
+                    db,
+                    clusterCollection: companyClusterCollection,
+                    fieldMappings
+                });
+                tally(upserted, contactToMigrate);
+                const csatProperties = applyFieldMappings(contactToMigrate.customFields, fieldMappings, "csat");
+                if (Object.keys(csatProperties).length > 0) {
+                    console.log("[dry-run] csat record", JSON.stringify(csatProperties));
                 }
             } catch (err) {
                 failed += 1;
@@ -689,16 +1151,56 @@ export async function migrateContactsToHubspot({
                 });
                 console.error("contact migration failed", contact?._id, err?.message || err);
             }
-            await saveCheckpoint(db, checkpointId, {
-                lastId: contact._id,
+        };
+        // Each worker takes a page of contacts, which becomes one batch request.
+        await runWorkerPool(readPages(cursor, size), async (page) => {
+            console.log(`processed ${processed} contacts`);
+            const batch = [];
+            for (const contact of page) {
+                const duplicateOf = duplicateGroups ? await duplicateGroups.findOne({ duplicateIds: contact.id, ...MERGEABLE_GROUPS_FILTER }) : null;
+                if (duplicateOf) {
+                    // Duplicates are migrated through their survivor; map them now if the survivor is already in HubSpot.
+                    const survivorMap = await db.collection("GHLHubspotIdMap").findOne({ ghlId: duplicateOf.survivorId, objectTypeId: "contact" });
+                    if (survivorMap?.hubspotId && !dryRun) {
+                        await upsertGhlHubspotIdMap(db, { ghlId: contact.id, hubspotId: survivorMap.hubspotId, objectTypeId: "contact", runId: importRunId });
+                        duplicatesMapped += 1;
+                    }
+                    skippedDuplicates += 1;
+                    continue;
+                }
+                const survivorGroup = duplicateGroups ? await duplicateGroups.findOne({ _id: contact.id, ...MERGEABLE_GROUPS_FILTER }) : null;
+                const contactToMigrate = survivorGroup ? applyMergePlan(contact, survivorGroup) : contact;
+                batch.push({ contact, contactToMigrate, survivorGroup });
+            }
+            if (!dryRun) {
+                await migrateBatch(batch);
+                return;
+            }
+            for (const item of batch) {
+                await migrateDryRun(item);
+            }
+        }, {
+            concurrency,
+            checkpointOf: (page) => page[page.length - 1]._id,
+            onCheckpoint: (lastId) => saveCheckpoint(db, checkpointId, {
+                lastId,
                 processedCount: processed,
                 failedCount: failed,
                 assignedToCount: assignedTo,
-                noCompanyNameCount: noCompanyNameCount
-            });
-        }
+                noCompanyNameCount: noCompanyNameCount,
+                contactCounts,
+                companyCounts
+            }, importRunId)
+        });
 
         console.log(`migration complete: processed ${processed}, failed ${failed}, assignedTo ${assignedTo}, noCompanyNameCount ${noCompanyNameCount}`);
+        console.log(`contacts: created ${contactCounts.created}, updated ${contactCounts.updated}, unchanged ${contactCounts.unchanged}`);
+        console.log(`duplicates: skipped ${skippedDuplicates}, mapped to survivors ${duplicatesMapped}`);
+        console.log(`companies: created ${companyCounts.created}, updated ${companyCounts.updated}, unchanged ${companyCounts.unchanged}, linked ${companyCounts.linked}, no company ${companyCounts.none}`);
+        if (hasCsatMappings) {
+            console.log(`csat records: created ${csatCounts.created}, updated ${csatCounts.updated}, failed ${csatCounts.failed}`);
+        }
+        return { processed, failed, skippedDuplicates, duplicatesMapped, contacts: contactCounts, companies: companyCounts, csat: csatCounts };
     } finally {
         await client.close();
     }
@@ -754,10 +1256,16 @@ if (import.meta.url === new URL(process.argv[1], "file:").href) {
         collectionName: cli.collection,
         hubspotAccessToken: cli.hubspotAccessToken,
         checkpointId: cli.checkpointId,
+        runId: cli.runId,
         resume: cli.resume,
         dryRun: cli.dryRun,
         limit,
-        contactIds
+        contactIds,
+        clusterCollection: cli.clusterCollection,
+        duplicatesCollection: cli.duplicatesCollection,
+        fieldMappingsPath: cli.fieldMappings,
+        batchSize: cli.batchSize,
+        concurrency: cli.concurrency
     }).catch((err) => {
         console.error("migrateContacts failed:", err?.message || err);
         process.exit(1);
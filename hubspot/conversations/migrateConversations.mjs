@@ -1,8 +1,18 @@
 import { Client } from "@hubspot/api-client";
-import { MongoClient, ObjectId } from "mongodb";
+import { GridFSBucket, MongoClient, ObjectId } from "mongodb";
+import { collectMessageAssetUrls, rehostAssets, rewriteAssetUrls } from "../../src/model/assetManager.mjs";
+import { createBatchWriter, MAX_BATCH_SIZE } from "../../src/hubspotBatch.mjs";
+import { getSharedRateGovernor } from "../../src/hubspotRateGovernor.mjs";
+import { resolveRunId } from "../../src/migrationRun.mjs";
+import { runWorkerPool } from "../../src/workerPool.mjs";
 
 const DEFAULT_DB_NAME = "GoHighLevel";
 const DEFAULT_COLLECTION = "conversations";
+const DEFAULT_MESSAGES_COLLECTION = "messages";
+const DEFAULT_RECORDINGS_BUCKET = "recordings";
+const DEFAULT_RECORDINGS_FOLDER = "/ghl-call-recordings";
+// HubSpot only plays back recordings from URLs it can fetch, so files are public but not indexed.
+const DEFAULT_RECORDING_ACCESS = "PUBLIC_NOT_INDEXABLE";
 const DEFAULT_MAP_COLLECTION = "GHLHubspotIdMap";
 const DEFAULT_CHECKPOINT_ID = "hubspot_conversations";
 const DEFAULT_CONTACT_OBJECT_TYPE_ID = "contact";
@@ -12,7 +22,7 @@ function buildHubspotClient(accessToken = process.env.HUBSPOT_ACCESS_TOKEN) {
     if (!accessToken) {
         throw new Error("HUBSPOT_ACCESS_TOKEN is not set");
     }
-    return new Client({ accessToken });
+    return new Client({ accessToken, ...getSharedRateGovernor().clientOptions });
 }
 
 function toCamelCase(input) {
@@ -66,10 +76,17 @@ Options:
   --mongo-uri <uri>        Mongo connection string
   --db-name <name>         Mongo database name (default: GoHighLevel)
   --collection <name>      Mongo conversations collection (default: conversations)
+  --messages-collection <name>  Mongo messages collection (default: messages)
+  --recordings-bucket <name>    GridFS bucket with archived call recordings (default: recordings)
+  --no-recordings          Create calls without uploading their recordings
+  --no-rehost-attachments  Keep links to GHL-hosted attachments instead of uploading them to HubSpot
   --map-collection <name>  Mapping collection (default: GHLHubspotIdMap)
   --delete-import-tag [tag]  Delete engagements with import_tag (default: GHL_MIGRATION)
   --limit <number>         Max conversations to migrate
+  --batch-size <number>    Engagements per create batch (default/max: 100)
+  --concurrency <number>   Conversations processed in parallel (default: 1)
   --checkpoint-id <id>     Checkpoint document id
+  --run-id <id>            Run id stamped on created engagements (default: generated)
   --resume                 Resume from checkpoint (default)
   --no-resume              Start from the beginning
   --dry-run                Log actions without calling HubSpot
@@ -85,17 +102,72 @@ async function getDb(mongoUri, dbName) {
     return { client, db: client.db(dbName) };
 }
 
+async function loadConversationMessages(db, conversation, messagesCollection = DEFAULT_MESSAGES_COLLECTION) {
+    if (conversation?.id) {
+        const messages = await db.collection(messagesCollection)
+            .find({ conversationId: conversation.id })
+            .sort({ dateAdded: 1, _id: 1 })
+            .toArray();
+        if (messages.length > 0) {
+            return messages;
+        }
+    }
+    // Conversations extracted before messages had their own collection carry them embedded.
+    return Array.isArray(conversation?.messages) ? conversation.messages : [];
+}
+
+/**
+ * Uploads a call's archived GridFS recording to the HubSpot Files API and returns its URL.
+ * The uploaded file is remembered on the message so reruns do not upload it again.
+ */
+async function uploadCallRecording(hubspotClient, db, message, {
+    messagesCollection = DEFAULT_MESSAGES_COLLECTION,
+    bucketName = DEFAULT_RECORDINGS_BUCKET
+} = {}) {
+    const recording = message?.recording;
+    if (recording?.status !== "archived" || !recording.fileId) {
+        return null;
+    }
+    if (recording.hubspotFileUrl && recording.hubspotFileSha256 === recording.sha256) {
+        return recording.hubspotFileUrl;
+    }
+    const bucket = new GridFSBucket(db, { bucketName });
+    const chunks = [];
+    for await (const chunk of bucket.openDownloadStream(recording.fileId)) {
+        chunks.push(chunk);
+    }
+    const uploaded = await hubspotClient.files.filesApi.upload(
+        { data: Buffer.concat(chunks), name: recording.filename },
+        undefined,
+        DEFAULT_RECORDINGS_FOLDER,
+        recording.filename,
+        undefined,
+        JSON.stringify({ access: DEFAULT_RECORDING_ACCESS, overwrite: false, duplicateValidationStrategy: "NONE" })
+    );
+    await db.collection(messagesCollection).updateOne(
+        { id: message.id },
+        {
+            $set: {
+                "recording.hubspotFileId": uploaded?.id,
+                "recording.hubspotFileUrl": uploaded?.url,
+                "recording.hubspotFileSha256": recording.sha256
+            }
+        }
+    );
+    return uploaded?.url || null;
+}
+
 async function loadCheckpoint(db, checkpointId) {
     return db.collection("hubspot_transfer_checkpoints").findOne({ _id: checkpointId });
 }
 
-async function saveCheckpoint(db, checkpointId, data) {
+async function saveCheckpoint(db, checkpointId, data, runId) {
     const payload = { ...data, updatedAt: new Date() };
-    await db.collection("hubspot_transfer_checkpoints").updateOne(
-        { _id: checkpointId },
-        { $set: payload, $setOnInsert: { createdAt: new Date() } },
-        { upsert: true }
-    );
+    const update = { $set: payload, $setOnInsert: { createdAt: new Date() } };
+    if (runId) {
+        update.$addToSet = { runIds: runId };
+    }
+    await db.collection("hubspot_transfer_checkpoints").updateOne({ _id: checkpointId }, update, { upsert: true });
 }
 
 async function recordFailedMigration(db, {
@@ -117,7 +189,7 @@ async function recordFailedMigration(db, {
     );
 }
 
-async function upsertGhlHubspotIdMap(db, { ghlId, hubspotId, objectTypeId } = {}) {
+async function upsertGhlHubspotIdMap(db, { ghlId, hubspotId, objectTypeId, runId } = {}) {
     if (!db || !ghlId || !hubspotId || !objectTypeId) {
         return;
     }
@@ -125,7 +197,7 @@ async function upsertGhlHubspotIdMap(db, { ghlId, hubspotId, objectTypeId } = {}
         { ghlId, objectTypeId },
         {
             $set: { ghlId, hubspotId, objectTypeId, updatedAt: new Date() },
-            $setOnInsert: { createdAt: new Date() }
+            $setOnInsert: { createdAt: new Date(), runId }
         },
         { upsert: true }
     );
@@ -473,7 +545,7 @@ function buildEmailProperties(message, { ownerId } = {}) {
     return properties;
 }
 
-function buildCallProperties(message, { ownerId, dispositionValue } = {}) {
+function buildCallProperties(message, { ownerId, dispositionValue, recordingUrl: archivedRecordingUrl } = {}) {
     const direction = normalizeMessageDirection(message);
     let body = normalizeMessageText(message);
     const voicemailUrl = message?.voicemailUrl || message?.meta?.call?.voicemailUrl;
@@ -512,6 +584,11 @@ function buildCallProperties(message, { ownerId, dispositionValue } = {}) {
     }
     if (duration != null) {
         properties.hs_call_duration = duration;
+    } else if (message?.recording?.durationSeconds) {
+        properties.hs_call_duration = Math.round(message.recording.durationSeconds * 1000);
+    }
+    if (archivedRecordingUrl) {
+        properties.hs_call_recording_url = archivedRecordingUrl;
     }
     return properties;
 }
@@ -607,16 +684,25 @@ export async function migrateConversationsToHubspot({
     mongoUri = process.env.MONGO_URI || "mongodb://localhost:27017",
     dbName = DEFAULT_DB_NAME,
     collectionName = DEFAULT_COLLECTION,
+    messagesCollection = DEFAULT_MESSAGES_COLLECTION,
+    recordingsBucket = DEFAULT_RECORDINGS_BUCKET,
+    uploadRecordings = true,
+    rehostAttachments = true,
     mapCollection = DEFAULT_MAP_COLLECTION,
     hubspotAccessToken = process.env.HUBSPOT_ACCESS_TOKEN,
     checkpointId = DEFAULT_CHECKPOINT_ID,
     resume = true,
+    batchSize = MAX_BATCH_SIZE,
+    concurrency = 1,
     dryRun = false,
-    limit
+    limit,
+    runId
 } = {}) {
     if (!hubspotAccessToken && !dryRun) {
         throw new Error("HUBSPOT_ACCESS_TOKEN is not set");
     }
+    const importRunId = resolveRunId(runId);
+    console.log(`engagements import run: ${importRunId}`);
     const { client, db } = await getDb(mongoUri, dbName);
     try {
         const collection = db.collection(collectionName);
@@ -629,7 +715,8 @@ export async function migrateConversationsToHubspot({
             if (checkpoint?.lastConversationId) {
                 startConversationId = checkpoint.lastConversationId;
                 startMessageId = checkpoint.lastMessageId || null;
-                query = { _id: { $gte: new ObjectId(startConversationId) } };
+                // Without a message id the checkpointed conversation was finished.
+                query = { _id: { [startMessageId ? "$gte" : "$gt"]: new ObjectId(startConversationId) } };
             }
         }
         let cursor = collection.find(query).sort({ _id: 1 });
@@ -644,8 +731,11 @@ export async function migrateConversationsToHubspot({
             createdActivityNotes: 0,
             createdEmails: 0,
             createdCalls: 0,
+            uploadedRecordings: 0,
+            rehostedAttachments: 0,
             skippedNonSms: 0,
             skippedMissingMappings: 0,
+            skippedAlreadyMapped: 0,
             errors: 0
         };
 
@@ -667,21 +757,23 @@ export async function migrateConversationsToHubspot({
             callDispositionLookup = await getCallDispositionLookup(hubspotClient);
         }
 
+        const writer = createBatchWriter(hubspotClient, { db, batchSize, runId: importRunId });
         let lastProgressAt = Date.now();
         const progressIntervalMs = 5000;
-        while (await cursor.hasNext()) {
-            const conversation = await cursor.next();
-            if (!conversation) {
-                break;
-            }
+        await runWorkerPool(cursor, async (conversation, { track }) => {
             summary.processedConversations += 1;
             const conversationId = conversation?._id ? String(conversation._id) : null;
-            const messages = Array.isArray(conversation?.messages) ? conversation.messages : [];
+            const messages = await loadConversationMessages(db, conversation, messagesCollection);
 
             let startIndex = 0;
             if (startConversationId && conversationId === startConversationId && startMessageId) {
-                startIndex = Math.max(0, messages.findIndex((msg) => msg?.id === startMessageId));
+                startIndex = messages.findIndex((msg) => msg?.id === startMessageId) + 1;
             }
+            // Checkpoints are per conversation, so a resumed run may revisit messages that were already created.
+            const mappedMessageIds = dryRun ? new Set() : new Set((await mapColl
+                .find({ ghlId: { $in: messages.map((msg) => msg?.id).filter(Boolean) }, objectTypeId: { $in: ["note", "email", "call"] } })
+                .project({ ghlId: 1 })
+                .toArray()).map((mapping) => mapping.ghlId));
 
             const contactId = conversation?.contactId || conversation?.contact?.id;
             const opportunityId = conversation?.opportunityId || conversation?.opportunity?.id;
@@ -701,7 +793,7 @@ export async function migrateConversationsToHubspot({
                 lastProgressAt = now;
             }
             for (let i = startIndex; i < messages.length; i += 1) {
-                const message = messages[i];
+                let message = messages[i];
                 if (!message) {
                     continue;
                 }
@@ -727,6 +819,29 @@ export async function migrateConversationsToHubspot({
                     summary.skippedMissingMappings += 1;
                     continue;
                 }
+                if (mappedMessageIds.has(message?.id)) {
+                    summary.skippedAlreadyMapped += 1;
+                    continue;
+                }
+
+                const assetUrls = rehostAttachments ? collectMessageAssetUrls(message) : [];
+                if (assetUrls.length > 0 && !dryRun) {
+                    const { urlMap, failures } = await rehostAssets(db, hubspotClient, assetUrls, {
+                        reference: { entityType: "message", ghlId: message?.id }
+                    });
+                    for (const failure of failures) {
+                        console.error("failed to re-host attachment", failure.url, failure.reason);
+                        await recordFailedMigration(db, {
+                            entityType: "conversation_message",
+                            ghlId: message?.id,
+                            reason: failure.reason,
+                            meta: { conversationId, kind: "attachment", url: failure.url }
+                        });
+                        summary.errors += 1;
+                    }
+                    summary.rehostedAttachments += urlMap.size;
+                    message = rewriteAssetUrls(message, urlMap);
+                }
 
                 const associations = [];
                 if (hubspotContactId) {
@@ -740,6 +855,29 @@ export async function migrateConversationsToHubspot({
                     });
                 }
 
+                const queueEngagement = async (objectType, mapObjectTypeId, kind, counter, properties, engagementAssociations) => {
+                    const { settled } = await writer.add(objectType, {
+                        ghlId: message?.id,
+                        entityType: "conversation_message",
+                        properties,
+                        associations: engagementAssociations,
+                        meta: {
+                            conversationId,
+                            kind,
+                            messageType: message?.messageType || message?.type || message?.channel
+                        },
+                        onCreated: async (hubspotId) => {
+                            await upsertGhlHubspotIdMap(db, { ghlId: message?.id, hubspotId, objectTypeId: mapObjectTypeId, runId: importRunId });
+                            summary[counter] += 1;
+                        },
+                        onFailed: (reason, status) => {
+                            console.error(`failed to create ${kind}`, status || "", reason);
+                            summary.errors += 1;
+                        }
+                    });
+                    track(settled);
+                };
+
                 const assignedToUser = await findAssignedToUser(db, message, conversation);
                 const ownerId = normalizeOwnerId(assignedToUser);
                 if (assignedToUser && (Date.now() - lastProgressAt >= progressIntervalMs)) {
@@ -760,32 +898,7 @@ export async function migrateConversationsToHubspot({
                         });
                         summary.createdActivityNotes += 1;
                     } else {
-                        try {
-                            const created = await hubspotClient.crm.objects.notes.basicApi.create({
-                                properties,
-                                associations: activityAssociations
-                            });
-                            await upsertGhlHubspotIdMap(db, {
-                                ghlId: message?.id,
-                                hubspotId: created?.id,
-                                objectTypeId: "note"
-                            });
-                            summary.createdActivityNotes += 1;
-                        } catch (err) {
-                            const status = err?.code || err?.response?.statusCode || err?.response?.status;
-                            console.error("failed to create activity note", status || "", err?.message || err);
-                            await recordFailedMigration(db, {
-                                entityType: "conversation_message",
-                                ghlId: message?.id,
-                                reason: err?.message || String(err),
-                                meta: {
-                                    conversationId,
-                                    kind: "activity",
-                                    messageType: message?.messageType || message?.type || message?.channel
-                                }
-                            });
-                            summary.errors += 1;
-                        }
+                        await queueEngagement("notes", "note", "activity", "createdActivityNotes", properties, activityAssociations);
                     }
                 } else if (isSms) {
                     const properties = buildNoteProperties(message, { ownerId });
@@ -801,32 +914,7 @@ export async function migrateConversationsToHubspot({
                         });
                         summary.createdNotes += 1;
                     } else {
-                        try {
-                        const created = await hubspotClient.crm.objects.notes.basicApi.create({
-                                properties,
-                                associations: smsAssociations
-                            });
-                        await upsertGhlHubspotIdMap(db, {
-                            ghlId: message?.id,
-                            hubspotId: created?.id,
-                            objectTypeId: "note"
-                        });
-                            summary.createdNotes += 1;
-                        } catch (err) {
-                            const status = err?.code || err?.response?.statusCode || err?.response?.status;
-                            console.error("failed to create sms note", status || "", err?.message || err);
-                            await recordFailedMigration(db, {
-                                entityType: "conversation_message",
-                                ghlId: message?.id,
-                                reason: err?.message || String(err),
-                                meta: {
-                                    conversationId,
-                                    kind: "sms",
-                                    messageType: message?.messageType || message?.type || message?.channel
-                                }
-                            });
-                            summary.errors += 1;
-                        }
+                        await queueEngagement("notes", "note", "sms", "createdNotes", properties, smsAssociations);
                     }
                 } else if (isEmail) {
                     const properties = buildEmailProperties(message, { ownerId });
@@ -842,36 +930,48 @@ export async function migrateConversationsToHubspot({
                         });
                         summary.createdEmails += 1;
                     } else {
-                        try {
-                            const created = await hubspotClient.crm.objects.emails.basicApi.create({
-                                properties,
-                                associations: emailAssociations
-                            });
-                            await upsertGhlHubspotIdMap(db, {
-                                ghlId: message?.id,
-                                hubspotId: created?.id,
-                                objectTypeId: "email"
+                        await queueEngagement("emails", "email", "email", "createdEmails", properties, emailAssociations);
+                    }
+                } else if (isCall) {
+                    const callDispositionValue = resolveCallDispositionValue(message, callDispositionLookup);
+                    let recordingUrl = null;
+                    if (uploadRecordings && message?.recording?.status === "archived") {
+                        if (dryRun) {
+                            console.log("[dry-run] upload call recording", {
+                                messageId: message?.id,
+                                filename: message.recording.filename
                             });
-                            summary.createdEmails += 1;
-                        } catch (err) {
-                            const status = err?.code || err?.response?.statusCode || err?.response?.status;
-                            console.error("failed to create email", status || "", err?.message || err);
-                            await recordFailedMigration(db, {
-                                entityType: "conversation_message",
-                                ghlId: message?.id,
-                                reason: err?.message || String(err),
-                                meta: {
-                                    conversationId,
-                                    kind: "email",
-                                    messageType: message?.messageType || message?.type || message?.channel
+                        } else {
+                            try {
+                                recordingUrl = await uploadCallRecording(hubspotClient, db, message, {
+                                    messagesCollection,
+                                    bucketName: recordingsBucket
+                                });
+                                if (recordingUrl) {
+                                    summary.uploadedRecordings += 1;
                                 }
-                            });
-                            summary.errors += 1;
+                            } catch (err) {
+                                const status = err?.code || err?.response?.statusCode || err?.response?.status;
+                                console.error("failed to upload call recording", status || "", err?.message || err);
+                                await recordFailedMigration(db, {
+                                    entityType: "conversation_message",
+                                    ghlId: message?.id,
+                                    reason: err?.message || String(err),
+                                    meta: {
+                                        conversationId,
+                                        kind: "call_recording",
+                                        fileId: String(message.recording.fileId)
+                                    }
+                                });
+                                summary.errors += 1;
+                            }
                         }
                     }
-                } else if (isCall) {
-                    const callDispositionValue = resolveCallDispositionValue(message, callDispositionLookup);
-                    const properties = buildCallProperties(message, { ownerId, dispositionValue: callDispositionValue });
+                    const properties = buildCallProperties(message, {
+                        ownerId,
+                        dispositionValue: callDispositionValue,
+                        recordingUrl
+                    });
                     const callAssociations = associations.map((association) => ({
                         ...association,
                         types: [association.to.id === hubspotContactId ? callContactAssociationType : callDealAssociationType]
@@ -884,42 +984,19 @@ export async function migrateConversationsToHubspot({
                         });
                         summary.createdCalls += 1;
                     } else {
-                        try {
-                            const created = await hubspotClient.crm.objects.calls.basicApi.create({
-                                properties,
-                                associations: callAssociations
-                            });
-                            await upsertGhlHubspotIdMap(db, {
-                                ghlId: message?.id,
-                                hubspotId: created?.id,
-                                objectTypeId: "call"
-                            });
-                            summary.createdCalls += 1;
-                        } catch (err) {
-                            const status = err?.code || err?.response?.statusCode || err?.response?.status;
-                            console.error("failed to create call", status || "", err?.message || err);
-                            await recordFailedMigration(db, {
-                                entityType: "conversation_message",
-                                ghlId: message?.id,
-                                reason: err?.message || String(err),
-                                meta: {
-                                    conversationId,
-                                    kind: "call",
-                                    messageType: message?.messageType || message?.type || message?.channel
-                                }
-                            });
-                            summary.errors += 1;
-                        }
+                        await queueEngagement("calls", "call", "call", "createdCalls", properties, callAssociations);
                     }
                 }
-                if (conversationId) {
-                    await saveCheckpoint(db, checkpointId, {
-                        lastConversationId: conversationId,
-                        lastMessageId: message?.id || null
-                    });
-                }
             }
-        }
+        }, {
+            concurrency,
+            checkpointOf: (conversation) => (conversation?._id ? String(conversation._id) : null),
+            onCheckpoint: (lastConversationId) => lastConversationId && saveCheckpoint(db, checkpointId, {
+                lastConversationId,
+                lastMessageId: null
+            }, importRunId),
+            beforeDrain: () => writer.flush()
+        });
         return summary;
     } finally {
         await client.close();
@@ -960,10 +1037,17 @@ if (import.meta.url === new URL(process.argv[1], "file:").href) {
             mongoUri: cli.mongoUri,
             dbName: cli.dbName,
             collectionName: cli.collection,
+            messagesCollection: cli.messagesCollection,
+            recordingsBucket: cli.recordingsBucket,
+            uploadRecordings: cli.recordings !== false,
+            rehostAttachments: cli.rehostAttachments !== false,
             mapCollection: cli.mapCollection,
             hubspotAccessToken: cli.hubspotAccessToken,
             checkpointId: cli.checkpointId,
+            runId: cli.runId,
             resume: cli.resume !== false,
+            batchSize: cli.batchSize,
+            concurrency: cli.concurrency,
             dryRun: cli.dryRun,
             limit
         });
@@ -0,0 +1,76 @@
+import { CSAT_OBJECT } from "../customObjects/createCustomObjects.mjs";
+import { resolveCustomObjectType, upsertCustomObjectRecords } from "../customObjects/customObjectRecords.mjs";
+
+// objectTypeId of CSAT records in GHLHubspotIdMap, keyed by the GHL contact id.
+export const CSAT_OBJECT_TYPE_ID = "csat";
+// GHL survey questions answered on a 0–10 scale; the answer gives the record its NPS category.
+const NPS_FIELD_PATTERN = /\(0\s*[–-]\s*10 scale\)/i;
+
+/**
+ * The NPS category of a 0–10 answer: 9–10 promoter, 7–8 passive, 0–6 detractor.
+ */
+export function npsCategory(score) {
+    if (score === undefined || score === null || score === "") {
+        return undefined;
+    }
+    const value = Number(score);
+    if (!Number.isFinite(value) || value < 0 || value > 10) {
+        return undefined;
+    }
+    if (value >= 9) {
+        return "promoter";
+    }
+    return value >= 7 ? "passive" : "detractor";
+}
+
+/**
+ * The CSAT properties holding 0–10 answers, found by the GHL field names of the csat mappings.
+ */
+export function findNpsProperties(mappings = []) {
+    const properties = mappings
+        .filter((mapping) => mapping.object === "csat" && NPS_FIELD_PATTERN.test(mapping.ghlFieldName || ""))
+        .map((mapping) => mapping.property);
+    return [...new Set(properties)];
+}
+
+/**
+ * Adds nps_score and nps_category from the first valid 0–10 answer among `npsProperties`.
+ */
+export function withNpsCategory(properties, npsProperties = []) {
+    const score = npsProperties.map((name) => properties[name]).find((value) => npsCategory(value));
+    if (score === undefined) {
+        return properties;
+    }
+    return { ...properties, nps_score: Number(score), nps_category: npsCategory(score) };
+}
+
+/**
+ * Looks up the HubSpot object type id of the CSAT custom object.
+ */
+export async function resolveCsatObjectType(hubspotClient) {
+    return resolveCustomObjectType(hubspotClient, CSAT_OBJECT.name);
+}
+
+/**
+ * Creates or updates the CSAT record of each contact. Records are
+ * `{ ghlContactId, hubspotContactId, hubspotCompanyId, properties }`; a contact's record is found
+ * through GHLHubspotIdMap, so the deal migration adds its responses to the record the contact
+ * migration created. Records are associated with the contact and, when given, its company.
+ * With `npsProperties`, the first 0–10 answer sets nps_score and
+ * nps_category. Returns the created/updated/failed counts.
+ */
+export async function upsertCsatRecords(hubspotClient, db, records = [], { objectType, runId, npsProperties = [] } = {}) {
+    const withResponses = records.filter((record) => record?.ghlContactId && Object.keys(record.properties || {}).length > 0);
+    return upsertCustomObjectRecords(hubspotClient, db, withResponses.map((record) => ({
+        ghlId: record.ghlContactId,
+        properties: {
+            ...withNpsCategory(record.properties, npsProperties),
+            ghl_contact_id: record.ghlContactId,
+            import_tag: "GHL_MIGRATION"
+        },
+        associations: {
+            contacts: [record.hubspotContactId],
+            companies: [record.hubspotCompanyId]
+        }
+    })), { objectType, objectTypeId: CSAT_OBJECT_TYPE_ID, runId });
+}
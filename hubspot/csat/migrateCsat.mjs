@@ -0,0 +1,337 @@
+import { Client } from "@hubspot/api-client";
+import { MongoClient } from "mongodb";
+import { MAX_BATCH_SIZE, batchReadAssociations } from "../../src/hubspotBatch.mjs";
+import { getSharedRateGovernor } from "../../src/hubspotRateGovernor.mjs";
+import { resolveRunId } from "../../src/migrationRun.mjs";
+import { runWorkerPool } from "../../src/workerPool.mjs";
+import { applyFieldMappings, loadFieldMappings, mappingSource } from "../customFields/fieldMappings.mjs";
+import { loadCustomFieldsFromDb, mapGhlFieldToHubspotProperty, resolveFieldObject } from "../customFields/transferCustomFields.mjs";
+import { CSAT_OBJECT, createCustomObject } from "../customObjects/createCustomObjects.mjs";
+import {
+    findNpsProperties,
+    resolveCsatObjectType,
+    upsertCsatRecords,
+    withNpsCategory
+} from "./csatRecords.mjs";
+
+const DEFAULT_DB_NAME = "GoHighLevel";
+const DEFAULT_COLLECTION = "contacts";
+const DEFAULT_MAP_COLLECTION = "GHLHubspotIdMap";
+const DEFAULT_CHECKPOINT_ID = "hubspot_csat";
+
+function buildHubspotClient(accessToken = process.env.HUBSPOT_ACCESS_TOKEN) {
+    if (!accessToken) {
+        throw new Error("HUBSPOT_ACCESS_TOKEN is not set");
+    }
+    return new Client({ accessToken, ...getSharedRateGovernor().clientOptions });
+}
+
+function toCamelCase(input) {
+    return input.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+function parseCliArgs(argv = []) {
+    const options = {};
+    for (let i = 0; i < argv.length; i += 1) {
+        const arg = argv[i];
+        if (!arg.startsWith("--")) {
+            continue;
+        }
+        const raw = arg.slice(2);
+        if (!raw) {
+            continue;
+        }
+        if (raw === "help") {
+            options.help = true;
+            continue;
+        }
+        if (raw.startsWith("no-")) {
+            const key = toCamelCase(raw.slice(3));
+            options[key] = false;
+            continue;
+        }
+        const [keyPart, valuePart] = raw.split("=", 2);
+        const key = toCamelCase(keyPart);
+        if (valuePart !== undefined) {
+            options[key] = valuePart;
+            continue;
+        }
+        if (key === "dryRun" || key === "resume" || key === "createSchema") {
+            options[key] = true;
+            continue;
+        }
+        const next = argv[i + 1];
+        if (next && !next.startsWith("--")) {
+            options[key] = next;
+            i += 1;
+        }
+    }
+    return options;
+}
+
+function printUsage() {
+    console.log(`
+Usage: node hubspot/csat/migrateCsat.mjs [options]
+
+Creates one CSAT record per GHL contact that answered a field whose destination is "CSAT",
+associated with the migrated contact and its company, with the NPS category of its 0–10 answer.
+
+Options:
+  --create-schema          Create or update the CSAT object with a property per CSAT field first
+  --mongo-uri <uri>        Mongo connection string
+  --db-name <name>         Mongo database name (default: GoHighLevel)
+  --collection <name>      Mongo contacts collection (default: contacts)
+  --map-collection <name>  Mapping collection (default: GHLHubspotIdMap)
+  --field-mappings <path>  Field mappings file (default: ghl_field_mappings collection or customFields/fieldMappings.json)
+  --limit <number>         Max contacts to read
+  --batch-size <number>    Contacts per batch (default/max: 100)
+  --concurrency <number>   Batches processed in parallel (default: 1)
+  --checkpoint-id <id>     Checkpoint document id
+  --run-id <id>            Run id stamped on created records (default: generated)
+  --resume                 Resume from checkpoint (default)
+  --no-resume              Start from the beginning
+  --dry-run                Log actions without calling HubSpot
+  --hubspot-access-token <token>  HubSpot private app token
+  --help                   Show this help message
+`);
+}
+
+async function getDb(mongoUri, dbName) {
+    if (!mongoUri) {
+        throw new Error("MONGO_URI is not set");
+    }
+    const client = new MongoClient(mongoUri);
+    await client.connect();
+    return { client, db: client.db(dbName) };
+}
+
+async function loadCheckpoint(db, checkpointId) {
+    return db.collection("hubspot_transfer_checkpoints").findOne({ _id: checkpointId });
+}
+
+async function saveCheckpoint(db, checkpointId, data, runId) {
+    const payload = { ...data, updatedAt: new Date() };
+    const update = { $set: payload, $setOnInsert: { createdAt: new Date() } };
+    if (runId) {
+        update.$addToSet = { runIds: runId };
+    }
+    await db.collection("hubspot_transfer_checkpoints").updateOne({ _id: checkpointId }, update, { upsert: true });
+}
+
+async function recordFailedMigration(db, {
+    entityType,
+    ghlId,
+    reason
+} = {}) {
+    if (!db || !entityType || !ghlId) {
+        return;
+    }
+    await db.collection("hubspot_failed_migrations").updateOne(
+        { entityType, ghlId },
+        {
+            $set: { reason, updatedAt: new Date() },
+            $setOnInsert: { createdAt: new Date() }
+        },
+        { upsert: true }
+    );
+}
+
+async function* readPages(cursor, size) {
+    let page = [];
+    for await (const document of cursor) {
+        page.push(document);
+        if (page.length >= size) {
+            yield page;
+            page = [];
+        }
+    }
+    if (page.length > 0) {
+        yield page;
+    }
+}
+
+function compactProperties(properties) {
+    return Object.fromEntries(Object.entries(properties)
+        .filter(([, value]) => value !== undefined && value !== null && value !== ""));
+}
+
+/**
+ * The CSAT object definition: CSAT_OBJECT plus a property for every GHL field whose destination
+ * is "CSAT", named as transferCustomFields names it. `customFields` are the `{ model, field }`
+ * pairs from loadCustomFieldsFromDb.
+ */
+export function buildCsatObjectDefinition(customFields = []) {
+    const properties = [...CSAT_OBJECT.properties];
+    const names = new Set(properties.map((property) => property.name));
+    customFields
+        .filter(({ field }) => resolveFieldObject(field) === "csat")
+        .forEach(({ field }) => {
+            const property = mapGhlFieldToHubspotProperty(field);
+            // GHL keeps copies of a survey question under one field key; they share a property.
+            if (names.has(property.name)) {
+                return;
+            }
+            names.add(property.name);
+            properties.push(property);
+        });
+    return { ...CSAT_OBJECT, properties };
+}
+
+/**
+ * Builds each contact's CSAT answers from its own customFields and, for CSAT fields on the
+ * opportunity model, from its opportunities, then creates or updates its CSAT record.
+ * Contacts without answers are skipped; contacts not yet in HubSpot are recorded as failed.
+ */
+export async function migrateCsatToHubspot({
+    mongoUri = process.env.MONGO_URI || "mongodb://localhost:27017",
+    dbName = DEFAULT_DB_NAME,
+    collectionName = DEFAULT_COLLECTION,
+    mapCollection = DEFAULT_MAP_COLLECTION,
+    hubspotAccessToken = process.env.HUBSPOT_ACCESS_TOKEN,
+    checkpointId = DEFAULT_CHECKPOINT_ID,
+    resume = true,
+    dryRun = false,
+    limit,
+    createSchema = false,
+    fieldMappingsPath,
+    batchSize = MAX_BATCH_SIZE,
+    concurrency = 1,
+    runId
+} = {}) {
+    if (!hubspotAccessToken && !dryRun) {
+        throw new Error("HUBSPOT_ACCESS_TOKEN is not set");
+    }
+    const importRunId = resolveRunId(runId);
+    console.log(`csat import run: ${importRunId}`);
+    const { client, db } = await getDb(mongoUri, dbName);
+    try {
+        const summary = {
+            processed: 0,
+            withResponses: 0,
+            created: 0,
+            updated: 0,
+            skippedUnmappedContact: 0,
+            failed: 0
+        };
+        const fieldMappings = await loadFieldMappings(db, { mappingsPath: fieldMappingsPath });
+        const csatMappings = fieldMappings.filter((mapping) => mapping.object === "csat");
+        if (csatMappings.length === 0) {
+            console.warn("no GHL fields have the CSAT destination; pick CSAT in the HubSpot.html Custom Fields panel");
+            return summary;
+        }
+        const readsOpportunities = csatMappings.some((mapping) => mappingSource(mapping) === "opportunity");
+        const npsProperties = findNpsProperties(fieldMappings);
+        if (npsProperties.length === 0) {
+            console.warn("no CSAT field is a 0–10 question; records will have no NPS category");
+        }
+
+        const hubspotClient = dryRun ? null : buildHubspotClient(hubspotAccessToken);
+        if (createSchema) {
+            const definition = buildCsatObjectDefinition(await loadCustomFieldsFromDb(db));
+            if (dryRun) {
+                console.log("[dry-run] csat object properties:", definition.properties.map((property) => property.name).join(", "));
+            } else {
+                await createCustomObject(hubspotClient, definition);
+            }
+        }
+        const objectType = dryRun ? null : await resolveCsatObjectType(hubspotClient);
+
+        const query = {};
+        if (resume) {
+            const checkpoint = await loadCheckpoint(db, checkpointId);
+            if (checkpoint?.lastId) {
+                query._id = { $gt: checkpoint.lastId };
+            }
+        }
+        let cursor = db.collection(collectionName).find(query).sort({ _id: 1 });
+        if (limit) {
+            cursor = cursor.limit(Number(limit));
+        }
+        const mapColl = db.collection(mapCollection);
+        const size = Math.min(Math.max(1, Number(batchSize) || MAX_BATCH_SIZE), MAX_BATCH_SIZE);
+
+        await runWorkerPool(readPages(cursor, size), async (page) => {
+            const records = [];
+            for (const contact of page) {
+                summary.processed += 1;
+                const properties = applyFieldMappings(contact?.customFields, fieldMappings, "csat");
+                if (readsOpportunities && contact?.id) {
+                    const opportunities = await db.collection("opportunities").find({ contactId: contact.id }).sort({ _id: 1 }).toArray();
+                    opportunities.forEach((opportunity) => {
+                        Object.assign(properties, applyFieldMappings(opportunity?.customFields, fieldMappings, "csat", "opportunity"));
+                    });
+                }
+                const answers = compactProperties(properties);
+                if (!contact?.id || Object.keys(answers).length === 0) {
+                    continue;
+                }
+                summary.withResponses += 1;
+                if (dryRun) {
+                    console.log("[dry-run] csat record", contact.id, JSON.stringify(withNpsCategory(answers, npsProperties)));
+                    continue;
+                }
+                const contactMap = await mapColl.findOne({ ghlId: contact.id, objectTypeId: "contact" });
+                if (!contactMap?.hubspotId) {
+                    summary.skippedUnmappedContact += 1;
+                    await recordFailedMigration(db, { entityType: "csat", ghlId: contact.id, reason: "missing hubspot contact mapping" });
+                    continue;
+                }
+                records.push({ ghlContactId: contact.id, hubspotContactId: String(contactMap.hubspotId), properties: answers });
+            }
+            if (records.length === 0) {
+                return;
+            }
+            const companies = await batchReadAssociations(hubspotClient, "contacts", "companies", records.map((record) => record.hubspotContactId));
+            records.forEach((record) => {
+                record.hubspotCompanyId = companies.get(record.hubspotContactId)?.[0] || null;
+            });
+            const counts = await upsertCsatRecords(hubspotClient, db, records, { objectType, runId: importRunId, npsProperties });
+            summary.created += counts.created;
+            summary.updated += counts.updated;
+            summary.failed += counts.failed;
+        }, {
+            concurrency,
+            checkpointOf: (page) => page[page.length - 1]._id,
+            onCheckpoint: (lastId) => saveCheckpoint(db, checkpointId, { lastId, ...summary }, importRunId)
+        });
+
+        return summary;
+    } finally {
+        await client.close();
+    }
+}
+
+if (import.meta.url === new URL(process.argv[1], "file:").href) {
+    const cli = parseCliArgs(process.argv.slice(2));
+    if (cli.help || process.argv.length <= 2) {
+        printUsage();
+        process.exit(0);
+    }
+    const parsedLimit = cli.limit ? Number(cli.limit) : undefined;
+    const limit = Number.isInteger(parsedLimit) && parsedLimit > 0 ? parsedLimit : undefined;
+
+    const run = async () => {
+        const summary = await migrateCsatToHubspot({
+            mongoUri: cli.mongoUri,
+            dbName: cli.dbName,
+            collectionName: cli.collection,
+            mapCollection: cli.mapCollection,
+            hubspotAccessToken: cli.hubspotAccessToken,
+            checkpointId: cli.checkpointId,
+            runId: cli.runId,
+            resume: cli.resume !== false,
+            dryRun: cli.dryRun,
+            limit,
+            createSchema: cli.createSchema,
+            fieldMappingsPath: cli.fieldMappings,
+            batchSize: cli.batchSize,
+            concurrency: cli.concurrency
+        });
+        console.log("csat migration complete:", summary);
+    };
+
+    run().catch((err) => {
+        console.error("migrateCsat failed:", err?.message || err);
+        process.exit(1);
+    });
+}
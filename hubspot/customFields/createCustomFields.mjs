@@ -1,4 +1,8 @@
 import { Client } from "@hubspot/api-client";
+import { createInterface } from "node:readline/promises";
+import { ensureRunIdProperty } from "../../src/hubspotBatch.mjs";
+import { getSharedRateGovernor } from "../../src/hubspotRateGovernor.mjs";
+import { diffProperty, formatPropertyChanges, toPropertyUpdate } from "./propertyDiff.mjs";
 
 const DEFAULT_FIELD_TYPE = "text";
 const DEFAULT_PROPERTY_TYPE = "string";
@@ -158,6 +162,26 @@ async function ensurePropertyGroup(hubspotClient, objectType, groupName, knownGr
     }
 }
 
+function toPropertyPayload(normalized, defaultGroupName) {
+    const payload = {
+        name: normalized.name,
+        label: normalized.label,
+        type: normalized.type,
+        fieldType: normalized.fieldType,
+        groupName: normalized.groupName || defaultGroupName
+    };
+    if (normalized.description) {
+        payload.description = normalized.description;
+    }
+    if (normalized.hidden !== undefined) {
+        payload.hidden = normalized.hidden;
+    }
+    if (Array.isArray(normalized.options) && normalized.options.length > 0) {
+        payload.options = normalized.options;
+    }
+    return payload;
+}
+
 /**
  * Create custom fields on a HubSpot object type.
  */
@@ -188,22 +212,10 @@ export async function createHubspotCustomFieldsOnObjectType(
         if (!defaultGroupName && !normalized.groupName) {
             defaultGroupName = await resolveDefaultGroupName(hubspotClient, objectType);
         }
-        const payload = {
-            name: normalized.name,
-            label: normalized.label,
-            type: normalized.type,
-            fieldType: normalized.fieldType,
-            groupName: normalized.groupName || defaultGroupName
-        };
-        if (normalized.description) {
-            payload.description = normalized.description;
-        }
+        const payload = toPropertyPayload(normalized, defaultGroupName);
         if (normalized.defaultValue !== undefined) {
             payload.defaultValue = normalized.defaultValue;
         }
-        if (Array.isArray(normalized.options) && normalized.options.length > 0) {
-            payload.options = normalized.options;
-        }
         if (dryRun) {
             console.log(`[dry-run] create property on ${objectType}`, payload.name);
             results.push({ name: payload.name, action: "dry-run" });
@@ -247,11 +259,95 @@ export async function deleteHubspotCustomFieldsOnObjectType(
     return results;
 }
 
+/**
+ * Compares configured fields with the properties HubSpot has on `objectType`. The plan lists
+ * property groups to create, properties to create, and properties whose label, options, group,
+ * description or `hidden` differ. Type and field type changes are listed with `typeChange`
+ * since HubSpot cannot make them in place.
+ */
+export async function planHubspotCustomFieldsOnObjectType(hubspotClient, objectType, fields = []) {
+    if (!hubspotClient) {
+        throw new Error("hubspotClient is required");
+    }
+    if (!objectType) {
+        throw new Error("objectType is required");
+    }
+    const response = await hubspotClient.crm.properties.coreApi.getAll(objectType);
+    const liveByName = new Map((response?.results || []).map((property) => [property.name, property]));
+    const knownGroups = await listGroupNames(hubspotClient, objectType);
+    const plan = { objectType, groups: [], added: [], changed: [], unchanged: 0 };
+    let defaultGroupName;
+    for (const field of fields) {
+        const normalized = normalizeFieldDefinition(field);
+        if (normalized.groupName && !knownGroups.has(normalized.groupName) && !plan.groups.includes(normalized.groupName)) {
+            plan.groups.push(normalized.groupName);
+        }
+        const live = liveByName.get(normalized.name);
+        if (!live) {
+            if (!defaultGroupName && !normalized.groupName) {
+                defaultGroupName = await resolveDefaultGroupName(hubspotClient, objectType);
+            }
+            plan.added.push(toPropertyPayload(normalized, defaultGroupName));
+            continue;
+        }
+        const desired = toPropertyPayload(normalized);
+        const changes = diffProperty(desired, live);
+        if (changes.length === 0) {
+            plan.unchanged += 1;
+            continue;
+        }
+        plan.changed.push({ name: normalized.name, changes, update: toPropertyUpdate(desired, changes) });
+    }
+    return plan;
+}
+
+/**
+ * The plan as lines: `+` to create, `~` to update, `!` for type changes that are not applied.
+ */
+export function formatCustomFieldsPlan(plan) {
+    const lines = [`${plan.objectType}: +${plan.added.length} ~${plan.changed.length} (${plan.unchanged} unchanged)`];
+    plan.groups.forEach((groupName) => lines.push(`    + group ${groupName}`));
+    plan.added.forEach((property) => lines.push(`    + ${property.name} (${property.type}/${property.fieldType})`));
+    plan.changed.forEach((entry) => {
+        const blocked = entry.changes.some((change) => change.typeChange);
+        lines.push(`    ${blocked ? "!" : "~"} ${entry.name}`);
+        formatPropertyChanges(entry.changes).forEach((line) => lines.push(`        ${line}`));
+    });
+    return lines;
+}
+
+/**
+ * Applies a plan from planHubspotCustomFieldsOnObjectType. Type changes are skipped with a
+ * warning; the rest of the property's changes are still applied.
+ */
+export async function applyHubspotCustomFieldsPlan(hubspotClient, plan) {
+    const results = [];
+    const knownGroups = new Set();
+    for (const groupName of plan.groups) {
+        await ensurePropertyGroup(hubspotClient, plan.objectType, groupName, knownGroups);
+    }
+    for (const payload of plan.added) {
+        results.push(await createProperty(hubspotClient, plan.objectType, payload));
+    }
+    for (const entry of plan.changed) {
+        entry.changes.filter((change) => change.typeChange).forEach((change) => {
+            console.warn(`skipping ${plan.objectType}.${entry.name} ${change.attribute} change ${change.from} -> ${change.to}; HubSpot cannot change it in place`);
+        });
+        if (Object.keys(entry.update).length === 0) {
+            results.push({ name: entry.name, action: "type-change-skipped" });
+            continue;
+        }
+        await hubspotClient.crm.properties.coreApi.update(plan.objectType, entry.name, entry.update);
+        results.push({ name: entry.name, action: "updated" });
+    }
+    return results;
+}
+
 export function buildHubspotClient(accessToken = process.env.HUBSPOT_ACCESS_TOKEN) {
     if (!accessToken) {
         throw new Error("HUBSPOT_ACCESS_TOKEN is not set");
     }
-    return new Client({ accessToken });
+    return new Client({ accessToken, ...getSharedRateGovernor().clientOptions });
 }
 
 export async function createHubspotCustomFields(customFields = {}) {
@@ -270,6 +366,7 @@ const WEBSITE_GROUP_NAME = "via_website_details";
 const OPPORTUNITY_GROUP_NAME = "via_deal_details";
 const APPOINTMENT_GROUP_NAME = "via_appointment_details";
 
+// Every object type here is stamped by a migrator, so each also gets the import_run_id property.
 export const CUSTOM_FIELDS = [
     {objectType: "contacts", fields: [
         {
@@ -357,6 +454,13 @@ export const CUSTOM_FIELDS = [
             fieldType: "text",
             hidden: true,
         },
+        {
+            name: "ghl_id",
+            label: "GHL ID",
+            type: "string",
+            fieldType: "text",
+            hidden: true,
+        },
         {
             name: "ghl_created_date",
             label: "Created Date",
@@ -874,53 +978,24 @@ export const CUSTOM_FIELDS = [
                 {label:"App", value:"app"}
             ],
         }
+    ]},
+    {objectType:'tasks', fields:[
+        {
+            name: "import_tag",
+            label: "Import Tag",
+            type: "string",
+            fieldType: "text",
+            hidden: true,
+        },
+        {
+            name: "ghl_id",
+            label: "GHL Id",
+            type: "string",
+            fieldType: "text",
+        }
     ]}
-];
+].map((config) => ({ ...config, fields: ensureRunIdProperty(config.fields) }));
 
-export async function patchContractedServicesOnContacts({
-    dryRun = false,
-    propertyName = "via_industry"
-} = {}) {
-    const hubspotClient = buildHubspotClient();
-    const field = CUSTOM_FIELDS
-        .find((item) => item.objectType === "company")
-        ?.fields?.find((f) => f.name === propertyName);
-    if (!field) {
-        throw new Error(`No field definition found for ${propertyName}`);
-    }
-    const options = Array.isArray(field.options)
-        ? field.options.map((option, index) => ({
-            label: option,
-            value: toHubspotPropertyName(option),
-            displayOrder: index,
-            hidden: false
-        }))
-        : [];
-    const payload = { options };
-    if (dryRun) {
-        console.log(`[dry-run] patch contacts property ${propertyName}`);
-        return payload;
-    }
-    try {
-        await hubspotClient.crm.properties.coreApi.getByName("company", propertyName);
-    } catch (err) {
-        const status = err?.code || err?.response?.statusCode || err?.response?.status;
-        if (status !== 404) {
-            throw err;
-        }
-        const createPayload = {
-            name: propertyName,
-            label: field.label || propertyName,
-            type: "enumeration",
-            fieldType: "checkbox",
-            groupName: COMPANY_GROUP_NAME,
-            options
-        };
-        await createProperty(hubspotClient, "company", createPayload);
-    }
-    return hubspotClient.crm.properties.coreApi.update("company", propertyName, payload);
-}
-// console.log(await patchContractedServicesOnContacts({ dryRun: false }));
 function toCamelCase(input) {
     return input.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
 }
@@ -951,7 +1026,7 @@ function parseCliArgs(argv = []) {
             options[key] = valuePart;
             continue;
         }
-        if (key === "create" || key === "delete") {
+        if (key === "create" || key === "delete" || key === "reconcile" || key === "apply" || key === "yes") {
             options[key] = true;
             continue;
         }
@@ -964,6 +1039,52 @@ function parseCliArgs(argv = []) {
     return options;
 }
 
+async function confirm(question) {
+    if (!process.stdin.isTTY) {
+        throw new Error("confirmation needs a terminal; pass --yes to apply without it");
+    }
+    const rl = createInterface({ input: process.stdin, output: process.stdout });
+    try {
+        const answer = await rl.question(question);
+        return answer.trim().toLowerCase() === "yes";
+    } finally {
+        rl.close();
+    }
+}
+
+/**
+ * Reconciles the CUSTOM_FIELDS entries (or only `entity`) with HubSpot: prints each object's
+ * plan, then with `apply` asks for confirmation unless `yes` is set and applies the plans
+ * that have changes.
+ */
+export async function reconcileHubspotCustomFields({ entity, apply = false, yes = false } = {}) {
+    const hubspotClient = buildHubspotClient();
+    const configs = entity ? [findCustomFieldsForEntity(entity)].filter(Boolean) : CUSTOM_FIELDS;
+    if (configs.length === 0) {
+        throw new Error(`No custom fields configured for entity: ${entity}`);
+    }
+    const plans = [];
+    for (const config of configs) {
+        const plan = await planHubspotCustomFieldsOnObjectType(hubspotClient, config.objectType, config.fields);
+        console.log(formatCustomFieldsPlan(plan).join("\n"));
+        plans.push(plan);
+    }
+    const pending = plans.filter((plan) => plan.groups.length + plan.added.length + plan.changed.length > 0);
+    if (!apply || pending.length === 0) {
+        return { plans, applied: {} };
+    }
+    const confirmed = yes || await confirm(`Apply changes to ${pending.map((plan) => plan.objectType).join(", ")}? Type "yes" to continue: `);
+    if (!confirmed) {
+        console.log("apply cancelled");
+        return { plans, applied: {} };
+    }
+    const applied = {};
+    for (const plan of pending) {
+        applied[plan.objectType] = await applyHubspotCustomFieldsPlan(hubspotClient, plan);
+    }
+    return { plans, applied };
+}
+
 function printUsage() {
     console.log(`
 Usage: node hubspot/customFields/createCustomObject.mjs [options]
@@ -972,6 +1093,9 @@ Options:
   --entity <objectType>   HubSpot object type (e.g. contacts, deals)
   --create                Create custom fields for the entity
   --delete                Delete custom fields for the entity
+  --reconcile             Print what differs between CUSTOM_FIELDS and HubSpot (all entities without --entity)
+  --apply                 With --reconcile, apply the plan after confirmation
+  --yes                   Apply without asking for confirmation
   --help                  Show this help message
 `);
 }
@@ -984,13 +1108,20 @@ function findCustomFieldsForEntity(entity) {
 async function runCustomFieldsCli({
     entity,
     create = false,
-    deleteMode = false
+    deleteMode = false,
+    reconcile = false,
+    apply = false,
+    yes = false
 } = {}) {
+    if (reconcile) {
+        await reconcileHubspotCustomFields({ entity, apply, yes });
+        return;
+    }
     if (!entity) {
         throw new Error("entity is required");
     }
     if (!create && !deleteMode) {
-        throw new Error("Specify --create or --delete");
+        throw new Error("Specify --create, --delete or --reconcile");
     }
     const config = findCustomFieldsForEntity(entity);
     if (!config) {
@@ -1020,7 +1151,10 @@ if (import.meta.url === new URL(process.argv[1], "file:").href) {
     runCustomFieldsCli({
         entity: cli.entity,
         create: cli.create,
-        deleteMode: cli.delete
+        deleteMode: cli.delete,
+        reconcile: cli.reconcile,
+        apply: cli.apply,
+        yes: cli.yes
     }).catch((err) => {
         console.error("custom fields runner failed:", err?.message || err);
         process.exit(1);
@@ -0,0 +1,242 @@
+import { Client } from "@hubspot/api-client";
+import { writeFile } from "node:fs/promises";
+import { getSharedRateGovernor } from "../../src/hubspotRateGovernor.mjs";
+import { STANDARD_OBJECT_TYPE_IDS } from "../customObjects/createCustomObjects.mjs";
+
+// Object types named as in CUSTOM_FIELDS.
+const DEFAULT_OBJECT_TYPES = ["contacts", "company", "deals", "meetings"];
+const ASSOCIATED_OBJECT_BY_TYPE_ID = Object.fromEntries(
+    Object.entries(STANDARD_OBJECT_TYPE_IDS).map(([object, objectTypeId]) => [objectTypeId, object])
+);
+
+function buildHubspotClient(accessToken = process.env.HUBSPOT_ACCESS_TOKEN) {
+    if (!accessToken) {
+        throw new Error("HUBSPOT_ACCESS_TOKEN is not set");
+    }
+    return new Client({ accessToken, ...getSharedRateGovernor().clientOptions });
+}
+
+// HubSpot's own properties and those owned by an integration (read-only definitions) are not ours to manage.
+function isManagedProperty(property) {
+    return property?.hubspotDefined !== true
+        && property?.modificationMetadata?.readOnlyDefinition !== true
+        && !`${property?.name || ""}`.startsWith("hs_");
+}
+
+function byDisplayOrder(a, b) {
+    return (a.displayOrder ?? 0) - (b.displayOrder ?? 0);
+}
+
+async function listGroups(hubspotClient, objectType) {
+    const response = await hubspotClient.crm.properties.groupsApi.getAll(objectType);
+    return Array.isArray(response) ? response : response?.results || [];
+}
+
+/**
+ * A HubSpot property as a CUSTOM_FIELDS field. The group is left out when it is the object's
+ * default group, where createHubspotCustomFieldsOnObjectType puts fields without one.
+ */
+export function toFieldDefinition(property, defaultGroupName) {
+    // Checkboxes come back as enumerations with true/false options; CUSTOM_FIELDS writes them as booleans.
+    const isBoolean = property.fieldType === "booleancheckbox";
+    const field = {
+        name: property.name,
+        label: property.label,
+        type: isBoolean ? "boolean" : property.type,
+        fieldType: property.fieldType
+    };
+    if (property.groupName && property.groupName !== defaultGroupName) {
+        field.groupName = property.groupName;
+    }
+    if (property.description) {
+        field.description = property.description;
+    }
+    if (property.hasUniqueValue) {
+        field.hasUniqueValue = true;
+    }
+    if (property.hidden) {
+        field.hidden = true;
+    }
+    if (!isBoolean && property.type === "enumeration" && Array.isArray(property.options) && property.options.length > 0) {
+        field.options = [...property.options].sort(byDisplayOrder).map((option) => ({
+            label: option.label,
+            value: option.value,
+            ...(option.hidden ? { hidden: true } : {})
+        }));
+    }
+    return field;
+}
+
+/**
+ * Reads the non-HubSpot-defined properties of `objectType` as a CUSTOM_FIELDS entry
+ * `{ objectType, groups, fields }`, with the non-default groups those fields use.
+ */
+export async function exportObjectTypeFields(hubspotClient, objectType) {
+    const response = await hubspotClient.crm.properties.coreApi.getAll(objectType);
+    const groups = await listGroups(hubspotClient, objectType);
+    const defaultGroupName = groups[0]?.name;
+    const fields = (response?.results || [])
+        .filter(isManagedProperty)
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map((property) => toFieldDefinition(property, defaultGroupName));
+    const usedGroups = new Set(fields.map((field) => field.groupName).filter(Boolean));
+    return {
+        objectType,
+        groups: groups
+            .filter((group) => usedGroups.has(group.name))
+            .sort(byDisplayOrder)
+            .map((group) => ({ name: group.name, label: group.label })),
+        fields
+    };
+}
+
+/**
+ * Reads every custom object schema in the portal in the shape of BILLING_SUBSCRIPTION_OBJECT.
+ */
+export async function exportCustomObjectDefinitions(hubspotClient) {
+    const response = await hubspotClient.crm.schemas.coreApi.getAll();
+    const schemas = Array.isArray(response?.results) ? response.results : response || [];
+    const definitions = [];
+    for (const schema of schemas) {
+        const groups = await listGroups(hubspotClient, schema.objectTypeId);
+        const defaultGroupName = groups[0]?.name;
+        const associatedObjects = [...new Set((schema.associations || [])
+            .flatMap((association) => [association?.fromObjectTypeId, association?.toObjectTypeId])
+            .map((objectTypeId) => ASSOCIATED_OBJECT_BY_TYPE_ID[objectTypeId])
+            .filter(Boolean))];
+        definitions.push({
+            name: schema.name,
+            labels: { singular: schema.labels?.singular, plural: schema.labels?.plural },
+            primaryDisplayProperty: schema.primaryDisplayProperty,
+            secondaryDisplayProperties: schema.secondaryDisplayProperties || [],
+            searchableProperties: schema.searchableProperties || [],
+            requiredProperties: schema.requiredProperties || [],
+            associatedObjects,
+            properties: (schema.properties || [])
+                .filter(isManagedProperty)
+                .sort((a, b) => a.name.localeCompare(b.name))
+                .map((property) => toFieldDefinition(property, defaultGroupName))
+        });
+    }
+    return definitions;
+}
+
+/**
+ * Exports the portal's custom properties: one CUSTOM_FIELDS entry per object type and one
+ * definition per custom object. Properties are sorted by name so exports diff cleanly.
+ */
+export async function exportHubspotSchema({
+    hubspotAccessToken = process.env.HUBSPOT_ACCESS_TOKEN,
+    objectTypes = DEFAULT_OBJECT_TYPES,
+    customObjects = true
+} = {}) {
+    const hubspotClient = buildHubspotClient(hubspotAccessToken);
+    const customFields = [];
+    for (const objectType of objectTypes) {
+        customFields.push(await exportObjectTypeFields(hubspotClient, objectType));
+    }
+    return {
+        customFields,
+        customObjects: customObjects ? await exportCustomObjectDefinitions(hubspotClient) : []
+    };
+}
+
+/**
+ * The export as an ES module exporting CUSTOM_FIELDS and CUSTOM_OBJECTS.
+ */
+export function formatSchemaModule({ customFields, customObjects }) {
+    return [
+        `// Exported from HubSpot by hubspot/customFields/exportCustomFields.mjs on ${new Date().toISOString()}.`,
+        `export const CUSTOM_FIELDS = ${JSON.stringify(customFields, null, 4)};`,
+        "",
+        `export const CUSTOM_OBJECTS = ${JSON.stringify(customObjects, null, 4)};`,
+        ""
+    ].join("\n");
+}
+
+function toCamelCase(input) {
+    return input.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+function parseCliArgs(argv = []) {
+    const options = {};
+    for (let i = 0; i < argv.length; i += 1) {
+        const arg = argv[i];
+        if (!arg.startsWith("--")) {
+            continue;
+        }
+        const raw = arg.slice(2);
+        if (!raw) {
+            continue;
+        }
+        if (raw === "help") {
+            options.help = true;
+            continue;
+        }
+        if (raw.startsWith("no-")) {
+            const key = toCamelCase(raw.slice(3));
+            options[key] = false;
+            continue;
+        }
+        const [keyPart, valuePart] = raw.split("=", 2);
+        const key = toCamelCase(keyPart);
+        if (valuePart !== undefined) {
+            options[key] = valuePart;
+            continue;
+        }
+        if (key === "json") {
+            options[key] = true;
+            continue;
+        }
+        const next = argv[i + 1];
+        if (next && !next.startsWith("--")) {
+            options[key] = next;
+            i += 1;
+        }
+    }
+    return options;
+}
+
+function printUsage() {
+    console.log(`
+Usage: node hubspot/customFields/exportCustomFields.mjs [options]
+
+Exports the portal's non-HubSpot-defined properties as CUSTOM_FIELDS and custom object definitions.
+
+Options:
+  --out <path>                 Write the export to a file instead of stdout
+  --json                       Emit JSON instead of an ES module
+  --object-types <list>        Comma-separated object types (default: contacts,company,deals,meetings)
+  --no-custom-objects          Skip custom object schemas
+  --hubspot-access-token <tok> HubSpot private app token (default: env HUBSPOT_ACCESS_TOKEN)
+  --help                       Show this help message
+`);
+}
+
+if (import.meta.url === new URL(process.argv[1], "file:").href) {
+    const cli = parseCliArgs(process.argv.slice(2));
+    if (cli.help) {
+        printUsage();
+        process.exit(0);
+    }
+
+    const run = async () => {
+        const exported = await exportHubspotSchema({
+            hubspotAccessToken: cli.hubspotAccessToken,
+            objectTypes: cli.objectTypes ? cli.objectTypes.split(",").map((type) => type.trim()).filter(Boolean) : undefined,
+            customObjects: cli.customObjects !== false
+        });
+        const output = cli.json ? `${JSON.stringify(exported, null, 4)}\n` : formatSchemaModule(exported);
+        if (cli.out) {
+            await writeFile(cli.out, output);
+            console.log(`exported ${exported.customFields.length} object types and ${exported.customObjects.length} custom objects to ${cli.out}`);
+            return;
+        }
+        process.stdout.write(output);
+    };
+
+    run().catch((err) => {
+        console.error("custom field export failed:", err?.message || err);
+        process.exit(1);
+    });
+}
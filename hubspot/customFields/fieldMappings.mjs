@@ -0,0 +1,562 @@
+import { readFile } from "fs/promises";
+import { Client } from "@hubspot/api-client";
+import { MongoClient } from "mongodb";
+import { getSharedRateGovernor } from "../../src/hubspotRateGovernor.mjs";
+import { BILLING_SUBSCRIPTION_OBJECT, CSAT_OBJECT } from "../customObjects/createCustomObjects.mjs";
+import { resolveCustomObjectType } from "../customObjects/customObjectRecords.mjs";
+import {
+    FIELD_DESTINATION_OBJECTS,
+    loadCustomFieldsFromDb,
+    mapGhlFieldToHubspotProperty,
+    resolveFieldObject
+} from "./transferCustomFields.mjs";
+
+const DEFAULT_DB_NAME = "GoHighLevel";
+export const FIELD_MAPPINGS_COLLECTION = "ghl_field_mappings";
+const DEFAULT_MAPPINGS_PATH = new URL("./fieldMappings.json", import.meta.url);
+const GHL_FIELD_EXPORTS = {
+    contact: { path: new URL("./ghlCustomFieldsContacts.json", import.meta.url), key: "contact" },
+    opportunity: { path: new URL("./ghlCustomFIeldsOpportunity.json", import.meta.url), key: "opportunity" }
+};
+
+// The GHL record whose customFields feed each object, unless a mapping names its own `source`.
+// "csat" and "billing_subscriptions" are custom objects.
+const SOURCE_MODEL_BY_OBJECT = {
+    contacts: "contact",
+    companies: "contact",
+    deals: "opportunity",
+    csat: "contact",
+    billing_subscriptions: "contact"
+};
+// Custom object behind each custom object target, resolved to its HubSpot object type id.
+const CUSTOM_OBJECT_NAMES = {
+    csat: CSAT_OBJECT.name,
+    billing_subscriptions: BILLING_SUBSCRIPTION_OBJECT.name
+};
+const SOURCE_MODELS = ["contact", "opportunity"];
+
+// GHL data types each transform expects; transforms not listed accept any type.
+const TRANSFORM_DATA_TYPES = {
+    dateIso: ["DATE"],
+    dateOnly: ["DATE"],
+    fileUrls: ["FILE_UPLOAD"],
+    multiSelectJoin: ["MULTIPLE_OPTIONS", "CHECKBOX"],
+    number: ["TEXT", "NUMBER", "NUMERIC", "NUMERICAL", "MONETORY"],
+    booleanFromOption: ["SINGLE_OPTIONS", "CHECKBOX", "RADIO"]
+};
+
+function buildHubspotClient(accessToken = process.env.HUBSPOT_ACCESS_TOKEN) {
+    if (!accessToken) {
+        throw new Error("HUBSPOT_ACCESS_TOKEN is not set");
+    }
+    return new Client({ accessToken, ...getSharedRateGovernor().clientOptions });
+}
+
+function normalizeEnumerationValue(value) {
+    if (! value) return value;
+    value = value.toString().trim();
+    value = value
+        .replace(/[^a-z0-9]+/gi, "_")
+        .replace(/^_+|_+$/g, "")
+        .toLowerCase();
+    return value;
+}
+
+/**
+ * Named transforms a mapping can apply to a GHL custom field value. Each takes the value and the
+ * mapping's `options`; returning undefined leaves the HubSpot property out.
+ */
+export const FIELD_TRANSFORMS = {
+    copy: (value) => value,
+    dateIso: (value) => {
+        if (value === undefined || value === null || value === "") {
+            return undefined;
+        }
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+    },
+    // HubSpot date properties take a plain YYYY-MM-DD (UTC) day.
+    dateOnly: (value) => {
+        if (value === undefined || value === null || value === "") {
+            return undefined;
+        }
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? undefined : date.toISOString().slice(0, 10);
+    },
+    enumNormalize: (value) => normalizeEnumerationValue(value),
+    // The option value of each selected GHL option label, from `values`; unknown labels are normalized.
+    optionValue: (value, { values = {}, separator = ";" } = {}) => {
+        const selected = (Array.isArray(value) ? value : [value])
+            .filter((item) => item !== undefined && item !== null && item !== "")
+            .map((item) => values[String(item)] ?? normalizeEnumerationValue(item));
+        return selected.length > 0 ? selected.join(separator) : undefined;
+    },
+    // GHL file uploads are `{ <id>: { url, meta } }` maps or lists of them; keeps only the URLs.
+    fileUrls: (value, { separator = ", " } = {}) => {
+        const urls = [];
+        const collect = (item) => {
+            if (typeof item === "string") {
+                urls.push(item);
+            } else if (Array.isArray(item)) {
+                item.forEach(collect);
+            } else if (item?.url) {
+                urls.push(item.url);
+            } else if (item && typeof item === "object") {
+                Object.values(item).forEach(collect);
+            }
+        };
+        collect(value);
+        return urls.length > 0 ? urls.join(separator) : undefined;
+    },
+    // Amounts typed into text fields, e.g. "$1,250.00".
+    number: (value) => {
+        const digits = String(value ?? "").replace(/[^0-9.-]+/g, "");
+        const number = Number(digits);
+        return digits === "" || Number.isNaN(number) ? undefined : number;
+    },
+    multiSelectJoin: (value, { separator = ";" } = {}) => (Array.isArray(value)
+        ? value.map(normalizeEnumerationValue).join(separator)
+        : normalizeEnumerationValue(value)),
+    // True when every selected option is one of `trueValues`, e.g. a single consent checkbox.
+    booleanFromOption: (value, { trueValues = ["Yes"] } = {}) => {
+        const values = (Array.isArray(value) ? value : [value]).filter((item) => item !== undefined && item !== null);
+        return values.length > 0 && values.every((item) => trueValues.includes(String(item).trim()));
+    },
+    languageCode: (value, { codes = {}, defaultCode = "en" } = {}) => codes[String(value ?? "").trim()] || defaultCode
+};
+
+export function mappingSource(mapping) {
+    return mapping?.source || SOURCE_MODEL_BY_OBJECT[mapping?.object];
+}
+
+function readCustomFieldValue(customField, valueKey) {
+    if (valueKey) {
+        return customField?.[valueKey];
+    }
+    return customField?.value
+        ?? customField?.fieldValueString
+        ?? customField?.fieldValueDate
+        ?? customField?.fieldValueNumber
+        ?? customField?.fieldValueArray;
+}
+
+/**
+ * Builds the properties of one object (contacts, companies, deals or csat) from the customFields
+ * of a GHL `source` record (contact or opportunity) using the mappings that target it.
+ */
+export function applyFieldMappings(customFields = [], mappings = [], object, source = SOURCE_MODEL_BY_OBJECT[object]) {
+    const byFieldId = new Map();
+    mappings.filter((mapping) => mapping.object === object && mappingSource(mapping) === source).forEach((mapping) => {
+        if (!byFieldId.has(mapping.ghlFieldId)) {
+            byFieldId.set(mapping.ghlFieldId, []);
+        }
+        byFieldId.get(mapping.ghlFieldId).push(mapping);
+    });
+    const properties = {};
+    (customFields || []).forEach((customField) => {
+        (byFieldId.get(customField?.id) || []).forEach((mapping) => {
+            const transform = FIELD_TRANSFORMS[mapping.transform || "copy"];
+            properties[mapping.property] = transform(readCustomFieldValue(customField, mapping.valueKey), mapping.options || {});
+        });
+    });
+    return properties;
+}
+
+/**
+ * Checks the shape of each mapping: a known target object, a GHL field id, a HubSpot property
+ * and a known transform. Returns the problems found.
+ */
+function checkMappingShape(mappings) {
+    const errors = [];
+    if (!Array.isArray(mappings)) {
+        return ["field mappings must be an array"];
+    }
+    mappings.forEach((mapping, index) => {
+        const label = `mapping ${index} (${mapping?.ghlFieldId || "?"} -> ${mapping?.object || "?"}.${mapping?.property || "?"})`;
+        if (!SOURCE_MODEL_BY_OBJECT[mapping?.object]) {
+            errors.push(`${label}: object must be one of ${Object.keys(SOURCE_MODEL_BY_OBJECT).join(", ")}`);
+        }
+        if (!mapping?.ghlFieldId) {
+            errors.push(`${label}: ghlFieldId is required`);
+        }
+        if (!mapping?.property) {
+            errors.push(`${label}: property is required`);
+        }
+        if (mapping?.transform && !FIELD_TRANSFORMS[mapping.transform]) {
+            errors.push(`${label}: unknown transform "${mapping.transform}"`);
+        }
+        if (mapping?.source && !SOURCE_MODELS.includes(mapping.source)) {
+            errors.push(`${label}: source must be one of ${SOURCE_MODELS.join(", ")}`);
+        }
+    });
+    return errors;
+}
+
+async function readJson(path) {
+    return JSON.parse(await readFile(path, "utf8"));
+}
+
+async function readMappingsFile(path) {
+    const document = await readJson(path);
+    return Array.isArray(document) ? document : document?.fields || [];
+}
+
+// The transform that turns a GHL value into what the property built by mapGhlFieldToHubspotProperty accepts.
+function destinationTransform(field, property) {
+    if (property.type === "date") {
+        return { transform: "dateOnly" };
+    }
+    if (property.type === "datetime") {
+        return { transform: "dateIso" };
+    }
+    if (property.type === "number") {
+        return { transform: "number" };
+    }
+    if (property.type === "bool") {
+        const picklist = Array.isArray(field?.picklistOptions) ? field.picklistOptions.map(String) : [];
+        return { transform: "booleanFromOption", options: { trueValues: picklist.length > 0 ? picklist : ["Yes"] } };
+    }
+    if (property.type === "enumeration") {
+        const values = Object.fromEntries((property.options || []).map((option) => [option.label, option.value]));
+        return { transform: "optionValue", options: { values } };
+    }
+    if (String(field?.dataType || "").toUpperCase() === "FILE_UPLOAD") {
+        return { transform: "fileUrls" };
+    }
+    return { transform: "copy" };
+}
+
+function generateFieldMapping(model, field, object) {
+    const property = mapGhlFieldToHubspotProperty(field);
+    return {
+        object,
+        source: model,
+        ghlFieldId: field.id,
+        ghlFieldName: field?.name,
+        property: property.name,
+        ...destinationTransform(field, property)
+    };
+}
+
+/**
+ * One mapping per GHL custom field, writing its values to the property transferCustomFields
+ * creates for it (mapGhlFieldToHubspotProperty) on the object from resolveFieldObject.
+ * `customFields` are the `{ model, field }` pairs from loadCustomFieldsFromDb.
+ */
+export function buildFieldValueMappings(customFields = []) {
+    return customFields
+        .filter(({ field }) => field?.id)
+        .map(({ model, field }) => generateFieldMapping(model, field, resolveFieldObject(field)));
+}
+
+/**
+ * Routes fields by the destination picked for them in HubSpot.html. Mappings of a field with a
+ * destination keep their property and transform only when they target the destination object;
+ * otherwise the field's values go to the destination object's property created by
+ * transferCustomFields. Company mappings are left alone since companies are not a destination.
+ * `customFields` are the `{ model, field }` pairs from loadCustomFieldsFromDb.
+ */
+export function applyFieldDestinations(mappings = [], customFields = []) {
+    const routed = new Map();
+    customFields.forEach(({ model, field }) => {
+        if (FIELD_DESTINATION_OBJECTS[field?.destination]) {
+            routed.set(field.id, { model, field, object: resolveFieldObject(field) });
+        }
+    });
+    const kept = mappings.filter((mapping) => {
+        const route = routed.get(mapping.ghlFieldId);
+        return !route || mapping.object === "companies" || mapping.object === route.object;
+    });
+    const generated = [];
+    routed.forEach(({ model, field, object }, ghlFieldId) => {
+        if (kept.some((mapping) => mapping.ghlFieldId === ghlFieldId && mapping.object === object)) {
+            return;
+        }
+        generated.push({ ...generateFieldMapping(model, field, object), destination: field.destination });
+    });
+    return [...kept, ...generated];
+}
+
+/**
+ * Loads the field mappings from `mappingsPath` when given, otherwise from the ghl_field_mappings
+ * collection, falling back to the bundled fieldMappings.json when the collection is empty.
+ * With a `db`, the destinations saved in the customfields collection are applied on top unless
+ * `destinations` is false. Throws when a mapping is malformed.
+ */
+export async function loadFieldMappings(db, { mappingsPath, destinations = true } = {}) {
+    let mappings;
+    if (mappingsPath) {
+        mappings = await readMappingsFile(mappingsPath);
+    } else {
+        const stored = db ? await db.collection(FIELD_MAPPINGS_COLLECTION).find({}).toArray() : [];
+        mappings = stored.length > 0 ? stored : await readMappingsFile(DEFAULT_MAPPINGS_PATH);
+    }
+    const errors = checkMappingShape(mappings);
+    if (errors.length > 0) {
+        throw new Error(`invalid field mappings: ${errors.join("; ")}`);
+    }
+    if (db && destinations) {
+        return applyFieldDestinations(mappings, await loadCustomFieldsFromDb(db));
+    }
+    return mappings;
+}
+
+/**
+ * Replaces the mappings stored in Mongo with `mappings`.
+ */
+export async function saveFieldMappings(db, mappings) {
+    const errors = checkMappingShape(mappings);
+    if (errors.length > 0) {
+        throw new Error(`invalid field mappings: ${errors.join("; ")}`);
+    }
+    const collection = db.collection(FIELD_MAPPINGS_COLLECTION);
+    const ids = [];
+    for (const mapping of mappings) {
+        const { _id, ...fields } = mapping;
+        const id = `${mapping.object}:${mapping.ghlFieldId}:${mapping.property}`;
+        ids.push(id);
+        await collection.replaceOne({ _id: id }, { ...fields, updatedAt: new Date() }, { upsert: true });
+    }
+    const removed = await collection.deleteMany({ _id: { $nin: ids } });
+    return { saved: ids.length, removed: removed.deletedCount };
+}
+
+export async function loadGhlFieldExports() {
+    const fields = new Map();
+    for (const { path, key } of Object.values(GHL_FIELD_EXPORTS)) {
+        const document = await readJson(path);
+        Object.values(document?.[key] || {}).forEach((field) => fields.set(field.id, field));
+    }
+    return fields;
+}
+
+/**
+ * Reads the live HubSpot properties of every object the mappings target.
+ * Returns a Map of object to a Map of property name to property; a custom object that does not
+ * exist yet is left out.
+ */
+export async function fetchHubspotProperties(hubspotClient, objects) {
+    const properties = new Map();
+    for (const object of objects) {
+        let objectType = object;
+        if (CUSTOM_OBJECT_NAMES[object]) {
+            try {
+                objectType = await resolveCustomObjectType(hubspotClient, CUSTOM_OBJECT_NAMES[object]);
+            } catch (err) {
+                console.warn(`skipping ${object} properties:`, err?.message || err);
+                continue;
+            }
+        }
+        const response = await hubspotClient.crm.properties.coreApi.getAll(objectType);
+        properties.set(object, new Map((response?.results || []).map((property) => [property.name, property])));
+    }
+    return properties;
+}
+
+function hubspotOptionValues(property) {
+    return new Set((property?.options || []).map((option) => option.value));
+}
+
+/**
+ * Validates mappings against the GHL custom field export and, when given, the live HubSpot
+ * properties. Errors make a mapping unusable; warnings point at values that will not land.
+ */
+export function validateFieldMappings(mappings, { ghlFields = new Map(), hubspotProperties } = {}) {
+    const errors = checkMappingShape(mappings);
+    const warnings = [];
+    if (errors.length > 0) {
+        return { errors, warnings };
+    }
+    mappings.forEach((mapping) => {
+        const label = `${mapping.ghlFieldId} -> ${mapping.object}.${mapping.property}`;
+        const transform = mapping.transform || "copy";
+        const options = mapping.options || {};
+        const ghlField = ghlFields.get(mapping.ghlFieldId);
+        if (!ghlField) {
+            warnings.push(`${label}: GHL field is not in the custom field export, so it will never match`);
+        } else {
+            if (ghlField.model !== mappingSource(mapping)) {
+                warnings.push(`${label}: "${ghlField.name}" is a ${ghlField.model} field but the mapping reads ${mappingSource(mapping)} fields`);
+            }
+            const dataTypes = TRANSFORM_DATA_TYPES[transform];
+            if (dataTypes && !dataTypes.includes(ghlField.dataType)) {
+                warnings.push(`${label}: transform ${transform} expects ${dataTypes.join("/")} but "${ghlField.name}" is ${ghlField.dataType}`);
+            }
+            const picklist = ghlField.picklistOptions || [];
+            if (transform === "booleanFromOption" && picklist.length > 0) {
+                (options.trueValues || ["Yes"])
+                    .filter((value) => !picklist.includes(value))
+                    .forEach((value) => warnings.push(`${label}: "${value}" is not an option of "${ghlField.name}"`));
+            }
+        }
+
+        if (!hubspotProperties) {
+            return;
+        }
+        const objectProperties = hubspotProperties.get(mapping.object);
+        if (!objectProperties) {
+            warnings.push(`${label}: ${mapping.object} does not exist in HubSpot yet`);
+            return;
+        }
+        const property = objectProperties.get(mapping.property);
+        if (!property && mapping.destination) {
+            warnings.push(`${label}: HubSpot property does not exist yet; run transferCustomFields.mjs --destinations-only`);
+            return;
+        }
+        if (!property) {
+            errors.push(`${label}: HubSpot property does not exist on ${mapping.object}`);
+            return;
+        }
+        if (transform === "booleanFromOption" && property.type !== "bool") {
+            warnings.push(`${label}: boolean value written to a ${property.type} property`);
+        }
+        if (property.type !== "enumeration") {
+            return;
+        }
+        const allowed = hubspotOptionValues(property);
+        let expected = [];
+        if (transform === "languageCode") {
+            expected = [...Object.values(options.codes || {}), options.defaultCode || "en"];
+        } else if (transform === "enumNormalize" || transform === "multiSelectJoin") {
+            expected = (ghlField?.picklistOptions || []).map(normalizeEnumerationValue);
+        } else if (transform === "optionValue") {
+            expected = Object.values(options.values || {});
+        } else if (transform === "copy") {
+            expected = ghlField?.picklistOptions || [];
+        }
+        const missing = [...new Set(expected)].filter((value) => value && !allowed.has(value));
+        if (missing.length > 0) {
+            warnings.push(`${label}: values missing from the HubSpot options: ${missing.join(", ")}`);
+        }
+    });
+    return { errors, warnings };
+}
+
+/**
+ * Loads the mappings and validates them against the GHL export and, with an access token,
+ * the live HubSpot schemas.
+ */
+export async function checkFieldMappings(db, { mappingsPath, hubspotAccessToken } = {}) {
+    const mappings = await loadFieldMappings(db, { mappingsPath });
+    const ghlFields = await loadGhlFieldExports();
+    const hubspotProperties = hubspotAccessToken
+        ? await fetchHubspotProperties(buildHubspotClient(hubspotAccessToken), [...new Set(mappings.map((mapping) => mapping.object))])
+        : undefined;
+    return { mappings: mappings.length, ...validateFieldMappings(mappings, { ghlFields, hubspotProperties }) };
+}
+
+function toCamelCase(input) {
+    return input.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+function parseCliArgs(argv = []) {
+    const options = {};
+    for (let i = 0; i < argv.length; i += 1) {
+        const arg = argv[i];
+        if (!arg.startsWith("--")) {
+            continue;
+        }
+        const raw = arg.slice(2);
+        if (!raw) {
+            continue;
+        }
+        if (raw === "help") {
+            options.help = true;
+            continue;
+        }
+        if (raw.startsWith("no-")) {
+            const key = toCamelCase(raw.slice(3));
+            options[key] = false;
+            continue;
+        }
+        const [keyPart, valuePart] = raw.split("=", 2);
+        const key = toCamelCase(keyPart);
+        if (valuePart !== undefined) {
+            options[key] = valuePart;
+            continue;
+        }
+        const next = argv[i + 1];
+        if (key === "validate" || key === "save" || key === "list") {
+            options[key] = true;
+            continue;
+        }
+        if (next && !next.startsWith("--")) {
+            options[key] = next;
+            i += 1;
+        }
+    }
+    return options;
+}
+
+function printUsage() {
+    console.log(`
+Usage: node hubspot/customFields/fieldMappings.mjs [options]
+
+Maps GHL custom fields to HubSpot properties. Migrators read the mappings from the
+ghl_field_mappings collection, or from hubspot/customFields/fieldMappings.json while it is empty,
+and route fields with a destination picked in HubSpot.html to that object.
+
+Options:
+  --validate               Validate the mappings against the GHL export and live HubSpot schemas
+  --save                   Store the mappings file in Mongo, replacing the stored mappings
+  --list                   Print the mappings in use
+  --mappings <path>        Mappings file to use instead of Mongo/the bundled file
+  --no-hubspot             Skip the live HubSpot schema check
+  --mongo-uri <uri>        Mongo connection string
+  --db-name <name>         Mongo database name (default: GoHighLevel)
+  --hubspot-access-token <token>  HubSpot private app token
+  --help                   Show this help message
+`);
+}
+
+async function getDb(mongoUri, dbName) {
+    if (!mongoUri) {
+        throw new Error("MONGO_URI is not set");
+    }
+    const client = new MongoClient(mongoUri);
+    await client.connect();
+    return { client, db: client.db(dbName) };
+}
+
+if (import.meta.url === new URL(process.argv[1], "file:").href) {
+    const cli = parseCliArgs(process.argv.slice(2));
+    if (cli.help || (!cli.validate && !cli.save && !cli.list)) {
+        printUsage();
+        process.exit(0);
+    }
+    const run = async () => {
+        const { client, db } = await getDb(cli.mongoUri || process.env.MONGO_URI || "mongodb://localhost:27017", cli.dbName || DEFAULT_DB_NAME);
+        try {
+            if (cli.save) {
+                const mappings = await readMappingsFile(cli.mappings || DEFAULT_MAPPINGS_PATH);
+                const result = await saveFieldMappings(db, mappings);
+                console.log(`saved ${result.saved} field mappings, removed ${result.removed}`);
+            }
+            if (cli.list) {
+                const mappings = await loadFieldMappings(db, { mappingsPath: cli.mappings });
+                mappings.forEach((mapping) => {
+                    const destination = mapping.destination ? ` (destination ${mapping.destination})` : "";
+                    console.log(`${mapping.ghlFieldId} (${mapping.ghlFieldName || "?"}) -> ${mapping.object}.${mapping.property} [${mapping.transform || "copy"}]${destination}`);
+                });
+            }
+            if (cli.validate) {
+                const result = await checkFieldMappings(db, {
+                    mappingsPath: cli.mappings,
+                    hubspotAccessToken: cli.hubspot === false ? null : cli.hubspotAccessToken || process.env.HUBSPOT_ACCESS_TOKEN
+                });
+                result.warnings.forEach((warning) => console.warn(`warning: ${warning}`));
+                result.errors.forEach((error) => console.error(`error: ${error}`));
+                console.log(`validated ${result.mappings} field mappings: ${result.errors.length} errors, ${result.warnings.length} warnings`);
+                if (result.errors.length > 0) {
+                    process.exitCode = 1;
+                }
+            }
+        } finally {
+            await client.close();
+        }
+    };
+    run().catch((err) => {
+        console.error("field mappings failed:", err?.message || err);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,96 @@
+// Property attributes reconciled with HubSpot when the definition sets them.
+const UPDATABLE_ATTRIBUTES = ["label", "groupName", "description", "hidden"];
+// HubSpot rejects or mangles these changes on properties that already hold values.
+const TYPE_ATTRIBUTES = ["type", "fieldType"];
+
+function sameValue(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Compares option lists by value. Returns the options only in `desired`, the values only in
+ * `live`, and the values whose label differs.
+ */
+export function diffOptions(desired = [], live = []) {
+    const liveByValue = new Map(live.map((option) => [String(option.value), option]));
+    const desiredValues = new Set(desired.map((option) => String(option.value)));
+    const added = desired.filter((option) => !liveByValue.has(String(option.value)));
+    const removed = live.filter((option) => !desiredValues.has(String(option.value)));
+    const relabeled = desired
+        .filter((option) => liveByValue.has(String(option.value)) && liveByValue.get(String(option.value)).label !== option.label)
+        .map((option) => ({ value: option.value, from: liveByValue.get(String(option.value)).label, to: option.label }));
+    return { added, removed, relabeled };
+}
+
+/**
+ * Lists what differs between a property definition and the live HubSpot property. Attributes the
+ * definition leaves out are not compared. Type changes are marked `typeChange` since they cannot
+ * be applied in place.
+ */
+export function diffProperty(desired = {}, live = {}) {
+    const changes = [];
+    UPDATABLE_ATTRIBUTES.forEach((attribute) => {
+        if (desired[attribute] === undefined) {
+            return;
+        }
+        const current = attribute === "hidden" ? Boolean(live[attribute]) : live[attribute];
+        if (!sameValue(desired[attribute], current)) {
+            changes.push({ attribute, from: current, to: desired[attribute] });
+        }
+    });
+    TYPE_ATTRIBUTES.forEach((attribute) => {
+        if (desired[attribute] !== undefined && desired[attribute] !== live[attribute]) {
+            changes.push({ attribute, from: live[attribute], to: desired[attribute], typeChange: true });
+        }
+    });
+    if (Array.isArray(desired.options) && (desired.type || live.type) === "enumeration") {
+        const options = diffOptions(desired.options, live.options || []);
+        if (options.added.length > 0 || options.removed.length > 0 || options.relabeled.length > 0) {
+            changes.push({ attribute: "options", ...options });
+        }
+    }
+    return changes;
+}
+
+/**
+ * The update payload for the changes HubSpot can make in place; options are sent as the full
+ * desired list, in definition order.
+ */
+export function toPropertyUpdate(desired, changes) {
+    const update = {};
+    changes.filter((change) => !change.typeChange).forEach((change) => {
+        if (change.attribute === "options") {
+            update.options = desired.options.map((option, index) => ({
+                label: option.label,
+                value: option.value,
+                displayOrder: option.displayOrder ?? index,
+                hidden: Boolean(option.hidden)
+            }));
+            return;
+        }
+        update[change.attribute] = change.to;
+    });
+    return update;
+}
+
+function formatValue(value) {
+    return value === undefined ? "(unset)" : JSON.stringify(value);
+}
+
+/**
+ * One line per change, e.g. `label: "Status" -> "Account Status"`.
+ */
+export function formatPropertyChanges(changes) {
+    return changes.map((change) => {
+        if (change.attribute === "options") {
+            const parts = [
+                ...change.added.map((option) => `+${option.value}`),
+                ...change.removed.map((option) => `-${option.value}`),
+                ...change.relabeled.map((option) => `~${option.value} (${formatValue(option.from)} -> ${formatValue(option.to)})`)
+            ];
+            return `options: ${parts.join(", ")}`;
+        }
+        const note = change.typeChange ? " (cannot be changed in place)" : "";
+        return `${change.attribute}: ${formatValue(change.from)} -> ${formatValue(change.to)}${note}`;
+    });
+}
@@ -0,0 +1,342 @@
+import { Client } from "@hubspot/api-client";
+import { MongoClient } from "mongodb";
+import { MERGEABLE_GROUPS_FILTER, applyMergePlan } from "../contacts/dedupeContacts.mjs";
+import { MAX_BATCH_SIZE, batchUpdateRecords } from "../../src/hubspotBatch.mjs";
+import { getSharedRateGovernor } from "../../src/hubspotRateGovernor.mjs";
+import { resolveRunId } from "../../src/migrationRun.mjs";
+import { runWorkerPool } from "../../src/workerPool.mjs";
+import { applyFieldMappings, buildFieldValueMappings } from "./fieldMappings.mjs";
+import { loadCustomFieldsFromDb, transferCustomFields } from "./transferCustomFields.mjs";
+
+const DEFAULT_DB_NAME = "GoHighLevel";
+const DEFAULT_MAP_COLLECTION = "GHLHubspotIdMap";
+const DEFAULT_CHECKPOINT_ID = "hubspot_custom_field_values";
+const DEFAULT_DUPLICATES_COLLECTION = "contact_duplicates";
+// Where each GHL model's records live in Mongo, HubSpot and GHLHubspotIdMap.
+const SOURCES = {
+    contact: { collection: "contacts", objectType: "contacts", objectTypeId: "contact" },
+    opportunity: { collection: "opportunities", objectType: "deals", objectTypeId: "opportunity" }
+};
+
+function buildHubspotClient(accessToken = process.env.HUBSPOT_ACCESS_TOKEN) {
+    if (!accessToken) {
+        throw new Error("HUBSPOT_ACCESS_TOKEN is not set");
+    }
+    return new Client({ accessToken, ...getSharedRateGovernor().clientOptions });
+}
+
+function toCamelCase(input) {
+    return input.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+function parseCliArgs(argv = []) {
+    const options = {};
+    for (let i = 0; i < argv.length; i += 1) {
+        const arg = argv[i];
+        if (!arg.startsWith("--")) {
+            continue;
+        }
+        const raw = arg.slice(2);
+        if (!raw) {
+            continue;
+        }
+        if (raw === "help") {
+            options.help = true;
+            continue;
+        }
+        if (raw.startsWith("no-")) {
+            const key = toCamelCase(raw.slice(3));
+            options[key] = false;
+            continue;
+        }
+        const [keyPart, valuePart] = raw.split("=", 2);
+        const key = toCamelCase(keyPart);
+        if (valuePart !== undefined) {
+            options[key] = valuePart;
+            continue;
+        }
+        if (key === "dryRun" || key === "resume" || key === "createProperties") {
+            options[key] = true;
+            continue;
+        }
+        const next = argv[i + 1];
+        if (next && !next.startsWith("--")) {
+            options[key] = next;
+            i += 1;
+        }
+    }
+    return options;
+}
+
+function printUsage() {
+    console.log(`
+Usage: node hubspot/customFields/transferCustomFieldValues.mjs [options]
+
+Writes every GHL custom field value of migrated contacts and opportunities to the HubSpot
+property transferCustomFields.mjs created for the field, converted to the property's type.
+
+Options:
+  --models <list>          Comma-separated GHL models (default: contact,opportunity)
+  --create-properties      Create the HubSpot properties for all GHL fields first
+  --mongo-uri <uri>        Mongo connection string
+  --db-name <name>         Mongo database name (default: GoHighLevel)
+  --map-collection <name>  Mapping collection (default: GHLHubspotIdMap)
+  --duplicates-collection <name>  Duplicate groups from dedupeContacts (default: contact_duplicates)
+  --limit <number>         Max records to read per model
+  --batch-size <number>    Records per batch (default/max: 100)
+  --concurrency <number>   Batches processed in parallel (default: 1)
+  --checkpoint-id <id>     Checkpoint id prefix; one checkpoint per model
+  --run-id <id>            Run id recorded on the checkpoints (default: generated)
+  --resume                 Resume from checkpoint (default)
+  --no-resume              Start from the beginning
+  --dry-run                Log the properties without calling HubSpot
+  --hubspot-access-token <token>  HubSpot private app token
+  --help                   Show this help message
+`);
+}
+
+async function getDb(mongoUri, dbName) {
+    if (!mongoUri) {
+        throw new Error("MONGO_URI is not set");
+    }
+    const client = new MongoClient(mongoUri);
+    await client.connect();
+    return { client, db: client.db(dbName) };
+}
+
+async function loadCheckpoint(db, checkpointId) {
+    return db.collection("hubspot_transfer_checkpoints").findOne({ _id: checkpointId });
+}
+
+async function saveCheckpoint(db, checkpointId, data, runId) {
+    const payload = { ...data, updatedAt: new Date() };
+    const update = { $set: payload, $setOnInsert: { createdAt: new Date() } };
+    if (runId) {
+        update.$addToSet = { runIds: runId };
+    }
+    await db.collection("hubspot_transfer_checkpoints").updateOne({ _id: checkpointId }, update, { upsert: true });
+}
+
+async function recordFailedMigration(db, {
+    entityType,
+    ghlId,
+    reason
+} = {}) {
+    if (!db || !entityType || !ghlId) {
+        return;
+    }
+    await db.collection("hubspot_failed_migrations").updateOne(
+        { entityType, ghlId },
+        {
+            $set: { reason, updatedAt: new Date() },
+            $setOnInsert: { createdAt: new Date() }
+        },
+        { upsert: true }
+    );
+}
+
+async function* readPages(cursor, size) {
+    let page = [];
+    for await (const document of cursor) {
+        page.push(document);
+        if (page.length >= size) {
+            yield page;
+            page = [];
+        }
+    }
+    if (page.length > 0) {
+        yield page;
+    }
+}
+
+/**
+ * The duplicate groups migrateContacts merged that `contactIds` belong to: `duplicateOf` maps a
+ * duplicate to its group, `survivorOf` a survivor to its own.
+ */
+async function loadMergedGroups(duplicateGroups, contactIds) {
+    if (!duplicateGroups || contactIds.length === 0) {
+        return { duplicateOf: new Map(), survivorOf: new Map() };
+    }
+    const asDuplicate = await duplicateGroups.find({ duplicateIds: { $in: contactIds }, ...MERGEABLE_GROUPS_FILTER }).toArray();
+    const asSurvivor = await duplicateGroups.find({ _id: { $in: contactIds }, ...MERGEABLE_GROUPS_FILTER }).toArray();
+    return {
+        duplicateOf: new Map(asDuplicate.flatMap((group) => group.duplicateIds.map((id) => [id, group]))),
+        survivorOf: new Map(asSurvivor.map((group) => [group._id, group]))
+    };
+}
+
+function compactProperties(properties) {
+    return Object.fromEntries(Object.entries(properties)
+        .filter(([, value]) => value !== undefined && value !== null && value !== ""));
+}
+
+/**
+ * Updates already-migrated contacts and deals with their GHL custom field values. Each value goes
+ * to the property mapGhlFieldToHubspotProperty names, converted by buildFieldValueMappings
+ * (dates, numbers, checkboxes, option lists, file URLs). Fields whose destination is another
+ * object are left to the migrator of that object. Records not in GHLHubspotIdMap are recorded
+ * as failed; the properties must exist, so run transferCustomFields first or pass
+ * `createProperties`. Contacts merged into a survivor by dedupeContacts are skipped and survivors
+ * get their merged values, as migrateContacts wrote them.
+ */
+export async function transferCustomFieldValuesToHubspot({
+    mongoUri = process.env.MONGO_URI || "mongodb://localhost:27017",
+    dbName = DEFAULT_DB_NAME,
+    mapCollection = DEFAULT_MAP_COLLECTION,
+    duplicatesCollection = DEFAULT_DUPLICATES_COLLECTION,
+    hubspotAccessToken = process.env.HUBSPOT_ACCESS_TOKEN,
+    checkpointId = DEFAULT_CHECKPOINT_ID,
+    models = Object.keys(SOURCES),
+    resume = true,
+    dryRun = false,
+    limit,
+    createProperties = false,
+    batchSize = MAX_BATCH_SIZE,
+    concurrency = 1,
+    runId
+} = {}) {
+    if (!hubspotAccessToken && !dryRun) {
+        throw new Error("HUBSPOT_ACCESS_TOKEN is not set");
+    }
+    const unknown = models.filter((model) => !SOURCES[model]);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown models: ${unknown.join(", ")} (expected ${Object.keys(SOURCES).join(", ")})`);
+    }
+    const importRunId = resolveRunId(runId);
+    if (createProperties) {
+        await transferCustomFields({
+            mongoUri,
+            dbName,
+            hubspotAccessToken,
+            checkpointId: `${checkpointId}_properties`,
+            resume: false,
+            dryRun
+        });
+    }
+    const { client, db } = await getDb(mongoUri, dbName);
+    try {
+        const mappings = buildFieldValueMappings(await loadCustomFieldsFromDb(db));
+        const hubspotClient = dryRun ? null : buildHubspotClient(hubspotAccessToken);
+        const mapColl = db.collection(mapCollection);
+        const duplicateGroups = duplicatesCollection && await db.collection(duplicatesCollection).estimatedDocumentCount() > 0
+            ? db.collection(duplicatesCollection)
+            : null;
+        const size = Math.min(Math.max(1, Number(batchSize) || MAX_BATCH_SIZE), MAX_BATCH_SIZE);
+        const summary = {};
+
+        for (const model of models) {
+            const { collection, objectType, objectTypeId } = SOURCES[model];
+            const modelSummary = { processed: 0, withValues: 0, updated: 0, skippedDuplicates: 0, skippedUnmapped: 0, failed: 0 };
+            summary[model] = modelSummary;
+            const modelMappings = mappings.filter((mapping) => mapping.source === model && mapping.object === objectType);
+            if (modelMappings.length === 0) {
+                console.log(`no ${model} custom fields map to ${objectType}; skipping`);
+                continue;
+            }
+            const modelCheckpointId = `${checkpointId}_${model}`;
+            const query = {};
+            if (resume) {
+                const checkpoint = await loadCheckpoint(db, modelCheckpointId);
+                if (checkpoint?.lastId) {
+                    query._id = { $gt: checkpoint.lastId };
+                }
+            }
+            let cursor = db.collection(collection).find(query).sort({ _id: 1 });
+            if (limit) {
+                cursor = cursor.limit(Number(limit));
+            }
+
+            await runWorkerPool(readPages(cursor, size), async (page) => {
+                const { duplicateOf, survivorOf } = await loadMergedGroups(
+                    model === "contact" ? duplicateGroups : null,
+                    page.map((record) => record?.id).filter(Boolean)
+                );
+                const withValues = [];
+                for (const ghlRecord of page) {
+                    modelSummary.processed += 1;
+                    // A duplicate shares its survivor's HubSpot contact and would overwrite the merged values.
+                    if (duplicateOf.has(ghlRecord?.id)) {
+                        modelSummary.skippedDuplicates += 1;
+                        continue;
+                    }
+                    const survivorGroup = survivorOf.get(ghlRecord?.id);
+                    const record = survivorGroup ? applyMergePlan(ghlRecord, survivorGroup) : ghlRecord;
+                    const properties = compactProperties(applyFieldMappings(record?.customFields, modelMappings, objectType, model));
+                    if (!record?.id || Object.keys(properties).length === 0) {
+                        continue;
+                    }
+                    modelSummary.withValues += 1;
+                    if (dryRun) {
+                        console.log(`[dry-run] update ${objectType}`, record.id, JSON.stringify(properties));
+                        continue;
+                    }
+                    withValues.push({ ghlId: record.id, properties });
+                }
+                if (withValues.length === 0) {
+                    return;
+                }
+                const maps = await mapColl
+                    .find({ ghlId: { $in: withValues.map((record) => record.ghlId) }, objectTypeId })
+                    .toArray();
+                const hubspotIds = new Map(maps.map((map) => [map.ghlId, map.hubspotId]));
+                const updates = [];
+                for (const record of withValues) {
+                    const hubspotId = hubspotIds.get(record.ghlId);
+                    if (!hubspotId) {
+                        modelSummary.skippedUnmapped += 1;
+                        await recordFailedMigration(db, { entityType: `${model}_custom_fields`, ghlId: record.ghlId, reason: `missing hubspot ${model} mapping` });
+                        continue;
+                    }
+                    updates.push({ id: String(hubspotId), ghlId: record.ghlId, entityType: `${model}_custom_fields`, properties: record.properties });
+                }
+                const result = await batchUpdateRecords(hubspotClient, objectType, updates, { db });
+                modelSummary.updated += result.updated.length;
+                modelSummary.failed += result.failed.length;
+            }, {
+                concurrency,
+                checkpointOf: (page) => page[page.length - 1]._id,
+                // A dry run writes nothing, so it must not move the checkpoint the real run resumes from.
+                onCheckpoint: (lastId) => !dryRun && saveCheckpoint(db, modelCheckpointId, { lastId, ...modelSummary }, importRunId)
+            });
+        }
+
+        return summary;
+    } finally {
+        await client.close();
+    }
+}
+
+if (import.meta.url === new URL(process.argv[1], "file:").href) {
+    const cli = parseCliArgs(process.argv.slice(2));
+    if (cli.help) {
+        printUsage();
+        process.exit(0);
+    }
+    const parsedLimit = cli.limit ? Number(cli.limit) : undefined;
+    const limit = Number.isInteger(parsedLimit) && parsedLimit > 0 ? parsedLimit : undefined;
+
+    const run = async () => {
+        const summary = await transferCustomFieldValuesToHubspot({
+            mongoUri: cli.mongoUri,
+            dbName: cli.dbName,
+            mapCollection: cli.mapCollection,
+            duplicatesCollection: cli.duplicatesCollection,
+            hubspotAccessToken: cli.hubspotAccessToken,
+            checkpointId: cli.checkpointId,
+            models: cli.models ? cli.models.split(",").map((model) => model.trim()).filter(Boolean) : undefined,
+            runId: cli.runId,
+            resume: cli.resume !== false,
+            dryRun: cli.dryRun,
+            limit,
+            createProperties: cli.createProperties,
+            batchSize: cli.batchSize,
+            concurrency: cli.concurrency
+        });
+        console.log("custom field value transfer complete:", summary);
+    };
+
+    run().catch((err) => {
+        console.error("transferCustomFieldValues failed:", err?.message || err);
+        process.exit(1);
+    });
+}
@@ -1,5 +1,7 @@
 import { MongoClient } from "mongodb";
 import { Client } from "@hubspot/api-client";
+import { getSharedRateGovernor } from "../../src/hubspotRateGovernor.mjs";
+import { resolveCsatObjectType } from "../csat/csatRecords.mjs";
 
 const DEFAULT_CONTACT_OBJECT_TYPE = "contacts";
 const GHL_TO_HUBSPOT_OBJECT_TYPE = {
@@ -8,6 +10,13 @@ const GHL_TO_HUBSPOT_OBJECT_TYPE = {
     company: "companies",
     ticket: "tickets"
 };
+// Objects behind the destinations picked in the HubSpot.html Custom Fields panel. "csat" stands for
+// the CSAT custom object, whose HubSpot object type id is looked up when needed.
+export const FIELD_DESTINATION_OBJECTS = {
+    Contact: "contacts",
+    Deal: "deals",
+    CSAT: "csat"
+};
 
 export function toHubspotPropertyName(name) {
     return `${name}`
@@ -24,6 +33,16 @@ export function mapGhlModelToHubspotObjectType(model) {
     return GHL_TO_HUBSPOT_OBJECT_TYPE[String(model).toLowerCase()] || null;
 }
 
+/**
+ * The object a GHL field's property and values belong to: its saved destination when set,
+ * otherwise the object matching its GHL model.
+ */
+export function resolveFieldObject(field) {
+    return FIELD_DESTINATION_OBJECTS[field?.destination]
+        || mapGhlModelToHubspotObjectType(field?.model)
+        || DEFAULT_CONTACT_OBJECT_TYPE;
+}
+
 function toHubspotEnumValue(value, fallback) {
     const normalized = toHubspotPropertyName(value || "");
     return normalized || fallback || "option";
@@ -175,9 +194,7 @@ export async function ensureGhlCustomFields(hubspotClient, customFields = []) {
 }
 
 export async function createHubspotPropertyFromGhlField(hubspotClient, ghlField, hubspotObjectType) {
-    const objectType = hubspotObjectType
-        || mapGhlModelToHubspotObjectType(ghlField?.model)
-        || DEFAULT_CONTACT_OBJECT_TYPE;
+    const objectType = hubspotObjectType || resolveFieldObject(ghlField);
     const property = mapGhlFieldToHubspotProperty(ghlField);
     await ensureObjectProperty(hubspotClient, objectType, property);
     return { objectType, property };
@@ -204,7 +221,11 @@ async function getDb(mongoUri, dbName) {
     return { client, db: client.db(dbName) };
 }
 
-async function loadCustomFieldsFromDb(db) {
+/**
+ * Reads the GHL custom field definitions stored by highlevel.mjs, with the destination picked for
+ * each one, as `{ model, field }` pairs.
+ */
+export async function loadCustomFieldsFromDb(db) {
     const docs = await db.collection("customfields").find({}).toArray();
     const fields = [];
     for (const doc of docs) {
@@ -251,7 +272,8 @@ export async function transferCustomFields({
     checkpointId = "hubspot_custom_fields",
     resume = true,
     dryRun = false,
-    deleteMode = false
+    deleteMode = false,
+    destinationsOnly = false
 } = {}) {
     if (!hubspotAccessToken && !dryRun) {
         throw new Error("HUBSPOT_ACCESS_TOKEN is not set");
@@ -259,7 +281,8 @@ export async function transferCustomFields({
 
     const { client, db } = await getDb(mongoUri, dbName);
     try {
-        const fields = await loadCustomFieldsFromDb(db);
+        const fields = (await loadCustomFieldsFromDb(db))
+            .filter(({ field }) => !destinationsOnly || FIELD_DESTINATION_OBJECTS[field?.destination]);
         const sorted = fields
             .sort((a, b) => getFieldSortKey(a.model, a.field).localeCompare(getFieldSortKey(b.model, b.field)));
 
@@ -274,26 +297,29 @@ export async function transferCustomFields({
             }
         }
 
-        const hubspotClient = dryRun ? null : new Client({ accessToken: hubspotAccessToken });
+        const hubspotClient = dryRun ? null : new Client({ accessToken: hubspotAccessToken, ...getSharedRateGovernor().clientOptions });
+        const needsCsat = sorted.slice(startIndex).some(({ field }) => resolveFieldObject(field) === "csat");
+        const csatObjectType = needsCsat && !dryRun ? await resolveCsatObjectType(hubspotClient) : null;
         let processed = 0;
 
         for (let i = startIndex; i < sorted.length; i += 1) {
             const { model, field } = sorted[i];
             const key = getFieldKey(model, field);
             const property = mapGhlFieldToHubspotProperty(field);
+            const target = resolveFieldObject(field);
+            const objectType = target === "csat" ? csatObjectType : target;
             if (dryRun) {
                 const action = deleteMode ? "delete" : "create";
-                console.log(`[dry-run] ${action} property for`, key, property?.name);
+                console.log(`[dry-run] ${action} ${target} property for`, key, property?.name);
                 processed += 1;
                 await saveCheckpoint(db, checkpointId, { lastKey: key, processedCount: processed });
                 continue;
             }
             try {
                 if (deleteMode) {
-                    const objectType = mapGhlModelToHubspotObjectType(field?.model) || DEFAULT_CONTACT_OBJECT_TYPE;
                     await deleteObjectProperty(hubspotClient, objectType, property.name);
                 } else {
-                    await createHubspotPropertyFromGhlField(hubspotClient, field);
+                    await createHubspotPropertyFromGhlField(hubspotClient, field, objectType);
                 }
                 processed += 1;
                 await saveCheckpoint(db, checkpointId, { lastKey: key, processedCount: processed });
@@ -339,7 +365,7 @@ function parseCliArgs(argv = []) {
             options[key] = valuePart;
             continue;
         }
-        if (key === "dryRun" || key === "resume") {
+        if (key === "dryRun" || key === "resume" || key === "delete" || key === "destinationsOnly") {
             options[key] = true;
             continue;
         }
@@ -354,11 +380,15 @@ function parseCliArgs(argv = []) {
 
 function printUsage() {
     console.log(`
-Usage: node hubspot/transferCustomFields.mjs [options]
+Usage: node hubspot/customFields/transferCustomFields.mjs [options]
+
+Creates a HubSpot property for each GHL custom field on the object picked as its destination in
+HubSpot.html (Contact, Deal or the CSAT custom object), or on the object matching its GHL model.
 
 Options:
   --dry-run                Log actions without calling HubSpot
   --delete                 Delete HubSpot properties created from GHL
+  --destinations-only      Only transfer fields with a destination set
   --resume                 Resume from checkpoint (default)
   --no-resume              Start from the beginning
   --checkpoint-id <id>     Checkpoint document id
@@ -382,7 +412,8 @@ if (import.meta.url === new URL(process.argv[1], "file:").href) {
         checkpointId: cli.checkpointId,
         resume: cli.resume,
         dryRun: cli.dryRun,
-        deleteMode: cli.delete
+        deleteMode: cli.delete,
+        destinationsOnly: cli.destinationsOnly
     })
         .catch((err) => {
             console.error("transferCustomFields failed:", err?.message || err);
@@ -1,4 +1,6 @@
 import { Client } from "@hubspot/api-client";
+import { ensureRunIdProperty } from "../../src/hubspotBatch.mjs";
+import { getSharedRateGovernor } from "../../src/hubspotRateGovernor.mjs";
 
 const DEFAULT_LABEL_PREFIX = "GHL";
 
@@ -6,7 +8,7 @@ function buildHubspotClient(accessToken = process.env.HUBSPOT_ACCESS_TOKEN) {
     if (!accessToken) {
         throw new Error("HUBSPOT_ACCESS_TOKEN is not set");
     }
-    return new Client({ accessToken });
+    return new Client({ accessToken, ...getSharedRateGovernor().clientOptions });
 }
 
 function toHubspotObjectName(name) {
@@ -25,7 +27,7 @@ function toHubspotPropertyName(name) {
         .slice(0, 50);
 }
 
-function normalizeObjectDefinition(objectDefinition) {
+export function normalizeObjectDefinition(objectDefinition) {
     const normalizedProperties = (objectDefinition?.properties || []).map((property) => ({
         ...property,
         name: toHubspotPropertyName(property?.name)
@@ -53,12 +55,13 @@ async function createCustomObjectSchema(hubspotClient, objectDefinition) {
         searchableProperties: normalized.searchableProperties || [],
         primaryDisplayProperty: normalized.primaryDisplayProperty,
         secondaryDisplayProperties: normalized.secondaryDisplayProperties || [],
-        properties: normalized.properties || []
+        properties: normalized.properties || [],
+        associatedObjects: normalized.associatedObjects || []
     };
     return hubspotClient.crm.schemas.coreApi.create(payload);
 }
 
-async function getCustomObjectSchemaByName(hubspotClient, objectName) {
+export async function getCustomObjectSchemaByName(hubspotClient, objectName) {
     const schemas = await hubspotClient.crm.schemas.coreApi.getAll();
     const list = Array.isArray(schemas?.results) ? schemas.results : schemas;
     const normalized = toHubspotObjectName(objectName);
@@ -116,6 +119,29 @@ async function ensureCustomObjectProperties(hubspotClient, objectTypeId, objectD
     }
 }
 
+// Object type ids of the standard objects a custom object's `associatedObjects` can name.
+export const STANDARD_OBJECT_TYPE_IDS = {
+    CONTACT: "0-1",
+    COMPANY: "0-2",
+    DEAL: "0-3"
+};
+
+// `associatedObjects` only applies when a schema is created, so associations added later are created here.
+export async function ensureCustomObjectAssociations(hubspotClient, schema, objectDefinition) {
+    const associated = new Set((schema?.associations || [])
+        .flatMap((association) => [association?.fromObjectTypeId, association?.toObjectTypeId]));
+    for (const object of objectDefinition?.associatedObjects || []) {
+        const toObjectTypeId = STANDARD_OBJECT_TYPE_IDS[object];
+        if (!toObjectTypeId || associated.has(toObjectTypeId)) {
+            continue;
+        }
+        await hubspotClient.crm.schemas.coreApi.createAssociation(schema.objectTypeId, {
+            fromObjectTypeId: schema.objectTypeId,
+            toObjectTypeId
+        });
+    }
+}
+
 function isInvalidPrimaryDisplayPropertyError(err) {
     const message = err?.response?.body?.message || err?.message || "";
     return message.includes("INVALID_PRIMARY_DISPLAY_PROPERTY")
@@ -138,7 +164,8 @@ export const BILLING_SUBSCRIPTION_OBJECT = {
     primaryDisplayProperty: "ghl_contact_id",
     searchableProperties: ["ghl_contact_id"],
     requiredProperties: ["ghl_contact_id"],
-    properties: [
+    associatedObjects: ["CONTACT", "COMPANY", "DEAL"],
+    properties: ensureRunIdProperty([
 
         {
             name: "ghl_contact_id",
@@ -262,10 +289,77 @@ export const BILLING_SUBSCRIPTION_OBJECT = {
             type: "date",
             fieldType: "date"
         },
+        {
+            name: "apex_new_ach_request_url",
+            label: "APEX New ACH Request URL",
+            type: "string",
+            fieldType: "text"
+        },
+        {
+            name: "apex_new_rcc_request_url",
+            label: "APEX New RCC Request URL",
+            type: "string",
+            fieldType: "text"
+        },
+        {
+            name: "apex_new_card_request_url",
+            label: "APEX New Card Request URL",
+            type: "string",
+            fieldType: "text"
+        },
+        {
+            name: "import_tag",
+            label: "Import Tag",
+            type: "string",
+            fieldType: "text"
+        }
+    ])
+};
 
-
-
-    ]
+// Responses to the GHL fields whose destination is "CSAT", one record per contact. The response
+// properties themselves come from those fields; see buildCsatObjectDefinition in csat/migrateCsat.mjs.
+export const CSAT_OBJECT = {
+    name: "csat",
+    labels: {
+        singular: `${DEFAULT_LABEL_PREFIX} CSAT Response`,
+        plural: `${DEFAULT_LABEL_PREFIX} CSAT Responses`
+    },
+    primaryDisplayProperty: "ghl_contact_id",
+    searchableProperties: ["ghl_contact_id"],
+    requiredProperties: ["ghl_contact_id"],
+    associatedObjects: ["CONTACT", "COMPANY"],
+    properties: ensureRunIdProperty([
+        {
+            name: "ghl_contact_id",
+            label: "GHL Contact ID",
+            type: "string",
+            fieldType: "text",
+            hasUniqueValue: true
+        },
+        {
+            name: "import_tag",
+            label: "Import Tag",
+            type: "string",
+            fieldType: "text"
+        },
+        {
+            name: "nps_score",
+            label: "NPS Score",
+            type: "number",
+            fieldType: "number"
+        },
+        {
+            name: "nps_category",
+            label: "NPS Category",
+            type: "enumeration",
+            fieldType: "select",
+            options: [
+                { label: "Promoter", value: "promoter" },
+                { label: "Passive", value: "passive" },
+                { label: "Detractor", value: "detractor" }
+            ]
+        }
+    ])
 };
 
 export async function createCustomObject(hubspotClient, objectDefinition) {
@@ -299,6 +393,7 @@ export async function createCustomObject(hubspotClient, objectDefinition) {
                     throw propertyErr;
                 }
             }
+            await ensureCustomObjectAssociations(hubspotClient, existing, objectDefinition);
             try {
                 return await updateCustomObjectSchema(hubspotClient, objectTypeId, objectDefinition);
             } catch (updateErr) {
@@ -328,8 +423,14 @@ export async function createBillingSubscriptionObject(accessToken) {
     return createCustomObject(hubspotClient, BILLING_SUBSCRIPTION_OBJECT);
 }
 
-const CUSTOM_OBJECTS = [
-    BILLING_SUBSCRIPTION_OBJECT
+export async function createCsatObject(accessToken) {
+    const hubspotClient = buildHubspotClient(accessToken);
+    return createCustomObject(hubspotClient, CSAT_OBJECT);
+}
+
+export const CUSTOM_OBJECTS = [
+    BILLING_SUBSCRIPTION_OBJECT,
+    CSAT_OBJECT
 ];
 
 function toCamelCase(input) {
@@ -380,7 +481,7 @@ function printUsage() {
 Usage: node hubspot/customObjects/createCustomObjects.mjs [options]
 
 Options:
-  --entity <objectName>    Custom object name (e.g. billing_subscription)
+  --entity <objectName>    Custom object name (billing_subscription or csat)
   --create                 Create the custom object
   --delete                 Delete the custom object
   --help                   Show this help message
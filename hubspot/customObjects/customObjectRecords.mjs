@@ -0,0 +1,107 @@
+import { batchAssociate, batchCreateRecords, batchUpdateRecords } from "../../src/hubspotBatch.mjs";
+import { getCustomObjectSchemaByName } from "./createCustomObjects.mjs";
+
+const DEFAULT_MAP_COLLECTION = "GHLHubspotIdMap";
+
+/**
+ * Looks up the HubSpot object type id of a custom object by name.
+ */
+export async function resolveCustomObjectType(hubspotClient, objectName) {
+    const schema = await getCustomObjectSchemaByName(hubspotClient, objectName);
+    if (!schema?.objectTypeId) {
+        throw new Error(`${objectName} custom object does not exist; run hubspot/customObjects/createCustomObjects.mjs --entity ${objectName} --create`);
+    }
+    return schema.objectTypeId;
+}
+
+async function getAssociationType(hubspotClient, objectType, toObjectType) {
+    const response = await hubspotClient.crm.associations.v4.schema.definitionsApi.getAll(objectType, toObjectType);
+    const results = Array.isArray(response?.results) ? response.results : response;
+    const match = results?.[0];
+    if (!match?.typeId) {
+        return null;
+    }
+    return {
+        associationCategory: match?.category || "USER_DEFINED",
+        associationTypeId: match.typeId
+    };
+}
+
+async function upsertGhlHubspotIdMap(db, { ghlId, hubspotId, objectTypeId, hubspotObjectType, runId } = {}) {
+    if (!ghlId || !hubspotId || !objectTypeId) {
+        return;
+    }
+    await db.collection(DEFAULT_MAP_COLLECTION).updateOne(
+        { ghlId, objectTypeId },
+        {
+            $set: { ghlId, hubspotId, objectTypeId, hubspotObjectType, updatedAt: new Date() },
+            $setOnInsert: { createdAt: new Date(), runId }
+        },
+        { upsert: true }
+    );
+}
+
+/**
+ * Creates or updates one custom object record per GHL id. Records are
+ * `{ ghlId, properties, associations }` where `associations` maps an object type (contacts,
+ * companies, deals) to the HubSpot ids to associate. A record already in GHLHubspotIdMap under
+ * `objectTypeId` is updated and re-associated; otherwise it is created with its associations
+ * inline and mapped, with the custom object's type id kept in `hubspotObjectType` for rollback.
+ * Returns the created/updated/failed counts.
+ */
+export async function upsertCustomObjectRecords(hubspotClient, db, records = [], {
+    objectType,
+    objectTypeId,
+    entityType = objectTypeId,
+    idProperty = "ghl_contact_id",
+    runId
+} = {}) {
+    const summary = { created: 0, updated: 0, failed: 0 };
+    if (records.length === 0) {
+        return summary;
+    }
+    const mapColl = db.collection(DEFAULT_MAP_COLLECTION);
+    const associationTypes = {};
+    const typesTo = async (toObjectType) => {
+        if (associationTypes[toObjectType] === undefined) {
+            associationTypes[toObjectType] = await getAssociationType(hubspotClient, objectType, toObjectType);
+        }
+        return associationTypes[toObjectType] ? [associationTypes[toObjectType]] : [];
+    };
+    const toCreate = [];
+    const toUpdate = [];
+    const pairsByType = new Map();
+    for (const record of records) {
+        const targets = Object.entries(record.associations || {})
+            .map(([toObjectType, ids]) => [toObjectType, [...new Set((ids || []).filter(Boolean).map(String))]]);
+        const existing = await mapColl.findOne({ ghlId: record.ghlId, objectTypeId });
+        if (existing?.hubspotId) {
+            toUpdate.push({ id: existing.hubspotId, ghlId: record.ghlId, entityType, properties: record.properties });
+            for (const [toObjectType, ids] of targets) {
+                const types = await typesTo(toObjectType);
+                const pairs = pairsByType.get(toObjectType) || [];
+                ids.forEach((toId) => pairs.push({ fromId: existing.hubspotId, toId, types }));
+                pairsByType.set(toObjectType, pairs);
+            }
+            continue;
+        }
+        const associations = [];
+        for (const [toObjectType, ids] of targets) {
+            const types = await typesTo(toObjectType);
+            ids.forEach((id) => associations.push({ to: { id }, types }));
+        }
+        toCreate.push({ ghlId: record.ghlId, entityType, properties: record.properties, associations });
+    }
+    const created = await batchCreateRecords(hubspotClient, objectType, toCreate, { db, idProperty, runId });
+    for (const { record, id } of created.created) {
+        await upsertGhlHubspotIdMap(db, { ghlId: record.ghlId, hubspotId: id, objectTypeId, hubspotObjectType: objectType, runId });
+    }
+    const updated = await batchUpdateRecords(hubspotClient, objectType, toUpdate, { db });
+    for (const [toObjectType, pairs] of pairsByType) {
+        await batchAssociate(hubspotClient, objectType, toObjectType, pairs);
+    }
+    summary.created = created.created.length;
+    summary.updated = updated.updated.length;
+    summary.failed = created.failed.length + updated.failed.length;
+    return summary;
+}
@@ -0,0 +1,421 @@
+import { Client } from "@hubspot/api-client";
+import { MongoClient } from "mongodb";
+import { createInterface } from "node:readline/promises";
+import { getSharedRateGovernor } from "../../src/hubspotRateGovernor.mjs";
+import { buildCsatObjectDefinition } from "../csat/migrateCsat.mjs";
+import { diffProperty, formatPropertyChanges, toPropertyUpdate } from "../customFields/propertyDiff.mjs";
+import { loadCustomFieldsFromDb } from "../customFields/transferCustomFields.mjs";
+import {
+    CSAT_OBJECT,
+    CUSTOM_OBJECTS,
+    STANDARD_OBJECT_TYPE_IDS,
+    createCustomObject,
+    ensureCustomObjectAssociations,
+    getCustomObjectSchemaByName,
+    normalizeObjectDefinition
+} from "./createCustomObjects.mjs";
+
+const DEFAULT_DB_NAME = "GoHighLevel";
+const DEFAULT_VERSIONS_COLLECTION = "hubspot_schema_versions";
+
+function buildHubspotClient(accessToken = process.env.HUBSPOT_ACCESS_TOKEN) {
+    if (!accessToken) {
+        throw new Error("HUBSPOT_ACCESS_TOKEN is not set");
+    }
+    return new Client({ accessToken, ...getSharedRateGovernor().clientOptions });
+}
+
+async function getDb(mongoUri, dbName) {
+    if (!mongoUri) {
+        throw new Error("MONGO_URI is not set");
+    }
+    const client = new MongoClient(mongoUri);
+    await client.connect();
+    return { client, db: client.db(dbName) };
+}
+
+function sameList(a = [], b = [], { ordered = false } = {}) {
+    const left = ordered ? a : [...a].sort();
+    const right = ordered ? b : [...b].sort();
+    return JSON.stringify(left) === JSON.stringify(right);
+}
+
+function diffSchema(definition, schema) {
+    const changes = [];
+    ["singular", "plural"].forEach((key) => {
+        const to = definition.labels?.[key];
+        const from = schema.labels?.[key];
+        if (to !== undefined && to !== from) {
+            changes.push({ attribute: `labels.${key}`, from, to });
+        }
+    });
+    if (definition.primaryDisplayProperty && definition.primaryDisplayProperty !== schema.primaryDisplayProperty) {
+        changes.push({ attribute: "primaryDisplayProperty", from: schema.primaryDisplayProperty, to: definition.primaryDisplayProperty });
+    }
+    [
+        ["secondaryDisplayProperties", { ordered: true }],
+        ["searchableProperties", {}],
+        ["requiredProperties", {}]
+    ].forEach(([attribute, options]) => {
+        if (!sameList(definition[attribute], schema[attribute] || [], options)) {
+            changes.push({ attribute, from: schema[attribute] || [], to: definition[attribute] });
+        }
+    });
+    const associated = new Set((schema.associations || [])
+        .flatMap((association) => [association?.fromObjectTypeId, association?.toObjectTypeId]));
+    const missing = (definition.associatedObjects || [])
+        .filter((object) => STANDARD_OBJECT_TYPE_IDS[object] && !associated.has(STANDARD_OBJECT_TYPE_IDS[object]));
+    if (missing.length > 0) {
+        changes.push({ attribute: "associatedObjects", added: missing });
+    }
+    return changes;
+}
+
+// Properties HubSpot creates on every custom object; never reported as removed.
+function isHubspotDefined(property) {
+    return property?.hubspotDefined === true || `${property?.name || ""}`.startsWith("hs_");
+}
+
+/**
+ * Diffs a local custom object definition against the live HubSpot schema. The plan lists the
+ * schema attributes that change (labels, display, searchable and required properties, missing
+ * associations) and the properties that are added, changed or removed. Removed properties are
+ * custom properties in HubSpot that the definition no longer has. Without a live schema the
+ * plan is a `create` of the whole definition.
+ */
+export async function planCustomObject(hubspotClient, objectDefinition) {
+    const definition = normalizeObjectDefinition(objectDefinition);
+    const schema = await getCustomObjectSchemaByName(hubspotClient, definition.name);
+    if (!schema) {
+        return {
+            objectName: definition.name,
+            objectTypeId: null,
+            action: "create",
+            schema: [],
+            properties: { added: definition.properties, changed: [], removed: [] },
+            definition
+        };
+    }
+    const liveByName = new Map((schema.properties || []).map((property) => [property.name, property]));
+    const desiredNames = new Set(definition.properties.map((property) => property.name));
+    const added = definition.properties.filter((property) => !liveByName.has(property.name));
+    const changed = definition.properties
+        .filter((property) => liveByName.has(property.name))
+        .map((property) => ({ name: property.name, changes: diffProperty(property, liveByName.get(property.name)) }))
+        .filter((entry) => entry.changes.length > 0);
+    const removed = (schema.properties || [])
+        .filter((property) => !desiredNames.has(property.name) && !isHubspotDefined(property));
+    const schemaChanges = diffSchema(definition, schema);
+    const hasChanges = schemaChanges.length + added.length + changed.length + removed.length > 0;
+    return {
+        objectName: definition.name,
+        objectTypeId: schema.objectTypeId,
+        action: hasChanges ? "update" : "none",
+        schema: schemaChanges,
+        properties: { added, changed, removed },
+        definition
+    };
+}
+
+/**
+ * The plan as Terraform-style lines: `+` added, `~` changed, `-` removed.
+ */
+export function formatCustomObjectPlan(plan) {
+    const lines = [];
+    if (plan.action === "create") {
+        lines.push(`+ custom object ${plan.objectName} (${plan.properties.added.length} properties)`);
+        plan.properties.added.forEach((property) => lines.push(`    + ${property.name} (${property.type}/${property.fieldType})`));
+        return lines;
+    }
+    if (plan.action === "none") {
+        return [`  custom object ${plan.objectName} (${plan.objectTypeId}) is up to date`];
+    }
+    lines.push(`~ custom object ${plan.objectName} (${plan.objectTypeId})`);
+    plan.schema.forEach((change) => {
+        if (change.attribute === "associatedObjects") {
+            lines.push(`    ~ associations: +${change.added.join(", +")}`);
+            return;
+        }
+        lines.push(`    ~ ${change.attribute}: ${JSON.stringify(change.from)} -> ${JSON.stringify(change.to)}`);
+    });
+    plan.properties.added.forEach((property) => lines.push(`    + ${property.name} (${property.type}/${property.fieldType})`));
+    plan.properties.changed.forEach((entry) => {
+        lines.push(`    ~ ${entry.name}`);
+        formatPropertyChanges(entry.changes).forEach((line) => lines.push(`        ${line}`));
+    });
+    plan.properties.removed.forEach((property) => lines.push(`    - ${property.name} (${property.type}/${property.fieldType})`));
+    return lines;
+}
+
+function summarizePlan(plan) {
+    return {
+        action: plan.action,
+        schema: plan.schema,
+        added: plan.properties.added.map((property) => property.name),
+        changed: plan.properties.changed,
+        removed: plan.properties.removed.map((property) => property.name)
+    };
+}
+
+async function recordSchemaVersion(db, collectionName, plan, objectTypeId) {
+    const collection = db.collection(collectionName);
+    const latest = await collection.find({ objectName: plan.objectName }).sort({ version: -1 }).limit(1).next();
+    const version = (latest?.version || 0) + 1;
+    const doc = {
+        _id: `${plan.objectName}:${version}`,
+        objectName: plan.objectName,
+        objectTypeId,
+        version,
+        definition: plan.definition,
+        changes: summarizePlan(plan),
+        appliedAt: new Date()
+    };
+    await collection.insertOne(doc);
+    return doc;
+}
+
+/**
+ * Applies a plan from planCustomObject: creates the schema, or creates added properties,
+ * updates changed ones, then updates the schema and its associations. Type changes are
+ * skipped with a warning, and removed properties are only archived with `prune`. The applied
+ * definition is recorded as the object's next version in `versionsCollection`.
+ */
+export async function applyCustomObjectPlan(hubspotClient, db, plan, {
+    prune = false,
+    versionsCollection = DEFAULT_VERSIONS_COLLECTION
+} = {}) {
+    if (plan.action === "none") {
+        return null;
+    }
+    const { definition } = plan;
+    let objectTypeId = plan.objectTypeId;
+    if (plan.action === "create") {
+        const created = await createCustomObject(hubspotClient, definition);
+        objectTypeId = created?.objectTypeId;
+    } else {
+        for (const property of plan.properties.added) {
+            await hubspotClient.crm.properties.coreApi.create(objectTypeId, property);
+        }
+        for (const entry of plan.properties.changed) {
+            entry.changes.filter((change) => change.typeChange).forEach((change) => {
+                console.warn(`skipping ${plan.objectName}.${entry.name} ${change.attribute} change ${change.from} -> ${change.to}; HubSpot cannot change it in place`);
+            });
+            const desired = definition.properties.find((property) => property.name === entry.name);
+            const update = toPropertyUpdate(desired, entry.changes);
+            if (Object.keys(update).length > 0) {
+                await hubspotClient.crm.properties.coreApi.update(objectTypeId, entry.name, update);
+            }
+        }
+        const schemaUpdates = plan.schema.filter((change) => change.attribute !== "associatedObjects");
+        if (schemaUpdates.length > 0) {
+            await hubspotClient.crm.schemas.coreApi.update(objectTypeId, {
+                labels: definition.labels || {},
+                requiredProperties: definition.requiredProperties,
+                searchableProperties: definition.searchableProperties,
+                primaryDisplayProperty: definition.primaryDisplayProperty,
+                secondaryDisplayProperties: definition.secondaryDisplayProperties
+            });
+        }
+        if (plan.schema.some((change) => change.attribute === "associatedObjects")) {
+            const schema = await getCustomObjectSchemaByName(hubspotClient, plan.objectName);
+            await ensureCustomObjectAssociations(hubspotClient, schema, definition);
+        }
+        if (prune) {
+            for (const property of plan.properties.removed) {
+                await hubspotClient.crm.properties.coreApi.archive(objectTypeId, property.name);
+            }
+        } else if (plan.properties.removed.length > 0) {
+            console.warn(`left ${plan.properties.removed.length} removed ${plan.objectName} properties in HubSpot; pass --prune to archive them`);
+        }
+    }
+    return recordSchemaVersion(db, versionsCollection, plan, objectTypeId);
+}
+
+async function loadObjectDefinitions(db, entity) {
+    const definitions = entity
+        ? CUSTOM_OBJECTS.filter((definition) => definition.name === normalizeObjectDefinition({ name: entity }).name)
+        : CUSTOM_OBJECTS;
+    if (definitions.length === 0) {
+        throw new Error(`No custom object configured for entity: ${entity}`);
+    }
+    // The CSAT definition gains a property per GHL field whose destination is CSAT.
+    return Promise.all(definitions.map(async (definition) => (
+        definition === CSAT_OBJECT ? buildCsatObjectDefinition(await loadCustomFieldsFromDb(db)) : definition
+    )));
+}
+
+async function confirm(question) {
+    if (!process.stdin.isTTY) {
+        throw new Error("confirmation needs a terminal; pass --yes to apply without it");
+    }
+    const rl = createInterface({ input: process.stdin, output: process.stdout });
+    try {
+        const answer = await rl.question(question);
+        return answer.trim().toLowerCase() === "yes";
+    } finally {
+        rl.close();
+    }
+}
+
+/**
+ * Plans every configured custom object (or just `entity`) and prints the plans. With `apply`,
+ * asks for confirmation unless `yes` is set, then applies the plans that have changes.
+ */
+export async function planCustomObjects({
+    mongoUri = process.env.MONGO_URI || "mongodb://localhost:27017",
+    dbName = DEFAULT_DB_NAME,
+    hubspotAccessToken = process.env.HUBSPOT_ACCESS_TOKEN,
+    versionsCollection = DEFAULT_VERSIONS_COLLECTION,
+    entity,
+    apply = false,
+    yes = false,
+    prune = false
+} = {}) {
+    const hubspotClient = buildHubspotClient(hubspotAccessToken);
+    const { client, db } = await getDb(mongoUri, dbName);
+    try {
+        const plans = [];
+        for (const definition of await loadObjectDefinitions(db, entity)) {
+            plans.push(await planCustomObject(hubspotClient, definition));
+        }
+        plans.forEach((plan) => console.log(formatCustomObjectPlan(plan).join("\n")));
+        const pending = plans.filter((plan) => plan.action !== "none");
+        if (!apply || pending.length === 0) {
+            return { plans, applied: [] };
+        }
+        const confirmed = yes || await confirm(`Apply changes to ${pending.map((plan) => plan.objectName).join(", ")}? Type "yes" to continue: `);
+        if (!confirmed) {
+            console.log("apply cancelled");
+            return { plans, applied: [] };
+        }
+        const applied = [];
+        for (const plan of pending) {
+            const version = await applyCustomObjectPlan(hubspotClient, db, plan, { prune, versionsCollection });
+            console.log(`applied ${plan.objectName} as version ${version.version}`);
+            applied.push(version);
+        }
+        return { plans, applied };
+    } finally {
+        await client.close();
+    }
+}
+
+/**
+ * Lists the recorded schema versions, newest first.
+ */
+export async function listSchemaVersions({
+    mongoUri = process.env.MONGO_URI || "mongodb://localhost:27017",
+    dbName = DEFAULT_DB_NAME,
+    versionsCollection = DEFAULT_VERSIONS_COLLECTION,
+    entity
+} = {}) {
+    const { client, db } = await getDb(mongoUri, dbName);
+    try {
+        const query = entity ? { objectName: normalizeObjectDefinition({ name: entity }).name } : {};
+        return db.collection(versionsCollection).find(query, { projection: { definition: 0 } })
+            .sort({ appliedAt: -1 }).toArray();
+    } finally {
+        await client.close();
+    }
+}
+
+function toCamelCase(input) {
+    return input.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+function parseCliArgs(argv = []) {
+    const options = {};
+    for (let i = 0; i < argv.length; i += 1) {
+        const arg = argv[i];
+        if (!arg.startsWith("--")) {
+            continue;
+        }
+        const raw = arg.slice(2);
+        if (!raw) {
+            continue;
+        }
+        if (raw === "help") {
+            options.help = true;
+            continue;
+        }
+        if (raw.startsWith("no-")) {
+            const key = toCamelCase(raw.slice(3));
+            options[key] = false;
+            continue;
+        }
+        const [keyPart, valuePart] = raw.split("=", 2);
+        const key = toCamelCase(keyPart);
+        if (valuePart !== undefined) {
+            options[key] = valuePart;
+            continue;
+        }
+        if (key === "apply" || key === "yes" || key === "prune" || key === "versions") {
+            options[key] = true;
+            continue;
+        }
+        const next = argv[i + 1];
+        if (next && !next.startsWith("--")) {
+            options[key] = next;
+            i += 1;
+        }
+    }
+    return options;
+}
+
+function printUsage() {
+    console.log(`
+Usage: node hubspot/customObjects/planCustomObjects.mjs [options]
+
+Shows what would change between the local custom object definitions and HubSpot.
+
+Options:
+  --entity <objectName>        Only this custom object (billing_subscription or csat)
+  --apply                      Apply the plan after confirmation
+  --yes                        Apply without asking for confirmation
+  --prune                      Archive HubSpot properties missing from the definition
+  --versions                   List the applied schema versions instead
+  --mongo-uri <uri>            Mongo connection string (default: env MONGO_URI or mongodb://localhost:27017)
+  --db-name <name>             Database name (default: GoHighLevel)
+  --versions-collection <name> Collection of applied versions (default: hubspot_schema_versions)
+  --hubspot-access-token <tok> HubSpot private app token (default: env HUBSPOT_ACCESS_TOKEN)
+  --help                       Show this help message
+`);
+}
+
+if (import.meta.url === new URL(process.argv[1], "file:").href) {
+    const cli = parseCliArgs(process.argv.slice(2));
+    if (cli.help) {
+        printUsage();
+        process.exit(0);
+    }
+
+    const run = async () => {
+        if (cli.versions) {
+            const versions = await listSchemaVersions({
+                mongoUri: cli.mongoUri,
+                dbName: cli.dbName,
+                versionsCollection: cli.versionsCollection,
+                entity: cli.entity
+            });
+            versions.forEach((version) => {
+                console.log(`${version.objectName} v${version.version}  ${version.appliedAt.toISOString()}  +${version.changes.added.length} ~${version.changes.changed.length} -${version.changes.removed.length}`);
+            });
+            return;
+        }
+        await planCustomObjects({
+            mongoUri: cli.mongoUri,
+            dbName: cli.dbName,
+            hubspotAccessToken: cli.hubspotAccessToken,
+            versionsCollection: cli.versionsCollection,
+            entity: cli.entity,
+            apply: cli.apply,
+            yes: cli.yes,
+            prune: cli.prune
+        });
+    };
+
+    run().catch((err) => {
+        console.error("custom object plan failed:", err?.message || err);
+        process.exit(1);
+    });
+}
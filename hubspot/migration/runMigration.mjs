@@ -0,0 +1,631 @@
+import { Client } from "@hubspot/api-client";
+import { mkdir } from "node:fs/promises";
+import { join } from "node:path";
+import { MongoClient } from "mongodb";
+import { getSharedRateGovernor } from "../../src/hubspotRateGovernor.mjs";
+import { RUNS_COLLECTION, createRunId, listRuns, rollbackRun } from "../../src/migrationRun.mjs";
+import { runUpdateUserMapping } from "../users/updateUserMapping.mjs";
+import { CUSTOM_FIELDS, createHubspotCustomFieldsOnObjectType } from "../customFields/createCustomFields.mjs";
+import { checkFieldMappings } from "../customFields/fieldMappings.mjs";
+import { transferCustomFields } from "../customFields/transferCustomFields.mjs";
+import { transferCustomFieldValuesToHubspot } from "../customFields/transferCustomFieldValues.mjs";
+import { createBillingSubscriptionObject, createCsatObject } from "../customObjects/createCustomObjects.mjs";
+import { migratePipelinesToHubspot } from "../pipelines/migratePipelines.mjs";
+import { clusterCompanies } from "../companies/clusterCompanies.mjs";
+import { analyzeContactDuplicates } from "../contacts/dedupeContacts.mjs";
+import { migrateContactsToHubspot } from "../contacts/migrateContacts.mjs";
+import { migrateOpportunitiesToHubspot } from "../opportunities/migrateOpportunities.mjs";
+import { migrateCalendarsToHubspot } from "../calendar/migrateCalendars.mjs";
+import { migrateAppointmentsToHubspot } from "../appointments/migrateAppointments.mjs";
+import { migrateTasksToHubspot } from "../tasks/migrateTasks.mjs";
+import { migrateNotesToHubspot } from "../notes/migrateNotes.mjs";
+import { migrateConversationsToHubspot } from "../conversations/migrateConversations.mjs";
+import { migrateCsatToHubspot } from "../csat/migrateCsat.mjs";
+import { migrateBillingSubscriptionsToHubspot } from "../billingSubscriptions/migrateBillingSubscriptions.mjs";
+
+const DEFAULT_DB_NAME = "GoHighLevel";
+const DEFAULT_REPORT_DIR = "migration-reports";
+
+function buildHubspotClient(accessToken = process.env.HUBSPOT_ACCESS_TOKEN) {
+    if (!accessToken) {
+        throw new Error("HUBSPOT_ACCESS_TOKEN is not set");
+    }
+    return new Client({ accessToken, ...getSharedRateGovernor().clientOptions });
+}
+
+/**
+ * The migration as a dependency graph. Users and custom properties come first, then
+ * contacts/companies, then deals, then engagements. `source` is the Mongo collection the stage
+ * reads, checked during preflight; each stage resumes from its own checkpoint when re-run.
+ */
+export const MIGRATION_STAGES = [
+    {
+        id: "users",
+        dependsOn: [],
+        source: "users",
+        run: (ctx) => runUpdateUserMapping(ctx.common)
+    },
+    {
+        id: "customFields",
+        dependsOn: ["customObjects"],
+        run: async (ctx) => {
+            const summary = {};
+            const hubspotClient = ctx.dryRun ? {} : buildHubspotClient(ctx.hubspotAccessToken);
+            for (const customFields of CUSTOM_FIELDS) {
+                const results = await createHubspotCustomFieldsOnObjectType(hubspotClient, customFields.objectType, customFields.fields, {
+                    dryRun: ctx.dryRun
+                });
+                summary[customFields.objectType] = results.reduce((counts, result) => {
+                    counts[result.action] = (counts[result.action] || 0) + 1;
+                    return counts;
+                }, {});
+            }
+            // Properties for GHL fields routed to another object by their destination. The subset keeps
+            // its own checkpoint so a standalone transferCustomFields does not resume from its position.
+            await transferCustomFields({
+                ...ctx.common,
+                checkpointId: "hubspot_custom_fields_destinations",
+                resume: false,
+                destinationsOnly: true
+            });
+            return summary;
+        }
+    },
+    {
+        id: "customObjects",
+        dependsOn: [],
+        run: async (ctx) => {
+            if (ctx.dryRun) {
+                console.log("[dry-run] create custom objects");
+                return { billingSubscription: "dry-run", csat: "dry-run" };
+            }
+            const schema = await createBillingSubscriptionObject(ctx.hubspotAccessToken);
+            const csatSchema = await createCsatObject(ctx.hubspotAccessToken);
+            return { billingSubscription: schema?.objectTypeId || "ok", csat: csatSchema?.objectTypeId || "ok" };
+        }
+    },
+    {
+        id: "pipelines",
+        dependsOn: ["customFields"],
+        source: "pipelines",
+        run: (ctx) => migratePipelinesToHubspot(ctx.common)
+    },
+    {
+        id: "companyClusters",
+        dependsOn: [],
+        source: "contacts",
+        run: async (ctx) => {
+            const summary = await clusterCompanies({ ...ctx.common, reportPath: join(ctx.reportDir, "company-clusters.csv") });
+            if (summary.needsReview > 0) {
+                console.warn(`${summary.needsReview} company clusters need review in ${summary.reportPath}; until approved with hubspot/companies/clusterCompanies.mjs --approve their contacts get separate companies`);
+            }
+            return summary;
+        }
+    },
+    {
+        id: "contactDuplicates",
+        dependsOn: [],
+        source: "contacts",
+        run: async (ctx) => {
+            const summary = await analyzeContactDuplicates({ ...ctx.common, reportPath: join(ctx.reportDir, "contact-duplicates.csv") });
+            if (summary.needsReview > 0) {
+                console.warn(`${summary.needsReview} duplicate groups need review in ${summary.reportPath}; until approved with hubspot/contacts/dedupeContacts.mjs --approve they are migrated unmerged`);
+            }
+            return summary;
+        }
+    },
+    {
+        id: "contacts",
+        dependsOn: ["users", "customFields", "companyClusters", "contactDuplicates"],
+        source: "contacts",
+        required: true,
+        run: (ctx) => migrateContactsToHubspot({ ...ctx.common, ...ctx.throughput })
+    },
+    {
+        id: "opportunities",
+        dependsOn: ["contacts", "pipelines"],
+        source: "opportunities",
+        run: (ctx) => migrateOpportunitiesToHubspot({ ...ctx.common, ...ctx.throughput })
+    },
+    {
+        id: "customFieldValues",
+        dependsOn: ["contacts", "opportunities"],
+        source: "contacts",
+        run: (ctx) => transferCustomFieldValuesToHubspot({ ...ctx.common, ...ctx.throughput, createProperties: true })
+    },
+    {
+        id: "csat",
+        dependsOn: ["contacts", "opportunities", "customObjects"],
+        source: "contacts",
+        run: (ctx) => migrateCsatToHubspot({ ...ctx.common, ...ctx.throughput, createSchema: true })
+    },
+    {
+        id: "billingSubscriptions",
+        dependsOn: ["contacts", "opportunities", "customObjects"],
+        source: "contacts",
+        run: (ctx) => migrateBillingSubscriptionsToHubspot({ ...ctx.common, ...ctx.throughput })
+    },
+    {
+        id: "calendars",
+        dependsOn: ["customObjects"],
+        source: "calendars",
+        run: (ctx) => migrateCalendarsToHubspot(ctx.common)
+    },
+    {
+        id: "appointments",
+        dependsOn: ["contacts", "calendars"],
+        source: "appointments",
+        run: (ctx) => migrateAppointmentsToHubspot({ ...ctx.common, ...ctx.throughput })
+    },
+    {
+        id: "tasks",
+        dependsOn: ["contacts", "opportunities"],
+        source: "tasks",
+        run: (ctx) => migrateTasksToHubspot({ ...ctx.common, ...ctx.throughput })
+    },
+    {
+        id: "notes",
+        dependsOn: ["contacts", "opportunities", "appointments"],
+        source: "notes",
+        run: (ctx) => migrateNotesToHubspot({ ...ctx.common, ...ctx.throughput })
+    },
+    {
+        id: "conversations",
+        dependsOn: ["contacts", "opportunities"],
+        source: "conversations",
+        run: (ctx) => migrateConversationsToHubspot({ ...ctx.common, ...ctx.throughput })
+    }
+];
+
+/**
+ * Orders stages so every stage comes after its dependencies, keeping the declared order otherwise.
+ */
+export function orderStages(stages = MIGRATION_STAGES) {
+    const byId = new Map(stages.map((stage) => [stage.id, stage]));
+    const state = new Map();
+    const ordered = [];
+    const visit = (id, path) => {
+        const stage = byId.get(id);
+        if (!stage) {
+            throw new Error(`unknown stage "${id}" required by ${path.join(" -> ") || "selection"}`);
+        }
+        if (state.get(id) === "done") {
+            return;
+        }
+        if (state.get(id) === "visiting") {
+            throw new Error(`stage dependency cycle: ${[...path, id].join(" -> ")}`);
+        }
+        state.set(id, "visiting");
+        stage.dependsOn.forEach((dependency) => visit(dependency, [...path, id]));
+        state.set(id, "done");
+        ordered.push(stage);
+    };
+    stages.forEach((stage) => visit(stage.id, []));
+    return ordered;
+}
+
+/**
+ * The stages to run for a `--stages`/`--skip` selection. Requested stages bring their dependencies
+ * along (listed in `added`) unless those are skipped; a skipped dependency of a selected stage is
+ * listed in `stale`, since the stage then reads whatever an earlier run left behind.
+ */
+export function selectStages(stages = MIGRATION_STAGES, { requested = [], skipped = [] } = {}) {
+    const ordered = orderStages(stages);
+    const byId = new Map(ordered.map((stage) => [stage.id, stage]));
+    [...requested, ...skipped].forEach((stageId) => {
+        if (!byId.has(stageId)) {
+            throw new Error(`unknown stage: ${stageId}`);
+        }
+    });
+    const wanted = new Set(requested.length > 0 ? requested : ordered.map((stage) => stage.id));
+    const visited = new Set();
+    const stale = [];
+    const include = (stageId) => {
+        if (visited.has(stageId)) {
+            return;
+        }
+        visited.add(stageId);
+        byId.get(stageId).dependsOn.forEach((dependency) => {
+            if (skipped.includes(dependency)) {
+                stale.push({ stageId, dependency });
+                return;
+            }
+            include(dependency);
+        });
+    };
+    [...wanted].filter((stageId) => !skipped.includes(stageId)).forEach(include);
+    const stageIds = ordered.map((stage) => stage.id).filter((stageId) => visited.has(stageId));
+    return { stageIds, added: stageIds.filter((stageId) => !wanted.has(stageId)), stale };
+}
+
+function toCamelCase(input) {
+    return input.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+function parseCliArgs(argv = []) {
+    const options = {};
+    for (let i = 0; i < argv.length; i += 1) {
+        const arg = argv[i];
+        if (!arg.startsWith("--")) {
+            continue;
+        }
+        const raw = arg.slice(2);
+        if (!raw) {
+            continue;
+        }
+        if (raw === "help") {
+            options.help = true;
+            continue;
+        }
+        if (raw.startsWith("no-")) {
+            const key = toCamelCase(raw.slice(3));
+            options[key] = false;
+            continue;
+        }
+        const [keyPart, valuePart] = raw.split("=", 2);
+        const key = toCamelCase(keyPart);
+        if (valuePart !== undefined) {
+            options[key] = valuePart;
+            continue;
+        }
+        const next = argv[i + 1];
+        if (key === "dryRun" || key === "list" || key === "force" || key === "preflightOnly") {
+            options[key] = true;
+            continue;
+        }
+        if ((key === "resume" || key === "rollback") && (!next || next.startsWith("--"))) {
+            options[key] = true;
+            continue;
+        }
+        if (next && !next.startsWith("--")) {
+            options[key] = next;
+            i += 1;
+        }
+    }
+    return options;
+}
+
+function printUsage() {
+    console.log(`
+Usage: node hubspot/migration/runMigration.mjs [options]
+
+Runs the whole GHL -> HubSpot migration in dependency order:
+  ${orderStages().map((stage) => stage.id).join(" -> ")}
+
+Options:
+  --mongo-uri <uri>        Mongo connection string
+  --db-name <name>         Mongo database name (default: GoHighLevel)
+  --hubspot-access-token <token>  HubSpot private app token
+  --stages <ids>           Comma-separated stages to run, with the stages they depend on (default: all)
+  --skip <ids>             Comma-separated stages to leave out, even when a selected stage depends on them
+  --report-dir <dir>       Directory for the review reports, one subdirectory per run (default: migration-reports)
+  --run-id <id>            Id for the new run record (default: run-<timestamp>)
+  --resume [runId]         Resume a failed run (default: the latest unfinished run)
+  --force                  Start even if another run is still marked running
+  --preflight-only         Run the preflight checks and exit
+  --list                   List recent runs and the records each one mapped
+  --rollback <runId>       Archive the HubSpot records a run created and clear its id-map entries and checkpoints
+  --batch-size <number>    Records per HubSpot batch request (default/max: 100)
+  --concurrency <number>   Parallel workers inside each stage (default: 1)
+  --dry-run                Run every stage without writing to HubSpot
+  --help                   Show this help message
+`);
+}
+
+async function getDb(mongoUri, dbName) {
+    if (!mongoUri) {
+        throw new Error("MONGO_URI is not set");
+    }
+    const client = new MongoClient(mongoUri);
+    await client.connect();
+    return { client, db: client.db(dbName) };
+}
+
+function parseList(value) {
+    if (!value || value === true) {
+        return [];
+    }
+    return String(value).split(",").map((item) => item.trim()).filter(Boolean);
+}
+
+/**
+ * Checks that Mongo and HubSpot are reachable and that the selected stages have data to read.
+ * Returns `{ ok, checks }`; a failed check with level "error" stops the run.
+ */
+export async function runPreflight(db, { hubspotAccessToken, dryRun = false, stageIds = [] } = {}) {
+    const checks = [];
+    const add = (name, ok, detail, level = "error") => checks.push({ name, ok, level: ok ? "ok" : level, detail });
+
+    try {
+        await db.command({ ping: 1 });
+        add("mongo", true, "connected");
+    } catch (err) {
+        add("mongo", false, err?.message || String(err));
+    }
+
+    const selected = MIGRATION_STAGES.filter((stage) => stageIds.includes(stage.id));
+    const sources = [...new Set(selected.map((stage) => stage.source).filter(Boolean))];
+    for (const source of sources) {
+        const count = await db.collection(source).estimatedDocumentCount();
+        const required = selected.some((stage) => stage.source === source && stage.required);
+        add(`source:${source}`, count > 0, `${count} documents`, required ? "error" : "warning");
+    }
+    if (!stageIds.includes("users")) {
+        const mappedUsers = await db.collection("users").countDocuments({ "hubSpot.id": { $exists: true } });
+        add("users:mapped", mappedUsers > 0, `${mappedUsers} GHL users mapped to HubSpot owners`, "warning");
+    }
+
+    if (!hubspotAccessToken) {
+        add("hubspot:token", dryRun, dryRun ? "not set (dry run)" : "HUBSPOT_ACCESS_TOKEN is not set");
+    } else {
+        try {
+            const hubspotClient = buildHubspotClient(hubspotAccessToken);
+            await hubspotClient.crm.properties.coreApi.getAll("contacts");
+            const { dailyRemaining, dailyMax } = getSharedRateGovernor().state();
+            add("hubspot:token", true, dailyRemaining === null ? "valid" : `valid, ${dailyRemaining} of ${dailyMax} daily calls left`);
+        } catch (err) {
+            const status = err?.code || err?.response?.statusCode || err?.response?.status;
+            const detail = status === 401 ? "token rejected" : status === 403 ? "token is missing a required scope" : err?.message || String(err);
+            add("hubspot:token", false, `${status || ""} ${detail}`.trim());
+        }
+    }
+    if (stageIds.includes("contacts") || stageIds.includes("opportunities")) {
+        try {
+            const tokenOk = checks.some((check) => check.name === "hubspot:token" && check.ok && hubspotAccessToken);
+            const result = await checkFieldMappings(db, { hubspotAccessToken: tokenOk ? hubspotAccessToken : null });
+            add("fieldMappings", result.errors.length === 0, result.errors.join("; ") || `${result.mappings} mappings valid`);
+            if (result.warnings.length > 0) {
+                add("fieldMappings:warnings", false, `${result.warnings.length} warnings; run hubspot/customFields/fieldMappings.mjs --validate`, "warning");
+            }
+        } catch (err) {
+            add("fieldMappings", false, err?.message || String(err));
+        }
+    }
+    return { ok: checks.every((check) => check.level !== "error"), checks };
+}
+
+function printPreflight(preflight) {
+    console.log("preflight:");
+    preflight.checks.forEach((check) => {
+        console.log(`  [${check.level}] ${check.name}: ${check.detail}`);
+    });
+}
+
+function printRun(run) {
+    console.log(`run ${run._id}: ${run.status}${run.startedAt ? ` (started ${run.startedAt.toISOString()})` : ""}`);
+    Object.entries(run.stages || {}).forEach(([stageId, stage]) => {
+        const duration = stage.durationMs !== undefined ? ` (${Math.round(stage.durationMs / 1000)}s)` : "";
+        const error = stage.error ? `: ${stage.error}` : "";
+        console.log(`  ${stageId.padEnd(18)} ${stage.status}${duration}${error}`);
+    });
+    if (run.mapped && Object.keys(run.mapped).length > 0) {
+        const mapped = Object.entries(run.mapped).map(([objectTypeId, count]) => `${objectTypeId}=${count}`).join(", ");
+        console.log(`  mapped: ${mapped}`);
+    }
+}
+
+export async function listMigrationRuns({
+    mongoUri = process.env.MONGO_URI || "mongodb://localhost:27017",
+    dbName = DEFAULT_DB_NAME,
+    limit = 10
+} = {}) {
+    const { client, db } = await getDb(mongoUri, dbName);
+    try {
+        return await listRuns(db, { limit });
+    } finally {
+        await client.close();
+    }
+}
+
+/**
+ * Rolls back one run across all object types; see rollbackRun in src/migrationRun.mjs.
+ */
+export async function rollbackMigrationRun({
+    mongoUri = process.env.MONGO_URI || "mongodb://localhost:27017",
+    dbName = DEFAULT_DB_NAME,
+    hubspotAccessToken = process.env.HUBSPOT_ACCESS_TOKEN,
+    runId,
+    dryRun = false
+} = {}) {
+    if (!runId || runId === true) {
+        throw new Error("run id is required for --rollback");
+    }
+    const hubspotClient = buildHubspotClient(hubspotAccessToken);
+    const { client, db } = await getDb(mongoUri, dbName);
+    try {
+        const run = await db.collection(RUNS_COLLECTION).findOne({ _id: runId });
+        if (run?.status === "running") {
+            throw new Error(`run ${runId} is still marked running`);
+        }
+        return await rollbackRun(db, hubspotClient, runId, { dryRun });
+    } finally {
+        await client.close();
+    }
+}
+
+/**
+ * Runs the selected stages in dependency order and records progress in migration_runs.
+ * A failing stage marks the run failed and stops it; resuming the run skips completed stages
+ * and restarts at the one that broke, which picks up from its own checkpoint.
+ */
+export async function runMigration({
+    mongoUri = process.env.MONGO_URI || "mongodb://localhost:27017",
+    dbName = DEFAULT_DB_NAME,
+    hubspotAccessToken = process.env.HUBSPOT_ACCESS_TOKEN,
+    stages,
+    skip,
+    runId,
+    resume,
+    force = false,
+    preflightOnly = false,
+    batchSize,
+    concurrency,
+    reportDir = DEFAULT_REPORT_DIR,
+    dryRun = false
+} = {}) {
+    const { client, db } = await getDb(mongoUri, dbName);
+    try {
+        const runs = db.collection(RUNS_COLLECTION);
+        const ordered = orderStages();
+        let run = null;
+        if (resume) {
+            run = resume === true
+                ? await runs.find({ status: { $in: ["failed", "running"] } }).sort({ startedAt: -1 }).limit(1).next()
+                : await runs.findOne({ _id: resume });
+            if (!run) {
+                throw new Error(resume === true ? "no unfinished run to resume" : `run not found: ${resume}`);
+            }
+            if (run.status === "completed") {
+                throw new Error(`run ${run._id} already completed`);
+            }
+            console.log(`resuming run ${run._id}`);
+        } else if (!force && !preflightOnly) {
+            const active = await runs.findOne({ status: "running" });
+            if (active) {
+                throw new Error(`run ${active._id} is still marked running; resume it with --resume ${active._id} or pass --force`);
+            }
+        }
+
+        let stageIds = run?.stageIds;
+        if (!run) {
+            const selection = selectStages(MIGRATION_STAGES, { requested: parseList(stages), skipped: parseList(skip) });
+            stageIds = selection.stageIds;
+            if (selection.added.length > 0) {
+                console.log(`also running the stages the selection depends on: ${selection.added.join(", ")}`);
+            }
+            selection.stale.forEach(({ stageId, dependency }) => {
+                console.warn(`${stageId} depends on skipped stage ${dependency} and uses what an earlier run left behind`);
+            });
+        }
+        const options = run?.options || { batchSize, concurrency, dryRun, reportDir };
+
+        const preflight = await runPreflight(db, { hubspotAccessToken, dryRun: options.dryRun, stageIds });
+        printPreflight(preflight);
+        if (preflightOnly) {
+            return { preflight };
+        }
+        if (!preflight.ok) {
+            throw new Error("preflight failed; fix the errors above and run again");
+        }
+
+        const now = new Date();
+        if (!run) {
+            run = {
+                _id: runId || createRunId(),
+                status: "running",
+                startedAt: now,
+                updatedAt: now,
+                options,
+                stageIds,
+                preflight,
+                stages: Object.fromEntries(ordered.map((stage) => [stage.id, { status: stageIds.includes(stage.id) ? "pending" : "skipped" }]))
+            };
+            await runs.insertOne(run);
+        } else {
+            run.status = "running";
+            await runs.updateOne(
+                { _id: run._id },
+                { $set: { status: "running", preflight, updatedAt: now }, $push: { resumedAt: now } }
+            );
+        }
+        const setRun = async (fields) => {
+            await runs.updateOne({ _id: run._id }, { $set: { ...fields, updatedAt: new Date() } });
+        };
+
+        const runReportDir = join(options.reportDir || DEFAULT_REPORT_DIR, run._id);
+        await mkdir(runReportDir, { recursive: true });
+        const ctx = {
+            dryRun: options.dryRun,
+            reportDir: runReportDir,
+            hubspotAccessToken,
+            common: { mongoUri, dbName, hubspotAccessToken, dryRun: options.dryRun, runId: run._id },
+            throughput: { batchSize: options.batchSize, concurrency: options.concurrency }
+        };
+        for (const stage of ordered) {
+            const state = run.stages[stage.id];
+            if (state.status === "completed" || state.status === "skipped") {
+                continue;
+            }
+            const startedAt = new Date();
+            run.stages[stage.id] = { status: "running", startedAt };
+            await setRun({ [`stages.${stage.id}`]: run.stages[stage.id] });
+            console.log(`\n=== ${stage.id} ===`);
+            try {
+                const summary = await stage.run(ctx);
+                const finishedAt = new Date();
+                run.stages[stage.id] = { status: "completed", startedAt, finishedAt, durationMs: finishedAt - startedAt, summary: summary ?? null };
+                await setRun({ [`stages.${stage.id}`]: run.stages[stage.id] });
+                console.log(`${stage.id} completed in ${Math.round((finishedAt - startedAt) / 1000)}s:`, summary ?? "");
+            } catch (err) {
+                const finishedAt = new Date();
+                run.status = "failed";
+                run.stages[stage.id] = {
+                    status: "failed",
+                    startedAt,
+                    finishedAt,
+                    durationMs: finishedAt - startedAt,
+                    error: err?.message || String(err)
+                };
+                await setRun({ status: "failed", failedStage: stage.id, [`stages.${stage.id}`]: run.stages[stage.id] });
+                console.error(`${stage.id} failed:`, err?.message || err);
+                console.error(`resume with: node hubspot/migration/runMigration.mjs --resume ${run._id}`);
+                printRun(run);
+                return run;
+            }
+        }
+        run.status = "completed";
+        await setRun({ status: "completed", finishedAt: new Date(), failedStage: null });
+        printRun(run);
+        return run;
+    } finally {
+        await client.close();
+    }
+}
+
+if (import.meta.url === new URL(process.argv[1], "file:").href) {
+    const cli = parseCliArgs(process.argv.slice(2));
+    if (cli.help) {
+        printUsage();
+        process.exit(0);
+    }
+    const run = async () => {
+        if (cli.list) {
+            const runs = await listMigrationRuns({ mongoUri: cli.mongoUri, dbName: cli.dbName });
+            runs.forEach(printRun);
+            return;
+        }
+        if (cli.rollback !== undefined) {
+            const result = await rollbackMigrationRun({
+                mongoUri: cli.mongoUri,
+                dbName: cli.dbName,
+                hubspotAccessToken: cli.hubspotAccessToken,
+                runId: cli.rollback,
+                dryRun: cli.dryRun
+            });
+            console.log(`${cli.dryRun ? "[dry-run] " : ""}rollback complete:`, result);
+            return;
+        }
+        const result = await runMigration({
+            mongoUri: cli.mongoUri,
+            dbName: cli.dbName,
+            hubspotAccessToken: cli.hubspotAccessToken,
+            stages: cli.stages,
+            skip: cli.skip,
+            runId: cli.runId,
+            resume: cli.resume,
+            force: cli.force,
+            preflightOnly: cli.preflightOnly,
+            batchSize: cli.batchSize,
+            concurrency: cli.concurrency,
+            reportDir: cli.reportDir,
+            dryRun: cli.dryRun
+        });
+        if (result?.status === "failed" || result?.preflight?.ok === false) {
+            process.exitCode = 1;
+        }
+    };
+    run().catch((err) => {
+        console.error("runMigration failed:", err?.message || err);
+        process.exit(1);
+    });
+}
@@ -1,18 +1,24 @@
 import { Client } from "@hubspot/api-client";
 import { MongoClient, ObjectId } from "mongodb";
+import { collectNoteAssetUrls, rehostAssets, rewriteAssetUrls } from "../../src/model/assetManager.mjs";
+import { createBatchWriter, MAX_BATCH_SIZE } from "../../src/hubspotBatch.mjs";
+import { getSharedRateGovernor } from "../../src/hubspotRateGovernor.mjs";
+import { resolveRunId } from "../../src/migrationRun.mjs";
+import { runWorkerPool } from "../../src/workerPool.mjs";
 
 const DEFAULT_DB_NAME = "GoHighLevel";
 const DEFAULT_NOTES_COLLECTION = "notes";
 const DEFAULT_MAP_COLLECTION = "GHLHubspotIdMap";
 const DEFAULT_OBJECT_TYPE = "contact";
 const DEFAULT_OPPORTUNITY_OBJECT_TYPE = "opportunity";
+const NOTE_OBJECT_TYPE = "note";
 const DEFAULT_CHECKPOINT_ID = "hubspot_notes";
 
 function buildHubspotClient(accessToken = process.env.HUBSPOT_ACCESS_TOKEN) {
     if (!accessToken) {
         throw new Error("HUBSPOT_ACCESS_TOKEN is not set");
     }
-    return new Client({ accessToken });
+    return new Client({ accessToken, ...getSharedRateGovernor().clientOptions });
 }
 
 function toCamelCase(input) {
@@ -71,10 +77,13 @@ Options:
   --count-multi-relations-by-key  Count objectKeys for multi-relation notes
   --limit <number>         Max notes to migrate
   --checkpoint-id <id>     Checkpoint document id
+  --run-id <id>            Run id stamped on created notes (default: generated)
   --resume                 Resume from checkpoint (default)
   --no-resume              Start from the beginning
   --delete                 Delete HubSpot notes by import_tag
-  --batch-size <number>    Page size for delete (default: 100)
+  --batch-size <number>    Notes per create batch and page size for delete (default/max: 100)
+  --concurrency <number>   Notes processed in parallel (default: 1)
+  --no-rehost-attachments  Keep links to GHL-hosted files instead of uploading them to HubSpot
   --dry-run                Log actions without calling HubSpot
   --hubspot-access-token <token>  HubSpot private app token
   --help                   Show this help message
@@ -150,11 +159,25 @@ async function loadCheckpoint(db, checkpointId) {
     return db.collection("hubspot_transfer_checkpoints").findOne({ _id: checkpointId });
 }
 
-async function saveCheckpoint(db, checkpointId, data) {
+async function saveCheckpoint(db, checkpointId, data, runId) {
     const payload = { ...data, updatedAt: new Date() };
-    await db.collection("hubspot_transfer_checkpoints").updateOne(
-        { _id: checkpointId },
-        { $set: payload, $setOnInsert: { createdAt: new Date() } },
+    const update = { $set: payload, $setOnInsert: { createdAt: new Date() } };
+    if (runId) {
+        update.$addToSet = { runIds: runId };
+    }
+    await db.collection("hubspot_transfer_checkpoints").updateOne({ _id: checkpointId }, update, { upsert: true });
+}
+
+async function upsertGhlHubspotIdMap(mapColl, { ghlId, hubspotId, objectTypeId, runId } = {}) {
+    if (!ghlId || !hubspotId) {
+        return;
+    }
+    await mapColl.updateOne(
+        { ghlId, objectTypeId },
+        {
+            $set: { ghlId, hubspotId, objectTypeId, updatedAt: new Date() },
+            $setOnInsert: { createdAt: new Date(), runId }
+        },
         { upsert: true }
     );
 }
@@ -268,11 +291,17 @@ export async function migrateNotesToHubspot({
     limit,
     checkpointId = DEFAULT_CHECKPOINT_ID,
     resume = true,
+    rehostAttachments = true,
+    batchSize = MAX_BATCH_SIZE,
+    concurrency = 1,
+    runId,
     dryRun = false
 } = {}) {
     if (!hubspotAccessToken && !dryRun) {
         throw new Error("HUBSPOT_ACCESS_TOKEN is not set");
     }
+    const importRunId = resolveRunId(runId);
+    console.log(`notes import run: ${importRunId}`);
 
     let progressInterval = 25;
     const { client, db } = await getDb(mongoUri, dbName);
@@ -295,7 +324,7 @@ export async function migrateNotesToHubspot({
                 query._id = { $gt: new ObjectId(lastId) };
             }
         }
-        let cursor = notesColl.find(query);
+        let cursor = notesColl.find(query).sort({ _id: 1 });
         if (limit) {
             cursor = cursor.limit(Number(limit));
         }
@@ -308,6 +337,8 @@ export async function migrateNotesToHubspot({
             skippedMissingOpportunityId: 0,
             skippedMissingHubspotId: 0,
             skippedMissingBody: 0,
+            rehostedAttachments: 0,
+            attachmentErrors: 0,
             errors: 0
         };
 
@@ -323,9 +354,9 @@ export async function migrateNotesToHubspot({
             includePlainText = await checkPlainTextProperty(hubspotClient);
         }
 
+        const writer = createBatchWriter(hubspotClient, { db, batchSize, runId: importRunId });
         const appointmentCache = new Map();
-        for await (const note of cursor) {
-            let lastProcessedId = note?._id ? String(note._id) : undefined;
+        await runWorkerPool(cursor, async (note, { track }) => {
             let contactId = note?.contactId || getRelationRecordId(note, "contact");
             let opportunityId = note?.opportunityId || getRelationRecordId(note, "opportunity");
             const appointmentId = getRelationRecordId(note, "appointment");
@@ -345,10 +376,7 @@ export async function migrateNotesToHubspot({
                         appointmentId
                     });
                 }
-                if (lastProcessedId) {
-                    await saveCheckpoint(db, checkpointId, { lastId: lastProcessedId });
-                }
-                continue;
+                return;
             }
             summary.processed += 1;
             if (summary.processed % progressInterval === 0) {
@@ -379,19 +407,24 @@ export async function migrateNotesToHubspot({
                         appointmentId
                     });
                 }
-                if (lastProcessedId) {
-                    await saveCheckpoint(db, checkpointId, { lastId: lastProcessedId });
-                }
-                continue;
+                return;
             }
 
-            const properties = buildNoteProperties(note, { includePlainText });
+            let noteForHubspot = note;
+            const assetUrls = rehostAttachments ? collectNoteAssetUrls(note) : [];
+            if (assetUrls.length > 0 && !dryRun) {
+                const { urlMap, failures } = await rehostAssets(db, hubspotClient, assetUrls, {
+                    reference: { entityType: "note", ghlId: note?.id }
+                });
+                failures.forEach((failure) => console.error("failed to re-host note attachment", note?.id, failure.url, failure.reason));
+                summary.rehostedAttachments += urlMap.size;
+                summary.attachmentErrors += failures.length;
+                noteForHubspot = rewriteAssetUrls(note, urlMap);
+            }
+            const properties = buildNoteProperties(noteForHubspot, { includePlainText });
             if (!properties) {
                 summary.skippedMissingBody += 1;
-                if (lastProcessedId) {
-                    await saveCheckpoint(db, checkpointId, { lastId: lastProcessedId });
-                }
-                continue;
+                return;
             }
 
             const associations = [];
@@ -423,35 +456,31 @@ export async function migrateNotesToHubspot({
                     hubspotDealId
                 });
                 summary.created += 1;
-                if (lastProcessedId) {
-                    await saveCheckpoint(db, checkpointId, { lastId: lastProcessedId });
-                }
-                continue;
+                return;
             }
 
-            try {
-                await hubspotClient.crm.objects.notes.basicApi.create({
-                    properties,
-                    associations
-                });
-                summary.created += 1;
-                if (lastProcessedId) {
-                    await saveCheckpoint(db, checkpointId, { lastId: lastProcessedId });
-                }
-                if (summary.processed % progressInterval === 0) {
-                    console.log(
-                        `notes progress: processed=${summary.processed}, created=${summary.created}, skippedMissingContactId=${summary.skippedMissingContactId}, skippedMissingOpportunityId=${summary.skippedMissingOpportunityId}, skippedMissingHubspotId=${summary.skippedMissingHubspotId}, skippedMissingBody=${summary.skippedMissingBody}, errors=${summary.errors}`
-                    );
+            const { settled } = await writer.add("notes", {
+                ghlId: note?.id,
+                entityType: "note",
+                properties,
+                associations,
+                meta: { contactId, opportunityId },
+                onCreated: async (hubspotId) => {
+                    await upsertGhlHubspotIdMap(mapColl, { ghlId: note?.id, hubspotId, objectTypeId: NOTE_OBJECT_TYPE, runId: importRunId });
+                    summary.created += 1;
+                },
+                onFailed: (reason, status) => {
+                    console.error("failed to create note", note?.id, status || "", reason);
+                    summary.errors += 1;
                 }
-            } catch (err) {
-                const status = err?.code || err?.response?.statusCode || err?.response?.status;
-                console.error("failed to create note", status || "", err?.message || err);
-                summary.errors += 1;
-                if (lastProcessedId) {
-                    await saveCheckpoint(db, checkpointId, { lastId: lastProcessedId });
-                }
-            }
-        }
+            });
+            track(settled);
+        }, {
+            concurrency,
+            checkpointOf: (note) => (note?._id ? String(note._id) : undefined),
+            onCheckpoint: (lastId) => lastId && saveCheckpoint(db, checkpointId, { lastId }, importRunId),
+            beforeDrain: () => writer.flush()
+        });
 
         return summary;
     } finally {
@@ -563,6 +592,10 @@ if (import.meta.url === new URL(process.argv[1], "file:").href) {
             hubspotAccessToken: cli.hubspotAccessToken,
             checkpointId: cli.checkpointId,
             resume: cli.resume !== false,
+            rehostAttachments: cli.rehostAttachments !== false,
+            batchSize: cli.batchSize,
+            concurrency: cli.concurrency,
+            runId: cli.runId,
             limit: cli.limit,
             dryRun: cli.dryRun
         });
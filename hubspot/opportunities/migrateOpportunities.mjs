@@ -1,9 +1,16 @@
 import { Client } from "@hubspot/api-client";
 import { MongoClient, ObjectId } from "mongodb";
+import { batchUpdateRecords, createBatchWriter, MAX_BATCH_SIZE } from "../../src/hubspotBatch.mjs";
+import { getSharedRateGovernor } from "../../src/hubspotRateGovernor.mjs";
+import { applyFieldMappings, loadFieldMappings, mappingSource } from "../customFields/fieldMappings.mjs";
+import { findNpsProperties, resolveCsatObjectType, upsertCsatRecords } from "../csat/csatRecords.mjs";
+import { resolveRunId } from "../../src/migrationRun.mjs";
+import { runWorkerPool } from "../../src/workerPool.mjs";
 
 const DEFAULT_DB_NAME = "GoHighLevel";
 const DEFAULT_COLLECTION = "opportunities";
 const DEFAULT_MAP_COLLECTION = "GHLHubspotIdMap";
+const DEFAULT_STAGE_MAP_COLLECTION = "pipeline_stage_map";
 const DEFAULT_CHECKPOINT_ID = "hubspot_opportunities";
 const OBJECT_TYPE_ID = "opportunity";
 
@@ -11,7 +18,7 @@ function buildHubspotClient(accessToken = process.env.HUBSPOT_ACCESS_TOKEN) {
     if (!accessToken) {
         throw new Error("HUBSPOT_ACCESS_TOKEN is not set");
     }
-    return new Client({ accessToken });
+    return new Client({ accessToken, ...getSharedRateGovernor().clientOptions });
 }
 
 function toCamelCase(input) {
@@ -44,7 +51,7 @@ function parseCliArgs(argv = []) {
             options[key] = valuePart;
             continue;
         }
-        if (key === "dryRun" || key === "resume" || key === "deleteImportTag") {
+        if (key === "dryRun" || key === "resume" || key === "deleteImportTag" || key === "requireStageMap") {
             options[key] = true;
             continue;
         }
@@ -67,11 +74,17 @@ Options:
   --collection <name>      Mongo opportunities collection (default: opportunities)
   --map-collection <name>  Mapping collection (default: GHLHubspotIdMap)
   --limit <number>         Max opportunities to migrate
+  --batch-size <number>    Deals per create batch (default/max: 100)
+  --concurrency <number>   Opportunities processed in parallel (default: 1)
   --checkpoint-id <id>     Checkpoint document id
+  --run-id <id>            Run id stamped on created deals (default: generated)
   --resume                 Resume from checkpoint (default)
   --no-resume              Start from the beginning
-  --dealstage <id>         HubSpot dealstage id (required if not in data)
-  --pipeline <id>          HubSpot pipeline id (optional)
+  --dealstage <id>         Fallback HubSpot dealstage id for stages without a pipeline mapping
+  --pipeline <id>          Fallback HubSpot pipeline id (optional)
+  --stage-map-collection <name>  Stage mapping table (default: pipeline_stage_map)
+  --field-mappings <path>  Field mappings file (default: ghl_field_mappings collection or customFields/fieldMappings.json)
+  --require-stage-map      Abort before migrating if any GHL stage has no mapping
   --delete-import-tag [tag]  Delete deals with import_tag (default: GHL_MIGRATION)
   --dry-run                Log actions without calling HubSpot
   --hubspot-access-token <token>  HubSpot private app token
@@ -92,13 +105,13 @@ async function loadCheckpoint(db, checkpointId) {
     return db.collection("hubspot_transfer_checkpoints").findOne({ _id: checkpointId });
 }
 
-async function saveCheckpoint(db, checkpointId, data) {
+async function saveCheckpoint(db, checkpointId, data, runId) {
     const payload = { ...data, updatedAt: new Date() };
-    await db.collection("hubspot_transfer_checkpoints").updateOne(
-        { _id: checkpointId },
-        { $set: payload, $setOnInsert: { createdAt: new Date() } },
-        { upsert: true }
-    );
+    const update = { $set: payload, $setOnInsert: { createdAt: new Date() } };
+    if (runId) {
+        update.$addToSet = { runIds: runId };
+    }
+    await db.collection("hubspot_transfer_checkpoints").updateOne({ _id: checkpointId }, update, { upsert: true });
 }
 
 async function recordFailedMigration(db, {
@@ -243,7 +256,7 @@ export async function deleteDealsByImportTag(
     return results;
 }
 
-async function upsertGhlHubspotIdMap(db, { ghlId, hubspotId } = {}) {
+async function upsertGhlHubspotIdMap(db, { ghlId, hubspotId, runId } = {}) {
     if (!ghlId || !hubspotId) {
         return;
     }
@@ -251,7 +264,7 @@ async function upsertGhlHubspotIdMap(db, { ghlId, hubspotId } = {}) {
         { ghlId, objectTypeId: OBJECT_TYPE_ID },
         {
             $set: { ghlId, hubspotId, objectTypeId: OBJECT_TYPE_ID, updatedAt: new Date() },
-            $setOnInsert: { createdAt: new Date() }
+            $setOnInsert: { createdAt: new Date(), runId }
         },
         { upsert: true }
     );
@@ -440,19 +453,96 @@ function normalizeEnumerationValue(value) {
         .toLowerCase();
     return value;
 }
-async function buildDealProperties(opportunity, { defaultDealstage, defaultPipeline, hsTagIds, db, companyApexId } = {}) {
+/**
+ * Loads the pipeline_stage_map table (filled by migratePipelines, editable through the server API).
+ * Closed won/lost stages are keyed as "<ghlPipelineId>:won" and "<ghlPipelineId>:lost".
+ */
+async function loadPipelineStageMap(db, stageMapCollection = DEFAULT_STAGE_MAP_COLLECTION) {
+    const stageMap = new Map();
+    const entries = await db.collection(stageMapCollection)
+        .find({ hubspotPipelineId: { $ne: null }, hubspotStageId: { $ne: null } })
+        .toArray();
+    entries.forEach((entry) => {
+        stageMap.set(entry._id, { pipelineId: entry.hubspotPipelineId, stageId: entry.hubspotStageId });
+    });
+    return stageMap;
+}
+
+/**
+ * Groups the opportunities about to be migrated by pipeline, stage and status and returns
+ * the combinations the stage map cannot place, with GHL names and opportunity counts.
+ */
+async function findUnmappedStages(db, collectionName, query, stageMap) {
+    const groups = await db.collection(collectionName).aggregate([
+        { $match: query },
+        {
+            $group: {
+                _id: { pipelineId: "$pipelineId", pipelineStageId: "$pipelineStageId", status: "$status" },
+                count: { $sum: 1 }
+            }
+        }
+    ]).toArray();
+    const pipelines = await db.collection("pipelines").find({}).toArray();
+    const pipelineById = new Map(pipelines.map((pipeline) => [pipeline.id, pipeline]));
+    const unmapped = new Map();
+    for (const group of groups) {
+        const { pipelineId, pipelineStageId, status } = group._id;
+        if (resolveDealStage({ pipelineId, pipelineStageId, status }, stageMap)) {
+            continue;
+        }
+        const normalizedStatus = String(status || "").toLowerCase();
+        const stageKey = normalizedStatus === "won"
+            ? `${pipelineId}:won`
+            : normalizedStatus === "lost" || normalizedStatus === "abandoned"
+                ? `${pipelineId}:lost`
+                : pipelineStageId;
+        const pipeline = pipelineById.get(pipelineId);
+        const stage = (pipeline?.stages || []).find((candidate) => candidate?.id === pipelineStageId);
+        const entry = unmapped.get(stageKey) || {
+            ghlStageId: stageKey,
+            ghlPipelineId: pipelineId,
+            ghlPipelineName: pipeline?.name,
+            ghlStageName: stageKey === pipelineStageId ? stage?.name : `Closed ${normalizedStatus === "won" ? "won" : "lost"}`,
+            count: 0
+        };
+        entry.count += group.count;
+        unmapped.set(stageKey, entry);
+    }
+    return [...unmapped.values()];
+}
+
+function resolveDealStage(opportunity, stageMap) {
+    if (!stageMap || stageMap.size === 0 || !opportunity?.pipelineId) {
+        return null;
+    }
+    const status = String(opportunity?.status || "").toLowerCase();
+    if (status === "won") {
+        return stageMap.get(`${opportunity.pipelineId}:won`) || null;
+    }
+    if (status === "lost" || status === "abandoned") {
+        return stageMap.get(`${opportunity.pipelineId}:lost`) || null;
+    }
+    return stageMap.get(opportunity?.pipelineStageId) || null;
+}
+
+async function buildDealProperties(opportunity, { defaultDealstage, defaultPipeline, stageMap, hsTagIds, db, companyApexId, fieldMappings = [], ghlContact } = {}) {
     const dealname =
         normalizePropertyValue(opportunity?.contact?.companyName) ||
         normalizePropertyValue(opportunity?.name) ||
         normalizePropertyValue(opportunity?.title) ||
         normalizePropertyValue(opportunity?.displayName) ||
         `GHL Opportunity ${opportunity?.id || ""}`.trim();
-    const dealstage = defaultDealstage;
-    const pipeline = defaultPipeline;
+    const mappedStage = resolveDealStage(opportunity, stageMap);
+    const dealstage = mappedStage?.stageId || defaultDealstage;
+    const pipeline = mappedStage ? mappedStage.pipelineId : defaultPipeline;
     const amount = normalizePropertyValue(
         opportunity?.monetaryValue ?? opportunity?.amount ?? opportunity?.value ?? opportunity?.price
     );
-    const closedate = toTimestamp(opportunity?.closedAt || opportunity?.closeDate || opportunity?.closedOn);
+    const isClosed = ["won", "lost", "abandoned"].includes(String(opportunity?.status || "").toLowerCase());
+    const closedate = toTimestamp(
+        opportunity?.closedAt || opportunity?.closeDate || opportunity?.closedOn ||
+        (isClosed ? opportunity?.lastStatusChangeAt || opportunity?.updatedAt : undefined)
+    );
 
     const properties = {
         dealname,
@@ -469,25 +559,9 @@ async function buildDealProperties(opportunity, { defaultDealstage, defaultPipel
         properties.hs_tag_ids = hsTagIds;
     }
 
-    (opportunity?.customFields || []).forEach((customField) => {
-        switch (customField.id) {
-            case "gyxG6J8U3DjXt4yfOd1R": // "SF Account ID"
-                properties['ghl_created_on'] = new Date(customField.value).toISOString();
-                break;
-            case 'fG1SzEF1g2BFKEiWJnxW': 
-                properties['ghl_notes'] = customField.fieldValueString;
-                break;
-            case 'C6ibnKRfYinqxJirahN6':
-                properties['product_status'] = normalizeEnumerationValue(customField.fieldValueString);
-                break;
-            case 'pktIJsey3UvYPAn2BjPE':
-                properties['installment_start_date'] = new Date(customField.fieldValueDatee).toISOString();
-                break;
-            case 'd6LQnhGA6VWI6HCyXral':
-                properties['consultation_status'] = normalizeEnumerationValue(customField.fieldValueString);
-                break;
-        }
-    });
+    Object.assign(properties, applyFieldMappings(opportunity?.customFields, fieldMappings, "deals"));
+    // Contact fields whose destination is Deal.
+    Object.assign(properties, applyFieldMappings(ghlContact?.customFields, fieldMappings, "deals", "contact"));
     const assignedToUser = await findAssignedToUser(db, opportunity);
     if (assignedToUser && assignedToUser?.hubSpot?.id) {
         properties.hubspot_owner_id = assignedToUser?.hubSpot?.id;
@@ -550,11 +624,19 @@ export async function migrateOpportunitiesToHubspot({
     dryRun = false,
     limit,
     defaultDealstage,
-    defaultPipeline
+    defaultPipeline,
+    stageMapCollection = DEFAULT_STAGE_MAP_COLLECTION,
+    requireStageMap = false,
+    fieldMappingsPath,
+    batchSize = MAX_BATCH_SIZE,
+    concurrency = 1,
+    runId
 } = {}) {
     if (!hubspotAccessToken && !dryRun) {
         throw new Error("HUBSPOT_ACCESS_TOKEN is not set");
     }
+    const importRunId = resolveRunId(runId);
+    console.log(`deals import run: ${importRunId}`);
     const { client, db } = await getDb(mongoUri, dbName);
     try {
         const collection = db.collection(collectionName);
@@ -567,7 +649,7 @@ export async function migrateOpportunitiesToHubspot({
                 query._id = { $gt: new ObjectId(lastId) };
             }
         }
-        let cursor = collection.find(query);
+        let cursor = collection.find(query).sort({ _id: 1 });
         if (limit) {
             cursor = cursor.limit(Number(limit));
         }
@@ -576,7 +658,10 @@ export async function migrateOpportunitiesToHubspot({
             processed: 0,
             created: 0,
             skippedMissingStage: 0,
+            unmappedStage: 0,
             skippedAlreadyMapped: 0,
+            contactsUpdated: 0,
+            csatRecords: 0,
             errors: 0
         };
 
@@ -600,28 +685,40 @@ export async function migrateOpportunitiesToHubspot({
         }
         const fallbackPipeline = defaultPipeline || resolvedDefaults.pipelineId;
         const fallbackStage = defaultDealstage || resolvedDefaults.stageId;
+        const stageMap = await loadPipelineStageMap(db, stageMapCollection);
+        const fieldMappings = await loadFieldMappings(db, { mappingsPath: fieldMappingsPath });
+        // Fields routed away from their GHL model by the destination picked in HubSpot.html.
+        const readsContactFields = fieldMappings.some((mapping) => mapping.object === "deals" && mappingSource(mapping) === "contact");
+        const writesContactFields = fieldMappings.some((mapping) => mapping.object === "contacts" && mappingSource(mapping) === "opportunity");
+        const writesCsatFields = fieldMappings.some((mapping) => mapping.object === "csat" && mappingSource(mapping) === "opportunity");
+        const csatObjectType = writesCsatFields && !dryRun ? await resolveCsatObjectType(hubspotClient) : null;
+        const unmappedStages = await findUnmappedStages(db, collectionName, query, stageMap);
+        if (unmappedStages.length > 0) {
+            console.warn(`${unmappedStages.length} GHL stage(s) have no entry in ${stageMapCollection}:`);
+            unmappedStages.forEach((entry) => {
+                console.warn(`  ${entry.ghlPipelineName || entry.ghlPipelineId} / ${entry.ghlStageName || entry.ghlStageId} (${entry.ghlStageId}): ${entry.count} opportunities`);
+            });
+            if (requireStageMap) {
+                throw new Error("unmapped pipeline stages; map them via /api/pipeline-stage-map or run migratePipelines.mjs");
+            }
+            console.warn(`these opportunities will use the fallback stage ${fallbackStage || "(none)"}`);
+        }
         if (!fallbackStage && !dryRun) {
             console.warn("dealstage not provided and default stage not resolved; provide --dealstage");
         }
 
-        for await (const opportunity of cursor) {
-            const lastProcessedId = opportunity?._id ? String(opportunity._id) : undefined;
+        const writer = createBatchWriter(hubspotClient, { db, batchSize, runId: importRunId });
+        await runWorkerPool(cursor, async (opportunity, { track }) => {
             const ghlId = opportunity?.id;
             if (!ghlId) {
-                if (lastProcessedId) {
-                    await saveCheckpoint(db, checkpointId, { lastId: lastProcessedId });
-                }
-                continue;
+                return;
             }
             summary.processed += 1;
 
             const existingMap = await mapColl.findOne({ ghlId, objectTypeId: OBJECT_TYPE_ID });
             if (existingMap?.hubspotId) {
                 summary.skippedAlreadyMapped += 1;
-                if (lastProcessedId) {
-                    await saveCheckpoint(db, checkpointId, { lastId: lastProcessedId });
-                }
-                continue;
+                return;
             }
 
             let hsTagIds = null;
@@ -663,13 +760,22 @@ export async function migrateOpportunitiesToHubspot({
                     reason: "missing hubspot contact mapping"
                 });
             }
+            const ghlContact = readsContactFields && opportunity?.contactId
+                ? await db.collection("contacts").findOne({ id: opportunity.contactId })
+                : null;
             const properties = await buildDealProperties(opportunity, {
                 defaultDealstage: fallbackStage,
                 defaultPipeline: fallbackPipeline,
+                stageMap,
                 hsTagIds,
                 db,
-                companyApexId
+                companyApexId,
+                fieldMappings,
+                ghlContact
             });
+            if (!resolveDealStage(opportunity, stageMap)) {
+                summary.unmappedStage += 1;
+            }
             if (!properties.dealstage) {
                 summary.skippedMissingStage += 1;
                 await recordFailedMigration(db, {
@@ -677,63 +783,90 @@ export async function migrateOpportunitiesToHubspot({
                     ghlId,
                     reason: "missing dealstage"
                 });
-                if (lastProcessedId) {
-                    await saveCheckpoint(db, checkpointId, { lastId: lastProcessedId });
-                }
-                continue;
+                return;
             }
 
+            const contactProperties = writesContactFields
+                ? applyFieldMappings(opportunity?.customFields, fieldMappings, "contacts", "opportunity")
+                : {};
+            const csatProperties = writesCsatFields
+                ? applyFieldMappings(opportunity?.customFields, fieldMappings, "csat", "opportunity")
+                : {};
+
             if (dryRun) {
                 console.log("[dry-run] create deal", ghlId, properties.dealname);
-                summary.created += 1;
-                if (lastProcessedId) {
-                    await saveCheckpoint(db, checkpointId, { lastId: lastProcessedId });
+                if (Object.keys(contactProperties).length > 0) {
+                    console.log("[dry-run] update contact", opportunity?.contactId, JSON.stringify(contactProperties));
                 }
-                continue;
-            }
-
-            try {
-                const response = await hubspotClient.crm.deals.basicApi.create({ properties });
-                const hubspotId = response?.id;
-                if (hubspotId) {
-                    await upsertGhlHubspotIdMap(db, { ghlId, hubspotId });
-                    if (hubspotContactId) {
-                        const associations = dealToContactAssociationType ? [dealToContactAssociationType] : [];
-                        await hubspotClient.crm.associations.v4.basicApi.create(
-                            "deals",
-                            hubspotId,
-                            "contacts",
-                            hubspotContactId,
-                            associations
-                        );
-                    }
-                    if (hubspotCompanyId) {
-                        const associations = dealToCompanyAssociationType ? [dealToCompanyAssociationType] : [];
-                        await hubspotClient.crm.associations.v4.basicApi.create(
-                            "deals",
-                            hubspotId,
-                            "companies",
-                            hubspotCompanyId,
-                            associations
-                        );
-                    }
+                if (Object.keys(csatProperties).length > 0) {
+                    console.log("[dry-run] csat record", opportunity?.contactId, JSON.stringify(csatProperties));
                 }
                 summary.created += 1;
-            } catch (err) {
-                const status = err?.code || err?.response?.statusCode || err?.response?.status;
-                console.error("failed to create deal", status || "", err?.message || err);
-                await recordFailedMigration(db, {
-                    entityType: "opportunity",
+                return;
+            }
+
+            if (hubspotContactId && Object.keys(contactProperties).length > 0) {
+                const { updated } = await batchUpdateRecords(hubspotClient, "contacts", [{
+                    id: hubspotContactId,
                     ghlId,
-                    reason: err?.message || String(err)
-                });
-                summary.errors += 1;
-            } finally {
-                if (lastProcessedId) {
-                    await saveCheckpoint(db, checkpointId, { lastId: lastProcessedId });
+                    entityType: "opportunity_contact_fields",
+                    properties: contactProperties
+                }], { db });
+                summary.contactsUpdated += updated.length;
+            }
+            if (hubspotContactId && Object.keys(csatProperties).length > 0) {
+                try {
+                    const counts = await upsertCsatRecords(hubspotClient, db, [{
+                        ghlContactId: opportunity.contactId,
+                        hubspotContactId,
+                        hubspotCompanyId,
+                        properties: csatProperties
+                    }], {
+                        objectType: csatObjectType,
+                        runId: importRunId,
+                        npsProperties: findNpsProperties(fieldMappings)
+                    });
+                    summary.csatRecords += counts.created + counts.updated;
+                } catch (err) {
+                    console.error("failed to write csat record", opportunity.contactId, err?.message || err);
+                    summary.errors += 1;
                 }
             }
-        }
+
+            const associations = [];
+            if (hubspotContactId) {
+                associations.push({
+                    to: { id: hubspotContactId },
+                    types: dealToContactAssociationType ? [dealToContactAssociationType] : []
+                });
+            }
+            if (hubspotCompanyId) {
+                associations.push({
+                    to: { id: hubspotCompanyId },
+                    types: dealToCompanyAssociationType ? [dealToCompanyAssociationType] : []
+                });
+            }
+            const { settled } = await writer.add("deals", {
+                ghlId,
+                entityType: "opportunity",
+                properties,
+                associations,
+                onCreated: async (hubspotId) => {
+                    await upsertGhlHubspotIdMap(db, { ghlId, hubspotId, runId: importRunId });
+                    summary.created += 1;
+                },
+                onFailed: (reason, status) => {
+                    console.error("failed to create deal", status || "", reason);
+                    summary.errors += 1;
+                }
+            });
+            track(settled);
+        }, {
+            concurrency,
+            checkpointOf: (opportunity) => (opportunity?._id ? String(opportunity._id) : undefined),
+            onCheckpoint: (lastId) => lastId && saveCheckpoint(db, checkpointId, { lastId }, importRunId),
+            beforeDrain: () => writer.flush()
+        });
 
         return summary;
     } finally {
@@ -764,10 +897,16 @@ if (import.meta.url === new URL(process.argv[1], "file:").href) {
             mapCollection: cli.mapCollection,
             hubspotAccessToken: cli.hubspotAccessToken,
             checkpointId: cli.checkpointId,
+            runId: cli.runId,
             resume: cli.resume !== false,
             limit: cli.limit,
+            batchSize: cli.batchSize,
+            concurrency: cli.concurrency,
             defaultDealstage: cli.dealstage,
             defaultPipeline: cli.pipeline,
+            stageMapCollection: cli.stageMapCollection,
+            fieldMappingsPath: cli.fieldMappings,
+            requireStageMap: cli.requireStageMap,
             dryRun: cli.dryRun
         });
         console.log("opportunity migration complete:", summary);
@@ -0,0 +1,414 @@
+import { Client } from "@hubspot/api-client";
+import { MongoClient } from "mongodb";
+import { getSharedRateGovernor } from "../../src/hubspotRateGovernor.mjs";
+
+const DEFAULT_DB_NAME = "GoHighLevel";
+const DEFAULT_COLLECTION = "pipelines";
+const DEFAULT_MAP_COLLECTION = "GHLHubspotIdMap";
+const DEFAULT_STAGE_MAP_COLLECTION = "pipeline_stage_map";
+const PIPELINE_OBJECT_TYPE_ID = "pipeline";
+const STAGE_OBJECT_TYPE_ID = "pipeline_stage";
+const DEFAULT_WON_LABEL = "Closed Won";
+const DEFAULT_LOST_LABEL = "Closed Lost";
+
+function buildHubspotClient(accessToken = process.env.HUBSPOT_ACCESS_TOKEN) {
+    if (!accessToken) {
+        throw new Error("HUBSPOT_ACCESS_TOKEN is not set");
+    }
+    return new Client({ accessToken, ...getSharedRateGovernor().clientOptions });
+}
+
+function toCamelCase(input) {
+    return input.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+function parseCliArgs(argv = []) {
+    const options = {};
+    for (let i = 0; i < argv.length; i += 1) {
+        const arg = argv[i];
+        if (!arg.startsWith("--")) {
+            continue;
+        }
+        const raw = arg.slice(2);
+        if (!raw) {
+            continue;
+        }
+        if (raw === "help") {
+            options.help = true;
+            continue;
+        }
+        if (raw.startsWith("no-")) {
+            const key = toCamelCase(raw.slice(3));
+            options[key] = false;
+            continue;
+        }
+        const [keyPart, valuePart] = raw.split("=", 2);
+        const key = toCamelCase(keyPart);
+        if (valuePart !== undefined) {
+            options[key] = valuePart;
+            continue;
+        }
+        if (key === "dryRun") {
+            options[key] = true;
+            continue;
+        }
+        const next = argv[i + 1];
+        if (next && !next.startsWith("--")) {
+            options[key] = next;
+            i += 1;
+        }
+    }
+    return options;
+}
+
+function printUsage() {
+    console.log(`
+Usage: node hubspot/pipelines/migratePipelines.mjs [options]
+
+Creates a HubSpot deal pipeline for every GHL pipeline, with one stage per GHL stage
+plus closed won/lost stages, and fills the pipeline_stage_map table used by
+migrateOpportunities. Stages overridden by hand in that table are left alone.
+
+Options:
+  --mongo-uri <uri>        Mongo connection string
+  --db-name <name>         Mongo database name (default: GoHighLevel)
+  --collection <name>      Mongo pipelines collection (default: pipelines)
+  --map-collection <name>  Mapping collection (default: GHLHubspotIdMap)
+  --stage-map-collection <name>  Stage mapping table (default: pipeline_stage_map)
+  --won-label <label>      Label of the closed won stage (default: Closed Won)
+  --lost-label <label>     Label of the closed lost stage (default: Closed Lost)
+  --dry-run                Log actions without calling HubSpot
+  --hubspot-access-token <token>  HubSpot private app token
+  --help                   Show this help message
+`);
+}
+
+async function getDb(mongoUri, dbName) {
+    if (!mongoUri) {
+        throw new Error("MONGO_URI is not set");
+    }
+    const client = new MongoClient(mongoUri);
+    await client.connect();
+    return { client, db: client.db(dbName) };
+}
+
+async function recordFailedMigration(db, {
+    entityType,
+    ghlId,
+    reason
+} = {}) {
+    if (!db || !entityType || !ghlId) {
+        return;
+    }
+    await db.collection("hubspot_failed_migrations").updateOne(
+        { entityType, ghlId },
+        {
+            $set: { reason, updatedAt: new Date() },
+            $setOnInsert: { createdAt: new Date() }
+        },
+        { upsert: true }
+    );
+}
+
+async function upsertGhlHubspotIdMap(db, mapCollection, {
+    ghlId,
+    hubspotId,
+    objectTypeId,
+    ...extra
+} = {}) {
+    if (!ghlId || !hubspotId) {
+        return;
+    }
+    await db.collection(mapCollection).updateOne(
+        { ghlId, objectTypeId },
+        {
+            $set: { ghlId, hubspotId, objectTypeId, ...extra, updatedAt: new Date() },
+            $setOnInsert: { createdAt: new Date() }
+        },
+        { upsert: true }
+    );
+}
+
+/**
+ * Records a stage in the pipeline_stage_map table unless someone has overridden it by hand.
+ */
+async function upsertStageMapping(db, stageMapCollection, mapping) {
+    const collection = db.collection(stageMapCollection);
+    const existing = await collection.findOne({ _id: mapping.ghlStageId });
+    if (existing?.source === "manual") {
+        return false;
+    }
+    await collection.updateOne(
+        { _id: mapping.ghlStageId },
+        {
+            $set: { ...mapping, source: "pipeline_migration", updatedAt: new Date() },
+            $setOnInsert: { createdAt: new Date() }
+        },
+        { upsert: true }
+    );
+    return true;
+}
+
+function normalizeLabel(value) {
+    return String(value || "").trim().toLowerCase();
+}
+
+/**
+ * Ids for the closed stages GHL does not model as stages: an opportunity's won/lost status
+ * lands it in these regardless of its pipelineStageId.
+ */
+export function closedStageGhlId(pipelineId, outcome) {
+    return `${pipelineId}:${outcome}`;
+}
+
+// HubSpot stage labels must be unique within a pipeline; repeats get " (2)", " (3)", ...
+function uniqueLabel(label, used) {
+    let candidate = label;
+    for (let n = 2; used.has(normalizeLabel(candidate)); n += 1) {
+        candidate = `${label} (${n})`;
+    }
+    used.add(normalizeLabel(candidate));
+    return candidate;
+}
+
+/**
+ * Builds the HubSpot stage list for a GHL pipeline: open stages in GHL order with rising
+ * probability, followed by closed won (probability 1) and closed lost (probability 0).
+ * Labels are made unique, so a GHL stage named like another stage or like the closed stages
+ * never shares a HubSpot stage with it.
+ */
+export function buildStageInputs(pipeline, { wonLabel = DEFAULT_WON_LABEL, lostLabel = DEFAULT_LOST_LABEL } = {}) {
+    const stages = (Array.isArray(pipeline?.stages) ? pipeline.stages : []).filter((stage) => stage?.id);
+    const used = new Set();
+    const openStages = stages.map((stage, index) => ({
+        ghlId: stage.id,
+        label: uniqueLabel(String(stage.name || `Stage ${index + 1}`).trim(), used),
+        displayOrder: index,
+        metadata: {
+            probability: String(Math.round(((index + 1) / (stages.length + 1)) * 10) / 10)
+        }
+    }));
+    return [
+        ...openStages,
+        {
+            ghlId: closedStageGhlId(pipeline.id, "won"),
+            label: uniqueLabel(wonLabel, used),
+            displayOrder: openStages.length,
+            metadata: { probability: "1.0", isClosed: "true" }
+        },
+        {
+            ghlId: closedStageGhlId(pipeline.id, "lost"),
+            label: uniqueLabel(lostLabel, used),
+            displayOrder: openStages.length + 1,
+            metadata: { probability: "0.0", isClosed: "true" }
+        }
+    ];
+}
+
+/**
+ * Pairs each stage input with a HubSpot stage: first the stage recorded for its GHL id in
+ * `mappedStageIds` (GHL stage id -> HubSpot stage id), then an unclaimed stage with the same
+ * label. A HubSpot stage is paired with at most one input. Returns GHL stage id -> HubSpot stage.
+ */
+export function matchStageInputs(stages = [], stageInputs = [], mappedStageIds = new Map()) {
+    const matched = new Map();
+    const claimed = new Set();
+    stageInputs.forEach((input) => {
+        const stage = stages.find((candidate) => candidate?.id && candidate.id === mappedStageIds.get(input.ghlId));
+        if (stage && !claimed.has(stage.id)) {
+            matched.set(input.ghlId, stage);
+            claimed.add(stage.id);
+        }
+    });
+    stageInputs.filter((input) => !matched.has(input.ghlId)).forEach((input) => {
+        const stage = stages.find((candidate) => candidate?.id && !claimed.has(candidate.id)
+            && normalizeLabel(candidate.label) === normalizeLabel(input.label));
+        if (stage) {
+            matched.set(input.ghlId, stage);
+            claimed.add(stage.id);
+        }
+    });
+    return matched;
+}
+
+async function loadMappedStageIds(db, mapCollection, stageInputs) {
+    const mappings = await db.collection(mapCollection)
+        .find({ ghlId: { $in: stageInputs.map((input) => input.ghlId) }, objectTypeId: STAGE_OBJECT_TYPE_ID })
+        .toArray();
+    return new Map(mappings.map((mapping) => [mapping.ghlId, mapping.hubspotId]));
+}
+
+async function getHubspotDealPipelines(hubspotClient) {
+    const response = await hubspotClient.crm.pipelines.pipelinesApi.getAll("deals");
+    return response?.results || response || [];
+}
+
+async function findExistingPipeline(db, mapCollection, hubspotPipelines, ghlPipeline) {
+    const mapping = await db.collection(mapCollection).findOne({ ghlId: ghlPipeline.id, objectTypeId: PIPELINE_OBJECT_TYPE_ID });
+    if (mapping?.hubspotId) {
+        const mapped = hubspotPipelines.find((pipeline) => pipeline?.id === mapping.hubspotId);
+        if (mapped) {
+            return mapped;
+        }
+    }
+    // HubSpot pipeline labels are unique, so a pipeline with the same name is adopted rather than duplicated.
+    return hubspotPipelines.find((pipeline) => normalizeLabel(pipeline?.label) === normalizeLabel(ghlPipeline.name)) || null;
+}
+
+async function ensureHubspotPipeline(hubspotClient, db, mapCollection, hubspotPipelines, ghlPipeline, stageInputs, summary) {
+    const existing = await findExistingPipeline(db, mapCollection, hubspotPipelines, ghlPipeline);
+    if (!existing) {
+        const created = await hubspotClient.crm.pipelines.pipelinesApi.create("deals", {
+            label: String(ghlPipeline.name || `GHL Pipeline ${ghlPipeline.id}`).trim(),
+            displayOrder: hubspotPipelines.length,
+            stages: stageInputs.map(({ label, displayOrder, metadata }) => ({ label, displayOrder, metadata }))
+        });
+        hubspotPipelines.push(created);
+        summary.createdPipelines += 1;
+        summary.createdStages += stageInputs.length;
+        return { pipeline: created, stagesByGhlId: matchStageInputs(created.stages || [], stageInputs) };
+    }
+    summary.existingPipelines += 1;
+    const stagesByGhlId = matchStageInputs(
+        Array.isArray(existing.stages) ? existing.stages : [],
+        stageInputs,
+        await loadMappedStageIds(db, mapCollection, stageInputs)
+    );
+    const existingStages = Array.isArray(existing.stages) ? [...existing.stages] : [];
+    for (const input of stageInputs) {
+        if (stagesByGhlId.has(input.ghlId)) {
+            continue;
+        }
+        const created = await hubspotClient.crm.pipelines.pipelineStagesApi.create("deals", existing.id, {
+            label: input.label,
+            displayOrder: input.displayOrder,
+            metadata: input.metadata
+        });
+        existingStages.push(created);
+        stagesByGhlId.set(input.ghlId, created);
+        summary.createdStages += 1;
+    }
+    return { pipeline: { ...existing, stages: existingStages }, stagesByGhlId };
+}
+
+export async function migratePipelinesToHubspot({
+    mongoUri = process.env.MONGO_URI || "mongodb://localhost:27017",
+    dbName = DEFAULT_DB_NAME,
+    collectionName = DEFAULT_COLLECTION,
+    mapCollection = DEFAULT_MAP_COLLECTION,
+    stageMapCollection = DEFAULT_STAGE_MAP_COLLECTION,
+    hubspotAccessToken = process.env.HUBSPOT_ACCESS_TOKEN,
+    wonLabel = DEFAULT_WON_LABEL,
+    lostLabel = DEFAULT_LOST_LABEL,
+    dryRun = false
+} = {}) {
+    if (!hubspotAccessToken && !dryRun) {
+        throw new Error("HUBSPOT_ACCESS_TOKEN is not set");
+    }
+    const { client, db } = await getDb(mongoUri, dbName);
+    try {
+        const pipelines = await db.collection(collectionName).find({ id: { $exists: true, $ne: null } }).toArray();
+        const summary = {
+            processed: 0,
+            createdPipelines: 0,
+            existingPipelines: 0,
+            createdStages: 0,
+            mappedStages: 0,
+            manualOverridesKept: 0,
+            errors: 0
+        };
+        const hubspotClient = dryRun ? null : buildHubspotClient(hubspotAccessToken);
+        const hubspotPipelines = dryRun ? [] : await getHubspotDealPipelines(hubspotClient);
+
+        for (const ghlPipeline of pipelines) {
+            summary.processed += 1;
+            const stageInputs = buildStageInputs(ghlPipeline, { wonLabel, lostLabel });
+            if (dryRun) {
+                console.log("[dry-run] ensure deal pipeline", ghlPipeline.name, stageInputs.map((stage) => stage.label));
+                continue;
+            }
+            try {
+                const { pipeline: hubspotPipeline, stagesByGhlId } = await ensureHubspotPipeline(
+                    hubspotClient,
+                    db,
+                    mapCollection,
+                    hubspotPipelines,
+                    ghlPipeline,
+                    stageInputs,
+                    summary
+                );
+                await upsertGhlHubspotIdMap(db, mapCollection, {
+                    ghlId: ghlPipeline.id,
+                    hubspotId: hubspotPipeline.id,
+                    objectTypeId: PIPELINE_OBJECT_TYPE_ID
+                });
+                for (const input of stageInputs) {
+                    const stage = stagesByGhlId.get(input.ghlId);
+                    if (!stage?.id) {
+                        continue;
+                    }
+                    await upsertGhlHubspotIdMap(db, mapCollection, {
+                        ghlId: input.ghlId,
+                        hubspotId: stage.id,
+                        objectTypeId: STAGE_OBJECT_TYPE_ID,
+                        ghlPipelineId: ghlPipeline.id,
+                        hubspotPipelineId: hubspotPipeline.id,
+                        isClosed: input.metadata.isClosed === "true"
+                    });
+                    const written = await upsertStageMapping(db, stageMapCollection, {
+                        ghlStageId: input.ghlId,
+                        ghlStageName: input.label,
+                        ghlPipelineId: ghlPipeline.id,
+                        ghlPipelineName: ghlPipeline.name,
+                        hubspotPipelineId: hubspotPipeline.id,
+                        hubspotStageId: stage.id
+                    });
+                    if (written) {
+                        summary.mappedStages += 1;
+                    } else {
+                        summary.manualOverridesKept += 1;
+                    }
+                }
+            } catch (err) {
+                const status = err?.code || err?.response?.statusCode || err?.response?.status;
+                console.error("failed to migrate pipeline", ghlPipeline.name, status || "", err?.message || err);
+                await recordFailedMigration(db, {
+                    entityType: "pipeline",
+                    ghlId: ghlPipeline.id,
+                    reason: err?.message || String(err)
+                });
+                summary.errors += 1;
+            }
+        }
+        return summary;
+    } finally {
+        await client.close();
+    }
+}
+
+if (import.meta.url === new URL(process.argv[1], "file:").href) {
+    const cli = parseCliArgs(process.argv.slice(2));
+    if (cli.help) {
+        printUsage();
+        process.exit(0);
+    }
+    const run = async () => {
+        const summary = await migratePipelinesToHubspot({
+            mongoUri: cli.mongoUri,
+            dbName: cli.dbName,
+            collectionName: cli.collection,
+            mapCollection: cli.mapCollection,
+            stageMapCollection: cli.stageMapCollection,
+            hubspotAccessToken: cli.hubspotAccessToken,
+            wonLabel: cli.wonLabel,
+            lostLabel: cli.lostLabel,
+            dryRun: cli.dryRun
+        });
+        console.log("pipeline migration complete:", summary);
+    };
+
+    run().catch((err) => {
+        console.error("pipeline migration failed:", err?.message || err);
+        process.exit(1);
+    });
+}
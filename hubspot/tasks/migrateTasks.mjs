@@ -0,0 +1,463 @@
+import { Client } from "@hubspot/api-client";
+import { MongoClient, ObjectId } from "mongodb";
+import { createBatchWriter, MAX_BATCH_SIZE } from "../../src/hubspotBatch.mjs";
+import { getSharedRateGovernor } from "../../src/hubspotRateGovernor.mjs";
+import { resolveRunId } from "../../src/migrationRun.mjs";
+import { runWorkerPool } from "../../src/workerPool.mjs";
+
+const DEFAULT_DB_NAME = "GoHighLevel";
+const DEFAULT_COLLECTION = "tasks";
+const DEFAULT_MAP_COLLECTION = "GHLHubspotIdMap";
+const DEFAULT_CHECKPOINT_ID = "hubspot_tasks";
+const OBJECT_TYPE_ID = "task";
+const CONTACT_OBJECT_TYPE_ID = "contact";
+const OPPORTUNITY_OBJECT_TYPE_ID = "opportunity";
+
+function buildHubspotClient(accessToken = process.env.HUBSPOT_ACCESS_TOKEN) {
+    if (!accessToken) {
+        throw new Error("HUBSPOT_ACCESS_TOKEN is not set");
+    }
+    return new Client({ accessToken, ...getSharedRateGovernor().clientOptions });
+}
+
+function toCamelCase(input) {
+    return input.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+function parseCliArgs(argv = []) {
+    const options = {};
+    for (let i = 0; i < argv.length; i += 1) {
+        const arg = argv[i];
+        if (!arg.startsWith("--")) {
+            continue;
+        }
+        const raw = arg.slice(2);
+        if (!raw) {
+            continue;
+        }
+        if (raw === "help") {
+            options.help = true;
+            continue;
+        }
+        if (raw.startsWith("no-")) {
+            const key = toCamelCase(raw.slice(3));
+            options[key] = false;
+            continue;
+        }
+        const [keyPart, valuePart] = raw.split("=", 2);
+        const key = toCamelCase(keyPart);
+        if (valuePart !== undefined) {
+            options[key] = valuePart;
+            continue;
+        }
+        if (key === "dryRun" || key === "delete" || key === "resume") {
+            options[key] = true;
+            continue;
+        }
+        const next = argv[i + 1];
+        if (next && !next.startsWith("--")) {
+            options[key] = next;
+            i += 1;
+        }
+    }
+    return options;
+}
+
+function printUsage() {
+    console.log(`
+Usage: node hubspot/tasks/migrateTasks.mjs [options]
+
+Creates a HubSpot task for every GHL contact task, associated with the migrated contact
+and the contact's migrated deals.
+
+Options:
+  --mongo-uri <uri>        Mongo connection string
+  --db-name <name>         Mongo database name (default: GoHighLevel)
+  --collection <name>      Mongo tasks collection (default: tasks)
+  --map-collection <name>  Mapping collection (default: GHLHubspotIdMap)
+  --limit <number>         Max tasks to migrate
+  --batch-size <number>    Tasks per create batch (default/max: 100)
+  --concurrency <number>   Tasks processed in parallel (default: 1)
+  --checkpoint-id <id>     Checkpoint document id
+  --run-id <id>            Run id stamped on created tasks (default: generated)
+  --resume                 Resume from checkpoint (default)
+  --no-resume              Start from the beginning
+  --no-deals               Do not associate tasks with the contact's deals
+  --delete                 Delete HubSpot tasks by import_tag
+  --dry-run                Log actions without calling HubSpot
+  --hubspot-access-token <token>  HubSpot private app token
+  --help                   Show this help message
+`);
+}
+
+async function getDb(mongoUri, dbName) {
+    if (!mongoUri) {
+        throw new Error("MONGO_URI is not set");
+    }
+    const client = new MongoClient(mongoUri);
+    await client.connect();
+    return { client, db: client.db(dbName) };
+}
+
+async function loadCheckpoint(db, checkpointId) {
+    return db.collection("hubspot_transfer_checkpoints").findOne({ _id: checkpointId });
+}
+
+async function saveCheckpoint(db, checkpointId, data, runId) {
+    const payload = { ...data, updatedAt: new Date() };
+    const update = { $set: payload, $setOnInsert: { createdAt: new Date() } };
+    if (runId) {
+        update.$addToSet = { runIds: runId };
+    }
+    await db.collection("hubspot_transfer_checkpoints").updateOne({ _id: checkpointId }, update, { upsert: true });
+}
+
+async function recordFailedMigration(db, {
+    entityType,
+    ghlId,
+    reason,
+    meta
+} = {}) {
+    if (!db || !entityType || !ghlId) {
+        return;
+    }
+    await db.collection("hubspot_failed_migrations").updateOne(
+        { entityType, ghlId },
+        {
+            $set: { reason, meta, updatedAt: new Date() },
+            $setOnInsert: { createdAt: new Date() }
+        },
+        { upsert: true }
+    );
+}
+
+async function upsertGhlHubspotIdMap(db, mapCollection, { ghlId, hubspotId, objectTypeId, runId } = {}) {
+    if (!db || !ghlId || !hubspotId || !objectTypeId) {
+        return;
+    }
+    await db.collection(mapCollection).updateOne(
+        { ghlId, objectTypeId },
+        {
+            $set: { ghlId, hubspotId, objectTypeId, updatedAt: new Date() },
+            $setOnInsert: { createdAt: new Date(), runId }
+        },
+        { upsert: true }
+    );
+}
+
+function toTimestamp(value) {
+    if (!value) {
+        return Date.now();
+    }
+    if (value instanceof Date) {
+        return value.getTime();
+    }
+    if (typeof value === "number") {
+        return value < 1e12 ? value * 1000 : value;
+    }
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? Date.now() : parsed;
+}
+
+function normalizeOwnerId(userRecord) {
+    const raw = userRecord?.hubSpot?.id ?? userRecord?.hubSpot?.ownerId ?? userRecord?.hubSpot?.userId;
+    if (raw === undefined || raw === null) {
+        return null;
+    }
+    const trimmed = String(raw).trim();
+    if (!/^\d+$/.test(trimmed)) {
+        return null;
+    }
+    return trimmed;
+}
+
+function isTaskCompleted(task) {
+    if (typeof task?.completed === "boolean") {
+        return task.completed;
+    }
+    return String(task?.status || "").toLowerCase() === "completed";
+}
+
+function buildTaskProperties(task, { ownerId } = {}) {
+    const subject = String(task?.title || "").trim() || "GHL task";
+    const properties = {
+        hs_task_subject: subject,
+        hs_task_status: isTaskCompleted(task) ? "COMPLETED" : "NOT_STARTED",
+        hs_task_type: "TODO",
+        // HubSpot shows hs_timestamp as the task due date.
+        hs_timestamp: toTimestamp(task?.dueDate || task?.dateAdded || task?.createdAt),
+        import_tag: "GHL_MIGRATION",
+        ghl_id: task?.id
+    };
+    const body = String(task?.body || task?.description || "").trim();
+    if (body) {
+        properties.hs_task_body = body;
+    }
+    if (ownerId) {
+        properties.hubspot_owner_id = ownerId;
+    }
+    return properties;
+}
+
+async function getAssociationType(hubspotClient, fromObject, toObject) {
+    const response = await hubspotClient.crm.associations.v4.schema.definitionsApi.getAll(fromObject, toObject);
+    const results = Array.isArray(response?.results) ? response.results : response;
+    const match = results?.find((item) => (item?.category || item?.associationCategory) === "HUBSPOT_DEFINED");
+    if (!match?.typeId) {
+        throw new Error(`Unable to resolve association type for ${fromObject} -> ${toObject}`);
+    }
+    return {
+        associationCategory: match?.category || match?.associationCategory || "HUBSPOT_DEFINED",
+        associationTypeId: match.typeId
+    };
+}
+
+async function findOwnerId(db, task, cache) {
+    const userId = task?.assignedTo;
+    if (!userId) {
+        return null;
+    }
+    if (!cache.has(userId)) {
+        const user = await db.collection("users").findOne({ id: userId });
+        cache.set(userId, normalizeOwnerId(user));
+    }
+    return cache.get(userId);
+}
+
+/**
+ * GHL tasks only reference a contact, so they are attached to every migrated deal of that contact.
+ */
+async function findHubspotDealIds(db, mapColl, contactId) {
+    const opportunities = await db.collection("opportunities")
+        .find({ $or: [{ contactId }, { "contact.id": contactId }] }, { projection: { id: 1 } })
+        .toArray();
+    const ghlIds = opportunities.map((opportunity) => opportunity?.id).filter(Boolean);
+    if (ghlIds.length === 0) {
+        return [];
+    }
+    const mappings = await mapColl.find({ ghlId: { $in: ghlIds }, objectTypeId: OPPORTUNITY_OBJECT_TYPE_ID }).toArray();
+    return [...new Set(mappings.map((mapping) => mapping?.hubspotId).filter(Boolean))];
+}
+
+export async function migrateTasksToHubspot({
+    mongoUri = process.env.MONGO_URI || "mongodb://localhost:27017",
+    dbName = DEFAULT_DB_NAME,
+    collectionName = DEFAULT_COLLECTION,
+    mapCollection = DEFAULT_MAP_COLLECTION,
+    hubspotAccessToken = process.env.HUBSPOT_ACCESS_TOKEN,
+    checkpointId = DEFAULT_CHECKPOINT_ID,
+    resume = true,
+    associateDeals = true,
+    dryRun = false,
+    limit,
+    batchSize = MAX_BATCH_SIZE,
+    concurrency = 1,
+    runId
+} = {}) {
+    if (!hubspotAccessToken && !dryRun) {
+        throw new Error("HUBSPOT_ACCESS_TOKEN is not set");
+    }
+    const importRunId = resolveRunId(runId);
+    console.log(`tasks import run: ${importRunId}`);
+    const { client, db } = await getDb(mongoUri, dbName);
+    try {
+        const collection = db.collection(collectionName);
+        const mapColl = db.collection(mapCollection);
+        const query = { id: { $exists: true, $ne: null } };
+        if (resume) {
+            const checkpoint = await loadCheckpoint(db, checkpointId);
+            const lastId = checkpoint?.lastId;
+            if (lastId) {
+                query._id = { $gt: new ObjectId(lastId) };
+            }
+        }
+        let cursor = collection.find(query).sort({ _id: 1 });
+        if (limit) {
+            cursor = cursor.limit(Number(limit));
+        }
+
+        const summary = {
+            processed: 0,
+            created: 0,
+            skippedAlreadyMapped: 0,
+            skippedMissingContact: 0,
+            withoutOwner: 0,
+            dealAssociations: 0,
+            errors: 0
+        };
+
+        let hubspotClient;
+        let contactAssociationType;
+        let dealAssociationType;
+        if (!dryRun) {
+            hubspotClient = buildHubspotClient(hubspotAccessToken);
+            contactAssociationType = await getAssociationType(hubspotClient, "tasks", "contacts");
+            if (associateDeals) {
+                dealAssociationType = await getAssociationType(hubspotClient, "tasks", "deals");
+            }
+        }
+
+        const writer = createBatchWriter(hubspotClient, { db, batchSize, runId: importRunId });
+        const ownerCache = new Map();
+        await runWorkerPool(cursor, async (task, { track }) => {
+            const ghlId = task?.id;
+            summary.processed += 1;
+            if (summary.processed % 100 === 0) {
+                console.log(
+                    `tasks progress: processed=${summary.processed}, created=${summary.created}, skippedAlreadyMapped=${summary.skippedAlreadyMapped}, skippedMissingContact=${summary.skippedMissingContact}, errors=${summary.errors}`
+                );
+            }
+
+            const existingMap = await mapColl.findOne({ ghlId, objectTypeId: OBJECT_TYPE_ID });
+            if (existingMap?.hubspotId) {
+                summary.skippedAlreadyMapped += 1;
+                return;
+            }
+
+            const contactMapping = task?.contactId
+                ? await mapColl.findOne({ ghlId: task.contactId, objectTypeId: CONTACT_OBJECT_TYPE_ID })
+                : null;
+            if (!contactMapping?.hubspotId) {
+                summary.skippedMissingContact += 1;
+                await recordFailedMigration(db, {
+                    entityType: OBJECT_TYPE_ID,
+                    ghlId,
+                    reason: "contact not migrated",
+                    meta: { contactId: task?.contactId }
+                });
+                return;
+            }
+
+            const ownerId = await findOwnerId(db, task, ownerCache);
+            if (!ownerId) {
+                summary.withoutOwner += 1;
+            }
+            const properties = buildTaskProperties(task, { ownerId });
+            const dealIds = associateDeals ? await findHubspotDealIds(db, mapColl, task.contactId) : [];
+
+            if (dryRun) {
+                console.log("[dry-run] create task", {
+                    taskId: ghlId,
+                    subject: properties.hs_task_subject,
+                    status: properties.hs_task_status,
+                    hubspotContactId: contactMapping.hubspotId,
+                    hubspotDealIds: dealIds
+                });
+                summary.created += 1;
+                summary.dealAssociations += dealIds.length;
+                return;
+            }
+
+            const associations = [
+                { to: { id: contactMapping.hubspotId }, types: [contactAssociationType] },
+                ...dealIds.map((dealId) => ({ to: { id: dealId }, types: [dealAssociationType] }))
+            ];
+            const { settled } = await writer.add("tasks", {
+                ghlId,
+                entityType: OBJECT_TYPE_ID,
+                properties,
+                associations,
+                onCreated: async (hubspotId) => {
+                    await upsertGhlHubspotIdMap(db, mapCollection, { ghlId, hubspotId, objectTypeId: OBJECT_TYPE_ID, runId: importRunId });
+                    summary.created += 1;
+                    summary.dealAssociations += dealIds.length;
+                },
+                onFailed: (reason, status) => {
+                    console.error("failed to create task", ghlId, status || "", reason);
+                    summary.errors += 1;
+                }
+            });
+            track(settled);
+        }, {
+            concurrency,
+            checkpointOf: (task) => (task?._id ? String(task._id) : undefined),
+            onCheckpoint: (lastId) => lastId && saveCheckpoint(db, checkpointId, { lastId }, importRunId),
+            beforeDrain: () => writer.flush()
+        });
+
+        return summary;
+    } finally {
+        await client.close();
+    }
+}
+
+export async function deleteHubspotTasks({
+    mongoUri = process.env.MONGO_URI || "mongodb://localhost:27017",
+    dbName = DEFAULT_DB_NAME,
+    mapCollection = DEFAULT_MAP_COLLECTION,
+    hubspotAccessToken = process.env.HUBSPOT_ACCESS_TOKEN,
+    dryRun = false,
+    importTag = "GHL_MIGRATION"
+} = {}) {
+    const hubspotClient = buildHubspotClient(hubspotAccessToken);
+    const { client, db } = await getDb(mongoUri, dbName);
+    const result = { scanned: 0, deleted: 0, mapDeleted: 0 };
+    try {
+        let after;
+        do {
+            const searchResponse = await hubspotClient.crm.objects.searchApi.doSearch("tasks", {
+                filterGroups: [{ filters: [{ propertyName: "import_tag", operator: "EQ", value: importTag }] }],
+                limit: 100,
+                after
+            });
+            const tasks = Array.isArray(searchResponse?.results) ? searchResponse.results : [];
+            result.scanned += tasks.length;
+            if (!dryRun && tasks.length > 0) {
+                const ids = tasks.map((task) => task.id);
+                await hubspotClient.crm.objects.tasks.batchApi.archive({ inputs: ids.map((id) => ({ id })) });
+                result.deleted += ids.length;
+                const deleteResult = await db.collection(mapCollection).deleteMany({
+                    hubspotId: { $in: ids },
+                    objectTypeId: OBJECT_TYPE_ID
+                });
+                result.mapDeleted += deleteResult?.deletedCount || 0;
+            }
+            after = searchResponse?.paging?.next?.after;
+        } while (after);
+    } finally {
+        await client.close();
+    }
+    return result;
+}
+
+if (import.meta.url === new URL(process.argv[1], "file:").href) {
+    const cli = parseCliArgs(process.argv.slice(2));
+    if (cli.help) {
+        printUsage();
+        process.exit(0);
+    }
+    const run = async () => {
+        if (cli.delete) {
+            const result = await deleteHubspotTasks({
+                mongoUri: cli.mongoUri,
+                dbName: cli.dbName,
+                mapCollection: cli.mapCollection,
+                hubspotAccessToken: cli.hubspotAccessToken,
+                dryRun: cli.dryRun
+            });
+            console.log(`delete complete: scanned ${result.scanned}, deleted ${result.deleted}, map entries removed ${result.mapDeleted}`);
+            return;
+        }
+        const summary = await migrateTasksToHubspot({
+            mongoUri: cli.mongoUri,
+            dbName: cli.dbName,
+            collectionName: cli.collection,
+            mapCollection: cli.mapCollection,
+            hubspotAccessToken: cli.hubspotAccessToken,
+            checkpointId: cli.checkpointId,
+            runId: cli.runId,
+            resume: cli.resume !== false,
+            associateDeals: cli.deals !== false,
+            dryRun: cli.dryRun,
+            limit: cli.limit,
+            batchSize: cli.batchSize,
+            concurrency: cli.concurrency
+        });
+        console.log("task migration complete:", summary);
+    };
+
+    run().catch((err) => {
+        console.error("task migration failed:", err?.message || err);
+        process.exit(1);
+    });
+}
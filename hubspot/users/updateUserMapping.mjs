@@ -1,5 +1,6 @@
 import { MongoClient } from "mongodb";
 import { Client } from "@hubspot/api-client";
+import { getSharedRateGovernor } from "../../src/hubspotRateGovernor.mjs";
 
 const DEFAULT_DB_NAME = "GoHighLevel";
 const DEFAULT_COLLECTION = "users";
@@ -158,14 +159,14 @@ export async function runUpdateUserMapping({
         if (deleteMode) {
             const result = await deleteHubspotUsers(db, { dryRun });
             console.log(`delete complete: removed hubSpot from ${result.unsetCount} docs, deleted ${result.deletedCount} docs without id`);
-            return;
+            return result;
         }
 
         let users = [];
         if (!hubspotAccessToken) {
             console.log("[dry-run] HUBSPOT_ACCESS_TOKEN not set; skipping HubSpot fetch");
         } else {
-            const hubspotClient = new Client({ accessToken: hubspotAccessToken });
+            const hubspotClient = new Client({ accessToken: hubspotAccessToken, ...getSharedRateGovernor().clientOptions });
             try {
                 users = await loadAllHubspotUsers(hubspotClient);
                 console.log(`loaded ${users.length} HubSpot users`);
@@ -177,6 +178,7 @@ export async function runUpdateUserMapping({
         }
         const processed = await upsertHubspotUsersByEmail(db, users, { merge, dryRun });
         console.log(`merge complete: processed ${processed} HubSpot users`);
+        return { hubspotUsers: users.length, processed };
     } finally {
         await client.close();
     }
@@ -1,9 +1,9 @@
 import express from 'express';
 import { MongoClient, ObjectId } from 'mongodb';
-import axios from 'axios';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { runUpdateUserMapping } from './hubspot/users/updateUserMapping.mjs';
+import { getGhlClient } from './src/ghlClient.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -17,6 +17,8 @@ const HIGHLEVEL_API_URL = process.env.HIGHLEVEL_API_URL;
 const HIGHLEVEL_API_KEY = process.env.HIGHLEVEL_API_KEY;
 const HIGHLEVEL_LOCATION_ID = process.env.HIGHLEVEL_LOCATION_ID;
 
+const STAGE_MAP_COLLECTION = 'pipeline_stage_map';
+
 const ALLOWED_COLLECTIONS = new Set([
     'contacts',
     'users',
@@ -47,38 +49,22 @@ async function getDb() {
     return mongoDb;
 }
 
-function getGhlHeaders() {
-    return {
-        Authorization: `Bearer ${HIGHLEVEL_API_KEY}`,
-        'Content-Type': 'application/json',
-        Version: '2021-07-28'
-    };
-}
-
-async function delay(time = 500) {
-    return new Promise((resolve) => setTimeout(resolve, time));
-}
-
 async function getGhlIds(collection) {
-    const headers = getGhlHeaders();
+    const ghl = getGhlClient();
     const ids = [];
 
     try {
         switch (collection) {
             case 'contacts': {
-                let url = `${HIGHLEVEL_API_URL}/contacts?limit=100&locationId=${HIGHLEVEL_LOCATION_ID}`;
-                url = url.replace('http:', 'https:');
+                let url = `/contacts?limit=100&locationId=${HIGHLEVEL_LOCATION_ID}`;
                 while (url) {
-                    const response = await axios.get(url, { headers });
+                    const response = await ghl.get(url);
                     if (response?.data?.contacts && Array.isArray(response.data.contacts)) {
                         response.data.contacts.forEach((contact) => {
                             if (contact.id) ids.push(contact.id);
                         });
                         url = response?.data?.meta?.nextPageUrl;
-                        if (url) {
-                            url = url.replace('http:', 'https:');
-                            await delay();
-                        } else {
+                        if (!url) {
                             break;
                         }
                     } else {
@@ -88,8 +74,7 @@ async function getGhlIds(collection) {
                 break;
             }
             case 'users': {
-                const url = `${HIGHLEVEL_API_URL}/users/?locationId=${HIGHLEVEL_LOCATION_ID}`;
-                const response = await axios.get(url, { headers });
+                const response = await ghl.get(`/users/?locationId=${HIGHLEVEL_LOCATION_ID}`);
                 if (response?.data?.users && Array.isArray(response.data.users)) {
                     response.data.users.forEach((user) => {
                         if (user.id) ids.push(user.id);
@@ -101,15 +86,14 @@ async function getGhlIds(collection) {
                 let page = 1;
                 const pageSize = 100;
                 while (true) {
-                    const url = `${HIGHLEVEL_API_URL}/opportunities/search?location_id=${HIGHLEVEL_LOCATION_ID}&page=${page}&limit=${pageSize}`;
-                    const response = await axios.get(url, { headers });
+                    const url = `/opportunities/search?location_id=${HIGHLEVEL_LOCATION_ID}&page=${page}&limit=${pageSize}`;
+                    const response = await ghl.get(url);
                     if (response.status === 200 && Array.isArray(response?.data?.opportunities)) {
                         if (response.data.opportunities.length === 0) break;
                         response.data.opportunities.forEach((opp) => {
                             if (opp.id) ids.push(opp.id);
                         });
                         page++;
-                        await delay();
                     } else {
                         break;
                     }
@@ -117,7 +101,6 @@ async function getGhlIds(collection) {
                 break;
             }
             case 'conversations': {
-                const baseUrl = `${HIGHLEVEL_API_URL || ''}`.replace(/\/+$/, '');
                 const pageSize = 100;
                 let page = 1;
                 let total = -1;
@@ -125,9 +108,9 @@ async function getGhlIds(collection) {
                 const maxEmptyPages = 2; // Stop after 2 consecutive empty pages
                 
                 while (true) {
-                    const url = `${baseUrl}/conversations/search?locationId=${encodeURIComponent(HIGHLEVEL_LOCATION_ID)}&page=${page}&limit=${pageSize}`;
+                    const url = `/conversations/search?locationId=${encodeURIComponent(HIGHLEVEL_LOCATION_ID)}&page=${page}&limit=${pageSize}`;
                     try {
-                        const response = await axios.get(url, { headers });
+                        const response = await ghl.get(url);
                         const data = response?.data || {};
                         const conversations = data?.conversations || data?.items || [];
                         
@@ -164,7 +147,6 @@ async function getGhlIds(collection) {
                             }
                             
                             page++;
-                            await delay();
                         } else {
                             // Empty page
                             emptyPageCount++;
@@ -173,7 +155,6 @@ async function getGhlIds(collection) {
                                 break;
                             }
                             page++;
-                            await delay();
                         }
                     } catch (err) {
                         const status = err?.response?.status;
@@ -188,8 +169,7 @@ async function getGhlIds(collection) {
                 break;
             }
             case 'calendars': {
-                const url = `${HIGHLEVEL_API_URL}/calendars/?locationId=${encodeURIComponent(HIGHLEVEL_LOCATION_ID)}`;
-                const response = await axios.get(url, { headers });
+                const response = await ghl.get(`/calendars/?locationId=${encodeURIComponent(HIGHLEVEL_LOCATION_ID)}`);
                 const calendars = response?.data?.calendars || response?.data || [];
                 if (Array.isArray(calendars)) {
                     calendars.forEach((cal) => {
@@ -290,6 +270,117 @@ app.post('/api/customfields/destination', async (req, res) => {
     }
 });
 
+function stageMapKey(pipelineId, pipelineStageId, status) {
+    const normalizedStatus = String(status || '').toLowerCase();
+    if (normalizedStatus === 'won') {
+        return `${pipelineId}:won`;
+    }
+    if (normalizedStatus === 'lost' || normalizedStatus === 'abandoned') {
+        return `${pipelineId}:lost`;
+    }
+    return pipelineStageId;
+}
+
+// Lists every GHL stage (plus the won/lost outcomes) with its HubSpot target, if any.
+app.get('/api/pipeline-stage-map', async (req, res) => {
+    try {
+        const db = await getDb();
+        const [pipelines, mappings, usage] = await Promise.all([
+            db.collection('pipelines').find({}).toArray(),
+            db.collection(STAGE_MAP_COLLECTION).find({}).toArray(),
+            db.collection('opportunities').aggregate([
+                { $group: { _id: { pipelineId: '$pipelineId', pipelineStageId: '$pipelineStageId', status: '$status' }, count: { $sum: 1 } } }
+            ]).toArray()
+        ]);
+        const mappingById = new Map(mappings.map((mapping) => [mapping._id, mapping]));
+        const countByStage = new Map();
+        usage.forEach(({ _id, count }) => {
+            const key = stageMapKey(_id.pipelineId, _id.pipelineStageId, _id.status);
+            countByStage.set(key, (countByStage.get(key) || 0) + count);
+        });
+        const items = [];
+        pipelines.forEach((pipeline) => {
+            const stages = [
+                ...(pipeline.stages || []).filter((stage) => stage?.id).map((stage) => ({ id: stage.id, name: stage.name })),
+                { id: `${pipeline.id}:won`, name: 'Closed won' },
+                { id: `${pipeline.id}:lost`, name: 'Closed lost' }
+            ];
+            stages.forEach((stage) => {
+                const mapping = mappingById.get(stage.id);
+                items.push({
+                    ghlStageId: stage.id,
+                    ghlStageName: stage.name,
+                    ghlPipelineId: pipeline.id,
+                    ghlPipelineName: pipeline.name,
+                    hubspotPipelineId: mapping?.hubspotPipelineId || null,
+                    hubspotStageId: mapping?.hubspotStageId || null,
+                    source: mapping?.source || null,
+                    mapped: Boolean(mapping?.hubspotPipelineId && mapping?.hubspotStageId),
+                    opportunityCount: countByStage.get(stage.id) || 0
+                });
+            });
+        });
+        const unmappedCount = items.filter((item) => !item.mapped).length;
+        return res.json({ count: items.length, unmappedCount, items });
+    } catch (err) {
+        return res.status(500).json({ error: err.message });
+    }
+});
+
+// Manual overrides are kept when migratePipelines runs again.
+app.put('/api/pipeline-stage-map/:ghlStageId', async (req, res) => {
+    const { ghlStageId } = req.params;
+    const { hubspotPipelineId, hubspotStageId } = req.body || {};
+    if (!hubspotPipelineId || !hubspotStageId) {
+        return res.status(400).json({ error: 'hubspotPipelineId and hubspotStageId are required' });
+    }
+    try {
+        const db = await getDb();
+        const [pipelineId, outcome] = ghlStageId.split(':');
+        const pipeline = outcome
+            ? await db.collection('pipelines').findOne({ id: pipelineId })
+            : await db.collection('pipelines').findOne({ 'stages.id': ghlStageId });
+        if (!pipeline || (outcome && outcome !== 'won' && outcome !== 'lost')) {
+            return res.status(404).json({ error: 'GHL pipeline stage not found' });
+        }
+        const stage = (pipeline.stages || []).find((candidate) => candidate?.id === ghlStageId);
+        await db.collection(STAGE_MAP_COLLECTION).updateOne(
+            { _id: ghlStageId },
+            {
+                $set: {
+                    ghlStageId,
+                    ghlStageName: stage?.name || `Closed ${outcome}`,
+                    ghlPipelineId: pipeline.id,
+                    ghlPipelineName: pipeline.name,
+                    hubspotPipelineId: String(hubspotPipelineId),
+                    hubspotStageId: String(hubspotStageId),
+                    source: 'manual',
+                    updatedAt: new Date()
+                },
+                $setOnInsert: { createdAt: new Date() }
+            },
+            { upsert: true }
+        );
+        console.log(`[pipeline-stage-map] ${ghlStageId} -> ${hubspotPipelineId}/${hubspotStageId}`);
+        return res.json({ status: 'ok' });
+    } catch (err) {
+        return res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/pipeline-stage-map/:ghlStageId', async (req, res) => {
+    try {
+        const db = await getDb();
+        const result = await db.collection(STAGE_MAP_COLLECTION).deleteOne({ _id: req.params.ghlStageId });
+        if (!result.deletedCount) {
+            return res.status(404).json({ error: 'Stage mapping not found' });
+        }
+        return res.json({ status: 'ok' });
+    } catch (err) {
+        return res.status(500).json({ error: err.message });
+    }
+});
+
 app.get('/api/:collection/compare', async (req, res) => {
     const { collection } = req.params;
     if (!ALLOWED_COLLECTIONS.has(collection)) {
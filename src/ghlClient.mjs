@@ -0,0 +1,286 @@
+import axios from 'axios';
+import logger from './log.mjs';
+const log = logger(import.meta.url);
+
+const DEFAULT_VERSION = '2021-07-28';
+// GHL allows a burst of 100 requests per 10 seconds and 200,000 requests per day per location.
+const DEFAULT_BURST_LIMIT = 100;
+const DEFAULT_BURST_INTERVAL_MS = 10 * 1000;
+const DEFAULT_DAILY_LIMIT = 200000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+const DEFAULT_MAX_RETRIES = 5;
+const DEFAULT_BASE_BACKOFF_MS = 1000;
+const DEFAULT_MAX_BACKOFF_MS = 60 * 1000;
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNABORTED', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ERR_NETWORK']);
+
+async function delay(time) {
+    return new Promise((resolve) => setTimeout(resolve, time));
+}
+
+function toFiniteNumber(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Token bucket sized to GHL's burst window, plus a rolling daily budget.
+ * Callers queue on take() so tokens are handed out in request order.
+ */
+function createRateLimiter({
+    burstLimit = DEFAULT_BURST_LIMIT,
+    burstIntervalMs = DEFAULT_BURST_INTERVAL_MS,
+    dailyLimit = DEFAULT_DAILY_LIMIT
+} = {}) {
+    const refillPerMs = burstLimit / burstIntervalMs;
+    let tokens = burstLimit;
+    let lastRefill = Date.now();
+    let dailyWindowStart = Date.now();
+    let dailyCount = 0;
+    let queue = Promise.resolve();
+
+    function refill() {
+        const now = Date.now();
+        if (now > lastRefill) {
+            tokens = Math.min(burstLimit, tokens + (now - lastRefill) * refillPerMs);
+            lastRefill = now;
+        }
+    }
+
+    async function acquire() {
+        while (true) {
+            const now = Date.now();
+            if (now - dailyWindowStart >= DAY_MS) {
+                dailyWindowStart = now;
+                dailyCount = 0;
+            }
+            if (dailyCount >= dailyLimit) {
+                const waitMs = DAY_MS - (now - dailyWindowStart);
+                log.warn('GHL daily limit of %s requests reached, waiting %sms', dailyLimit, waitMs);
+                await delay(waitMs);
+                continue;
+            }
+            refill();
+            if (tokens >= 1) {
+                tokens -= 1;
+                dailyCount += 1;
+                return;
+            }
+            await delay(Math.max(1, Math.ceil((1 - tokens) / refillPerMs)));
+        }
+    }
+
+    function take() {
+        const turn = queue.then(acquire);
+        queue = turn.catch(() => {});
+        return turn;
+    }
+
+    // Tightens the local view of the budget using the rate-limit headers GHL returns.
+    function sync(headers = {}) {
+        const remaining = toFiniteNumber(headers['x-ratelimit-remaining']);
+        if (remaining !== null && remaining < tokens) {
+            tokens = remaining;
+        }
+        const dailyRemaining = toFiniteNumber(headers['x-ratelimit-daily-remaining']);
+        if (dailyRemaining !== null) {
+            dailyCount = Math.max(dailyCount, dailyLimit - dailyRemaining);
+        }
+    }
+
+    function drain(pauseMs = 0) {
+        refill();
+        tokens = 0;
+        lastRefill = Date.now() + pauseMs;
+    }
+
+    return { take, sync, drain };
+}
+
+function parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function isRetryable(err) {
+    const status = err?.response?.status;
+    if (status) {
+        return RETRYABLE_STATUSES.has(status);
+    }
+    return RETRYABLE_CODES.has(err?.code);
+}
+
+function toEndpointKey(method, url) {
+    let pathname = url;
+    try {
+        pathname = new URL(url).pathname;
+    } catch (err) {
+        pathname = String(url).split('?')[0];
+    }
+    const template = pathname
+        .split('/')
+        .map((segment) => (/^\d+$/.test(segment) || /^[A-Za-z0-9]{15,}$/.test(segment) ? ':id' : segment))
+        .join('/');
+    return `${method.toUpperCase()} ${template}`;
+}
+
+/**
+ * Creates a GoHighLevel API client with rate limiting, retries and per-endpoint metrics.
+ * Responses are plain axios responses; failed requests throw the last axios error once retries run out.
+ */
+export function createGhlClient({
+    apiUrl = process.env.HIGHLEVEL_API_URL,
+    apiKey = process.env.HIGHLEVEL_API_KEY,
+    locationId = process.env.HIGHLEVEL_LOCATION_ID,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    maxRetries = DEFAULT_MAX_RETRIES,
+    baseBackoffMs = DEFAULT_BASE_BACKOFF_MS,
+    maxBackoffMs = DEFAULT_MAX_BACKOFF_MS,
+    burstLimit = DEFAULT_BURST_LIMIT,
+    burstIntervalMs = DEFAULT_BURST_INTERVAL_MS,
+    dailyLimit = DEFAULT_DAILY_LIMIT
+} = {}) {
+    const baseUrl = `${apiUrl || ''}`.replace(/\/+$/, '').replace('http:', 'https:');
+    const limiter = createRateLimiter({ burstLimit, burstIntervalMs, dailyLimit });
+    const metrics = new Map();
+
+    function resolveUrl(pathOrUrl) {
+        const raw = String(pathOrUrl || '');
+        if (/^https?:/i.test(raw)) {
+            return raw.replace('http:', 'https:');
+        }
+        return `${baseUrl}${raw.startsWith('/') ? raw : `/${raw}`}`;
+    }
+
+    function getEndpointMetrics(key) {
+        if (!metrics.has(key)) {
+            metrics.set(key, {
+                requests: 0,
+                successes: 0,
+                failures: 0,
+                retries: 0,
+                rateLimited: 0,
+                totalLatencyMs: 0,
+                maxLatencyMs: 0,
+                statuses: {}
+            });
+        }
+        return metrics.get(key);
+    }
+
+    function recordAttempt(entry, status, latencyMs) {
+        entry.requests += 1;
+        entry.totalLatencyMs += latencyMs;
+        entry.maxLatencyMs = Math.max(entry.maxLatencyMs, latencyMs);
+        const statusKey = String(status || 'network');
+        entry.statuses[statusKey] = (entry.statuses[statusKey] || 0) + 1;
+        if (status === 429) {
+            entry.rateLimited += 1;
+        }
+    }
+
+    async function request({ method = 'GET', path, url, params, data, version = DEFAULT_VERSION, headers = {}, timeout, responseType } = {}) {
+        const resolvedUrl = resolveUrl(url || path);
+        const endpoint = toEndpointKey(method, resolvedUrl);
+        const entry = getEndpointMetrics(endpoint);
+        const config = {
+            method,
+            url: resolvedUrl,
+            params,
+            data,
+            timeout: timeout ?? timeoutMs,
+            responseType,
+            headers: {
+                Authorization: `Bearer ${apiKey}`,
+                'Content-Type': 'application/json',
+                Version: version,
+                ...headers
+            }
+        };
+        let attempt = 0;
+        while (true) {
+            await limiter.take();
+            const startedAt = Date.now();
+            try {
+                const response = await axios.request(config);
+                recordAttempt(entry, response.status, Date.now() - startedAt);
+                limiter.sync(response.headers);
+                entry.successes += 1;
+                return response;
+            } catch (err) {
+                const status = err?.response?.status;
+                recordAttempt(entry, status, Date.now() - startedAt);
+                if (err?.response?.headers) {
+                    limiter.sync(err.response.headers);
+                }
+                if (!isRetryable(err) || attempt >= maxRetries) {
+                    entry.failures += 1;
+                    throw err;
+                }
+                const retryAfterMs = parseRetryAfter(err?.response?.headers?.['retry-after']);
+                const backoffMs = Math.min(maxBackoffMs, baseBackoffMs * (2 ** attempt)) + Math.floor(Math.random() * baseBackoffMs);
+                const waitMs = retryAfterMs ?? backoffMs;
+                if (status === 429) {
+                    limiter.drain(waitMs);
+                }
+                attempt += 1;
+                entry.retries += 1;
+                log.warn('GHL %s status=%s code=%s, retry %s/%s in %sms', endpoint, status, err?.code, attempt, maxRetries, waitMs);
+                await delay(waitMs);
+            }
+        }
+    }
+
+    function get(path, options = {}) {
+        return request({ ...options, method: 'GET', path });
+    }
+
+    function post(path, data, options = {}) {
+        return request({ ...options, method: 'POST', path, data });
+    }
+
+    function getMetrics() {
+        const result = {};
+        for (const [key, entry] of metrics.entries()) {
+            result[key] = {
+                ...entry,
+                statuses: { ...entry.statuses },
+                avgLatencyMs: entry.requests > 0 ? Math.round(entry.totalLatencyMs / entry.requests) : 0
+            };
+        }
+        return result;
+    }
+
+    function logMetrics() {
+        for (const [key, entry] of Object.entries(getMetrics())) {
+            log.info('GHL %s requests=%s, failures=%s, retries=%s, rateLimited=%s, avgLatencyMs=%s, maxLatencyMs=%s',
+                key, entry.requests, entry.failures, entry.retries, entry.rateLimited, entry.avgLatencyMs, entry.maxLatencyMs);
+        }
+    }
+
+    return { locationId, request, get, post, getMetrics, logMetrics };
+}
+
+let sharedClient;
+
+/**
+ * Returns the process-wide client configured from the HIGHLEVEL_* environment variables,
+ * so every caller shares one rate-limit budget.
+ */
+export function getGhlClient() {
+    if (!sharedClient) {
+        sharedClient = createGhlClient();
+    }
+    return sharedClient;
+}
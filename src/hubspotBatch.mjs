@@ -0,0 +1,383 @@
+import logger from './log.mjs';
+const log = logger(import.meta.url);
+
+// HubSpot's batch endpoints accept at most 100 inputs per request.
+export const MAX_BATCH_SIZE = 100;
+// Hidden property stamped on every record a migration run creates, so the run can be rolled back.
+export const RUN_ID_PROPERTY = 'import_run_id';
+const RUN_ID_PROPERTY_DEFINITION = { name: RUN_ID_PROPERTY, label: 'Import Run ID', type: 'string', fieldType: 'text', hidden: true };
+const FAILED_MIGRATIONS_COLLECTION = 'hubspot_failed_migrations';
+// HubSpot's search index trails writes by a few seconds.
+const SEARCH_INDEX_DELAY_MS = 2000;
+
+function errorStatus(err) {
+    return err?.code || err?.response?.statusCode || err?.response?.status;
+}
+
+/**
+ * `properties` with the hidden import_run_id property added unless it is already defined, for the
+ * property lists of every object type the migrators stamp.
+ */
+export function ensureRunIdProperty(properties = []) {
+    if (properties.some((property) => property?.name === RUN_ID_PROPERTY)) {
+        return properties;
+    }
+    return [...properties, { ...RUN_ID_PROPERTY_DEFINITION }];
+}
+
+async function delay(time) {
+    return new Promise((resolve) => setTimeout(resolve, time));
+}
+
+function errorReason(err) {
+    return err?.body?.message || err?.message || String(err);
+}
+
+export function chunk(items = [], size = MAX_BATCH_SIZE) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+}
+
+export async function recordFailedRecord(db, { entityType, ghlId, reason, meta } = {}) {
+    if (!db || !entityType || !ghlId) {
+        return;
+    }
+    await db.collection(FAILED_MIGRATIONS_COLLECTION).updateOne(
+        { entityType, ghlId },
+        {
+            $set: { reason, meta, updatedAt: new Date() },
+            $setOnInsert: { createdAt: new Date() }
+        },
+        { upsert: true }
+    );
+}
+
+/**
+ * Pairs batch results with the records that produced them: by key when every record has one,
+ * otherwise by position when HubSpot returned one result per record.
+ * Returns the matched pairs and the records left without a result.
+ */
+function matchResults(records, results, { recordKey, resultKey }) {
+    const matched = [];
+    const unmatched = [];
+    const keyed = records.every((record) => recordKey(record) !== undefined && recordKey(record) !== null);
+    if (keyed) {
+        const byKey = new Map(results.map((result) => [String(resultKey(result)), result]));
+        records.forEach((record) => {
+            const result = byKey.get(String(recordKey(record)));
+            if (result?.id) {
+                matched.push({ record, result });
+            } else {
+                unmatched.push(record);
+            }
+        });
+        return { matched, unmatched };
+    }
+    if (results.length === records.length) {
+        records.forEach((record, index) => matched.push({ record, result: results[index] }));
+        return { matched, unmatched };
+    }
+    return { matched, unmatched: records };
+}
+
+/**
+ * Sends one batch request for `records` and, when HubSpot rejects the whole batch, splits it in
+ * halves until the failing records are isolated. `send(records)` performs the request and
+ * returns the batch response. Calls `onResult(record, result)` and `onFailure(record, reason, status)`.
+ * Records a response leaves unexplained (no result and no error of their own) go through
+ * `reconcile(records)`, when given, which returns the `{ record, result }` pairs it found in HubSpot.
+ */
+async function sendWithSplitting(records, options) {
+    const { send, onResult, onFailure } = options;
+    if (records.length === 0) {
+        return;
+    }
+    let response;
+    try {
+        response = await send(records);
+    } catch (err) {
+        const status = errorStatus(err);
+        // Only client errors are caused by the records themselves; anything else fails the whole batch.
+        if (records.length > 1 && status >= 400 && status < 500 && status !== 429) {
+            const middle = Math.ceil(records.length / 2);
+            await sendWithSplitting(records.slice(0, middle), options);
+            await sendWithSplitting(records.slice(middle), options);
+            return;
+        }
+        for (const record of records) {
+            await onFailure(record, errorReason(err), status);
+        }
+        return;
+    }
+    const results = Array.isArray(response?.results) ? response.results : [];
+    const errors = Array.isArray(response?.errors) ? response.errors : [];
+    const { matched, unmatched: missing } = matchResults(records, results, options);
+    let unmatched = missing;
+    if (unmatched.length > errors.length && options.reconcile) {
+        const found = await options.reconcile(unmatched);
+        matched.push(...found);
+        unmatched = unmatched.filter((record) => !found.some((pair) => pair.record === record));
+    }
+    for (const { record, result } of matched) {
+        await onResult(record, result);
+    }
+    const reason = errors.map((error) => error?.message).filter(Boolean).join('; ') || 'no result returned for record';
+    for (const [index, record] of unmatched.entries()) {
+        await onFailure(record, unmatched.length === errors.length ? errors[index]?.message || reason : reason);
+    }
+}
+
+async function searchByIdProperty(hubspotClient, objectType, keys, { idProperty, runId }) {
+    const found = [];
+    for (const batch of chunk(keys)) {
+        const filters = [{ propertyName: idProperty, operator: 'IN', values: batch }];
+        if (runId) {
+            filters.push({ propertyName: RUN_ID_PROPERTY, operator: 'EQ', value: runId });
+        }
+        let after;
+        do {
+            const response = await hubspotClient.crm.objects.searchApi.doSearch(objectType, {
+                filterGroups: [{ filters }],
+                properties: [idProperty],
+                limit: 100,
+                after
+            });
+            found.push(...(response?.results || []));
+            after = response?.paging?.next?.after;
+        } while (after);
+    }
+    return found;
+}
+
+/**
+ * Looks up records a batch create may have made without HubSpot returning them, by `idProperty`
+ * and, with `runId`, `import_run_id`. Searches again once after the index catches up. Returns the
+ * `{ record, result }` pairs found; a failed search finds nothing, leaving the records failed.
+ */
+async function findCreatedRecords(hubspotClient, objectType, records, { idProperty, runId }) {
+    const keyOf = (record) => record.properties?.[idProperty];
+    const pending = new Map(records.filter((record) => keyOf(record) !== undefined && keyOf(record) !== null)
+        .map((record) => [String(keyOf(record)), record]));
+    const found = [];
+    for (let attempt = 0; attempt < 2 && pending.size > 0; attempt += 1) {
+        if (attempt > 0) {
+            await delay(SEARCH_INDEX_DELAY_MS);
+        }
+        let results;
+        try {
+            results = await searchByIdProperty(hubspotClient, objectType, [...pending.keys()], { idProperty, runId });
+        } catch (err) {
+            log.warn('cannot reconcile %s batch results by %s: %s', objectType, idProperty, errorReason(err));
+            return found;
+        }
+        results.forEach((result) => {
+            const key = String(result?.properties?.[idProperty]);
+            if (result?.id && pending.has(key)) {
+                const record = pending.get(key);
+                found.push({ record, result: { ...result, properties: { ...record.properties, ...result.properties } } });
+                pending.delete(key);
+            }
+        });
+    }
+    return found;
+}
+
+/**
+ * Creates records of one object type through the batch API, up to 100 per request, with their
+ * associations inline. Records are `{ ghlId, entityType, properties, associations, meta }`.
+ * With `runId` each record is stamped with it in `import_run_id`.
+ * Records missing from the response are looked up by `idProperty` before they count as failed,
+ * so a record HubSpot did create still gets its id-map entry.
+ * Records that fail are written to hubspot_failed_migrations one by one.
+ */
+export async function batchCreateRecords(hubspotClient, objectType, records, { db, idProperty = 'ghl_id', runId } = {}) {
+    const runProperties = runId ? { [RUN_ID_PROPERTY]: runId } : {};
+    const created = [];
+    const failed = [];
+    for (const batch of chunk(records)) {
+        await sendWithSplitting(batch, {
+            recordKey: (record) => (idProperty ? record.properties?.[idProperty] : undefined),
+            resultKey: (result) => result?.properties?.[idProperty],
+            send: (inputs) => hubspotClient.crm.objects.batchApi.create(objectType, {
+                inputs: inputs.map((record) => ({
+                    properties: { ...record.properties, ...runProperties },
+                    associations: record.associations || []
+                }))
+            }),
+            reconcile: idProperty
+                ? (unmatched) => findCreatedRecords(hubspotClient, objectType, unmatched, { idProperty, runId })
+                : undefined,
+            onResult: async (record, result) => {
+                created.push({ record, id: result.id, properties: result.properties });
+            },
+            onFailure: async (record, reason, status) => {
+                failed.push({ record, reason, status });
+                await recordFailedRecord(db, { entityType: record.entityType, ghlId: record.ghlId, reason, meta: { ...record.meta, status } });
+            }
+        });
+    }
+    return { created, failed };
+}
+
+/**
+ * Updates existing records through the batch API. Records are `{ id, ghlId, entityType, properties, meta }`.
+ */
+export async function batchUpdateRecords(hubspotClient, objectType, records, { db } = {}) {
+    const updated = [];
+    const failed = [];
+    for (const batch of chunk(records)) {
+        await sendWithSplitting(batch, {
+            recordKey: (record) => record.id,
+            resultKey: (result) => result?.id,
+            send: (inputs) => hubspotClient.crm.objects.batchApi.update(objectType, {
+                inputs: inputs.map((record) => ({ id: String(record.id), properties: record.properties }))
+            }),
+            onResult: async (record, result) => {
+                updated.push({ record, id: result.id, properties: result.properties });
+            },
+            onFailure: async (record, reason, status) => {
+                failed.push({ record, reason, status });
+                await recordFailedRecord(db, { entityType: record.entityType, ghlId: record.ghlId, reason, meta: { ...record.meta, status } });
+            }
+        });
+    }
+    return { updated, failed };
+}
+
+/**
+ * Reads records by id (or by a unique `idProperty` such as email) through the batch API.
+ * Missing ids are simply absent from the result.
+ */
+export async function batchReadRecords(hubspotClient, objectType, ids, { properties = [], idProperty } = {}) {
+    const results = [];
+    for (const batch of chunk([...new Set(ids.filter(Boolean).map(String))])) {
+        const request = { inputs: batch.map((id) => ({ id })), properties, propertiesWithHistory: [] };
+        if (idProperty) {
+            request.idProperty = idProperty;
+        }
+        const response = await hubspotClient.crm.objects.batchApi.read(objectType, request);
+        results.push(...(response?.results || []));
+    }
+    return results;
+}
+
+/**
+ * Creates associations through the v4 batch API. Pairs are `{ fromId, toId, types }`.
+ */
+export async function batchAssociate(hubspotClient, fromObjectType, toObjectType, pairs = []) {
+    let associated = 0;
+    for (const batch of chunk(pairs)) {
+        await hubspotClient.crm.associations.v4.batchApi.create(fromObjectType, toObjectType, {
+            inputs: batch.map((pair) => ({ _from: { id: String(pair.fromId) }, to: { id: String(pair.toId) }, types: pair.types || [] }))
+        });
+        associated += batch.length;
+    }
+    return associated;
+}
+
+/**
+ * Reads the first page of associations for many records through the v4 batch API.
+ * Returns a Map of from-id to the associated ids.
+ */
+export async function batchReadAssociations(hubspotClient, fromObjectType, toObjectType, ids = []) {
+    const associations = new Map();
+    for (const batch of chunk([...new Set(ids.filter(Boolean).map(String))])) {
+        const response = await hubspotClient.crm.associations.v4.batchApi.getPage(fromObjectType, toObjectType, {
+            inputs: batch.map((id) => ({ id }))
+        });
+        (response?.results || []).forEach((result) => {
+            const toIds = (result?.to || []).map((to) => String(to.toObjectId)).filter(Boolean);
+            associations.set(String(result?._from?.id), toIds);
+        });
+    }
+    return associations;
+}
+
+/**
+ * Buffers records per object type and creates them in batches of `batchSize` (at most 100).
+ *
+ * Each record may carry `onCreated(id)` and `onFailed(reason, status)` callbacks. `add` resolves
+ * to `{ settled }`, a promise that resolves once the record's batch has been sent and its callback
+ * has run; callers hand it to the worker pool so checkpoints wait for it. Callers must `flush()`
+ * once their input is exhausted. `runId` is stamped on every record the writer creates.
+ */
+export function createBatchWriter(hubspotClient, {
+    db,
+    batchSize = MAX_BATCH_SIZE,
+    idProperties = {},
+    runId
+} = {}) {
+    const size = Math.min(Math.max(1, Number(batchSize) || MAX_BATCH_SIZE), MAX_BATCH_SIZE);
+    const buffers = new Map();
+    const stats = {};
+    let pendingCount = 0;
+
+    function getStats(objectType) {
+        if (!stats[objectType]) {
+            stats[objectType] = { created: 0, failed: 0, batches: 0 };
+        }
+        return stats[objectType];
+    }
+
+    async function flushType(objectType) {
+        const records = buffers.get(objectType) || [];
+        if (records.length === 0) {
+            return;
+        }
+        buffers.set(objectType, []);
+        pendingCount -= records.length;
+        const entry = getStats(objectType);
+        entry.batches += Math.ceil(records.length / MAX_BATCH_SIZE);
+        try {
+            const { created, failed } = await batchCreateRecords(hubspotClient, objectType, records, {
+                db,
+                idProperty: idProperties[objectType] ?? 'ghl_id',
+                runId
+            });
+            entry.created += created.length;
+            entry.failed += failed.length;
+            for (const { record, id } of created) {
+                await record.onCreated?.(id);
+                record.resolve();
+            }
+            for (const { record, reason, status } of failed) {
+                log.warn('batch create %s ghlId=%s, status=%s, error=%s', objectType, record.ghlId, status, reason);
+                await record.onFailed?.(reason, status);
+                record.resolve();
+            }
+        } catch (err) {
+            records.forEach((record) => record.reject(err));
+            throw err;
+        }
+    }
+
+    async function flush() {
+        for (const objectType of buffers.keys()) {
+            await flushType(objectType);
+        }
+    }
+
+    async function add(objectType, record) {
+        if (!buffers.has(objectType)) {
+            buffers.set(objectType, []);
+        }
+        const settled = new Promise((resolve, reject) => {
+            record.resolve = resolve;
+            record.reject = reject;
+        });
+        // Failures are reported through the worker pool; this keeps an unawaited rejection from crashing the process.
+        settled.catch(() => {});
+        const buffer = buffers.get(objectType);
+        buffer.push(record);
+        pendingCount += 1;
+        if (buffer.length >= size) {
+            await flushType(objectType);
+        }
+        return { settled };
+    }
+
+    return { add, flush, stats, pending: () => pendingCount };
+}
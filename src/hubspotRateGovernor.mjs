@@ -0,0 +1,160 @@
+import logger from './log.mjs';
+const log = logger(import.meta.url);
+
+// Private app defaults; the X-HubSpot-RateLimit-* headers replace them after the first response.
+const DEFAULT_INTERVAL_MAX = 100;
+const DEFAULT_INTERVAL_MS = 10000;
+const DEFAULT_DAILY_MAX = 250000;
+const MAX_BACKOFF_MS = 60000;
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function readHeader(headers = {}, name) {
+    const key = Object.keys(headers || {}).find((header) => header.toLowerCase() === name);
+    const value = key ? headers[key] : undefined;
+    const number = Number(value);
+    return value === undefined || value === null || value === '' || Number.isNaN(number) ? null : number;
+}
+
+/**
+ * Paces every HubSpot request made through clients built with its options. It keeps a rolling
+ * window of sent requests below the per-interval limit, stops when the daily limit is nearly spent,
+ * follows the limits HubSpot reports in its X-HubSpot-RateLimit-* headers and pauses all callers
+ * after a 429, doubling the pause while 429s keep coming.
+ *
+ * `reserve` is the share of each limit left unused for other integrations on the same account.
+ */
+export function createRateGovernor({
+    intervalMax = DEFAULT_INTERVAL_MAX,
+    intervalMs = DEFAULT_INTERVAL_MS,
+    dailyMax = DEFAULT_DAILY_MAX,
+    reserve = 0.1
+} = {}) {
+    const state = {
+        intervalMax,
+        intervalMs,
+        dailyMax,
+        dailyRemaining: null,
+        reportedRemaining: null,
+        reportedAt: 0,
+        blockedUntil: 0,
+        backoffMs: 0
+    };
+    const stats = { requests: 0, waits: 0, rateLimited: 0 };
+    let sent = [];
+
+    function reserved(limit) {
+        return Math.floor(limit * reserve);
+    }
+
+    function nextWaitMs(now) {
+        if (state.blockedUntil > now) {
+            return state.blockedUntil - now;
+        }
+        const budget = Math.max(1, state.intervalMax - reserved(state.intervalMax));
+        if (sent.length >= budget) {
+            return sent[0] + state.intervalMs - now;
+        }
+        // HubSpot's own count also includes other clients using the same token.
+        if (state.reportedRemaining !== null && now - state.reportedAt < state.intervalMs
+            && state.reportedRemaining <= reserved(state.intervalMax)) {
+            return state.reportedAt + state.intervalMs - now;
+        }
+        return 0;
+    }
+
+    async function acquire() {
+        for (;;) {
+            if (state.dailyRemaining !== null && state.dailyRemaining <= reserved(state.dailyMax)) {
+                throw new Error(`HubSpot daily API limit nearly reached (${state.dailyRemaining} of ${state.dailyMax} left)`);
+            }
+            const now = Date.now();
+            sent = sent.filter((sentAt) => now - sentAt < state.intervalMs);
+            const waitMs = nextWaitMs(now);
+            if (waitMs <= 0) {
+                sent.push(now);
+                stats.requests += 1;
+                if (state.dailyRemaining !== null) {
+                    state.dailyRemaining -= 1;
+                }
+                return;
+            }
+            stats.waits += 1;
+            await sleep(waitMs);
+        }
+    }
+
+    function observe(status, headers = {}) {
+        const now = Date.now();
+        const max = readHeader(headers, 'x-hubspot-ratelimit-max');
+        const remaining = readHeader(headers, 'x-hubspot-ratelimit-remaining');
+        const interval = readHeader(headers, 'x-hubspot-ratelimit-interval-milliseconds');
+        const daily = readHeader(headers, 'x-hubspot-ratelimit-daily');
+        const dailyRemaining = readHeader(headers, 'x-hubspot-ratelimit-daily-remaining');
+        if (max) {
+            state.intervalMax = max;
+        }
+        if (interval) {
+            state.intervalMs = interval;
+        }
+        if (remaining !== null) {
+            state.reportedRemaining = remaining;
+            state.reportedAt = now;
+        }
+        if (daily) {
+            state.dailyMax = daily;
+        }
+        if (dailyRemaining !== null) {
+            state.dailyRemaining = dailyRemaining;
+        }
+        if (status === 429) {
+            stats.rateLimited += 1;
+            const retryAfter = readHeader(headers, 'retry-after');
+            state.backoffMs = Math.min(Math.max(state.backoffMs * 2, 1000), MAX_BACKOFF_MS);
+            const pauseMs = retryAfter ? Math.max(retryAfter * 1000, state.backoffMs) : state.backoffMs;
+            state.blockedUntil = Math.max(state.blockedUntil, now + pauseMs);
+            log.warn('HubSpot returned 429, pausing requests for %sms', pauseMs);
+            return;
+        }
+        if (status < 400) {
+            state.backoffMs = 0;
+        }
+    }
+
+    // Middleware for @hubspot/api-client: waits for a slot before each request and reads the limits after it.
+    const middleware = {
+        pre: async (context) => {
+            await acquire();
+            return context;
+        },
+        post: (context) => {
+            observe(context?.httpStatusCode, context?.headers);
+            return context;
+        }
+    };
+
+    return {
+        acquire,
+        observe,
+        middleware,
+        stats,
+        // Options to spread into `new Client({ accessToken, ... })`. The client's own retries resend 429s and 5xx.
+        clientOptions: { middleware: [middleware], numberOfApiCallRetries: 3 },
+        state: () => ({ ...state, inWindow: sent.length })
+    };
+}
+
+let sharedGovernor;
+
+/**
+ * The governor shared by every migrator in this process, so concurrent workers and stages
+ * draw from one budget.
+ */
+export function getSharedRateGovernor(options) {
+    if (!sharedGovernor) {
+        sharedGovernor = createRateGovernor(options);
+    }
+    return sharedGovernor;
+}
@@ -0,0 +1,182 @@
+import { randomBytes } from 'crypto';
+import { RUN_ID_PROPERTY, chunk } from './hubspotBatch.mjs';
+import logger from './log.mjs';
+const log = logger(import.meta.url);
+
+export const RUNS_COLLECTION = 'migration_runs';
+const ID_MAP_COLLECTION = 'GHLHubspotIdMap';
+const CHECKPOINTS_COLLECTION = 'hubspot_transfer_checkpoints';
+
+// Object types whose records carry import_run_id, rolled back through a search on it.
+// Engagements come first so nothing is left pointing at an archived contact or deal.
+const STAMPED_OBJECT_TYPES = ['notes', 'emails', 'calls', 'tasks', 'meetings', 'deals', 'companies', 'contacts'];
+// Custom objects rolled back through their id-map entries rather than a search on import_run_id.
+// Migrators only map these after creating them, so an entry from the run means the run created it.
+// CSAT and billing subscription entries carry the custom object's HubSpot type id in `hubspotObjectType`.
+const ID_MAP_OBJECT_TYPES = { calendars: 'calendars', csat: null, billing_subscription: null };
+
+export function createRunId(date = new Date()) {
+    const stamp = date.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+    return `run-${stamp}-${randomBytes(3).toString('hex')}`;
+}
+
+let processRunId;
+
+/**
+ * The run id records are stamped with: the given one, MIGRATION_RUN_ID, or one generated once
+ * per process, so a standalone migrator invocation counts as its own run.
+ */
+export function resolveRunId(runId) {
+    if (runId) {
+        return String(runId);
+    }
+    if (!processRunId) {
+        processRunId = process.env.MIGRATION_RUN_ID || createRunId();
+    }
+    return processRunId;
+}
+
+/**
+ * Lists runs recorded by the orchestrator together with runs only known from the id map
+ * (standalone migrator invocations), newest first, with id-map entries per object type.
+ */
+export async function listRuns(db, { limit = 20 } = {}) {
+    const runs = await db.collection(RUNS_COLLECTION).find({}).sort({ startedAt: -1 }).limit(Number(limit)).toArray();
+    const byRun = new Map(runs.map((run) => [run._id, { ...run, mapped: {} }]));
+    const mapped = await db.collection(ID_MAP_COLLECTION).aggregate([
+        { $match: { runId: { $exists: true, $ne: null } } },
+        {
+            $group: {
+                _id: { runId: '$runId', objectTypeId: '$objectTypeId' },
+                count: { $sum: 1 },
+                firstAt: { $min: '$createdAt' }
+            }
+        }
+    ]).toArray();
+    mapped.forEach(({ _id, count, firstAt }) => {
+        if (!byRun.has(_id.runId)) {
+            byRun.set(_id.runId, { _id: _id.runId, status: 'standalone', startedAt: firstAt, mapped: {} });
+        }
+        const run = byRun.get(_id.runId);
+        run.mapped[_id.objectTypeId] = count;
+        if (run.status === 'standalone' && firstAt < run.startedAt) {
+            run.startedAt = firstAt;
+        }
+    });
+    return [...byRun.values()]
+        .sort((a, b) => (b.startedAt?.getTime?.() || 0) - (a.startedAt?.getTime?.() || 0))
+        .slice(0, Number(limit));
+}
+
+async function findRunRecordIds(hubspotClient, objectType, runId) {
+    const ids = [];
+    let lastId = '0';
+    // Paging on hs_object_id instead of `after` keeps working past the search API's 10,000 result cap.
+    for (;;) {
+        let response;
+        try {
+            response = await hubspotClient.crm.objects.searchApi.doSearch(objectType, {
+                filterGroups: [{
+                    filters: [
+                        { propertyName: RUN_ID_PROPERTY, operator: 'EQ', value: runId },
+                        { propertyName: 'hs_object_id', operator: 'GT', value: lastId }
+                    ]
+                }],
+                sorts: [{ propertyName: 'hs_object_id', direction: 'ASCENDING' }],
+                properties: ['hs_object_id'],
+                limit: 100
+            });
+        } catch (err) {
+            const status = err?.code || err?.response?.statusCode || err?.response?.status;
+            if (status === 400 && ids.length === 0) {
+                log.warn('cannot search %s by %s, skipping: %s', objectType, RUN_ID_PROPERTY, err?.body?.message || err?.message);
+                return ids;
+            }
+            throw err;
+        }
+        const results = response?.results || [];
+        results.forEach((record) => ids.push(String(record.id)));
+        if (results.length < 100) {
+            return ids;
+        }
+        lastId = ids[ids.length - 1];
+    }
+}
+
+async function archiveRecords(hubspotClient, objectType, ids, { dryRun }) {
+    if (dryRun) {
+        return ids.length;
+    }
+    let archived = 0;
+    for (const batch of chunk(ids)) {
+        await hubspotClient.crm.objects.batchApi.archive(objectType, { inputs: batch.map((id) => ({ id })) });
+        archived += batch.length;
+    }
+    return archived;
+}
+
+/**
+ * Splits the checkpoints `runId` advanced into those it advanced last, which are reset, and those
+ * a later run moved on from, which keep their position and only drop `runId` from `runIds`.
+ */
+export function partitionRunCheckpoints(checkpoints = [], runId) {
+    const reset = [];
+    const kept = [];
+    checkpoints.forEach((checkpoint) => {
+        const runIds = checkpoint?.runIds || [];
+        (runIds[runIds.length - 1] === runId ? reset : kept).push(checkpoint._id);
+    });
+    return { reset, kept };
+}
+
+/**
+ * Rolls back one run: archives every HubSpot record it created, then removes the run's id-map
+ * entries and resets the checkpoints it was the last to advance, so re-running starts over for
+ * those records. Returns the counts per object type; with `dryRun` nothing is changed.
+ */
+export async function rollbackRun(db, hubspotClient, runId, { dryRun = false } = {}) {
+    if (!runId) {
+        throw new Error('runId is required');
+    }
+    const summary = { runId, dryRun, archived: {}, idMapDeleted: 0, checkpointsReset: 0, checkpointsKept: 0 };
+    for (const objectType of STAMPED_OBJECT_TYPES) {
+        const ids = await findRunRecordIds(hubspotClient, objectType, runId);
+        summary.archived[objectType] = await archiveRecords(hubspotClient, objectType, ids, { dryRun });
+    }
+    for (const [objectTypeId, objectType] of Object.entries(ID_MAP_OBJECT_TYPES)) {
+        const entries = await db.collection(ID_MAP_COLLECTION).find({ runId, objectTypeId }).toArray();
+        const idsByType = new Map();
+        entries.filter((entry) => entry.hubspotId).forEach((entry) => {
+            const type = objectType || entry.hubspotObjectType;
+            idsByType.set(type, [...(idsByType.get(type) || []), String(entry.hubspotId)]);
+        });
+        summary.archived[objectTypeId] = 0;
+        for (const [type, ids] of idsByType) {
+            summary.archived[objectTypeId] += await archiveRecords(hubspotClient, type, ids, { dryRun });
+        }
+    }
+
+    const checkpoints = await db.collection(CHECKPOINTS_COLLECTION)
+        .find({ runIds: runId }, { projection: { runIds: 1 } })
+        .toArray();
+    const { reset, kept } = partitionRunCheckpoints(checkpoints, runId);
+    summary.checkpointsKept = kept.length;
+    if (kept.length > 0) {
+        log.warn('%d checkpoints were advanced by later runs and keep their position: %s', kept.length, kept.join(', '));
+    }
+    if (dryRun) {
+        summary.idMapDeleted = await db.collection(ID_MAP_COLLECTION).countDocuments({ runId });
+        summary.checkpointsReset = reset.length;
+        return summary;
+    }
+    const idMapResult = await db.collection(ID_MAP_COLLECTION).deleteMany({ runId });
+    summary.idMapDeleted = idMapResult.deletedCount;
+    const checkpointResult = await db.collection(CHECKPOINTS_COLLECTION).deleteMany({ _id: { $in: reset } });
+    summary.checkpointsReset = checkpointResult.deletedCount;
+    await db.collection(CHECKPOINTS_COLLECTION).updateMany({ _id: { $in: kept } }, { $pull: { runIds: runId } });
+    await db.collection(RUNS_COLLECTION).updateOne(
+        { _id: runId },
+        { $set: { status: 'rolled_back', rolledBackAt: new Date(), rollback: summary } }
+    );
+    return summary;
+}
@@ -1,63 +1,256 @@
 import axios from 'axios';
-import { Asset, DescribedImage } from './dataLayer.mjs';
+import { createHash } from 'crypto';
+import { basename } from 'path';
+import { GridFSBucket } from 'mongodb';
 import logger from '../log.mjs';
-import sharp from 'sharp';
 const log = logger(import.meta.url);
 
-const DEFAULT_IMAGE_WIDTH = 700;
+export const ASSETS_COLLECTION = 'assets';
+export const ASSETS_BUCKET = 'assets';
+const DOWNLOAD_TIMEOUT_MS = 60 * 1000;
+const DEFAULT_HUBSPOT_FOLDER = '/ghl-attachments';
+// Email and note bodies embed these files, so HubSpot has to serve them without a login.
+const DEFAULT_HUBSPOT_ACCESS = 'PUBLIC_NOT_INDEXABLE';
 
-export async function createAsset(asset) {
-    log.debug("createAsset pageId=%s, name=%s, size=%s, mimeType=%s", asset.pageId, asset.name, asset.size, asset.mimeType);
-    // if (asset.pageId) {
-    //     asset.pageId = [asset.pageId];
-    // }
-    // return Asset.create(asset);
-    const createObj = Object.assign({}, asset);
-    if (! createObj.uniqueName) createObj.uniqueName = asset.name;
-    createObj.image = asset.data;
-    return DescribedImage.create(createObj);
+// Hosts GHL serves uploaded files from; these links stop working once the account is cancelled.
+const GHL_ASSET_HOSTS = [/(^|\.)msgsndr\.com$/i, /(^|\.)leadconnectorhq\.com$/i, /(^|\.)gohighlevel\.com$/i, /(^|\.)filesafe\.space$/i];
+
+let indexesReady = false;
+
+async function getAssetsCollection(db) {
+    const collection = db.collection(ASSETS_COLLECTION);
+    if (!indexesReady) {
+        await collection.createIndex({ sha256: 1 }, { unique: true });
+        await collection.createIndex({ sourceUrls: 1 });
+        indexesReady = true;
+    }
+    return collection;
+}
+
+export function isGhlHostedUrl(url) {
+    try {
+        const parsed = new URL(url);
+        if (parsed.hostname === 'storage.googleapis.com') {
+            return parsed.pathname.startsWith('/msgsndr/');
+        }
+        return GHL_ASSET_HOSTS.some((pattern) => pattern.test(parsed.hostname));
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Returns the GHL-hosted URLs referenced from src/href attributes in an HTML body.
+ */
+export function extractAssetUrls(html) {
+    if (!html || typeof html !== 'string') {
+        return [];
+    }
+    const urls = new Set();
+    for (const match of html.matchAll(/(?:src|href)\s*=\s*["']([^"']+)["']/gi)) {
+        const url = match[1].replace(/&amp;/g, '&');
+        if (isGhlHostedUrl(url)) {
+            urls.add(url);
+        }
+    }
+    return [...urls];
 }
 
-export function createAssetReference(assetOrId) {
-    return '/asset/via/' + ((typeof assetOrId === 'object') ? assetOrId._id.toString() : assetOrId)
+export function collectMessageAssetUrls(message) {
+    const attachments = (Array.isArray(message?.attachments) ? message.attachments : [])
+        .filter((url) => typeof url === 'string' && url);
+    return [...new Set([...attachments, ...extractAssetUrls(message?.body)])];
 }
-export async function captureImage(imageUrl, pageId) {
+
+export function collectNoteAssetUrls(note) {
+    return extractAssetUrls(note?.body);
+}
+
+function nameFromUrl(url, contentDisposition) {
+    const match = /filename\*?=(?:UTF-8'')?"?([^";]+)"?/i.exec(contentDisposition || '');
+    if (match) {
+        return decodeURIComponent(match[1]);
+    }
     try {
-        log.debug("captureImage imageUrl=%s, pageId=%s", imageUrl, pageId);
-        const headers =  {         
-            Authorization: undefined  // This removes the header for this request
+        return decodeURIComponent(basename(new URL(url).pathname)) || 'attachment';
+    } catch (err) {
+        return 'attachment';
+    }
+}
+
+async function writeToGridFs(bucket, filename, data, metadata) {
+    return new Promise((resolve, reject) => {
+        const upload = bucket.openUploadStream(filename, { metadata });
+        upload.once('finish', () => resolve(upload.id));
+        upload.once('error', reject);
+        upload.end(data);
+    });
+}
+
+async function readFromGridFs(bucket, fileId) {
+    const chunks = [];
+    for await (const chunk of bucket.openDownloadStream(fileId)) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Stores file content in GridFS, deduplicated by sha256. Content already on file only gains
+ * the new source URL and reference, so the same image attached to many messages is kept once.
+ */
+export async function createAsset(db, { name, mimeType, data, sourceUrl, reference }) {
+    const collection = await getAssetsCollection(db);
+    const sha256 = createHash('sha256').update(data).digest('hex');
+    const additions = {};
+    if (sourceUrl) {
+        additions.sourceUrls = sourceUrl;
+    }
+    if (reference) {
+        additions.references = reference;
+    }
+    const existing = await collection.findOneAndUpdate(
+        { sha256 },
+        { $addToSet: additions, $set: { updatedAt: new Date() } },
+        { returnDocument: 'after' }
+    );
+    if (existing) {
+        log.debug('createAsset dedupe sha256=%s, name=%s', sha256, name);
+        return existing;
+    }
+    const fileId = await writeToGridFs(new GridFSBucket(db, { bucketName: ASSETS_BUCKET }), name, data, { sha256, mimeType });
+    const asset = {
+        sha256,
+        fileId,
+        name,
+        mimeType,
+        size: data.length,
+        sourceUrls: sourceUrl ? [sourceUrl] : [],
+        references: reference ? [reference] : [],
+        createdAt: new Date(),
+        updatedAt: new Date()
+    };
+    try {
+        const result = await collection.insertOne(asset);
+        log.debug('createAsset sha256=%s, name=%s, size=%s, mimeType=%s', sha256, name, data.length, mimeType);
+        return { ...asset, _id: result.insertedId };
+    } catch (err) {
+        if (err?.code !== 11000) {
+            throw err;
         }
-        const isBase64 = imageUrl.startsWith('data:');
-        if (isBase64) {
-            const matches = imageUrl.match(/^data:(.+);base64,(.*)$/);
-            const buf = Buffer.from(matches[2], 'base64');
-            const resize = await sharp(buf).resize(DEFAULT_IMAGE_WIDTH).toBuffer();
-            const asset = {
-                pageId,
-                name: imageUrl,
-                size: resize.length,
-                data: resize,
-                mimeType:matches[1] 
-            }
-            return createAsset(asset);
-            
-        } else {
-            const response = await axios.get(imageUrl, {responseType: 'arraybuffer', headers});
-            if (response.data) {
-                const buf = Buffer.from(response.data, 'binary');
-                const resize = await sharp(buf).resize(DEFAULT_IMAGE_WIDTH).toBuffer();
-                const asset = {
-                    pageId,
-                    name: imageUrl,
-                    size: resize.length,
-                    data: resize,
-                    mimeType:  response.headers['content-type']
-                }
-                return createAsset(asset);
+        // Another worker stored the same content first; keep theirs and drop our copy.
+        await new GridFSBucket(db, { bucketName: ASSETS_BUCKET }).delete(fileId);
+        return collection.findOneAndUpdate({ sha256 }, { $addToSet: additions }, { returnDocument: 'after' });
+    }
+}
+
+/**
+ * Downloads an attachment (or decodes a data: URL) into the asset store.
+ * A URL captured before is not downloaded again.
+ */
+export async function captureAsset(db, url, reference) {
+    const collection = await getAssetsCollection(db);
+    const known = await collection.findOne({ sourceUrls: url });
+    if (known) {
+        if (reference) {
+            await collection.updateOne({ _id: known._id }, { $addToSet: { references: reference } });
+        }
+        return known;
+    }
+    log.debug('captureAsset url=%s', url);
+    if (url.startsWith('data:')) {
+        const matches = url.match(/^data:([^;,]+)?(;base64)?,(.*)$/s);
+        if (!matches) {
+            throw new Error('Unsupported data URL');
+        }
+        const data = matches[2] ? Buffer.from(matches[3], 'base64') : Buffer.from(decodeURIComponent(matches[3]));
+        return createAsset(db, { name: 'inline', mimeType: matches[1] || 'application/octet-stream', data, reference });
+    }
+    const response = await axios.get(url, { responseType: 'arraybuffer', timeout: DOWNLOAD_TIMEOUT_MS });
+    return createAsset(db, {
+        name: nameFromUrl(url, response.headers?.['content-disposition']),
+        mimeType: response.headers?.['content-type'] || 'application/octet-stream',
+        data: Buffer.from(response.data),
+        sourceUrl: url,
+        reference
+    });
+}
+
+/**
+ * Uploads a stored asset to the HubSpot Files API once and returns its HubSpot URL.
+ */
+export async function publishAsset(db, hubspotClient, asset, {
+    folderPath = DEFAULT_HUBSPOT_FOLDER,
+    access = DEFAULT_HUBSPOT_ACCESS
+} = {}) {
+    if (asset?.hubspotUrl) {
+        return asset.hubspotUrl;
+    }
+    const data = await readFromGridFs(new GridFSBucket(db, { bucketName: ASSETS_BUCKET }), asset.fileId);
+    const uploaded = await hubspotClient.files.filesApi.upload(
+        { data, name: asset.name },
+        undefined,
+        folderPath,
+        asset.name,
+        undefined,
+        JSON.stringify({ access, overwrite: false, duplicateValidationStrategy: 'NONE' })
+    );
+    const collection = await getAssetsCollection(db);
+    await collection.updateOne(
+        { _id: asset._id },
+        { $set: { hubspotFileId: uploaded?.id, hubspotUrl: uploaded?.url, publishedAt: new Date() } }
+    );
+    log.debug('publishAsset sha256=%s, hubspotFileId=%s', asset.sha256, uploaded?.id);
+    return uploaded?.url || null;
+}
+
+/**
+ * Captures (if needed) and publishes each URL, returning a map of original URL to HubSpot URL.
+ * URLs that fail are reported in `failures` and left out of the map, so they keep their original link.
+ */
+export async function rehostAssets(db, hubspotClient, urls, { reference, folderPath, access } = {}) {
+    const urlMap = new Map();
+    const failures = [];
+    for (const url of new Set(urls || [])) {
+        try {
+            const asset = await captureAsset(db, url, reference);
+            const hubspotUrl = await publishAsset(db, hubspotClient, asset, { folderPath, access });
+            if (hubspotUrl) {
+                urlMap.set(url, hubspotUrl);
             }
+        } catch (err) {
+            log.warn('rehostAssets url=%s, status=%s, error=%s', url, err?.response?.status || err?.code, err.toString());
+            failures.push({ url, reason: err?.message || String(err) });
         }
-        return null;
-    } catch (err) {
-        log.warn("captureImage error=%o, imageUrl=%s, pageId=%s", err, imageUrl, pageId);
     }
+    return { urlMap, failures };
+}
+
+export function replaceAssetUrls(html, urlMap) {
+    if (!html || typeof html !== 'string' || !urlMap || urlMap.size === 0) {
+        return html;
+    }
+    let result = html;
+    for (const [from, to] of urlMap.entries()) {
+        result = result.split(from).join(to);
+        const escaped = from.replace(/&/g, '&amp;');
+        if (escaped !== from) {
+            result = result.split(escaped).join(to);
+        }
+    }
+    return result;
+}
+
+/**
+ * Returns a copy of a message or note whose attachments and body point at the re-hosted files.
+ */
+export function rewriteAssetUrls(record, urlMap) {
+    if (!record || !urlMap || urlMap.size === 0) {
+        return record;
+    }
+    const rewritten = { ...record, body: replaceAssetUrls(record.body, urlMap) };
+    if (Array.isArray(record.attachments)) {
+        rewritten.attachments = record.attachments.map((url) => urlMap.get(url) || url);
+    }
+    return rewritten;
 }
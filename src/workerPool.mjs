@@ -0,0 +1,121 @@
+/**
+ * Runs `worker(item, { track })` over an iterable or async iterable (such as a Mongo cursor) with at
+ * most `concurrency` items in flight.
+ *
+ * Items can finish out of order, so checkpoints follow source order: `onCheckpoint(checkpointOf(item))`
+ * runs only once that item and every item before it are complete, and checkpoint writes never overlap.
+ * An item is complete when its worker has resolved and every promise it handed to `track` has
+ * settled. This lets a worker queue a record in a batch writer and move on; `beforeDrain` runs once
+ * the source is exhausted, e.g. to flush that writer, before the tracked work is awaited.
+ *
+ * A worker or source read that throws stops the pool: no new items are started and the error is
+ * rethrown once the items already in flight are done, without moving the checkpoint past the failed item.
+ */
+export async function runWorkerPool(source, worker, {
+    concurrency = 1,
+    checkpointOf = (item) => item,
+    onCheckpoint,
+    beforeDrain
+} = {}) {
+    const size = Math.max(1, Math.floor(Number(concurrency)) || 1);
+    const iterator = source?.[Symbol.asyncIterator] ? source[Symbol.asyncIterator]() : source[Symbol.iterator]();
+    const completed = new Map();
+    const tracked = [];
+    let nextSeq = 0;
+    let frontier = 0;
+    let failure = null;
+    let pulling = Promise.resolve();
+    let checkpointing = Promise.resolve();
+
+    // Cursor reads are serialized so sequence numbers match source order. A failed read is returned
+    // to its lane only; reads queued behind it end the source instead of rejecting too.
+    function pull() {
+        const read = pulling.then(async () => {
+            if (failure) {
+                return { done: true };
+            }
+            const next = await iterator.next();
+            return next.done ? next : { ...next, seq: nextSeq++ };
+        });
+        pulling = read.catch(() => ({ done: true }));
+        return read;
+    }
+
+    function complete(seq, value) {
+        completed.set(seq, value);
+        let latest;
+        let advanced = false;
+        while (completed.has(frontier)) {
+            latest = completed.get(frontier);
+            completed.delete(frontier);
+            frontier += 1;
+            advanced = true;
+        }
+        if (advanced && onCheckpoint) {
+            checkpointing = checkpointing.then(() => onCheckpoint(latest));
+        }
+    }
+
+    async function lane() {
+        while (!failure) {
+            let next;
+            try {
+                next = await pull();
+            } catch (err) {
+                failure = failure || err;
+                return;
+            }
+            if (next.done) {
+                return;
+            }
+            const pendingWork = [];
+            try {
+                await worker(next.value, { track: (promise) => pendingWork.push(promise) });
+            } catch (err) {
+                failure = failure || err;
+                return;
+            }
+            const value = checkpointOf(next.value);
+            if (pendingWork.length === 0) {
+                complete(next.seq, value);
+                continue;
+            }
+            tracked.push(Promise.all(pendingWork).then(
+                () => complete(next.seq, value),
+                (err) => {
+                    failure = failure || err;
+                }
+            ));
+        }
+    }
+
+    try {
+        await Promise.all(Array.from({ length: size }, () => lane()));
+        if (beforeDrain) {
+            await beforeDrain();
+        }
+        await Promise.all(tracked);
+        await checkpointing;
+    } finally {
+        if (failure) {
+            await iterator.return?.();
+        }
+    }
+    if (failure) {
+        throw failure;
+    }
+    return { processed: nextSeq, checkpointed: frontier };
+}
+
+/**
+ * Returns `run(fn)`, which runs the given async functions one at a time in call order.
+ * Workers use it for steps that must not interleave, such as creating a shared company.
+ */
+export function createSerialQueue() {
+    let tail = Promise.resolve();
+    return (fn) => {
+        const result = tail.then(fn);
+        tail = result.catch(() => {});
+        return result;
+    };
+}
@@ -0,0 +1,73 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { buildCompanyClusters, normalizeCompanyName, normalizeDomain } from "../hubspot/companies/clusterCompanies.mjs";
+
+const APEX_FIELD_ID = "apexField";
+
+describe("normalizeCompanyName", () => {
+    it("drops punctuation and legal suffixes", () => {
+        assert.equal(normalizeCompanyName("Acme, Inc."), "acme");
+        assert.equal(normalizeCompanyName("Smith & Sons Co. LLC"), "smith and sons");
+        assert.equal(normalizeCompanyName("Blue Sky L.L.C."), "blue sky");
+    });
+
+    it("keeps a name that is only a suffix and rejects placeholders", () => {
+        assert.equal(normalizeCompanyName("Company"), "company");
+        assert.equal(normalizeCompanyName("N/A"), null);
+        assert.equal(normalizeCompanyName(""), null);
+    });
+});
+
+describe("normalizeDomain", () => {
+    it("reduces a website to its host", () => {
+        assert.equal(normalizeDomain("https://www.Acme.com/about"), "acme.com");
+        assert.equal(normalizeDomain("shop.acme.com"), "shop.acme.com");
+    });
+
+    it("ignores shared hosts and values that are not domains", () => {
+        assert.equal(normalizeDomain("https://facebook.com/acme"), null);
+        assert.equal(normalizeDomain("acme.wixsite.com/home"), null);
+        assert.equal(normalizeDomain("acme"), null);
+    });
+});
+
+describe("buildCompanyClusters", () => {
+    it("joins contacts transitively by apex id, domain and name", () => {
+        const clusters = buildCompanyClusters([
+            { id: "c1", companyName: "Acme Inc", website: "acme.com" },
+            { id: "c2", companyName: "ACME", customFields: [{ id: APEX_FIELD_ID, value: "A-1" }] },
+            { id: "c3", website: "https://www.acme.com", customFields: [{ id: APEX_FIELD_ID, value: "A-1" }] },
+            { id: "c4", companyName: "Globex" }
+        ], { apexFieldId: APEX_FIELD_ID });
+        assert.equal(clusters.length, 2);
+        const [acme, globex] = clusters;
+        assert.equal(acme._id, "apex:A-1");
+        assert.deepEqual(acme.contactIds, ["c1", "c2", "c3"]);
+        assert.deepEqual(acme.matchedOn, ["apex_id", "domain", "name"]);
+        assert.equal(acme.review, false);
+        assert.equal(globex._id, "name:globex");
+    });
+
+    it("ignores apex ids without an apex field", () => {
+        const clusters = buildCompanyClusters([
+            { id: "c1", companyName: "Acme", customFields: [{ id: APEX_FIELD_ID, value: "A-1" }] }
+        ]);
+        assert.equal(clusters[0]._id, "name:acme");
+        assert.deepEqual(clusters[0].apexIds, []);
+    });
+
+    it("flags clusters joined across different names or apex ids", () => {
+        const clusters = buildCompanyClusters([
+            { id: "c1", companyName: "Acme", website: "acme.com", customFields: [{ id: APEX_FIELD_ID, value: "A-1" }] },
+            { id: "c2", companyName: "Acme Holdings", website: "acme.com", customFields: [{ id: APEX_FIELD_ID, value: "A-2" }] }
+        ], { apexFieldId: APEX_FIELD_ID });
+        assert.equal(clusters.length, 1);
+        assert.equal(clusters[0]._id, "domain:acme.com");
+        assert.equal(clusters[0].review, true);
+        assert.deepEqual(clusters[0].reviewReasons, ["different names: acme | acme holdings", "several apex_ids: A-1, A-2"]);
+    });
+
+    it("leaves out contacts without any company key", () => {
+        assert.deepEqual(buildCompanyClusters([{ id: "c1", companyName: "none", website: "facebook.com" }]), []);
+    });
+});
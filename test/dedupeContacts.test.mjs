@@ -0,0 +1,113 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+    MERGEABLE_GROUPS_FILTER,
+    applyMergePlan,
+    buildDuplicateGroups,
+    normalizeEmail,
+    normalizePhoneE164
+} from "../hubspot/contacts/dedupeContacts.mjs";
+
+describe("normalizeEmail", () => {
+    it("lowercases and strips whitespace", () => {
+        assert.equal(normalizeEmail(" Jane.Doe@Example.COM "), "jane.doe@example.com");
+    });
+
+    it("rejects values that are not emails", () => {
+        assert.equal(normalizeEmail("jane@localhost"), null);
+        assert.equal(normalizeEmail(""), null);
+    });
+});
+
+describe("normalizePhoneE164", () => {
+    it("treats ten digits as North American", () => {
+        assert.equal(normalizePhoneE164("(555) 201-3344"), "+15552013344");
+        assert.equal(normalizePhoneE164("1-555-201-3344"), "+15552013344");
+    });
+
+    it("keeps international numbers and rejects filler", () => {
+        assert.equal(normalizePhoneE164("+44 20 7946 0958"), "+442079460958");
+        assert.equal(normalizePhoneE164("0000000000"), null);
+        assert.equal(normalizePhoneE164("12345"), null);
+    });
+});
+
+describe("buildDuplicateGroups", () => {
+    it("joins contacts transitively through email and phone", () => {
+        const groups = buildDuplicateGroups([
+            { id: "a", email: "jane@example.com", firstName: "Jane", lastName: "Doe" },
+            { id: "b", email: "JANE@example.com", phone: "555-201-3344", firstName: "Jane", lastName: "Doe" },
+            { id: "c", phone: "+15552013344", firstName: "Jane", lastName: "Doe" },
+            { id: "d", email: "other@example.com" }
+        ]);
+        assert.equal(groups.length, 1);
+        const [group] = groups;
+        assert.equal(group.size, 3);
+        assert.deepEqual([group.survivorId, ...group.duplicateIds].sort(), ["a", "b", "c"]);
+        assert.deepEqual(group.matchedOn, ["email", "phone"]);
+        assert.equal(group.review, false);
+    });
+
+    it("joins on full name only within the same company", () => {
+        const groups = buildDuplicateGroups([
+            { id: "a", firstName: "Sam", lastName: "Lee", companyName: "Acme Inc", email: "sam@acme.com" },
+            { id: "b", firstName: "sam", lastName: "lee", companyName: "ACME inc." },
+            { id: "c", firstName: "Sam", lastName: "Lee", companyName: "Globex" }
+        ]);
+        assert.equal(groups.length, 1);
+        assert.equal(groups[0].survivorId, "a");
+        assert.deepEqual(groups[0].duplicateIds, ["b"]);
+    });
+
+    it("flags groups whose members have different emails for review", () => {
+        const groups = buildDuplicateGroups([
+            { id: "a", email: "pat@example.com", phone: "555-201-3344", firstName: "Pat", lastName: "Kim" },
+            { id: "b", email: "chris@example.com", phone: "555-201-3344", firstName: "Chris", lastName: "Kim" }
+        ]);
+        assert.equal(groups.length, 1);
+        assert.equal(groups[0].review, true);
+        assert.ok(groups[0].reviewReasons.some((reason) => reason.startsWith("different email")));
+    });
+
+    it("prefers a survivor with a valid email, then the most complete record", () => {
+        const groups = buildDuplicateGroups([
+            { id: "a", phone: "555-201-3344", firstName: "Ann", lastName: "Ray", city: "Austin", state: "TX" },
+            { id: "b", phone: "555-201-3344", email: "ann@example.com" }
+        ]);
+        assert.equal(groups[0].survivorId, "b");
+        assert.deepEqual(groups[0].mergePlan.map((entry) => entry.field).sort(), ["city", "firstName", "lastName", "state"]);
+    });
+
+    it("leaves single contacts out", () => {
+        assert.deepEqual(buildDuplicateGroups([{ id: "a", email: "a@example.com" }, { email: "no-id@example.com" }]), []);
+    });
+});
+
+describe("applyMergePlan", () => {
+    it("fills fields and custom fields from the plan without touching the original", () => {
+        const contact = { id: "a", email: "a@example.com", customFields: [{ id: "f1", value: "" }] };
+        const merged = applyMergePlan(contact, {
+            mergePlan: [
+                { field: "phone", value: "+15552013344" },
+                { field: "customFields.f1", value: "x" },
+                { field: "customFields.f2", value: "y" }
+            ]
+        });
+        assert.equal(merged.phone, "+15552013344");
+        assert.deepEqual(merged.customFields, [{ id: "f1", value: "x" }, { id: "f2", value: "y" }]);
+        assert.equal(contact.phone, undefined);
+        assert.deepEqual(contact.customFields, [{ id: "f1", value: "" }]);
+    });
+});
+
+describe("MERGEABLE_GROUPS_FILTER", () => {
+    const matches = (group) => MERGEABLE_GROUPS_FILTER.$or.some((clause) => Object.entries(clause).every(([field, condition]) => (
+        typeof condition === "object" ? group[field] !== condition.$ne : group[field] === condition
+    )));
+
+    it("admits groups not needing review and approved ones only", () => {
+        assert.equal(matches({ review: false }), true);
+        assert.equal(matches({ review: true }), false);
+        assert.equal(matches({ review: true, approved: true }), true);
+    });
+});
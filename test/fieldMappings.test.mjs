@@ -0,0 +1,94 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { applyFieldMappings, buildFieldValueMappings } from "../hubspot/customFields/fieldMappings.mjs";
+
+const CUSTOM_FIELDS = [
+    { model: "contact", field: { id: "f-date", name: "Renewal Date", fieldKey: "contact.renewal_date", dataType: "DATE", model: "contact" } },
+    { model: "contact", field: { id: "f-amount", name: "Monthly Volume", fieldKey: "contact.monthly_volume", dataType: "MONETORY", model: "contact" } },
+    { model: "contact", field: { id: "f-plan", name: "Plan", fieldKey: "contact.plan", dataType: "SINGLE_OPTIONS", model: "contact", picklistOptions: ["Gold Plan", "Silver"] } },
+    { model: "contact", field: { id: "f-tags", name: "Interests", fieldKey: "contact.interests", dataType: "MULTIPLE_OPTIONS", model: "contact", picklistOptions: ["Card Terminals", "ACH"] } },
+    { model: "contact", field: { id: "f-consent", name: "Consent", fieldKey: "contact.consent", dataType: "CHECKBOX", model: "contact", picklistOptions: ["I agree"] } },
+    { model: "contact", field: { id: "f-files", name: "Statements", fieldKey: "contact.statements", dataType: "FILE_UPLOAD", model: "contact" } },
+    { model: "contact", field: { id: "f-notes", name: "Notes", fieldKey: "contact.notes", dataType: "LARGE_TEXT", model: "contact" } },
+    { model: "opportunity", field: { id: "f-close", name: "Signed At", fieldKey: "opportunity.signed_at", dataType: "DATETIME", model: "opportunity" } },
+    { model: "contact", field: { id: "f-csat", name: "NPS", fieldKey: "contact.nps", dataType: "NUMERICAL", model: "contact", destination: "CSAT" } },
+    { model: "contact", field: { name: "No Id", dataType: "TEXT" } }
+];
+
+describe("buildFieldValueMappings", () => {
+    const mappings = buildFieldValueMappings(CUSTOM_FIELDS);
+    const byField = new Map(mappings.map((mapping) => [mapping.ghlFieldId, mapping]));
+
+    it("maps every field with an id to the object and property transferCustomFields creates", () => {
+        assert.equal(mappings.length, 9);
+        assert.deepEqual(
+            { object: byField.get("f-date").object, source: byField.get("f-date").source, property: byField.get("f-date").property },
+            { object: "contacts", source: "contact", property: "contact_renewal_date" }
+        );
+        assert.equal(byField.get("f-close").object, "deals");
+        assert.equal(byField.get("f-close").source, "opportunity");
+        assert.equal(byField.get("f-csat").object, "csat");
+    });
+
+    it("picks the transform from the property type", () => {
+        assert.equal(byField.get("f-date").transform, "dateOnly");
+        assert.equal(byField.get("f-close").transform, "dateIso");
+        assert.equal(byField.get("f-amount").transform, "number");
+        assert.equal(byField.get("f-plan").transform, "optionValue");
+        assert.deepEqual(byField.get("f-plan").options, { values: { "Gold Plan": "gold_plan", Silver: "silver" } });
+        assert.equal(byField.get("f-consent").transform, "booleanFromOption");
+        assert.deepEqual(byField.get("f-consent").options, { trueValues: ["I agree"] });
+        assert.equal(byField.get("f-files").transform, "fileUrls");
+        assert.equal(byField.get("f-notes").transform, "copy");
+    });
+});
+
+describe("applyFieldMappings", () => {
+    const mappings = buildFieldValueMappings(CUSTOM_FIELDS);
+
+    it("converts contact values to what each HubSpot property accepts", () => {
+        const properties = applyFieldMappings([
+            { id: "f-date", value: "2026-02-03T17:45:00.000Z" },
+            { id: "f-amount", value: "$1,250.50" },
+            { id: "f-plan", value: "Gold Plan" },
+            { id: "f-tags", value: ["Card Terminals", "ACH"] },
+            { id: "f-consent", value: ["I agree"] },
+            { id: "f-files", value: { a1: { url: "https://files.example.com/a.pdf", meta: {} }, b2: { url: "https://files.example.com/b.pdf" } } },
+            { id: "f-notes", value: "Call after 5pm" },
+            { id: "f-unmapped", value: "ignored" }
+        ], mappings, "contacts", "contact");
+        assert.deepEqual(properties, {
+            contact_renewal_date: "2026-02-03",
+            contact_monthly_volume: 1250.5,
+            contact_plan: "gold_plan",
+            contact_interests: "card_terminals;ach",
+            contact_consent: true,
+            contact_statements: "https://files.example.com/a.pdf, https://files.example.com/b.pdf",
+            contact_notes: "Call after 5pm"
+        });
+    });
+
+    it("leaves out values that cannot be converted", () => {
+        const properties = applyFieldMappings([
+            { id: "f-date", value: "not a date" },
+            { id: "f-amount", value: "n/a" },
+            { id: "f-plan", value: "" },
+            { id: "f-files", value: [] }
+        ], mappings, "contacts", "contact");
+        assert.deepEqual(properties, {
+            contact_renewal_date: undefined,
+            contact_monthly_volume: undefined,
+            contact_plan: undefined,
+            contact_statements: undefined
+        });
+    });
+
+    it("applies only the mappings of the given object and source", () => {
+        const customFields = [{ id: "f-close", value: "2026-02-03T17:45:00Z" }, { id: "f-csat", value: "9" }];
+        assert.deepEqual(applyFieldMappings(customFields, mappings, "deals", "opportunity"), {
+            opportunity_signed_at: "2026-02-03T17:45:00.000Z"
+        });
+        assert.deepEqual(applyFieldMappings(customFields, mappings, "csat", "contact"), { contact_nps: 9 });
+        assert.deepEqual(applyFieldMappings(customFields, mappings, "contacts", "contact"), {});
+    });
+});
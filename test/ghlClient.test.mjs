@@ -0,0 +1,122 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it, mock } from "node:test";
+import axios from "axios";
+import { createGhlClient } from "../src/ghlClient.mjs";
+
+const API_URL = "https://ghl.example.test";
+
+function httpError(status, headers = {}) {
+    const err = new Error(`Request failed with status code ${status}`);
+    err.response = { status, headers, data: {} };
+    return err;
+}
+
+// Stubs axios.request with one handler per call; the last handler answers every later call.
+function stubRequests(...handlers) {
+    const calls = [];
+    mock.method(axios, "request", async (config) => {
+        calls.push({ config, at: Date.now() });
+        const handler = handlers[Math.min(calls.length, handlers.length) - 1];
+        return handler(config);
+    });
+    return calls;
+}
+
+const ok = () => ({ status: 200, headers: {}, data: { ok: true } });
+
+function client(options = {}) {
+    return createGhlClient({ apiUrl: API_URL, apiKey: "key", locationId: "loc", baseBackoffMs: 5000, ...options });
+}
+
+describe("createGhlClient", () => {
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it("sends authenticated requests to the API url", async () => {
+        const calls = stubRequests(ok);
+        const response = await client().get("/contacts/", { params: { locationId: "loc" } });
+        assert.deepEqual(response.data, { ok: true });
+        assert.equal(calls[0].config.url, `${API_URL}/contacts/`);
+        assert.equal(calls[0].config.headers.Authorization, "Bearer key");
+        assert.equal(calls[0].config.timeout, 30000);
+    });
+
+    it("waits for Retry-After on a 429 instead of backing off", async () => {
+        const calls = stubRequests(() => {
+            throw httpError(429, { "retry-after": "0.05" });
+        }, ok);
+        const ghl = client();
+        await ghl.get("/contacts/");
+        assert.equal(calls.length, 2);
+        const waited = calls[1].at - calls[0].at;
+        assert.ok(waited >= 40 && waited < 2000, `waited ${waited}ms`);
+        const metrics = ghl.getMetrics()["GET /contacts/"];
+        assert.equal(metrics.rateLimited, 1);
+        assert.equal(metrics.retries, 1);
+        assert.deepEqual(metrics.statuses, { 200: 1, 429: 1 });
+    });
+
+    it("backs off exponentially on a 429 without Retry-After", async () => {
+        const calls = stubRequests(() => {
+            throw httpError(429);
+        }, () => {
+            throw httpError(429);
+        }, ok);
+        await client({ baseBackoffMs: 20 }).get("/contacts/");
+        assert.equal(calls.length, 3);
+        const first = calls[1].at - calls[0].at;
+        const second = calls[2].at - calls[1].at;
+        assert.ok(first >= 18, `first retry after ${first}ms`);
+        assert.ok(second >= 38, `second retry after ${second}ms`);
+    });
+
+    it("gives up after maxRetries and throws the last error", async () => {
+        const calls = stubRequests(() => {
+            throw httpError(503);
+        });
+        const ghl = client({ maxRetries: 2, baseBackoffMs: 1 });
+        await assert.rejects(ghl.get("/opportunities/search"), (err) => err.response.status === 503);
+        assert.equal(calls.length, 3);
+        const metrics = ghl.getMetrics()["GET /opportunities/search"];
+        assert.equal(metrics.failures, 1);
+        assert.equal(metrics.retries, 2);
+    });
+
+    it("does not retry client errors", async () => {
+        const calls = stubRequests(() => {
+            throw httpError(400);
+        });
+        await assert.rejects(client().get("/contacts/"), (err) => err.response.status === 400);
+        assert.equal(calls.length, 1);
+    });
+
+    it("retries network errors", async () => {
+        const calls = stubRequests(() => {
+            throw Object.assign(new Error("socket hang up"), { code: "ECONNRESET" });
+        }, ok);
+        await client({ baseBackoffMs: 1 }).get("/contacts/");
+        assert.equal(calls.length, 2);
+    });
+
+    it("holds requests once the burst bucket is empty until it refills", async () => {
+        const calls = stubRequests(ok);
+        const ghl = client({ burstLimit: 2, burstIntervalMs: 200 });
+        await Promise.all([ghl.get("/a"), ghl.get("/b"), ghl.get("/c")]);
+        assert.equal(calls.length, 3);
+        assert.ok(calls[1].at - calls[0].at < 50);
+        const waited = calls[2].at - calls[0].at;
+        assert.ok(waited >= 90, `third request after ${waited}ms`);
+    });
+
+    it("groups metrics by endpoint with ids templated", async () => {
+        stubRequests(ok);
+        const ghl = client();
+        await ghl.get("/contacts/AbCdEfGhIjKlMnOpQr");
+        await ghl.get("/contacts/ZyXwVuTsRqPoNmLkJi");
+        await ghl.post("/contacts/search", {});
+        const metrics = ghl.getMetrics();
+        assert.deepEqual(Object.keys(metrics).sort(), ["GET /contacts/:id", "POST /contacts/search"]);
+        assert.equal(metrics["GET /contacts/:id"].requests, 2);
+    });
+});
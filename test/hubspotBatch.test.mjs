@@ -0,0 +1,76 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { RUN_ID_PROPERTY, batchCreateRecords } from "../src/hubspotBatch.mjs";
+
+// A HubSpot client whose batch create answers with `createResponse` and whose search returns the
+// records in `existing` that match the filters.
+function fakeClient({ createResponse, existing = [] }) {
+    const searches = [];
+    return {
+        searches,
+        crm: {
+            objects: {
+                batchApi: {
+                    create: async () => createResponse
+                },
+                searchApi: {
+                    doSearch: async (objectType, request) => {
+                        searches.push({ objectType, request });
+                        const results = existing.filter((record) => request.filterGroups[0].filters.every((filter) => (
+                            filter.operator === "IN"
+                                ? filter.values.includes(record.properties[filter.propertyName])
+                                : record.properties[filter.propertyName] === filter.value
+                        )));
+                        return { results };
+                    }
+                }
+            }
+        }
+    };
+}
+
+const records = [
+    { ghlId: "n1", entityType: "note", properties: { ghl_id: "n1", hs_note_body: "one" } },
+    { ghlId: "n2", entityType: "note", properties: { ghl_id: "n2", hs_note_body: "two" } }
+];
+
+describe("batchCreateRecords", () => {
+    it("matches results to records by id property", async () => {
+        const client = fakeClient({
+            createResponse: { results: [{ id: "2", properties: { ghl_id: "n2" } }, { id: "1", properties: { ghl_id: "n1" } }] }
+        });
+        const { created, failed } = await batchCreateRecords(client, "notes", records);
+        assert.deepEqual(created.map(({ record, id }) => [record.ghlId, id]), [["n1", "1"], ["n2", "2"]]);
+        assert.deepEqual(failed, []);
+        assert.equal(client.searches.length, 0);
+    });
+
+    it("finds created records missing from the response before failing them", async () => {
+        const client = fakeClient({
+            createResponse: { results: [{ id: "1", properties: { ghl_id: "n1" } }] },
+            existing: [
+                { id: "2", properties: { ghl_id: "n2", [RUN_ID_PROPERTY]: "run-a" } },
+                { id: "9", properties: { ghl_id: "n2", [RUN_ID_PROPERTY]: "run-old" } }
+            ]
+        });
+        const { created, failed } = await batchCreateRecords(client, "notes", records, { runId: "run-a" });
+        assert.deepEqual(created.map(({ record, id }) => [record.ghlId, id]), [["n1", "1"], ["n2", "2"]]);
+        assert.equal(created[1].properties.hs_note_body, "two");
+        assert.deepEqual(failed, []);
+        const filters = client.searches[0].request.filterGroups[0].filters;
+        assert.deepEqual(filters, [
+            { propertyName: "ghl_id", operator: "IN", values: ["n2"] },
+            { propertyName: RUN_ID_PROPERTY, operator: "EQ", value: "run-a" }
+        ]);
+    });
+
+    it("does not search for records the response reports errors for", async () => {
+        const client = fakeClient({
+            createResponse: { results: [{ id: "1", properties: { ghl_id: "n1" } }], errors: [{ message: "Property values were not valid" }] }
+        });
+        const { created, failed } = await batchCreateRecords(client, "notes", records);
+        assert.equal(created.length, 1);
+        assert.deepEqual(failed.map(({ record, reason }) => [record.ghlId, reason]), [["n2", "Property values were not valid"]]);
+        assert.equal(client.searches.length, 0);
+    });
+});
@@ -0,0 +1,65 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { buildStageInputs, closedStageGhlId, matchStageInputs } from "../hubspot/pipelines/migratePipelines.mjs";
+
+describe("buildStageInputs", () => {
+    it("orders open stages with rising probability before the closed stages", () => {
+        const inputs = buildStageInputs({ id: "p1", stages: [{ id: "s1", name: "New" }, { id: "s2", name: "Qualified" }] });
+        assert.deepEqual(inputs.map((input) => [input.ghlId, input.label, input.displayOrder, input.metadata.probability]), [
+            ["s1", "New", 0, "0.3"],
+            ["s2", "Qualified", 1, "0.7"],
+            [closedStageGhlId("p1", "won"), "Closed Won", 2, "1.0"],
+            [closedStageGhlId("p1", "lost"), "Closed Lost", 3, "0.0"]
+        ]);
+        assert.equal(inputs[2].metadata.isClosed, "true");
+        assert.equal(inputs[0].metadata.isClosed, undefined);
+    });
+
+    it("gives repeated stage names distinct labels", () => {
+        const inputs = buildStageInputs({ id: "p1", stages: [{ id: "s1", name: "Follow Up" }, { id: "s2", name: "follow up " }] });
+        assert.deepEqual(inputs.slice(0, 2).map((input) => input.label), ["Follow Up", "follow up (2)"]);
+    });
+
+    it("keeps the closed stages apart from GHL stages with the same name", () => {
+        const inputs = buildStageInputs({ id: "p1", stages: [{ id: "s1", name: "Closed Won" }, { id: "s2", name: "Closed Lost" }] });
+        const labels = inputs.map((input) => input.label.toLowerCase());
+        assert.equal(new Set(labels).size, labels.length);
+        assert.equal(inputs[2].label, "Closed Won (2)");
+        assert.equal(inputs[3].label, "Closed Lost (2)");
+    });
+
+    it("skips stages without an id and names unnamed ones", () => {
+        const inputs = buildStageInputs({ id: "p1", stages: [{ name: "No id" }, { id: "s1" }] });
+        assert.equal(inputs.length, 3);
+        assert.equal(inputs[0].label, "Stage 1");
+    });
+
+    it("uses the given closed stage labels", () => {
+        const inputs = buildStageInputs({ id: "p1", stages: [] }, { wonLabel: "Won", lostLabel: "Lost" });
+        assert.deepEqual(inputs.map((input) => input.label), ["Won", "Lost"]);
+    });
+});
+
+describe("matchStageInputs", () => {
+    const inputs = buildStageInputs({ id: "p1", stages: [{ id: "s1", name: "Closed Won" }] });
+
+    it("prefers the stage recorded in the id map over a label match", () => {
+        const stages = [{ id: "h1", label: "Closed Won" }, { id: "h2", label: "Renamed in HubSpot" }];
+        const matched = matchStageInputs(stages, inputs, new Map([["s1", "h2"]]));
+        assert.equal(matched.get("s1").id, "h2");
+        assert.equal(matched.get(closedStageGhlId("p1", "won")), undefined);
+    });
+
+    it("never pairs two inputs with one HubSpot stage", () => {
+        const stages = [{ id: "h1", label: "Closed Won" }];
+        const matched = matchStageInputs(stages, [...inputs, { ghlId: "x", label: "Closed Won" }]);
+        assert.equal(matched.get("s1").id, "h1");
+        assert.equal(matched.has("x"), false);
+    });
+
+    it("ignores id map entries for stages no longer in the pipeline", () => {
+        const stages = [{ id: "h1", label: "Closed Won" }];
+        const matched = matchStageInputs(stages, inputs, new Map([["s1", "gone"]]));
+        assert.equal(matched.get("s1").id, "h1");
+    });
+});
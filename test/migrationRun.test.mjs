@@ -0,0 +1,60 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { RUN_ID_PROPERTY, ensureRunIdProperty } from "../src/hubspotBatch.mjs";
+import { createRunId, partitionRunCheckpoints, resolveRunId } from "../src/migrationRun.mjs";
+
+describe("createRunId", () => {
+    it("stamps the id with the start time to the second", () => {
+        const runId = createRunId(new Date("2026-03-04T05:06:07.890Z"));
+        assert.match(runId, /^run-20260304T050607Z-[0-9a-f]{6}$/);
+    });
+
+    it("adds a random suffix so runs started together differ", () => {
+        const date = new Date("2026-03-04T05:06:07Z");
+        assert.notEqual(createRunId(date), createRunId(date));
+    });
+});
+
+describe("resolveRunId", () => {
+    it("uses the given id as a string", () => {
+        assert.equal(resolveRunId("run-a"), "run-a");
+        assert.equal(resolveRunId(42), "42");
+    });
+
+    it("falls back to MIGRATION_RUN_ID and keeps one id per process", () => {
+        const previous = process.env.MIGRATION_RUN_ID;
+        process.env.MIGRATION_RUN_ID = "run-from-env";
+        try {
+            assert.equal(resolveRunId(), "run-from-env");
+            process.env.MIGRATION_RUN_ID = "run-changed";
+            assert.equal(resolveRunId(undefined), "run-from-env");
+        } finally {
+            if (previous === undefined) {
+                delete process.env.MIGRATION_RUN_ID;
+            } else {
+                process.env.MIGRATION_RUN_ID = previous;
+            }
+        }
+    });
+});
+
+describe("partitionRunCheckpoints", () => {
+    it("resets only checkpoints the run advanced last", () => {
+        const { reset, kept } = partitionRunCheckpoints([
+            { _id: "hubspot_notes", runIds: ["run-a", "run-b"] },
+            { _id: "hubspot_tasks", runIds: ["run-b", "run-a"] },
+            { _id: "hubspot_calls", runIds: ["run-b"] }
+        ], "run-b");
+        assert.deepEqual(reset, ["hubspot_notes", "hubspot_calls"]);
+        assert.deepEqual(kept, ["hubspot_tasks"]);
+    });
+});
+
+describe("ensureRunIdProperty", () => {
+    it("adds the hidden run id property once", () => {
+        const properties = ensureRunIdProperty([{ name: "ghl_id" }]);
+        assert.deepEqual(properties.map((property) => property.name), ["ghl_id", RUN_ID_PROPERTY]);
+        assert.equal(properties[1].hidden, true);
+        assert.equal(ensureRunIdProperty(properties), properties);
+    });
+});
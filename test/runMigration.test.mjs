@@ -0,0 +1,43 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { MIGRATION_STAGES, selectStages } from "../hubspot/migration/runMigration.mjs";
+
+const STAGES = [
+    { id: "users", dependsOn: [] },
+    { id: "clusters", dependsOn: [] },
+    { id: "contacts", dependsOn: ["users", "clusters"] },
+    { id: "deals", dependsOn: ["contacts"] },
+    { id: "notes", dependsOn: ["contacts", "deals"] }
+];
+
+describe("selectStages", () => {
+    it("runs every stage without a selection", () => {
+        assert.deepEqual(selectStages(STAGES), {
+            stageIds: ["users", "clusters", "contacts", "deals", "notes"],
+            added: [],
+            stale: []
+        });
+    });
+
+    it("brings in the stages a selected stage depends on", () => {
+        const selection = selectStages(STAGES, { requested: ["deals"] });
+        assert.deepEqual(selection.stageIds, ["users", "clusters", "contacts", "deals"]);
+        assert.deepEqual(selection.added, ["users", "clusters", "contacts"]);
+    });
+
+    it("leaves skipped dependencies out and reports them as stale", () => {
+        const selection = selectStages(STAGES, { requested: ["contacts"], skipped: ["clusters"] });
+        assert.deepEqual(selection.stageIds, ["users", "contacts"]);
+        assert.deepEqual(selection.stale, [{ stageId: "contacts", dependency: "clusters" }]);
+    });
+
+    it("rejects unknown stages", () => {
+        assert.throws(() => selectStages(STAGES, { requested: ["invoices"] }), /unknown stage: invoices/);
+    });
+
+    it("runs the duplicate analysis before contacts", () => {
+        const { stageIds } = selectStages(MIGRATION_STAGES, { requested: ["contacts"] });
+        assert.ok(stageIds.includes("companyClusters") && stageIds.includes("contactDuplicates"));
+        assert.ok(stageIds.indexOf("contactDuplicates") < stageIds.indexOf("contacts"));
+    });
+});
@@ -0,0 +1,67 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { runWorkerPool } from "../src/workerPool.mjs";
+
+// An async iterator over `items` that rejects on read number `failAt` and records whether it was closed.
+function failingSource(items, failAt) {
+    const source = { reads: 0, closed: false };
+    source[Symbol.asyncIterator] = () => ({
+        next: async () => {
+            source.reads += 1;
+            if (source.reads === failAt) {
+                throw new Error("cursor read failed");
+            }
+            const value = items.shift();
+            return value === undefined ? { done: true } : { done: false, value };
+        },
+        return: async () => {
+            source.closed = true;
+            return { done: true };
+        }
+    });
+    return source;
+}
+
+describe("runWorkerPool", () => {
+    it("checkpoints in source order when items finish out of order", async () => {
+        const checkpoints = [];
+        const result = await runWorkerPool([30, 10, 20], async (delay) => {
+            await new Promise((resolve) => setTimeout(resolve, delay));
+        }, { concurrency: 3, onCheckpoint: (value) => checkpoints.push(value) });
+        assert.deepEqual(result, { processed: 3, checkpointed: 3 });
+        assert.equal(checkpoints[checkpoints.length - 1], 20);
+    });
+
+    it("drains tracked work and closes the source when a read fails", async () => {
+        const source = failingSource([1, 2, 3], 3);
+        const flushed = [];
+        const queued = [];
+        const checkpoints = [];
+        await assert.rejects(runWorkerPool(source, async (item, { track }) => {
+            queued.push(item);
+            track(new Promise((resolve) => setTimeout(() => {
+                flushed.push(item);
+                resolve();
+            }, 5)));
+        }, {
+            concurrency: 2,
+            onCheckpoint: (value) => checkpoints.push(value),
+            beforeDrain: async () => flushed.push("flush")
+        }), /cursor read failed/);
+        assert.equal(source.closed, true);
+        assert.deepEqual(queued, [1, 2]);
+        assert.ok(flushed.includes("flush"));
+        assert.deepEqual(flushed.filter((item) => item !== "flush").sort(), [1, 2]);
+        assert.equal(checkpoints[checkpoints.length - 1], 2);
+    });
+
+    it("stops after a worker throws without checkpointing the failed item", async () => {
+        const checkpoints = [];
+        await assert.rejects(runWorkerPool([1, 2, 3], async (item) => {
+            if (item === 2) {
+                throw new Error("worker failed");
+            }
+        }, { onCheckpoint: (value) => checkpoints.push(value) }), /worker failed/);
+        assert.deepEqual(checkpoints, [1]);
+    });
+});